@@ -1485,11 +1485,7 @@ async function updatePreviewWithCurrentConfig() {
         `;
 
         // Generate preview asset
-        if (!window.electronAPI) {
-            throw new Error('Electron API not available');
-        }
-
-        const previewAsset = await window.electronAPI.generateAsset(App.currentAssetType, App.currentConfig);
+        const previewAsset = await generateInShell(App.currentAssetType, App.currentConfig);
 
         // Update preview display
         if (previewAsset.type === 'sfx' || previewAsset.type === 'music' || previewAsset.type === 'ambient') {
@@ -1576,6 +1572,23 @@ function handleQuickAction(action) {
     switchView('generator');
 }
 
+// Generate an asset in the desktop shell: Tauri's generate_asset command (Node generator
+// sidecar) or Electron's IPC
+async function generateInShell(type, config) {
+    if (window.__TAURI__) {
+        const response = await window.__TAURI__.core.invoke('generate_asset', { assetType: type, config });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        return response.asset;
+    }
+    if (!window.electronAPI) {
+        throw new Error('Electron API not available');
+    }
+
+    return window.electronAPI.generateAsset(type, config);
+}
+
 // Handle asset generation
 async function handleGenerateAsset() {
     if (!App.currentAssetType) {
@@ -1589,11 +1602,7 @@ async function handleGenerateAsset() {
         elements.generateBtn.textContent = 'Generating...';
 
         // Generate asset using main process
-        if (!window.electronAPI) {
-            throw new Error('Electron API not available');
-        }
-
-        const asset = await window.electronAPI.generateAsset(App.currentAssetType, App.currentConfig);
+        const asset = await generateInShell(App.currentAssetType, App.currentConfig);
 
         App.generatedAsset = asset;
 
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * TPT Generator Sidecar Bundle
+ * Stages scripts/tpt.js, the generator sources and only the production dependencies
+ * for the Tauri bundle, so electron and the dev tooling stay out of the app
+ *
+ * Usage:
+ *   node scripts/build-sidecar.js [outDir]    (default: src-tauri/sidecar)
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+class SidecarBuilder {
+    constructor(outDir) {
+        this.rootDir = path.join(__dirname, '..');
+        this.outDir = path.resolve(outDir || path.join(this.rootDir, 'src-tauri', 'sidecar'));
+    }
+
+    /**
+     * Stage the sidecar and return the production packages it includes
+     */
+    build() {
+        fs.rmSync(this.outDir, { recursive: true, force: true });
+        fs.mkdirSync(path.join(this.outDir, 'scripts'), { recursive: true });
+
+        fs.copyFileSync(path.join(this.rootDir, 'package.json'), path.join(this.outDir, 'package.json'));
+        fs.copyFileSync(path.join(__dirname, 'tpt.js'), path.join(this.outDir, 'scripts', 'tpt.js'));
+
+        const testsDir = path.join(this.rootDir, 'src', 'tests');
+        fs.cpSync(path.join(this.rootDir, 'src'), path.join(this.outDir, 'src'), {
+            recursive: true,
+            filter: source => source !== testsDir
+        });
+
+        const packages = this.listProductionPackages();
+        packages.forEach(packageDir => {
+            // Nested node_modules hold dependencies of their own, listed and copied separately
+            const nested = path.join(packageDir, 'node_modules');
+            fs.cpSync(packageDir, path.join(this.outDir, path.relative(this.rootDir, packageDir)), {
+                recursive: true,
+                filter: source => source !== nested
+            });
+        });
+
+        return packages;
+    }
+
+    /**
+     * Installed package directories of the dependency tree, without devDependencies
+     */
+    listProductionPackages() {
+        const result = spawnSync('npm', ['ls', '--omit=dev', '--all', '--parseable'], {
+            cwd: this.rootDir,
+            encoding: 'utf8',
+            shell: process.platform === 'win32'
+        });
+
+        // npm ls exits non-zero for problems such as unmet optional peers but still lists the tree
+        if (result.error || !result.stdout) {
+            throw new Error(`Could not list production dependencies: ${result.error ? result.error.message : result.stderr}`);
+        }
+
+        const nodeModules = path.join(this.rootDir, 'node_modules') + path.sep;
+        return result.stdout.split(/\r?\n/).filter(line => line.startsWith(nodeModules));
+    }
+}
+
+if (require.main === module) {
+    try {
+        const builder = new SidecarBuilder(process.argv[2]);
+        const packages = builder.build();
+        console.log(`📦 Generator sidecar staged in ${path.relative(process.cwd(), builder.outDir)} with ${packages.length} production package(s)`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = SidecarBuilder;
@@ -0,0 +1,561 @@
+#!/usr/bin/env node
+
+/**
+ * TPT Command Line Asset Generator
+ * Headless asset generation for build pipelines (no Electron or Tauri required)
+ *
+ * Usage:
+ *   tpt generate <type> [--config file.json] [--seed 42] [--count 1] [--name name] [--format png|aseprite|wav|mp3]
+ *                       [--palette db32|file.gpl] [--dither none|bayer|floyd-steinberg|atkinson] [--out dir]
+ *   tpt batch <manifest.json> [--out dir]
+ *   tpt types
+ *   tpt ipc < request.json
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const Store = require('../src/core/store');
+const GeneratorService = require('../src/core/services/generator-service');
+
+const SPRITE_TYPES = ['character', 'monster', 'item', 'tile', 'vehicle', 'building', 'particle', 'ui'];
+const AUDIO_TYPES = ['sfx', 'music', 'ambient'];
+
+// Files --format and manifest "format" can write (Ogg Vorbis has no encoder in this build)
+const OUTPUT_FORMATS = ['png', 'aseprite', 'wav', 'mp3'];
+
+class AssetCLI {
+    constructor(options = {}) {
+        this.cwd = options.cwd || process.cwd();
+        this.log = options.log || console.log;
+
+        // GeneratorService persists through an asset service; headless runs keep results in memory
+        this.assetSink = {
+            createAsset: async (assetData) => assetData
+        };
+
+        this.store = new Store({ persistenceEnabled: false });
+        // Build output is the raw generator result, so skip the GUI's quality enhancement pass
+        this.store.getState('generators').settings.quality = 'standard';
+        this.generatorService = new GeneratorService(this.assetSink, this.store);
+    }
+
+    /**
+     * Run a CLI command
+     * @param {Array<string>} argv - Arguments after the executable name
+     * @returns {Promise<number>} Process exit code
+     */
+    async run(argv) {
+        const { positional, flags } = this.parseArgs(argv);
+        const command = positional[0];
+
+        switch (command) {
+            case 'generate':
+                await this.generateCommand(positional[1], flags);
+                return 0;
+            case 'batch':
+                return await this.batchCommand(positional[1], flags);
+            case 'types':
+                this.log([...SPRITE_TYPES, ...AUDIO_TYPES].join('\n'));
+                return 0;
+            case 'ipc':
+                return await this.ipcCommand();
+            case 'help':
+            case undefined:
+                this.printUsage();
+                return 0;
+            default:
+                this.printUsage();
+                throw new Error(`Unknown command: ${command}`);
+        }
+    }
+
+    /**
+     * tpt generate <type>
+     */
+    async generateCommand(type, flags) {
+        if (!type) {
+            throw new Error('Asset type is required, e.g. tpt generate character');
+        }
+
+        const config = flags.config ? await this.readJSON(path.resolve(this.cwd, flags.config)) : {};
+        if (flags.palette) {
+            config.palette = this.resolvePalettePath(flags.palette, this.cwd);
+        }
+        if (flags.dither) {
+            config.dither = flags.dither;
+        }
+        const outputDir = path.resolve(this.cwd, flags.out || 'dist');
+
+        const written = await this.generateEntry({
+            type,
+            config,
+            seed: flags.seed !== undefined ? this.parseSeed(flags.seed) : undefined,
+            count: flags.count ? parseInt(flags.count, 10) : 1,
+            name: flags.name,
+            format: flags.format
+        }, outputDir);
+
+        written.forEach(file => this.log(`✅ ${path.relative(this.cwd, file)}`));
+        return written;
+    }
+
+    /**
+     * tpt batch <manifest.json>
+     *
+     * Manifest format:
+     * {
+     *   "output": "dist/assets",
+     *   "palette": "palettes/game.gpl",
+     *   "dither": "bayer",
+     *   "assets": [
+     *     { "type": "character", "name": "warrior", "config": { "classType": "warrior" }, "seed": 42 },
+     *     { "type": "item", "name": "sword", "configFile": "configs/sword.json", "seed": 7, "count": 4 },
+     *     { "type": "sfx", "name": "coin", "config": { "effectType": "coin_collect" }, "format": "mp3" }
+     *   ],
+     *   "spritesheets": [
+     *     { "name": "items", "include": ["sword_*"], "engine": "unity" }
+     *   ]
+     * }
+     * Relative paths are resolved against the manifest's directory.
+     */
+    async batchCommand(manifestPath, flags) {
+        if (!manifestPath) {
+            throw new Error('Manifest path is required, e.g. tpt batch manifest.json');
+        }
+
+        const resolvedManifest = path.resolve(this.cwd, manifestPath);
+        const manifestDir = path.dirname(resolvedManifest);
+        const manifest = await this.readJSON(resolvedManifest);
+
+        if (!Array.isArray(manifest.assets) || manifest.assets.length === 0) {
+            throw new Error('Manifest must contain a non-empty "assets" array');
+        }
+
+        const outputDir = flags.out
+            ? path.resolve(this.cwd, flags.out)
+            : path.resolve(manifestDir, manifest.output || 'dist');
+
+        const generated = [];
+        const failures = [];
+
+        for (const [index, entry] of manifest.assets.entries()) {
+            try {
+                const config = entry.configFile
+                    ? { ...(await this.readJSON(path.resolve(manifestDir, entry.configFile))), ...(entry.config || {}) }
+                    : { ...(entry.config || {}) };
+
+                // A manifest-wide palette applies to every entry that does not pick its own
+                const palette = config.palette || manifest.palette;
+                if (palette) {
+                    config.palette = this.resolvePalettePath(palette, manifestDir);
+                    config.dither = config.dither || manifest.dither;
+                }
+
+                const files = await this.generateEntry({ ...entry, config }, outputDir, generated);
+                files.forEach(file => this.log(`✅ ${path.relative(this.cwd, file)}`));
+            } catch (error) {
+                failures.push({ index, name: entry.name || entry.type, error: error.message });
+                this.log(`❌ ${entry.name || entry.type}: ${error.message}`);
+            }
+        }
+
+        for (const sheet of manifest.spritesheets || []) {
+            try {
+                const files = await this.packSpritesheet(sheet, generated, outputDir);
+                files.forEach(file => this.log(`📦 ${path.relative(this.cwd, file)}`));
+            } catch (error) {
+                failures.push({ name: sheet.name, error: error.message });
+                this.log(`❌ spritesheet ${sheet.name}: ${error.message}`);
+            }
+        }
+
+        this.log(`\n${generated.length} asset(s) generated, ${failures.length} failure(s)`);
+        return failures.length > 0 ? 1 : 0;
+    }
+
+    /**
+     * tpt ipc
+     *
+     * Sidecar mode for the Tauri shell: reads one JSON request from stdin and writes one
+     * JSON response to stdout, shaped like the Electron ipc-handler responses.
+     *
+     * Requests:
+     *   { "command": "generate_asset", "type": "character", "config": { ... } }
+     *   { "command": "generate_batch", "batchConfig": { "type": "item", "count": 4, "config": { ... } } }
+     *   { "command": "generate_batch", "batchConfig": [{ "type": "tile", "config": { ... } }, ...] }
+     */
+    async ipcCommand() {
+        const input = await this.readStdin();
+
+        let response;
+        try {
+            response = await this.handleIpcRequest(JSON.parse(input));
+        } catch (error) {
+            response = { success: false, error: error.message };
+        }
+
+        // Resolve once the response is flushed, so exiting cannot cut off a piped stdout
+        await new Promise((resolve, reject) => {
+            process.stdout.write(JSON.stringify(response), error => (error ? reject(error) : resolve()));
+        });
+        return 0;
+    }
+
+    /**
+     * Handle one sidecar request
+     * @param {Object} request - { command, type, config, batchConfig }
+     * @returns {Promise<Object>} { success, asset } or { success, assets }, or { success: false, error }
+     */
+    async handleIpcRequest(request) {
+        switch (request.command) {
+            case 'generate_asset': {
+                if (!request.type) {
+                    throw new Error('Asset type is required');
+                }
+                const asset = await this.generatorService.generateAsset(request.type, { ...(request.config || {}) });
+                return { success: true, asset: this.toIpcAsset(asset) };
+            }
+            case 'generate_batch': {
+                const assets = [];
+                for (const entry of this.expandBatchConfig(request.batchConfig)) {
+                    const asset = await this.generatorService.generateAsset(entry.type, entry.config, { name: entry.name });
+                    assets.push(this.toIpcAsset(asset));
+                }
+                return { success: true, assets };
+            }
+            default:
+                throw new Error(`Unknown sidecar command: ${request.command}`);
+        }
+    }
+
+    /**
+     * Expand a batch config into individual generation entries
+     * Accepts the Electron { type, count, config } form or an explicit list of { type, config }
+     */
+    expandBatchConfig(batchConfig) {
+        if (Array.isArray(batchConfig)) {
+            return batchConfig.map(entry => {
+                if (!entry || !entry.type) {
+                    throw new Error('Every batch entry needs a type');
+                }
+                return { type: entry.type, name: entry.name, config: { ...(entry.config || {}) } };
+            });
+        }
+
+        if (!batchConfig || !batchConfig.type) {
+            throw new Error('Batch config needs a type');
+        }
+
+        const count = Math.max(1, parseInt(batchConfig.count, 10) || 1);
+        const config = batchConfig.config || {};
+        const baseSeed = batchConfig.seed !== undefined ? batchConfig.seed : config.seed;
+
+        return Array.from({ length: count }, (_, i) => ({
+            type: batchConfig.type,
+            name: batchConfig.name ? `${batchConfig.name} ${i + 1}` : undefined,
+            config: baseSeed !== undefined ? { ...config, seed: this.variantSeed(baseSeed, i) } : { ...config }
+        }));
+    }
+
+    /**
+     * Shape a generated asset like the Electron ipc-handler asset payload
+     */
+    toIpcAsset(asset) {
+        return {
+            ...asset,
+            config: asset.generator ? asset.generator.config : asset.config,
+            created_at: asset.created_at || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Generate one manifest entry (possibly several seeded variants) and write it to disk
+     * @param {Object} entry - { type, config, seed, count, name, format }
+     * @param {string} outputDir - Output directory
+     * @param {Array} [collected] - Receives { name, asset } for later packing
+     * @returns {Promise<Array<string>>} Written file paths
+     */
+    async generateEntry(entry, outputDir, collected = []) {
+        if (entry.format && !OUTPUT_FORMATS.includes(entry.format)) {
+            throw new Error(`Unsupported output format: ${entry.format} (use ${OUTPUT_FORMATS.join(', ')})`);
+        }
+
+        const count = Math.max(1, entry.count || 1);
+        const baseSeed = entry.seed !== undefined ? entry.seed : entry.config.seed;
+        const written = [];
+
+        await fs.mkdir(outputDir, { recursive: true });
+
+        for (let i = 0; i < count; i++) {
+            const config = { ...entry.config };
+            if (entry.format === 'aseprite') {
+                // Characters keep their body and equipment passes as Aseprite layers
+                config.layers = true;
+            }
+            if (baseSeed !== undefined) {
+                // Variants of a numeric seed count upwards; string seeds get an index suffix
+                config.seed = count === 1 ? baseSeed : this.variantSeed(baseSeed, i);
+            }
+
+            const asset = await this.generatorService.generateAsset(entry.type, config, { name: entry.name });
+            const baseName = this.getOutputName(entry, asset, i, count);
+
+            written.push(...await this.writeAsset(asset, path.join(outputDir, baseName), entry.format));
+            collected.push({ name: baseName, asset });
+        }
+
+        return written;
+    }
+
+    /**
+     * Write asset payload plus a metadata sidecar containing the seed
+     */
+    async writeAsset(asset, basePath, format) {
+        const written = [];
+
+        if (asset.sprite && asset.sprite.data && format === 'aseprite') {
+            written.push(await this.writeAseprite(asset, `${basePath}.aseprite`));
+        } else if (asset.sprite && asset.sprite.data) {
+            const spritePath = `${basePath}.${asset.sprite.format || 'png'}`;
+            await fs.writeFile(spritePath, Buffer.from(asset.sprite.data, 'base64'));
+            written.push(spritePath);
+        } else if (asset.audio && asset.audio.data) {
+            const audio = await this.convertAudio(asset, format);
+            const audioPath = `${basePath}.${audio.format}`;
+            await fs.writeFile(audioPath, Buffer.from(audio.data, 'base64'));
+            written.push(audioPath);
+        } else {
+            throw new Error(`Generator for ${asset.type} returned no sprite or audio data`);
+        }
+
+        const metadataPath = `${basePath}.json`;
+        await fs.writeFile(metadataPath, JSON.stringify({
+            name: asset.name,
+            type: asset.type,
+            seed: asset.metadata && asset.metadata.seed,
+            config: asset.generator ? asset.generator.config : asset.config,
+            metadata: asset.metadata
+        }, null, 2));
+        written.push(metadataPath);
+
+        return written;
+    }
+
+    /**
+     * Write a sprite as a layered .aseprite file
+     * Characters are animated with walk, attack and idle tags; other sprites become a single frame.
+     */
+    async writeAseprite(asset, filePath) {
+        const Jimp = require('jimp');
+        const AnimationExporter = require('../src/utils/animation-exporter');
+        const BasicAnimationSystem = require('../src/generators/basic-animation-system');
+        const SeededRandom = require('../src/utils/seeded-random');
+
+        const image = await Jimp.read(Buffer.from(asset.sprite.data, 'base64'));
+        let frames = [{ image, delay: 100 }];
+        let tags = [];
+
+        if (asset.type === 'character') {
+            const layers = [];
+            for (const layer of asset.sprite.layers || []) {
+                layers.push({ name: layer.name, image: await Jimp.read(Buffer.from(layer.data, 'base64')) });
+            }
+
+            const animationSystem = new BasicAnimationSystem();
+            const seed = asset.metadata && asset.metadata.seed;
+            ({ frames, tags } = await SeededRandom.run(seed, () => animationSystem.generateAnimationSet(image, {
+                characterClass: asset.metadata && asset.metadata.classType,
+                layers: layers.length > 0 ? layers : undefined
+            })));
+        }
+
+        await new AnimationExporter().exportAsAseprite(frames, filePath, { tags, layerName: 'Sprite' });
+        return filePath;
+    }
+
+    /**
+     * Convert generated WAV audio to the requested format
+     */
+    async convertAudio(asset, format = 'wav') {
+        if (!format || format === asset.audio.format) {
+            return asset.audio;
+        }
+
+        const AudioGenerator = require('../src/generators/audio-generator');
+        const audioGenerator = new AudioGenerator();
+        const [result] = await audioGenerator.batchExport([asset], format);
+
+        if (!result.success) {
+            throw new Error(`Audio export to ${format} failed: ${result.error}`);
+        }
+
+        return result.asset.audio;
+    }
+
+    /**
+     * Pack generated sprites into a spritesheet and optionally export for a game engine
+     */
+    async packSpritesheet(sheet, generated, outputDir) {
+        const Jimp = require('jimp');
+        const SpritesheetPacker = require('../src/generators/spritesheet-packer');
+        const GameEngineExporters = require('../src/generators/game-engine-exporters');
+
+        if (!sheet.name) {
+            throw new Error('Spritesheet entries need a name');
+        }
+
+        const patterns = (sheet.include || ['*']).map(pattern => this.globToRegExp(pattern));
+        const sprites = [];
+
+        for (const { name, asset } of generated) {
+            if (!asset.sprite || !patterns.some(pattern => pattern.test(name))) continue;
+
+            sprites.push({
+                id: name,
+                name,
+                image: await Jimp.read(Buffer.from(asset.sprite.data, 'base64')),
+                metadata: { seed: asset.metadata && asset.metadata.seed }
+            });
+        }
+
+        if (sprites.length === 0) {
+            throw new Error('No generated sprites match the include patterns');
+        }
+
+        const packer = new SpritesheetPacker();
+        const spritesheetData = await packer.generate(sprites, sheet.options || {});
+        spritesheetData.metadata.meta.image = `${sheet.name}.png`;
+
+        const { imagePath, metadataPath } = await packer.export(spritesheetData, path.join(outputDir, `${sheet.name}.png`));
+        const written = [imagePath, metadataPath];
+
+        if (sheet.engine) {
+            const exporters = new GameEngineExporters();
+            const result = await exporters.export(spritesheetData, sheet.animations || null, {
+                format: sheet.engine,
+                outputPath: path.join(outputDir, sheet.engine),
+                baseName: sheet.name
+            });
+            if (result && Array.isArray(result.files)) {
+                written.push(...result.files);
+            }
+        }
+
+        return written;
+    }
+
+    getOutputName(entry, asset, index, count) {
+        const base = entry.name || `${entry.type}_${asset.metadata.seed}`;
+        return this.sanitizeName(count > 1 ? `${base}_${index}` : base);
+    }
+
+    /**
+     * Palette names pass through; palette file paths are resolved against baseDir
+     */
+    resolvePalettePath(palette, baseDir) {
+        return typeof palette === 'string' && /\.(gpl|pal|hex|aseprite|ase)$/i.test(palette)
+            ? path.resolve(baseDir, palette)
+            : palette;
+    }
+
+    variantSeed(seed, index) {
+        return typeof seed === 'number' ? seed + index : `${seed}:${index}`;
+    }
+
+    parseSeed(value) {
+        return /^-?\d+$/.test(String(value)) ? parseInt(value, 10) : String(value);
+    }
+
+    sanitizeName(name) {
+        return String(name).replace(/[^a-zA-Z0-9._-]+/g, '_');
+    }
+
+    globToRegExp(pattern) {
+        const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+        return new RegExp(`^${escaped}$`);
+    }
+
+    readStdin() {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            process.stdin.on('data', chunk => chunks.push(chunk));
+            process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            process.stdin.on('error', reject);
+        });
+    }
+
+    async readJSON(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse "--key value", "--key=value" and bare "--flag" arguments
+     */
+    parseArgs(argv) {
+        const positional = [];
+        const flags = {};
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (!arg.startsWith('--')) {
+                positional.push(arg);
+                continue;
+            }
+
+            const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            if (inlineValue !== undefined) {
+                flags[key] = inlineValue;
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                flags[key] = argv[++i];
+            } else {
+                flags[key] = true;
+            }
+        }
+
+        return { positional, flags };
+    }
+
+    printUsage() {
+        this.log([
+            'Usage:',
+            '  tpt generate <type> [--config file.json] [--seed 42] [--count 1] [--name name] [--format png|aseprite|wav|mp3]',
+            '                      [--palette db32|file.gpl] [--dither none|bayer|floyd-steinberg|atkinson] [--out dir]',
+            '  tpt batch <manifest.json> [--out dir]',
+            '  tpt types',
+            '  tpt ipc < request.json',
+            '',
+            'Examples:',
+            '  tpt generate character --config warrior.json --seed 42 --out dist/',
+            '  tpt generate tile --config grass.json --palette pico-8 --dither bayer',
+            '  tpt batch assets/manifest.json'
+        ].join('\n'));
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+
+    // In sidecar mode stdout carries only the JSON response; all console output goes to stderr
+    if (argv[0] === 'ipc') {
+        ['log', 'info', 'debug', 'warn'].forEach(method => {
+            console[method] = console.error;
+        });
+    }
+
+    const cli = new AssetCLI();
+
+    cli.run(argv)
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = AssetCLI;
@@ -407,24 +407,119 @@ async fn dialog_save_file(
     rx.recv().map_err(|e| format!("Dialog communication error: {}", e))?
 }
 
+// Asset generation runs in the JavaScript generator pipeline through a Node sidecar
+// (`scripts/tpt.js ipc`), which reads one JSON request on stdin and writes one JSON response.
+// The renderer calls them through window.__TAURI__ (app.withGlobalTauri) in place of the
+// Electron IPC handlers, and gets the same { success, asset } / { success, assets } responses.
+fn resolve_generator_script(app_handle: &tauri::AppHandle) -> Result<PathBuf, String> {
+    if let Ok(path) = std::env::var("TPT_GENERATOR_SCRIPT") {
+        return Ok(PathBuf::from(path));
+    }
+
+    // Bundled builds ship the script, generators and production dependencies staged by
+    // scripts/build-sidecar.js as the "sidecar" resource
+    if let Ok(resource_dir) = app_handle.path().resource_dir() {
+        let bundled = resource_dir.join("sidecar").join("scripts").join("tpt.js");
+        if bundled.exists() {
+            return Ok(bundled);
+        }
+    }
+
+    // Development builds run straight from the repository checkout
+    let checkout = PathBuf::from(env!("CARGO_MANIFEST_DIR")).join("..").join("scripts").join("tpt.js");
+    if checkout.exists() {
+        return Ok(checkout);
+    }
+
+    Err("Generator script not found; set TPT_GENERATOR_SCRIPT to the path of scripts/tpt.js".to_string())
+}
+
+async fn run_generator_sidecar(
+    app_handle: &tauri::AppHandle,
+    request: serde_json::Value
+) -> Result<serde_json::Value, String> {
+    use std::process::Stdio;
+    use tokio::io::AsyncWriteExt;
+
+    let script = resolve_generator_script(app_handle)?;
+    let node = std::env::var("TPT_NODE").unwrap_or_else(|_| "node".to_string());
+
+    let mut command = tokio::process::Command::new(&node);
+    command.arg(&script)
+        .arg("ipc")
+        .stdin(Stdio::piped())
+        .stdout(Stdio::piped())
+        .stderr(Stdio::piped())
+        .kill_on_drop(true);
+
+    // Run from the project root so the generators resolve node_modules
+    if let Some(root) = script.parent().and_then(|dir| dir.parent()) {
+        command.current_dir(root);
+    }
+
+    let mut child = command.spawn()
+        .map_err(|e| format!("Failed to start generator sidecar with '{}': {}", node, e))?;
+
+    let payload = serde_json::to_vec(&request)
+        .map_err(|e| format!("Failed to encode generator request: {}", e))?;
+
+    if let Some(mut stdin) = child.stdin.take() {
+        stdin.write_all(&payload).await
+            .map_err(|e| format!("Failed to send generator request: {}", e))?;
+        // Closing stdin tells the sidecar the request is complete
+        drop(stdin);
+    }
+
+    let output = child.wait_with_output().await
+        .map_err(|e| format!("Generator sidecar error: {}", e))?;
+
+    if !output.status.success() {
+        return Err(format!(
+            "Generator sidecar exited with {}: {}",
+            output.status,
+            String::from_utf8_lossy(&output.stderr).trim()
+        ));
+    }
+
+    serde_json::from_slice(&output.stdout)
+        .map_err(|e| format!("Invalid generator response: {}", e))
+}
+
+// Failures are reported as { success: false, error } to match the Electron ipc-handler
+fn generation_response(result: Result<serde_json::Value, String>) -> serde_json::Value {
+    match result {
+        Ok(response) => response,
+        Err(error) => {
+            log::error!("Asset generation failed: {}", error);
+            serde_json::json!({ "success": false, "error": error })
+        }
+    }
+}
+
 #[tauri::command]
-async fn generate_asset(asset_type: String, config: serde_json::Value) -> Result<serde_json::Value, String> {
-    // This would generate an asset based on the type and configuration
-    // For now, returning a placeholder response
-    Ok(serde_json::json!({
+async fn generate_asset(
+    app_handle: tauri::AppHandle,
+    asset_type: String,
+    config: serde_json::Value
+) -> Result<serde_json::Value, String> {
+    let request = serde_json::json!({
+        "command": "generate_asset",
         "type": asset_type,
-        "config": config,
-        "data": "placeholder-generated-data",
-        "metadata": {
-            "generated_at": Utc::now().to_rfc3339(),
-            "version": "1.0.0"
-        }
-    }))
+        "config": config
+    });
+
+    Ok(generation_response(run_generator_sidecar(&app_handle, request).await))
 }
 
 #[tauri::command]
-async fn generate_batch(_assets: Vec<serde_json::Value>) -> Result<Vec<serde_json::Value>, String> {
-    // This would generate multiple assets
-    // For now, returning an empty vector as a placeholder
-    Ok(vec![])
+async fn generate_batch(
+    app_handle: tauri::AppHandle,
+    batch_config: serde_json::Value
+) -> Result<serde_json::Value, String> {
+    let request = serde_json::json!({
+        "command": "generate_batch",
+        "batchConfig": batch_config
+    });
+
+    Ok(generation_response(run_generator_sidecar(&app_handle, request).await))
 }
@@ -7,12 +7,15 @@ const fs = require('fs').promises;
 const path = require('path');
 const { app } = require('electron');
 const { v4: uuidv4 } = require('uuid');
+const Jimp = require('jimp');
 
 // Import generators
 const SpriteGenerator = require('../generators/sprite-generator');
 const AudioGenerator = require('../generators/audio-generator');
 const LevelGenerator = require('../generators/level-generator');
 const PixelArtGenerator = require('../generators/pixel-art-generator');
+const SpritesheetPacker = require('../generators/spritesheet-packer');
+const GameEngineExporters = require('../generators/game-engine-exporters');
 
 class AssetWorkflowManager {
     constructor(options = {}) {
@@ -559,40 +562,53 @@ class AssetWorkflowManager {
     }
 
     /**
-     * Export for Phaser.js
+     * Export for Phaser 3: project sprites packed into a multiatlas, options.levels as
+     * Tiled JSON maps, and a TypeScript module with the asset keys and a preload function.
+     * Projects without sprites export no files.
      */
     async exportForPhaser(options = {}) {
         const exportPath = options.path || path.join(this.projectPath, this.currentProject.id, 'exports', 'phaser');
         await fs.mkdir(exportPath, { recursive: true });
 
-        let exportedCount = 0;
-
-        // Export sprites
-        const spritesPath = path.join(exportPath, 'sprites');
-        await fs.mkdir(spritesPath, { recursive: true });
-
-        for (const [category, assets] of Object.entries(this.assetCategories)) {
+        const sprites = [];
+        const spriteIds = new Set();
+        for (const assets of Object.values(this.assetCategories)) {
             for (const asset of assets) {
                 if (asset.sprite && asset.sprite.data) {
-                    const fileName = `${asset.name.replace(/[^a-zA-Z0-9]/g, '_')}.png`;
-                    const filePath = path.join(spritesPath, fileName);
-
-                    const buffer = Buffer.from(asset.sprite.data, 'base64');
-                    await fs.writeFile(filePath, buffer);
-
-                    exportedCount++;
+                    // Same-named assets get the asset id appended so each keeps its own atlas frame
+                    let id = asset.name.replace(/[^a-zA-Z0-9]/g, '_');
+                    if (spriteIds.has(id)) {
+                        id = `${id}_${String(asset.id !== undefined ? asset.id : sprites.length).replace(/[^a-zA-Z0-9]/g, '_')}`;
+                    }
+                    spriteIds.add(id);
+
+                    sprites.push({
+                        id,
+                        image: await Jimp.read(Buffer.from(asset.sprite.data, 'base64'))
+                    });
                 }
             }
         }
 
-        // Generate Phaser asset loader code
-        await this.generatePhaserLoaderCode(exportPath);
+        const format = 'Multiatlas with Tiled JSON maps and TypeScript keys';
+        if (sprites.length === 0) {
+            return { engine: 'phaser', exportPath, exportedAssets: 0, files: [], format };
+        }
+
+        const spritesheet = await new SpritesheetPacker().generate(sprites, { trim: true, extrude: 1 });
+        const result = await new GameEngineExporters().export(spritesheet, null, {
+            format: 'phaser',
+            outputPath: exportPath,
+            baseName: options.baseName || 'assets',
+            levels: options.levels || []
+        });
 
         return {
             engine: 'phaser',
             exportPath,
-            exportedAssets: exportedCount,
-            format: 'PNG with JavaScript loader'
+            exportedAssets: sprites.length,
+            files: result.files,
+            format
         };
     }
 
@@ -1004,35 +1020,6 @@ animations = [ {
 
         // This would generate .tres files for sprite animations
     }
-
-    async generatePhaserLoaderCode(exportPath) {
-        const assets = this.generateAssetManifest();
-        let loaderCode = `// Phaser Asset Loader - Generated by TPT Asset Editor
-// Load this in your Phaser game
-
-export const assetLoader = {
-    preload: function(scene) {
-        // Load sprites
-`;
-
-        for (const [category, categoryAssets] of Object.entries(assets.assets)) {
-            for (const asset of categoryAssets) {
-                loaderCode += `        scene.load.image('${asset.name}', 'assets/sprites/${asset.name.replace(/[^a-zA-Z0-9]/g, '_')}.png');\n`;
-            }
-        }
-
-        loaderCode += `    },
-
-    create: function(scene) {
-        // Asset loading complete
-        console.log('TPT Assets loaded successfully');
-    }
-};
-
-export default assetLoader;`;
-
-        await fs.writeFile(path.join(exportPath, 'assetLoader.js'), loaderCode, 'utf8');
-    }
 }
 
 module.exports = AssetWorkflowManager;
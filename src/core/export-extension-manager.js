@@ -5,11 +5,13 @@
 
 const PluginSystem = require('./plugin-system');
 const FileOperations = require('../utils/file-operations');
+const AnimationExporter = require('../utils/animation-exporter');
 
 class ExportExtensionManager {
     constructor(options = {}) {
         this.pluginSystem = options.pluginSystem || new PluginSystem();
         this.fileOps = options.fileOps || new FileOperations();
+        this.animationExporter = options.animationExporter || new AnimationExporter();
 
         this.exportFormats = new Map();
         this.exportPipelines = new Map();
@@ -91,7 +93,49 @@ class ExportExtensionManager {
             },
             defaultOptions: {
                 colors: 256,
-                dither: true
+                dither: true,
+                delay: 100,
+                loop: 0
+            }
+        });
+
+        // APNG format
+        this.registerExportFormat({
+            id: 'apng',
+            name: 'Animated PNG',
+            extension: '.png',
+            mimeType: 'image/apng',
+            category: 'image',
+            description: 'Animated Portable Network Graphics format',
+            capabilities: {
+                transparency: true,
+                animation: true,
+                compression: true,
+                lossless: true
+            },
+            defaultOptions: {
+                delay: 100,
+                loop: 0
+            }
+        });
+
+        // Aseprite format
+        this.registerExportFormat({
+            id: 'aseprite',
+            name: 'Aseprite Document',
+            extension: '.aseprite',
+            mimeType: 'application/octet-stream',
+            category: 'image',
+            description: 'Layered Aseprite document with frame durations and animation tags',
+            capabilities: {
+                transparency: true,
+                animation: true,
+                layers: true,
+                compression: true,
+                lossless: true
+            },
+            defaultOptions: {
+                delay: 100
             }
         });
 
@@ -193,7 +237,7 @@ class ExportExtensionManager {
                 'postprocess',
                 'validate'
             ],
-            supportedFormats: ['png', 'jpeg', 'gif', 'webp']
+            supportedFormats: ['png', 'jpeg', 'gif', 'apng', 'aseprite', 'webp']
         });
 
         // Data export pipeline
@@ -487,6 +531,12 @@ class ExportExtensionManager {
                 return await this.convertToJPEG(data, options);
             case 'webp':
                 return await this.convertToWebP(data, options);
+            case 'gif':
+                return await this.convertToGIF(data, options);
+            case 'apng':
+                return await this.convertToAPNG(data, options);
+            case 'aseprite':
+                return await this.convertToAseprite(data, options);
             case 'json':
                 return await this.convertToJSON(data, options);
             case 'xml':
@@ -585,6 +635,39 @@ class ExportExtensionManager {
         return data;
     }
 
+    async convertToGIF(data, options) {
+        const { frames, delays } = this.getAnimationFrames(data);
+        return this.animationExporter.encodeGIF(frames, { ...options, delays: options.delays || delays });
+    }
+
+    async convertToAPNG(data, options) {
+        const { frames, delays } = this.getAnimationFrames(data);
+        return this.animationExporter.encodeAPNG(frames, { ...options, delays: options.delays || delays });
+    }
+
+    async convertToAseprite(data, options) {
+        const { frames, delays, tags } = this.getAnimationFrames(data);
+        return this.animationExporter.encodeAseprite(frames, {
+            ...options,
+            delays: options.delays || delays,
+            tags: options.tags || tags
+        });
+    }
+
+    /**
+     * Extract frames from animation export data
+     * Accepts a frame array, a single frame, or an object with frames and optional delays and tags
+     */
+    getAnimationFrames(data) {
+        if (Array.isArray(data)) {
+            return { frames: data };
+        }
+        if (data && Array.isArray(data.frames)) {
+            return { frames: data.frames, delays: data.delays, tags: data.tags };
+        }
+        return { frames: [data] };
+    }
+
     async convertToJSON(data, options) {
         return JSON.stringify(data, null, options.prettyPrint ? options.indentSize : 0);
     }
@@ -70,6 +70,9 @@ class IPCHandler {
         this.registerHandler('export:batch', this.handleExportBatch.bind(this));
         this.registerHandler('export:project', this.handleExportProject.bind(this));
 
+        // Import operations
+        this.registerHandler('import:level', this.handleImportLevel.bind(this));
+
         // Dialog operations
         this.registerHandler('dialog:open-directory', this.handleOpenDirectoryDialog.bind(this));
         this.registerHandler('dialog:save-file', this.handleSaveFileDialog.bind(this));
@@ -494,6 +497,36 @@ class IPCHandler {
         }
     }
 
+    /**
+     * Handle importing a Tiled map edited outside the editor
+     * Prompts for the file when no path is given
+     */
+    async handleImportLevel(event, filePath) {
+        try {
+            let levelPath = filePath;
+            if (!levelPath) {
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    title: 'Import Tiled Map',
+                    properties: ['openFile'],
+                    filters: [{ name: 'Tiled Map', extensions: ['tmx'] }]
+                });
+
+                if (result.canceled || result.filePaths.length === 0) {
+                    return { success: false, error: 'Import cancelled' };
+                }
+                levelPath = result.filePaths[0];
+            }
+
+            const LevelImporter = require('../generators/level-importer');
+            const level = await new LevelImporter().importFile(levelPath);
+
+            return { success: true, level, path: levelPath };
+        } catch (error) {
+            console.error('Error importing level:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Handle batch export
      */
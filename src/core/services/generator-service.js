@@ -5,6 +5,8 @@
 
 const EventEmitter = require('events');
 const path = require('path');
+const SeededRandom = require('../../utils/seeded-random');
+const PaletteLibrary = require('../../utils/palette-library');
 
 class GeneratorService extends EventEmitter {
     constructor(assetService, store) {
@@ -16,9 +18,13 @@ class GeneratorService extends EventEmitter {
         this.generatorQueue = [];
         this.maxConcurrentGenerators = 3;
 
+        // Standard and project palettes for palette-locked sprite output
+        this.paletteLibrary = new PaletteLibrary();
+
         // Bind methods
         this.generateAsset = this.generateAsset.bind(this);
         this.generateBatch = this.generateBatch.bind(this);
+        this.regenerateAsset = this.regenerateAsset.bind(this);
         this.cancelGeneration = this.cancelGeneration.bind(this);
     }
 
@@ -26,8 +32,13 @@ class GeneratorService extends EventEmitter {
      * Generate a single asset
      */
     async generateAsset(type, config, options = {}) {
+        const generationId = this.generateId();
+
         try {
-            const generationId = this.generateId();
+            // Every library asset keeps the seed it was generated with so it can be rebuilt exactly
+            if (config && typeof config === 'object' && config.seed === undefined) {
+                config = { ...config, seed: SeededRandom.createSeed() };
+            }
 
             // Create generation context
             const context = {
@@ -67,12 +78,15 @@ class GeneratorService extends EventEmitter {
                 },
                 quality_score: this.calculateQualityScore(result),
                 tags: this.generateTags(type, config),
+                ...result,
+                // Keep the generator's own metadata, but never lose the seed needed to rebuild it
                 metadata: {
+                    ...result.metadata,
                     generation_time: Date.now() - context.startTime,
                     generator_version: '1.0.0',
-                    config_hash: this.hashConfig(config)
-                },
-                ...result
+                    config_hash: this.hashConfig(config),
+                    seed: config.seed
+                }
             };
 
             // Save asset
@@ -127,6 +141,31 @@ class GeneratorService extends EventEmitter {
         }
     }
 
+    /**
+     * Regenerate a library asset from its stored generator type, config and seed
+     * @param {Object} asset - Asset previously produced by generateAsset
+     * @param {Object} options - Generation options
+     * @returns {Promise<Object>} Newly generated asset with identical content
+     */
+    async regenerateAsset(asset, options = {}) {
+        if (!asset || !asset.generator || !asset.generator.type) {
+            throw new Error('Asset has no generator information to regenerate from');
+        }
+
+        const seed = asset.metadata && asset.metadata.seed !== undefined
+            ? asset.metadata.seed
+            : asset.generator.config && asset.generator.config.seed;
+
+        if (seed === undefined) {
+            throw new Error(`Asset ${asset.id || asset.name} was generated without a seed`);
+        }
+
+        return await this.generateAsset(asset.generator.type, { ...asset.generator.config, seed }, {
+            name: asset.name,
+            ...options
+        });
+    }
+
     /**
      * Generate multiple assets in batch
      */
@@ -279,6 +318,16 @@ class GeneratorService extends EventEmitter {
             case 'monster':
                 await this.validateMonsterConfig(config);
                 break;
+            case 'item':
+                if (!config.itemType) {
+                    throw new Error('Item type is required');
+                }
+                break;
+            case 'tile':
+                if (!config.tileType) {
+                    throw new Error('Tile type is required');
+                }
+                break;
             case 'vehicle':
                 await this.validateVehicleConfig(config);
                 break;
@@ -350,15 +399,17 @@ class GeneratorService extends EventEmitter {
         context.progress = 30;
         this.emit('generationProgress', { ...context });
 
-        // Execute generation
-        const result = await generator.generate(config);
+        // Execute generation and post-processing under the config seed
+        const processedResult = await SeededRandom.run(config.seed, async () => {
+            const result = await this.invokeGenerator(generator, type, config);
 
-        // Update progress
-        context.progress = 80;
-        this.emit('generationProgress', { ...context });
+            // Update progress
+            context.progress = 80;
+            this.emit('generationProgress', { ...context });
 
-        // Post-process result
-        const processedResult = await this.postProcessResult(result, type, config);
+            // Post-process result
+            return await this.postProcessResult(result, type, config);
+        });
 
         // Update progress
         context.progress = 100;
@@ -367,6 +418,37 @@ class GeneratorService extends EventEmitter {
         return processedResult;
     }
 
+    /**
+     * Call the generator entry point for an asset type
+     * Generators without a generic generate(config) expose one method per asset kind
+     */
+    async invokeGenerator(generator, type, config) {
+        if (typeof generator.generate === 'function') {
+            return await generator.generate(config);
+        }
+
+        const methodNames = {
+            sfx: 'generateSFX',
+            music: 'generateMusic',
+            ambient: 'generateAmbient',
+            building: 'generateHouse',
+            particle: 'generateParticleEffect',
+            ui: 'generateUIElement'
+        };
+
+        let methodName = methodNames[type];
+        if (type === 'vehicle') {
+            const vehicleType = config.vehicleType || 'car';
+            methodName = `generate${vehicleType.charAt(0).toUpperCase()}${vehicleType.slice(1)}`;
+        }
+
+        if (!methodName || typeof generator[methodName] !== 'function') {
+            throw new Error(`Generator for ${type} has no entry point${methodName ? ` ${methodName}` : ''}`);
+        }
+
+        return await generator[methodName](config);
+    }
+
     /**
      * Load generator module
      */
@@ -396,11 +478,21 @@ class GeneratorService extends EventEmitter {
      * Post-process generation result
      */
     async postProcessResult(result, type, config) {
+        const settings = this.store.getState('generators').settings;
+
         // Apply quality enhancement if enabled
-        if (this.store.getState('generators').settings.quality === 'high') {
+        if (settings.quality === 'high') {
             result = await this.applyQualityEnhancement(result, type);
         }
 
+        // Lock sprites to a palette chosen per asset or in the generator settings
+        const palette = config.palette || settings.palette;
+        if (palette && result.sprite && result.sprite.data) {
+            result = await this.applyPalette(result, palette, {
+                dither: config.dither || settings.dither || 'none'
+            });
+        }
+
         // Add metadata
         result.metadata = {
             ...result.metadata,
@@ -424,6 +516,42 @@ class GeneratorService extends EventEmitter {
         }
     }
 
+    /**
+     * Quantize a sprite result to a palette
+     * @param {Object} result - Generator result with base64 PNG sprite data
+     * @param {string|Array|Object} paletteSpec - Palette name, palette file path, colour list or palette object
+     * @param {Object} options - PaletteLibrary.quantize options (dither, bayerSize, strength)
+     */
+    async applyPalette(result, paletteSpec, options = {}) {
+        const Jimp = require('jimp');
+        const palette = await this.paletteLibrary.resolve(paletteSpec);
+        const image = await Jimp.read(Buffer.from(result.sprite.data, 'base64'));
+
+        this.paletteLibrary.quantize(image, palette, options);
+        const buffer = await image.getBufferAsync(Jimp.MIME_PNG);
+        const sprite = { ...result.sprite, data: buffer.toString('base64'), format: 'png' };
+
+        if (Array.isArray(result.sprite.layers)) {
+            sprite.layers = [];
+            for (const layer of result.sprite.layers) {
+                const layerImage = await Jimp.read(Buffer.from(layer.data, 'base64'));
+                this.paletteLibrary.quantize(layerImage, palette, options);
+                const layerBuffer = await layerImage.getBufferAsync(Jimp.MIME_PNG);
+                sprite.layers.push({ ...layer, data: layerBuffer.toString('base64') });
+            }
+        }
+
+        return {
+            ...result,
+            sprite,
+            metadata: {
+                ...result.metadata,
+                palette: palette.name,
+                dither: options.dither || 'none'
+            }
+        };
+    }
+
     /**
      * Generate asset name
      */
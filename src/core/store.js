@@ -103,7 +103,9 @@ class Store extends EventEmitter {
                     autoSave: true,
                     quality: 'high',
                     format: 'png',
-                    batchSize: 10
+                    batchSize: 10,
+                    palette: null,
+                    dither: 'none'
                 }
             },
 
@@ -3,6 +3,61 @@
  * Specialized class for generating ambient sound environments
  */
 
+const SeededRandom = require('../utils/seeded-random');
+
+// Mono generator of each noise bed
+const BEDS = {
+    forest: 'generateForestAmbient',
+    village: 'generateVillageAmbient',
+    cave: 'generateCaveAmbient',
+    wind: 'generateWindAmbient',
+    ocean: 'generateOceanAmbient',
+    rain: 'generateWeatherAmbient',
+    crowd: 'generateCrowdMurmur',
+    distant: 'generateDistantSounds'
+};
+
+// Point sources: average calls per second and the generator of one call
+const SOURCES = {
+    bird: { rate: 0.3, call: 'generateBirdCall' },
+    drip: { rate: 0.5, call: 'generateDrip' },
+    bell: { rate: 0.05, call: 'generateBell' }
+};
+
+// Stereo scene of each ambient type: beds spread across the field and point sources around
+// the listener, in metres with x to the right and y ahead
+const SCENES = {
+    forest: [
+        { bed: 'forest', volume: 0.8, width: 1 },
+        { bed: 'wind', volume: 0.4, width: 0.7, pan: -0.2 },
+        { source: 'bird', position: { x: -4, y: 6 }, rate: 0.4 },
+        { source: 'bird', position: { x: 7, y: 3 }, rate: 0.25 },
+        { source: 'bird', position: { x: 2, y: -10 }, rate: 0.15 }
+    ],
+    cave: [
+        { bed: 'cave', volume: 0.7, width: 0.8 },
+        { source: 'drip', position: { x: -2, y: 3 }, rate: 0.8 },
+        { source: 'drip', position: { x: 4, y: 5 }, rate: 0.5 },
+        { source: 'drip', position: { x: 1, y: -7 }, rate: 0.3 }
+    ],
+    village: [
+        { bed: 'village', volume: 0.7, width: 1 },
+        { bed: 'crowd', volume: 0.4, width: 0.8, pan: 0.3 },
+        { source: 'bell', position: { x: -30, y: 50 }, rate: 0.05, volume: 4 },
+        { source: 'bird', position: { x: 5, y: 4 }, rate: 0.1 }
+    ]
+};
+
+// Sources are at full volume within this many metres, then fall off with 1 / distance
+const REFERENCE_DISTANCE = 2;
+
+// Spherical head model for binaural placement (Brown and Duda): head radius in metres,
+// speed of sound in m/s, and the strongest head shadow, reached 150 degrees off the ear
+const HEAD_RADIUS = 0.0875;
+const SPEED_OF_SOUND = 343;
+const MIN_SHADOW = 0.1;
+const SHADOW_ANGLE = 5 * Math.PI / 6;
+
 class AmbientGenerator {
     constructor(sampleRate = 44100, channels = 1, bitDepth = 16) {
         this.sampleRate = sampleRate;
@@ -312,11 +367,292 @@ class AmbientGenerator {
     }
 
     /**
-     * Apply spatial audio positioning (simple stereo simulation)
+     * Place a mono layer in the stereo field with constant-power panning
+     * @param {Float32Array} audioData - Mono samples
+     * @param {number} [pan=0.0] - -1 (left) to 1 (right)
+     * @param {Object} [options] - Placement options
+     * @param {number} [options.distance] - Distance to the listener in metres (see applyDistance)
+     * @returns {Array<Float32Array>} Stereo channels [left, right]
+     */
+    applySpatialPositioning(audioData, pan = 0.0, options = {}) {
+        const source = options.distance !== undefined ? this.applyDistance(audioData, options.distance) : audioData;
+        const angle = (Math.max(-1, Math.min(1, pan)) + 1) * Math.PI / 4;
+        const left = new Float32Array(source.length);
+        const right = new Float32Array(source.length);
+
+        for (let i = 0; i < source.length; i++) {
+            left[i] = source[i] * Math.cos(angle);
+            right[i] = source[i] * Math.sin(angle);
+        }
+
+        return [left, right];
+    }
+
+    /**
+     * Attenuate a mono sound for its distance to the listener
+     *
+     * Gain falls off with 1 / distance beyond REFERENCE_DISTANCE, and air absorption dulls
+     * far sounds with a one-pole low-pass (20 kHz up close, 10 kHz at 10 m, 2 kHz at 90 m).
+     * @param {Float32Array} audioData - Mono samples
+     * @param {number} distance - Distance in metres
+     * @returns {Float32Array} Attenuated samples
+     */
+    applyDistance(audioData, distance) {
+        const gain = REFERENCE_DISTANCE / Math.max(REFERENCE_DISTANCE, distance);
+        const cutoff = 20000 / (1 + distance / 10);
+        const smoothing = Math.exp(-2 * Math.PI * Math.min(cutoff, this.sampleRate / 2) / this.sampleRate);
+        const output = new Float32Array(audioData.length);
+
+        let previous = 0;
+        for (let i = 0; i < audioData.length; i++) {
+            previous = (1 - smoothing) * audioData[i] + smoothing * previous;
+            output[i] = previous * gain;
+        }
+
+        return output;
+    }
+
+    /**
+     * Place a mono sound around the listener's head for headphones
+     *
+     * Uses a spherical head model: each ear hears the sound late by the extra path around
+     * the head (interaural time difference), and the ear facing away gets a head-shadow
+     * filter that dulls the highs while the facing ear gets a slight presence boost.
+     * @param {Float32Array} audioData - Mono samples
+     * @param {Object} position - Source position in metres ({x, y}; x to the right, y ahead)
+     * @returns {Array<Float32Array>} Stereo channels [left, right]
      */
-    applySpatialPositioning(audioData, pan = 0.0) {
-        // For mono, just return the data
-        // In a real implementation, this would create stereo output
+    applyBinaural(audioData, position) {
+        const azimuth = Math.atan2(position.x, position.y);
+
+        return [-Math.PI / 2, Math.PI / 2].map(earAngle => {
+            // Angle between the source and the ear's axis, 0 to pi
+            const incidence = Math.abs(Math.atan2(Math.sin(azimuth - earAngle), Math.cos(azimuth - earAngle)));
+            const path = incidence < Math.PI / 2 ? 1 - Math.cos(incidence) : incidence - Math.PI / 2 + 1;
+            const delay = HEAD_RADIUS / SPEED_OF_SOUND * path * this.sampleRate;
+
+            // Head shadow: one-pole, one-zero shelf with unity gain at DC, via the bilinear transform
+            const alpha = (1 + MIN_SHADOW / 2) + (1 - MIN_SHADOW / 2) * Math.cos(incidence / SHADOW_ANGLE * Math.PI);
+            const beta = 2 * SPEED_OF_SOUND / HEAD_RADIUS;
+            const k = 2 * this.sampleRate;
+            const b0 = (alpha * k + beta) / (k + beta);
+            const b1 = (beta - alpha * k) / (k + beta);
+            const a1 = (beta - k) / (k + beta);
+
+            const output = new Float32Array(audioData.length);
+            const whole = Math.floor(delay);
+            const fraction = delay - whole;
+            let previousIn = 0;
+            let previousOut = 0;
+            for (let i = 0; i < audioData.length; i++) {
+                const index = i - whole;
+                const current = index >= 0 ? audioData[index] : 0;
+                const earlier = index - 1 >= 0 ? audioData[index - 1] : 0;
+                const delayed = current * (1 - fraction) + earlier * fraction;
+
+                previousOut = b0 * delayed + b1 * previousIn - a1 * previousOut;
+                previousIn = delayed;
+                output[i] = previousOut;
+            }
+            return output;
+        });
+    }
+
+    /**
+     * Render a stereo noise bed whose channels are independent renders of the same bed
+     *
+     * Independent noise in each ear sounds wide and enveloping where a copied mono bed sits
+     * in the middle of the head. width blends the two renders: 1 keeps them apart, 0 folds
+     * them to mono; loudness stays the same across widths.
+     * @param {Object} layer - Bed layer ({bed, volume, width, pan}; see renderScene)
+     * @param {number} duration - Duration in seconds
+     * @param {string} seed - Seed of this layer
+     * @returns {Promise<Array<Float32Array>>} Stereo channels [left, right]
+     */
+    async renderBed(layer, duration, seed) {
+        const method = BEDS[layer.bed];
+        if (!method) {
+            throw new Error(`Unknown ambient bed: ${layer.bed}`);
+        }
+
+        const first = await SeededRandom.run(`${seed}:left`, () => this[method](duration));
+        const second = await SeededRandom.run(`${seed}:right`, () => this[method](duration));
+        const width = layer.width !== undefined ? Math.max(0, Math.min(1, layer.width)) : 1;
+        const volume = (layer.volume !== undefined ? layer.volume : 1) / Math.sqrt((1 + width * width) / 2);
+        const angle = (Math.max(-1, Math.min(1, layer.pan || 0)) + 1) * Math.PI / 4;
+        const leftGain = Math.SQRT2 * Math.cos(angle) * volume;
+        const rightGain = Math.SQRT2 * Math.sin(angle) * volume;
+
+        const left = new Float32Array(first.length);
+        const right = new Float32Array(first.length);
+        for (let i = 0; i < first.length; i++) {
+            left[i] = ((1 + width) * first[i] + (1 - width) * second[i]) / 2 * leftGain;
+            right[i] = ((1 - width) * first[i] + (1 + width) * second[i]) / 2 * rightGain;
+        }
+
+        return [left, right];
+    }
+
+    /**
+     * Render a point source: calls at random intervals, placed at a fixed position
+     * @param {Object} layer - Source layer ({source, position, rate, volume, binaural}; see renderScene)
+     * @param {number} duration - Duration in seconds
+     * @param {string} seed - Seed of this layer
+     * @param {boolean} [binaural=false] - Place the source binaurally unless the layer says otherwise
+     * @returns {Promise<Array<Float32Array>>} Stereo channels [left, right]
+     */
+    async renderPointSource(layer, duration, seed, binaural = false) {
+        const source = SOURCES[layer.source];
+        if (!source) {
+            throw new Error(`Unknown point source: ${layer.source}`);
+        }
+
+        const position = layer.position || { x: 0, y: 1 };
+        const rate = layer.rate !== undefined ? layer.rate : source.rate;
+        const volume = layer.volume !== undefined ? layer.volume : 1;
+        const numSamples = Math.floor(duration * this.sampleRate);
+        const audioData = new Float32Array(numSamples);
+
+        await SeededRandom.run(seed, () => {
+            // Calls arrive as a Poisson process, rate per second on average
+            let time = -Math.log(1 - Math.random()) / rate;
+            while (time < duration) {
+                const call = this[source.call]();
+                const start = Math.floor(time * this.sampleRate);
+                for (let i = 0; i < call.length && start + i < numSamples; i++) {
+                    audioData[start + i] += call[i] * volume;
+                }
+                time += -Math.log(1 - Math.random()) / rate;
+            }
+        });
+
+        const distance = Math.hypot(position.x, position.y);
+        const placeBinaurally = layer.binaural !== undefined ? layer.binaural : binaural;
+        if (placeBinaurally) {
+            return this.applyBinaural(this.applyDistance(audioData, distance), position);
+        }
+        return this.applySpatialPositioning(audioData, distance > 0 ? position.x / distance : 0, { distance });
+    }
+
+    /**
+     * Render layers of beds and point sources into one stereo mix
+     *
+     * Runs offline, so scenes can be rendered in batch. Each layer draws from its own seeded
+     * stream, so the same seed renders the same scene and changing one layer leaves the others.
+     * @param {Array<Object>} layers - Bed layers ({bed, volume=1, width=1, pan=0}, bed one of
+     *   AmbientGenerator.BEDS) and point-source layers ({source, position: {x, y}, rate,
+     *   volume=1, binaural}, source one of AmbientGenerator.SOURCES)
+     * @param {number} duration - Duration in seconds
+     * @param {Object} [options] - Render options
+     * @param {number|string} [options.seed] - Seed; a fresh one when left out
+     * @param {boolean} [options.binaural=false] - Place point sources binaurally, for headphones
+     * @returns {Promise<Array<Float32Array>>} Stereo channels [left, right]
+     */
+    async renderScene(layers, duration, options = {}) {
+        const seed = options.seed !== undefined ? options.seed : SeededRandom.createSeed();
+        const numSamples = Math.floor(duration * this.sampleRate);
+        const mix = [new Float32Array(numSamples), new Float32Array(numSamples)];
+
+        // Layers render one after another; seeded scopes must not interleave
+        for (let index = 0; index < layers.length; index++) {
+            const layer = layers[index];
+            let rendered;
+            if (layer.bed) {
+                rendered = await this.renderBed(layer, duration, `${seed}:${index}`);
+            } else if (layer.source) {
+                rendered = await this.renderPointSource(layer, duration, `${seed}:${index}`, options.binaural);
+            } else {
+                throw new Error('Ambient layer needs a bed or a source');
+            }
+
+            mix.forEach((channel, c) => {
+                for (let i = 0; i < numSamples; i++) {
+                    channel[i] += rendered[c][i];
+                }
+            });
+        }
+
+        mix.forEach(channel => {
+            for (let i = 0; i < numSamples; i++) {
+                channel[i] = Math.max(-1, Math.min(1, channel[i]));
+            }
+        });
+
+        return mix;
+    }
+
+    /**
+     * Render the stereo scene of an ambient type (see AmbientGenerator.SCENES)
+     *
+     * Types without a scene play their bed alone, spread across the field.
+     * @param {string} type - Ambient type
+     * @param {number} duration - Duration in seconds
+     * @param {Object} [options] - Render options (see renderScene)
+     * @returns {Promise<Array<Float32Array>>} Stereo channels [left, right]
+     */
+    async generateStereoAmbient(type, duration, options = {}) {
+        const layers = SCENES[type] || [{ bed: BEDS[type] ? type : 'forest' }];
+        return this.renderScene(layers, duration, options);
+    }
+
+    /**
+     * One bird call: a quick run of falling chirps
+     */
+    generateBirdCall() {
+        const notes = 2 + Math.floor(Math.random() * 3);
+        const pitch = 2500 + Math.random() * 1500;
+        const noteLength = Math.floor(0.08 * this.sampleRate);
+        const noteSpacing = Math.floor(0.13 * this.sampleRate);
+        const audioData = new Float32Array(notes * noteSpacing);
+
+        for (let note = 0; note < notes; note++) {
+            let phase = 0;
+            for (let i = 0; i < noteLength; i++) {
+                const progress = i / noteLength;
+                phase += 2 * Math.PI * pitch * (1.3 - 0.3 * progress) / this.sampleRate;
+                audioData[note * noteSpacing + i] = Math.sin(phase) * Math.sin(Math.PI * progress) * 0.5;
+            }
+        }
+
+        return audioData;
+    }
+
+    /**
+     * One water drip: a short plink that drops in pitch
+     */
+    generateDrip() {
+        const numSamples = Math.floor(0.15 * this.sampleRate);
+        const pitch = 1200 + Math.random() * 800;
+        const audioData = new Float32Array(numSamples);
+
+        let phase = 0;
+        for (let i = 0; i < numSamples; i++) {
+            const t = i / this.sampleRate;
+            phase += 2 * Math.PI * pitch * (0.5 + 0.5 * Math.exp(-t * 60)) / this.sampleRate;
+            audioData[i] = Math.sin(phase) * Math.exp(-t * 35) * 0.6;
+        }
+
+        return audioData;
+    }
+
+    /**
+     * One bell strike: inharmonic partials that ring out, the higher ones faster
+     */
+    generateBell() {
+        const numSamples = Math.floor(3 * this.sampleRate);
+        const pitch = 220 + Math.random() * 220;
+        const partials = [0.5, 1, 1.19, 1.56, 2, 2.51];
+        const audioData = new Float32Array(numSamples);
+
+        for (let i = 0; i < numSamples; i++) {
+            const t = i / this.sampleRate;
+            let sample = 0;
+            partials.forEach(ratio => {
+                sample += Math.sin(2 * Math.PI * pitch * ratio * t) * Math.exp(-t * (0.6 + ratio)) / partials.length;
+            });
+            audioData[i] = sample * 0.8;
+        }
+
         return audioData;
     }
 
@@ -340,4 +676,8 @@ class AmbientGenerator {
     }
 }
 
+AmbientGenerator.BEDS = BEDS;
+AmbientGenerator.SOURCES = SOURCES;
+AmbientGenerator.SCENES = SCENES;
+
 module.exports = AmbientGenerator;
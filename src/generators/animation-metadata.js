@@ -5,6 +5,9 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const AnimationExporter = require('../utils/animation-exporter');
+const GodotExporter = require('./godot-exporter');
+const SpritesheetPacker = require('./spritesheet-packer');
 
 class AnimationMetadataExporter {
     constructor() {
@@ -65,7 +68,8 @@ class AnimationMetadataExporter {
             case this.exportFormats.GAMEMAKER:
                 return await this.exportGameMaker(preparedData, config);
             case this.exportFormats.ASEPRITE:
-                return await this.exportAseprite(preparedData, config);
+                return await this.exportAseprite(preparedData, config,
+                    SpritesheetPacker.getPages(spritesheetData).map(page => page.spritesheet));
             default:
                 return await this.exportJSON(preparedData, config);
         }
@@ -93,12 +97,16 @@ class AnimationMetadataExporter {
             }
         };
 
-        // Process frames
+        // Process frames; frames of multi-page sheets carry their page index
         if (spritesheetData.metadata?.frames) {
-            prepared.frames = { ...spritesheetData.metadata.frames };
+            prepared.frames = SpritesheetPacker.collectFrames(spritesheetData);
             prepared.metadata.totalFrames = Object.keys(prepared.frames).length;
         }
 
+        if (spritesheetData.pages && spritesheetData.pages.length > 1) {
+            prepared.spritesheet.pages = spritesheetData.pages.map(page => page.metadata.meta.image);
+        }
+
         // Process animations
         if (animationData && config.includeAnimations) {
             prepared.animations = this.processAnimations(animationData, config);
@@ -112,7 +120,10 @@ class AnimationMetadataExporter {
 
         // Add hitbox data
         if (config.includeHitboxes) {
-            prepared.hitboxes = this.generateHitboxData(prepared.frames);
+            const shapes = SpritesheetPacker.getPages(spritesheetData).some(page => page.spritesheet)
+                ? SpritesheetPacker.getCollisionShapes(spritesheetData, config.collisionShapes || {})
+                : {};
+            prepared.hitboxes = this.generateHitboxData(prepared.frames, shapes);
         }
 
         // Add sound events
@@ -177,11 +188,41 @@ class AnimationMetadataExporter {
 
     /**
      * Generate hitbox data for frames
+     *
+     * Frames with traced collision shapes (SpritesheetPacker.getCollisionShapes) get a body
+     * box fitted to their opaque pixels, head and feet boxes within it, and the convex hull
+     * and outline polygons, all in untrimmed frame pixels. Other frames get boxes at fixed
+     * proportions of the frame.
+     * @param {Object} frames - Spritesheet frames by id
+     * @param {Object} [shapes] - Collision shapes by frame id
      */
-    generateHitboxData(frames) {
+    generateHitboxData(frames, shapes = {}) {
         const hitboxes = {};
 
         for (const [frameId, frameData] of Object.entries(frames)) {
+            const frameShapes = shapes[frameId];
+            if (frameShapes && frameShapes.aabb) {
+                const body = frameShapes.aabb;
+                hitboxes[frameId] = {
+                    body,
+                    head: {
+                        x: body.x + Math.floor(body.width * 0.25),
+                        y: body.y,
+                        width: Math.ceil(body.width * 0.5),
+                        height: Math.ceil(body.height * 0.25)
+                    },
+                    feet: {
+                        x: body.x,
+                        y: body.y + body.height - Math.ceil(body.height * 0.2),
+                        width: body.width,
+                        height: Math.ceil(body.height * 0.2)
+                    },
+                    hull: frameShapes.hull,
+                    polygons: frameShapes.polygons
+                };
+                continue;
+            }
+
             const frame = frameData.frame;
             hitboxes[frameId] = {
                 body: {
@@ -377,41 +418,13 @@ class AnimationMetadataExporter {
     }
 
     /**
-     * Export for Godot game engine
+     * Export a Godot 4 SpriteFrames resource with one AtlasTexture region per frame
      */
     async exportGodot(data, config) {
-        let godotScript = '[gd_resource type="SpriteFrames" load_steps=2 format=3]\n\n';
-        godotScript += '[ext_resource path="res://spritesheet.png" type="Texture" id=1]\n\n';
-        godotScript += '[sub_resource type="AtlasTexture" id=2]\n';
-        godotScript += 'atlas = ExtResource( 1 )\n';
-        godotScript += 'region = Rect2( 0, 0, 64, 64 )\n\n';
-
-        godotScript += '[resource]\n';
-        godotScript += 'animations = [\n';
-
-        // Add animations
-        for (const [animName, animData] of Object.entries(data.animations)) {
-            godotScript += `  {\n`;
-            godotScript += `    "frames": [\n`;
-
-            for (const frameId of animData.frames) {
-                const frame = data.frames[frameId];
-                if (frame) {
-                    godotScript += `      SubResource( 2 ),\n`;
-                }
-            }
-
-            godotScript += `    ],\n`;
-            godotScript += `    "loop": ${animData.loop ? 'true' : 'false'},\n`;
-            godotScript += `    "name": "${animName}",\n`;
-            godotScript += `    "speed": ${1000 / animData.frameDuration}\n`;
-            godotScript += `  },\n`;
-        }
-
-        godotScript += ']\n';
+        const godot = new GodotExporter({ resourcePath: config.resourcePath });
 
         return {
-            content: godotScript,
+            content: godot.generateSpriteFrames(data.spritesheet.pages || data.spritesheet.image, data.frames, data.animations),
             format: 'godot',
             extension: '.tres'
         };
@@ -537,64 +550,69 @@ class AnimationMetadataExporter {
     }
 
     /**
-     * Export for Aseprite
+     * Export as an Aseprite document
+     *
+     * Frames are cut from the packed spritesheet image in animation order, and each
+     * animation becomes a tag with its own frame duration. Without animations every
+     * sheet frame is written in order. Trimmed frames go back to their original offset.
+     * @param {Object} data - Prepared animation data
+     * @param {Object} config - Export config (frameDuration sets the default duration)
+     * @param {Jimp|Array<Jimp>} sheetImages - Packed spritesheet image, or one per page
      */
-    async exportAseprite(data, config) {
-        const aseData = {
-            frames: {},
-            meta: {
-                app: 'TPT Asset Editor',
-                version: '1.0',
-                image: data.spritesheet.image,
-                format: 'RGBA8888',
-                size: {
-                    w: data.spritesheet.width,
-                    h: data.spritesheet.height
-                },
-                scale: '1',
-                frameTags: []
+    async exportAseprite(data, config, sheetImages) {
+        const sheets = [].concat(sheetImages);
+        if (!sheets[0] || !sheets[0].bitmap) {
+            throw new Error('Aseprite export needs the packed spritesheet image (spritesheetData.spritesheet)');
+        }
+
+        const frameIds = Object.keys(data.frames);
+        const resolveFrameId = (frame) => {
+            const id = typeof frame === 'number' ? frameIds[frame] : frame;
+            if (!data.frames[id]) {
+                throw new Error(`Animation frame ${frame} is not in the spritesheet`);
             }
+            return id;
         };
 
-        // Convert frames to Aseprite format
-        for (const [frameId, frameData] of Object.entries(data.frames)) {
-            aseData.frames[frameId] = {
-                frame: {
-                    x: frameData.frame.x,
-                    y: frameData.frame.y,
-                    w: frameData.frame.w,
-                    h: frameData.frame.h
-                },
-                rotated: frameData.rotated || false,
-                trimmed: false,
-                spriteSourceSize: {
-                    x: 0,
-                    y: 0,
-                    w: frameData.frame.w,
-                    h: frameData.frame.h
-                },
-                sourceSize: {
-                    w: frameData.frame.w,
-                    h: frameData.frame.h
-                },
-                duration: 100 // Default 100ms per frame
-            };
-        }
-
-        // Add animation tags
+        const sequence = [];
+        const tags = [];
         for (const [animName, animData] of Object.entries(data.animations)) {
-            aseData.meta.frameTags.push({
+            if (!animData.frames || animData.frames.length === 0) continue;
+
+            tags.push({
                 name: animName,
-                from: 0, // Would need proper frame indexing
-                to: animData.frames.length - 1,
-                direction: animData.loop ? 'forward' : 'pingpong'
+                from: sequence.length,
+                to: sequence.length + animData.frames.length - 1,
+                direction: 'forward',
+                repeat: animData.loop ? 0 : 1
             });
+            for (const frame of animData.frames) {
+                sequence.push({ id: resolveFrameId(frame), delay: animData.frameDuration });
+            }
+        }
+
+        if (sequence.length === 0) {
+            frameIds.forEach(id => sequence.push({ id, delay: config.frameDuration || 100 }));
         }
 
+        // Aseprite has one canvas size, so smaller frames are placed top-left on the largest
+        const sourceSize = (frame) => (frame.trimmed && frame.sourceSize ? frame.sourceSize : frame.frame);
+        const width = Math.max(...sequence.map(entry => sourceSize(data.frames[entry.id]).w));
+        const height = Math.max(...sequence.map(entry => sourceSize(data.frames[entry.id]).h));
+
+        const frames = sequence.map(entry => {
+            const frame = data.frames[entry.id];
+            const image = SpritesheetPacker.extractFrame(sheets[frame.page || 0], frame, { w: width, h: height });
+            return { image, delay: Math.round(entry.delay) };
+        });
+
+        const exporter = new AnimationExporter();
+        const content = exporter.encodeAseprite(frames, { tags, layerName: 'Sprite' });
+
         return {
-            content: JSON.stringify(aseData, null, 2),
+            content,
             format: 'aseprite',
-            extension: '.json'
+            extension: '.aseprite'
         };
     }
 
@@ -606,7 +624,7 @@ class AnimationMetadataExporter {
             ? outputPath
             : outputPath + exportData.extension;
 
-        await fs.writeFile(fullPath, exportData.content, 'utf8');
+        await fs.writeFile(fullPath, exportData.content, Buffer.isBuffer(exportData.content) ? undefined : 'utf8');
 
         return {
             path: fullPath,
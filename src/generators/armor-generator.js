@@ -743,7 +743,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY); // Iron color
+                        image.setPixelColor(0x708090FF, pixelX, pixelY); // Iron color
                     }
                 }
             }
@@ -755,7 +755,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j - 5 * scale);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF000000, pixelX, pixelY); // Black eye slits
+                    image.setPixelColor(0x000000FF, pixelX, pixelY); // Black eye slits
                 }
             }
         }
@@ -766,7 +766,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j - 2 * scale);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF708090, pixelX, pixelY);
+                    image.setPixelColor(0x708090FF, pixelX, pixelY);
                 }
             }
         }
@@ -787,7 +787,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -799,7 +799,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF2F4F4F, pixelX, pixelY); // Darker visor
+                    image.setPixelColor(0x2F4F4FFF, pixelX, pixelY); // Darker visor
                 }
             }
         }
@@ -820,7 +820,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -833,7 +833,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -855,7 +855,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -867,7 +867,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j + 2 * scale);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF000000, pixelX, pixelY); // Face opening
+                    image.setPixelColor(0x000000FF, pixelX, pixelY); // Face opening
                 }
             }
         }
@@ -877,7 +877,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF000000, pixelX, pixelY); // Vertical part of T
+                    image.setPixelColor(0x000000FF, pixelX, pixelY); // Vertical part of T
                 }
             }
         }
@@ -898,7 +898,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -910,7 +910,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j - 8 * scale);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF708090, pixelX, pixelY);
+                    image.setPixelColor(0x708090FF, pixelX, pixelY);
                 }
             }
         }
@@ -956,7 +956,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -968,7 +968,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF708090, pixelX, pixelY);
+                    image.setPixelColor(0x708090FF, pixelX, pixelY);
                 }
             }
         }
@@ -978,7 +978,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF708090, pixelX, pixelY);
+                    image.setPixelColor(0x708090FF, pixelX, pixelY);
                 }
             }
         }
@@ -1001,7 +1001,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        const color = pattern === 0 ? 0xFF708090 : 0xFF2F4F4F;
+                        const color = pattern === 0 ? 0x708090FF : 0x2F4F4FFF;
                         image.setPixelColor(color, pixelX, pixelY);
                     }
                 }
@@ -1024,7 +1024,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF8B4513, pixelX, pixelY);
+                        image.setPixelColor(0x8B4513FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1036,7 +1036,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF654321, pixelX, pixelY);
+                    image.setPixelColor(0x654321FF, pixelX, pixelY);
                 }
             }
         }
@@ -1057,7 +1057,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFFF5F5DC, pixelX, pixelY);
+                        image.setPixelColor(0xF5F5DCFF, pixelX, pixelY);
                     }
                 }
             }
@@ -1070,7 +1070,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFFE6E6FA, pixelX, pixelY);
+                        image.setPixelColor(0xE6E6FAFF, pixelX, pixelY);
                     }
                 }
             }
@@ -1094,7 +1094,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF654321, pixelX, pixelY);
+                        image.setPixelColor(0x654321FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1108,7 +1108,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF654321, pixelX, pixelY);
+                        image.setPixelColor(0x654321FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1152,7 +1152,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1164,7 +1164,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j - 8 * scale);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF2F4F4F, pixelX, pixelY);
+                    image.setPixelColor(0x2F4F4FFF, pixelX, pixelY);
                 }
             }
         }
@@ -1185,7 +1185,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1199,7 +1199,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(toeX + i);
                     const pixelY = Math.floor(y + j + 5 * scale);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF2F4F4F, pixelX, pixelY);
+                        image.setPixelColor(0x2F4F4FFF, pixelX, pixelY);
                     }
                 }
             }
@@ -1221,7 +1221,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF8B4513, pixelX, pixelY);
+                        image.setPixelColor(0x8B4513FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1233,7 +1233,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF654321, pixelX, pixelY);
+                    image.setPixelColor(0x654321FF, pixelX, pixelY);
                 }
             }
         }
@@ -1254,7 +1254,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFFF5F5DC, pixelX, pixelY);
+                        image.setPixelColor(0xF5F5DCFF, pixelX, pixelY);
                     }
                 }
             }
@@ -1298,7 +1298,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1312,7 +1312,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(fingerY + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF2F4F4F, pixelX, pixelY);
+                        image.setPixelColor(0x2F4F4FFF, pixelX, pixelY);
                     }
                 }
             }
@@ -1334,7 +1334,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1356,7 +1356,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF8B4513, pixelX, pixelY);
+                        image.setPixelColor(0x8B4513FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1378,7 +1378,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFFF5F5DC, pixelX, pixelY);
+                        image.setPixelColor(0xF5F5DCFF, pixelX, pixelY);
                     }
                 }
             }
@@ -1420,7 +1420,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF8B4513, pixelX, pixelY);
+                    image.setPixelColor(0x8B4513FF, pixelX, pixelY);
                 }
             }
         }
@@ -1431,7 +1431,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF708090, pixelX, pixelY);
+                    image.setPixelColor(0x708090FF, pixelX, pixelY);
                 }
             }
         }
@@ -1450,7 +1450,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFFC0C0C0, pixelX, pixelY);
+                        image.setPixelColor(0xC0C0C0FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1469,7 +1469,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFFFFD700, pixelX, pixelY);
+                    image.setPixelColor(0xFFD700FF, pixelX, pixelY);
                 }
             }
         }
@@ -1489,7 +1489,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(pouchX + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF654321, pixelX, pixelY);
+                        image.setPixelColor(0x654321FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1533,7 +1533,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1545,7 +1545,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF708090, pixelX, pixelY);
+                    image.setPixelColor(0x708090FF, pixelX, pixelY);
                 }
             }
         }
@@ -1566,7 +1566,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1578,7 +1578,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF2F4F4F, pixelX, pixelY);
+                    image.setPixelColor(0x2F4F4FFF, pixelX, pixelY);
                 }
             }
         }
@@ -1599,7 +1599,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFFFFD700, pixelX, pixelY);
+                        image.setPixelColor(0xFFD700FF, pixelX, pixelY);
                     }
                 }
             }
@@ -1611,7 +1611,7 @@ class ArmorGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFFFFD700, pixelX, pixelY);
+                    image.setPixelColor(0xFFD700FF, pixelX, pixelY);
                 }
             }
         }
@@ -1632,7 +1632,7 @@ class ArmorGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF708090, pixelX, pixelY);
+                        image.setPixelColor(0x708090FF, pixelX, pixelY);
                     }
                 }
             }
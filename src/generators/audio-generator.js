@@ -4,39 +4,91 @@
  */
 
 const { WaveFile } = require('wavefile');
+
+// lamejs 1.2.1's CommonJS entry uses these modules as globals without requiring them
+global.MPEGMode = global.MPEGMode || require('lamejs/src/js/MPEGMode');
+global.Lame = global.Lame || require('lamejs/src/js/Lame');
+global.BitStream = global.BitStream || require('lamejs/src/js/BitStream');
 const lamejs = require('lamejs');
-const ogg = require('ogg.js');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const AmbientGenerator = require('./ambient-generator');
+const MusicComposer = require('./music-composer');
+const SfxrSynthesizer = require('./sfxr-synthesizer');
+const LoopPoints = require('../utils/loop-points');
+const ZipArchive = require('../utils/zip-archive');
+
+// Beat length in seconds of each music style (one melody note), for loops composed to whole bars
+const MUSIC_BEATS = {
+    village: 1,
+    combat: 0.5,
+    dungeon: 1.5,
+    ambient: 2.5
+};
+
+const BEATS_PER_BAR = 4;
+
+// Default crossfade of crossfaded loops, in seconds
+const DEFAULT_CROSSFADE = 1;
+
+// How far bar-length loop points may move to land on a zero crossing, in seconds
+const ZERO_CROSSING_WINDOW = 0.01;
+
+// File extensions of the audio formats stems export to
+const AUDIO_EXTENSIONS = {
+    wav: 'wav',
+    mp3: 'mp3'
+};
 
 class AudioGenerator {
     constructor() {
         this.sampleRate = 44100;
         this.bitDepth = 16;
-        this.channels = 1; // Mono
+        this.channels = 1; // Mono; stereo ambience is rendered by the AmbientGenerator
         this.audioBuffers = new Map(); // Cache for generated audio
+        this.ambientGenerator = new AmbientGenerator(this.sampleRate, 2, this.bitDepth);
+        this.musicComposer = new MusicComposer(this.sampleRate, 1, this.bitDepth);
+        this.sfxrSynthesizer = new SfxrSynthesizer();
     }
 
     /**
      * Generate sound effect
+     *
+     * effectType 'sfxr' designs the effect with sfxr/jsfxr parameters: config.sfxr (an
+     * object or jsfxr JSON text), else a config.category randomizer (default 'pickup'),
+     * mutated config.mutate times. The sound lasts as long as its envelope, and the
+     * parameters are kept in metadata.sfxr.
      */
     async generateSFX(config) {
-        const duration = config.duration || 1.0;
         const effectType = config.effectType || 'generic';
+        let duration = config.duration || 1.0;
 
         // Generate audio data based on effect type
-        const audioData = this.generateEffectAudio(effectType, duration);
+        let audioData;
+        let sfxr = null;
+        if (effectType === 'sfxr') {
+            sfxr = config.sfxr
+                ? this.sfxrSynthesizer.fromJSON(config.sfxr)
+                : this.sfxrSynthesizer.generate(config.category || 'pickup');
+            for (let i = 0; i < (config.mutate || 0); i++) {
+                sfxr = this.sfxrSynthesizer.mutate(sfxr);
+            }
+            audioData = this.sfxrSynthesizer.render(sfxr);
+            duration = audioData.length / this.sampleRate;
+        } else {
+            audioData = this.generateEffectAudio(effectType, duration);
+        }
 
         // Create WAV file
         const wav = this.createWAVFile(audioData, this.sampleRate);
 
-        return {
+        const asset = {
             id: uuidv4(),
             name: `${effectType.charAt(0).toUpperCase() + effectType.slice(1).replace(/_/g, ' ')} SFX`,
             type: 'sfx',
             audio: {
-                data: wav.toBuffer().toString('base64'),
+                data: Buffer.from(wav.toBuffer()).toString('base64'),
                 sampleRate: this.sampleRate,
                 channels: this.channels,
                 duration: duration,
@@ -51,37 +103,55 @@ class AudioGenerator {
                 version: '1.0'
             }
         };
+        if (sfxr) asset.metadata.sfxr = this.sfxrSynthesizer.toJSON(sfxr);
+
+        return asset;
     }
 
     /**
      * Generate music
+     *
+     * config.loop makes the music loop seamlessly (see renderLoop); it is composed to
+     * whole bars unless config.loop is 'crossfade'. config.stems renders adaptive music
+     * instead (see generateAdaptiveMusic).
      */
     async generateMusic(config) {
-        const duration = config.duration || 120;
+        if (config.stems) {
+            return this.generateAdaptiveMusic(config);
+        }
+
         const style = config.style || 'village';
 
         // Generate music data based on style
-        const audioData = this.generateMusicAudio(style, duration);
+        const render = seconds => this.generateMusicAudio(style, seconds);
+        const { audioData, loop } = config.loop
+            ? await this.renderLoop(render, config.duration || 120, config, MUSIC_BEATS[style] || MUSIC_BEATS.village)
+            : { audioData: render(config.duration || 120), loop: null };
+        const duration = LoopPoints.getLength(audioData) / this.sampleRate;
 
         // Create WAV file
-        const wav = this.createWAVFile(audioData, this.sampleRate);
+        const wav = this.createWAVFile(audioData, this.sampleRate, loop);
+
+        const audio = {
+            data: Buffer.from(wav.toBuffer()).toString('base64'),
+            sampleRate: this.sampleRate,
+            channels: this.channels,
+            duration: duration,
+            format: 'wav'
+        };
+        if (loop) audio.loop = { start: loop.start, end: loop.end };
 
         return {
             id: uuidv4(),
             name: `${style.charAt(0).toUpperCase() + style.slice(1)} Music`,
             type: 'music',
-            audio: {
-                data: wav.toBuffer().toString('base64'),
-                sampleRate: this.sampleRate,
-                channels: this.channels,
-                duration: duration,
-                format: 'wav'
-            },
+            audio,
             config: config,
             metadata: {
                 style: style,
                 duration: duration,
                 sampleRate: this.sampleRate,
+                loop: loop,
                 generated: new Date().toISOString(),
                 version: '1.0'
             }
@@ -90,56 +160,220 @@ class AudioGenerator {
 
     /**
      * Generate ambient sound
+     *
+     * config.channels = 2 renders the type's stereo scene (see AmbientGenerator.SCENES), or
+     * config.layers when given: noise beds spread across the field and point sources placed
+     * around the listener, binaurally with config.binaural. config.seed makes it reproducible.
+     * config.loop crossfades the end into the start so the bed loops seamlessly (see renderLoop).
      */
     async generateAmbient(config) {
-        const duration = config.duration || 30;
         const type = config.type || 'forest';
+        const stereo = config.channels === 2 || Array.isArray(config.layers);
 
         // Generate ambient data based on type
-        const audioData = this.generateAmbientAudio(type, duration);
+        const options = { seed: config.seed, binaural: config.binaural };
+        const render = async seconds => {
+            if (!stereo) return this.generateAmbientAudio(type, seconds);
+            return config.layers
+                ? await this.ambientGenerator.renderScene(config.layers, seconds, options)
+                : await this.ambientGenerator.generateStereoAmbient(type, seconds, options);
+        };
+        const { audioData, loop } = config.loop
+            ? await this.renderLoop(render, config.duration || 30, config)
+            : { audioData: await render(config.duration || 30), loop: null };
+        const duration = LoopPoints.getLength(audioData) / this.sampleRate;
 
         // Create WAV file
-        const wav = this.createWAVFile(audioData, this.sampleRate);
+        const wav = this.createWAVFile(audioData, this.sampleRate, loop);
+
+        const audio = {
+            data: Buffer.from(wav.toBuffer()).toString('base64'),
+            sampleRate: this.sampleRate,
+            channels: stereo ? 2 : this.channels,
+            duration: duration,
+            format: 'wav'
+        };
+        if (loop) audio.loop = { start: loop.start, end: loop.end };
 
         return {
             id: uuidv4(),
             name: `${type.charAt(0).toUpperCase() + type.slice(1)} Ambient`,
             type: 'ambient',
-            audio: {
-                data: wav.toBuffer().toString('base64'),
-                sampleRate: this.sampleRate,
-                channels: this.channels,
-                duration: duration,
-                format: 'wav'
-            },
+            audio,
             config: config,
             metadata: {
                 type: type,
                 duration: duration,
                 sampleRate: this.sampleRate,
+                binaural: stereo && Boolean(config.binaural),
+                seed: config.seed,
+                loop: loop,
+                generated: new Date().toISOString(),
+                version: '1.0'
+            }
+        };
+    }
+
+    /**
+     * Generate adaptive music: the style's composition as synchronized stems
+     *
+     * Each stem is a looping WAV of the same length (see MusicComposer.generateStems); the
+     * asset's own audio is the full mix. metadata.adaptive lists the intensity layers, the
+     * stem gains that middleware crossfades between.
+     * @param {Object} config - Generation config (style 'combat' or 'dungeon', duration, bars)
+     * @returns {Promise<Object>} Music asset with a stems array
+     */
+    async generateAdaptiveMusic(config) {
+        const style = config.style || 'combat';
+        const composition = this.musicComposer.generateStems(style, { bars: config.bars, duration: config.duration });
+        const { length, loop } = composition;
+        const duration = length / this.sampleRate;
+
+        const toAudio = audioData => ({
+            data: Buffer.from(this.createWAVFile(audioData, this.sampleRate, loop).toBuffer()).toString('base64'),
+            sampleRate: this.sampleRate,
+            channels: 1,
+            duration,
+            format: 'wav',
+            loop: { start: loop.start, end: loop.end }
+        });
+
+        const mix = new Float32Array(length);
+        const stems = MusicComposer.STEMS.map(name => {
+            const audioData = composition.stems[name];
+            for (let i = 0; i < length; i++) {
+                mix[i] = Math.max(-1, Math.min(1, mix[i] + audioData[i]));
+            }
+            return { name, audio: toAudio(audioData) };
+        });
+
+        return {
+            id: uuidv4(),
+            name: `${style.charAt(0).toUpperCase() + style.slice(1)} Adaptive Music`,
+            type: 'music',
+            audio: toAudio(mix),
+            stems,
+            config: config,
+            metadata: {
+                style: style,
+                duration: duration,
+                sampleRate: this.sampleRate,
+                loop: { mode: 'bars', start: loop.start, end: loop.end, bars: composition.bars },
+                adaptive: {
+                    tempo: composition.tempo,
+                    timeSignature: composition.timeSignature,
+                    bars: composition.bars,
+                    intensities: composition.intensities
+                },
                 generated: new Date().toISOString(),
                 version: '1.0'
             }
         };
     }
 
+    /**
+     * Render audio that loops seamlessly
+     *
+     * Modes (config.loop; true picks 'bars' when there is a beat, else 'crossfade'):
+     * - 'crossfade': renders config.crossfade seconds (default 1) past the duration and fades
+     *   that tail into the head, so the end runs straight on into the start
+     * - 'bars': composes config.bars whole bars (default: the duration rounded to bars), with
+     *   loop start and end moved onto rising zero crossings, at most 10 ms off the bar lines
+     * Audio before the loop start plays once; the file ends at the loop end.
+     * @param {Function} render - Renders a duration in seconds, mono or as [left, right]; may be async
+     * @param {number} duration - Requested duration in seconds
+     * @param {Object} config - Generation config (loop, crossfade, bars)
+     * @param {number} [beat] - Beat length in seconds, for bar-length loops
+     * @returns {Promise<{audioData: Float32Array|Array<Float32Array>, loop: Object}>} Audio and its
+     *   loop ({mode, start, end, bars}; sample offsets, end exclusive)
+     */
+    async renderLoop(render, duration, config, beat) {
+        const mode = config.loop === true ? (beat ? 'bars' : 'crossfade') : config.loop;
+        // Half a sample extra, so renderers that floor seconds * sampleRate get every sample
+        const seconds = samples => (samples + 0.5) / this.sampleRate;
+
+        if (mode === 'crossfade') {
+            const fade = config.crossfade !== undefined ? config.crossfade : DEFAULT_CROSSFADE;
+            const fadeLength = Math.round(fade * this.sampleRate);
+            const length = Math.floor(duration * this.sampleRate);
+            const rendered = LoopPoints.truncate(await render(seconds(length + fadeLength)), length + fadeLength);
+
+            return {
+                audioData: LoopPoints.crossfade(rendered, fadeLength),
+                loop: { mode, start: 0, end: length }
+            };
+        }
+
+        if (mode === 'bars') {
+            if (!beat) {
+                throw new Error('Bar-length loops need a music style');
+            }
+
+            const barSeconds = beat * BEATS_PER_BAR;
+            const bars = config.bars || Math.max(1, Math.round(duration / barSeconds));
+            const loopLength = Math.round(bars * barSeconds * this.sampleRate);
+            const window = Math.round(ZERO_CROSSING_WINDOW * this.sampleRate);
+            const rendered = await render(seconds(loopLength + 2 * window));
+
+            const start = LoopPoints.findZeroCrossing(rendered, 0, window, { forward: true });
+            const end = LoopPoints.findZeroCrossing(rendered, start + loopLength, window);
+            return {
+                audioData: LoopPoints.truncate(rendered, end),
+                loop: { mode, start, end, bars }
+            };
+        }
+
+        throw new Error(`Unknown loop mode: ${mode}`);
+    }
+
     /**
      * Create WAV file from audio data
+     * @param {Float32Array|Array<Float32Array>} audioData - Mono samples, or one array per channel
+     * @param {number} sampleRate - Sample rate
+     * @param {Object} [loop] - Loop points to mark ({start, end}; see setLoopMarkers)
      */
-    createWAVFile(audioData, sampleRate) {
+    createWAVFile(audioData, sampleRate, loop = null) {
         const wav = new WaveFile();
+        const channels = Array.isArray(audioData) ? audioData : [audioData];
 
         // Convert audio data to the correct format
-        const samples = new Int16Array(audioData.length);
-        for (let i = 0; i < audioData.length; i++) {
-            // Convert from -1..1 range to 16-bit signed integer
-            samples[i] = Math.max(-32768, Math.min(32767, Math.floor(audioData[i] * 32767)));
-        }
+        const samples = channels.map(channel => {
+            const converted = new Int16Array(channel.length);
+            for (let i = 0; i < channel.length; i++) {
+                // Convert from -1..1 range to 16-bit signed integer
+                converted[i] = Math.max(-32768, Math.min(32767, Math.floor(channel[i] * 32767)));
+            }
+            return converted;
+        });
 
-        wav.fromScratch(this.channels, sampleRate, this.bitDepth, samples);
+        wav.fromScratch(channels.length, sampleRate, this.bitDepth, channels.length === 1 ? samples[0] : samples);
+        if (loop) {
+            this.setLoopMarkers(wav, loop);
+        }
         return wav;
     }
 
+    /**
+     * Mark a forward loop in a WAV's smpl chunk, which Godot, Unity and RPG Maker loop on
+     * @param {WaveFile} wav - WAV file
+     * @param {{start: number, end: number}} loop - Loop sample offsets; end is exclusive
+     *   (the chunk stores the last looped sample)
+     */
+    setLoopMarkers(wav, loop) {
+        wav.smpl.chunkId = 'smpl';
+        wav.smpl.dwSamplePeriod = Math.round(1e9 / wav.fmt.sampleRate);
+        wav.smpl.dwMIDIUnityNote = 60;
+        wav.smpl.dwNumSampleLoops = 1;
+        wav.smpl.loops = [{
+            dwName: 0,
+            dwType: 0,
+            dwStart: loop.start,
+            dwEnd: loop.end - 1,
+            dwFraction: 0,
+            dwPlayCount: 0
+        }];
+    }
+
     /**
      * Generate effect audio data
      */
@@ -784,6 +1018,7 @@ class AudioGenerator {
 
         // Convert WAV buffer to PCM samples
         const wav = new WaveFile(audioBuffer);
+        const channels = wav.fmt.numChannels;
         const samples = wav.getSamples(false, Int16Array);
 
         // MP3 encoder configuration based on quality
@@ -798,15 +1033,16 @@ class AudioGenerator {
 
         // Create MP3 encoder
         const mp3Encoder = new lamejs.Mp3Encoder(
-            this.channels,
+            channels,
             this.sampleRate,
             settings.bitrate,
             settings.mode
         );
 
-        // Encode to MP3
-        const mp3Data = mp3Encoder.encodeBuffer(samples);
-        const mp3Buffer = Buffer.from(mp3Data);
+        // Encode to MP3; stereo samples come as [left, right]
+        const mp3Data = channels === 2 ? mp3Encoder.encodeBuffer(samples[0], samples[1]) : mp3Encoder.encodeBuffer(samples);
+        // flush() writes the frames still buffered in the encoder
+        const mp3Buffer = Buffer.concat([Buffer.from(mp3Data), Buffer.from(mp3Encoder.flush())]);
 
         return {
             ...asset,
@@ -822,18 +1058,20 @@ class AudioGenerator {
 
     /**
      * Export audio as WAV (enhanced version)
+     *
+     * Keeps the asset's channel count unless options.channels asks for mono or stereo.
      */
     async exportAsWAV(asset, options = {}) {
+        // Get original audio data
+        const audioBuffer = Buffer.from(asset.audio.data, 'base64');
+        const wav = new WaveFile(audioBuffer);
+
         const {
             sampleRate = this.sampleRate,
             bitDepth = this.bitDepth,
-            channels = this.channels
+            channels = wav.fmt.numChannels
         } = options;
 
-        // Get original audio data
-        const audioBuffer = Buffer.from(asset.audio.data, 'base64');
-        const wav = new WaveFile(audioBuffer);
-
         // Resample if needed
         if (sampleRate !== wav.fmt.sampleRate) {
             wav.toSampleRate(sampleRate);
@@ -853,11 +1091,20 @@ class AudioGenerator {
             }
         }
 
+        // Conversions drop the smpl chunk; mark the loop again, moved to the new rate
+        if (asset.audio.loop) {
+            const scale = sampleRate / (asset.audio.sampleRate || this.sampleRate);
+            this.setLoopMarkers(wav, {
+                start: Math.round(asset.audio.loop.start * scale),
+                end: Math.round(asset.audio.loop.end * scale)
+            });
+        }
+
         return {
             ...asset,
             audio: {
                 ...asset.audio,
-                data: wav.toBuffer().toString('base64'),
+                data: Buffer.from(wav.toBuffer()).toString('base64'),
                 sampleRate: sampleRate,
                 channels: channels,
                 bitDepth: bitDepth,
@@ -867,46 +1114,11 @@ class AudioGenerator {
     }
 
     /**
-     * Export audio as OGG with quality options
+     * Export audio as OGG
+     * ogg.js has no Vorbis encoder, so Ogg export is rejected; export WAV or MP3 instead.
      */
-    async exportAsOGG(asset, quality = 'high') {
-        const audioBuffer = Buffer.from(asset.audio.data, 'base64');
-
-        // Convert WAV buffer to PCM samples
-        const wav = new WaveFile(audioBuffer);
-        const samples = wav.getSamples(false, Float32Array);
-
-        // OGG encoder configuration based on quality
-        const qualitySettings = {
-            low: { bitrate: 64 },
-            medium: { bitrate: 128 },
-            high: { bitrate: 192 },
-            very_high: { bitrate: 320 }
-        };
-
-        const settings = qualitySettings[quality] || qualitySettings.high;
-
-        // Create OGG encoder (simplified implementation)
-        // Note: ogg.js is a basic implementation, in production you might want a more robust OGG encoder
-        const oggEncoder = new ogg.Encoder();
-        oggEncoder.setChannels(this.channels);
-        oggEncoder.setSampleRate(this.sampleRate);
-        oggEncoder.setQuality(settings.bitrate / 320); // Normalize quality to 0-1 range
-
-        // Encode to OGG
-        const oggData = oggEncoder.encode(samples);
-        const oggBuffer = Buffer.from(oggData);
-
-        return {
-            ...asset,
-            audio: {
-                ...asset.audio,
-                data: oggBuffer.toString('base64'),
-                format: 'ogg',
-                quality: quality,
-                bitrate: settings.bitrate
-            }
-        };
+    async exportAsOGG() {
+        throw new Error('Ogg export is not supported (use wav or mp3)');
     }
 
     /**
@@ -917,24 +1129,9 @@ class AudioGenerator {
 
         for (const asset of assets) {
             try {
-                let exportedAsset;
-
-                switch (format.toLowerCase()) {
-                    case 'mp3':
-                        exportedAsset = await this.exportAsMP3(asset, options.quality);
-                        break;
-                    case 'ogg':
-                        exportedAsset = await this.exportAsOGG(asset, options.quality);
-                        break;
-                    case 'wav':
-                        exportedAsset = await this.exportAsWAV(asset, options);
-                        break;
-                    case 'json':
-                        exportedAsset = await this.exportAsJSON(asset);
-                        break;
-                    default:
-                        throw new Error(`Unsupported export format: ${format}`);
-                }
+                const exportedAsset = asset.stems && AUDIO_EXTENSIONS[format.toLowerCase()]
+                    ? await this.exportStems(asset, format, options)
+                    : await this.exportAudio(asset, format, options);
 
                 results.push({
                     success: true,
@@ -953,6 +1150,115 @@ class AudioGenerator {
         return results;
     }
 
+    /**
+     * Export one asset in a format
+     */
+    async exportAudio(asset, format, options = {}) {
+        switch (format.toLowerCase()) {
+            case 'mp3':
+                return this.exportAsMP3(asset, options.quality);
+            case 'ogg':
+                return this.exportAsOGG(asset, options.quality);
+            case 'wav':
+                return this.exportAsWAV(asset, options);
+            case 'json':
+                return this.exportAsJSON(asset);
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    /**
+     * Export the stems of adaptive music with their manifest, as a zip or a folder
+     *
+     * Stems are named <baseName>_<stem>.<format> and keep their loop points; <baseName>.json
+     * is the manifest of stems and intensity layers. A zip is returned as bundle.data and also
+     * written to options.outputPath when given; a folder is written to
+     * options.outputPath/<baseName>.
+     * @param {Object} asset - Adaptive music asset (see generateAdaptiveMusic)
+     * @param {string} format - Audio format of the stems ('wav' or 'mp3')
+     * @param {Object} [options] - Export options, also passed to each stem's export
+     * @param {string} [options.stems='zip'] - 'zip' or 'folder'
+     * @param {string} [options.outputPath] - Output directory
+     * @param {string} [options.baseName] - File name prefix (default: the asset name without spaces)
+     * @returns {Promise<Object>} The asset with its exported stems, manifest and bundle
+     *   ({format, files, path, data})
+     */
+    async exportStems(asset, format, options = {}) {
+        const extension = AUDIO_EXTENSIONS[format.toLowerCase()];
+        const bundleFormat = options.stems || 'zip';
+        if (!extension) {
+            throw new Error(`Unsupported stem format: ${format}`);
+        }
+        if (!['zip', 'folder'].includes(bundleFormat)) {
+            throw new Error(`Unknown stem bundle: ${bundleFormat}`);
+        }
+        if (bundleFormat === 'folder' && !options.outputPath) {
+            throw new Error('Exporting stems to a folder needs options.outputPath');
+        }
+
+        const baseName = options.baseName || asset.name.replace(/\s+/g, '');
+        const stems = [];
+        for (const stem of asset.stems) {
+            const exported = await this.exportAudio({ ...asset, name: stem.name, audio: stem.audio }, format, options);
+            stems.push({ name: stem.name, file: `${baseName}_${stem.name}.${extension}`, audio: exported.audio });
+        }
+
+        const manifest = this.createStemManifest(asset, stems, baseName);
+        const files = stems.map(stem => ({ name: stem.file, data: Buffer.from(stem.audio.data, 'base64') }));
+        files.push({ name: `${baseName}.json`, data: JSON.stringify(manifest, null, 2) });
+
+        const bundle = { format: bundleFormat, files: files.map(file => file.name) };
+        if (bundleFormat === 'zip') {
+            const archive = ZipArchive.create(files);
+            bundle.data = archive.toString('base64');
+            if (options.outputPath) {
+                await fs.mkdir(options.outputPath, { recursive: true });
+                bundle.path = path.join(options.outputPath, `${baseName}.zip`);
+                await fs.writeFile(bundle.path, archive);
+            }
+        } else {
+            bundle.path = path.join(options.outputPath, baseName);
+            await fs.mkdir(bundle.path, { recursive: true });
+            for (const file of files) {
+                await fs.writeFile(path.join(bundle.path, file.name), file.data);
+            }
+        }
+
+        return {
+            ...asset,
+            stems: stems.map(stem => ({ name: stem.name, file: stem.file, audio: stem.audio })),
+            manifest,
+            bundle
+        };
+    }
+
+    /**
+     * Manifest of adaptive music for middleware: stem files, their shared length and loop
+     * (in samples at the exported rate), and the stem gains of each intensity layer;
+     * changes are best made on a bar line
+     */
+    createStemManifest(asset, stems, baseName) {
+        const { adaptive, loop, style } = asset.metadata;
+        const sampleRate = stems[0].audio.sampleRate || asset.metadata.sampleRate;
+        const scale = sampleRate / asset.metadata.sampleRate;
+        const length = Math.round(asset.audio.duration * sampleRate);
+
+        return {
+            name: baseName,
+            style,
+            tempo: adaptive.tempo,
+            timeSignature: adaptive.timeSignature,
+            bars: adaptive.bars,
+            sampleRate,
+            length,
+            barLength: length / adaptive.bars,
+            loop: { start: Math.round(loop.start * scale), end: Math.round(loop.end * scale) },
+            stems: stems.map(stem => ({ name: stem.name, file: stem.file })),
+            intensities: adaptive.intensities
+        };
+    }
+
     /**
      * Export asset metadata as JSON
      */
@@ -1042,7 +1348,7 @@ class AudioGenerator {
             ...asset,
             audio: {
                 ...asset.audio,
-                data: adjustedWav.toBuffer().toString('base64'),
+                data: Buffer.from(adjustedWav.toBuffer()).toString('base64'),
                 sampleRate: Math.floor(this.sampleRate * pitchShift),
                 duration: asset.audio.duration / tempoShift
             },
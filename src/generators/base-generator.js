@@ -5,6 +5,7 @@
 
 const { v4: uuidv4 } = require('uuid');
 const EventEmitter = require('events');
+const SeededRandom = require('../utils/seeded-random');
 
 class BaseGenerator extends EventEmitter {
     constructor(options = {}) {
@@ -68,24 +69,30 @@ class BaseGenerator extends EventEmitter {
                 }
             }
 
+            // Every asset records its seed so the same pixels can be regenerated later
+            const seed = validatedConfig.seed !== undefined ? validatedConfig.seed : SeededRandom.createSeed();
+            const seededConfig = { ...validatedConfig, seed };
+
             // Emit generation start event
             this.emit('generationStart', {
                 operationId,
-                config: validatedConfig,
+                config: seededConfig,
                 options
             });
 
-            // Pre-generation setup
-            await this.preGenerate(validatedConfig, options);
+            const asset = await SeededRandom.run(seed, async () => {
+                // Pre-generation setup
+                await this.preGenerate(seededConfig, options);
 
-            // Core generation logic (implemented by subclasses)
-            const result = await this.generateAsset(validatedConfig, options);
+                // Core generation logic (implemented by subclasses)
+                const result = await this.generateAsset(seededConfig, options);
 
-            // Post-generation processing
-            const processedResult = await this.postGenerate(result, validatedConfig, options);
+                // Post-generation processing
+                const processedResult = await this.postGenerate(result, seededConfig, options);
 
-            // Create standardized asset object
-            const asset = this.createAssetObject(processedResult, validatedConfig, options);
+                // Create standardized asset object
+                return this.createAssetObject(processedResult, seededConfig, options);
+            });
 
             // Cache result if enabled
             if (this.cacheEnabled && options.useCache !== false) {
@@ -108,7 +115,7 @@ class BaseGenerator extends EventEmitter {
                 operationId,
                 asset,
                 generationTime,
-                config: validatedConfig
+                config: asset.config
             });
 
             return asset;
@@ -328,6 +335,7 @@ class BaseGenerator extends EventEmitter {
             config: { ...config },
             options: { ...options },
             generator: this.name,
+            seed: config.seed,
             quality: options.quality || 'standard',
             tags: options.tags || []
         };
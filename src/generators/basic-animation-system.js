@@ -5,6 +5,30 @@
 
 const Jimp = require('jimp');
 const SpriteUtils = require('./sprite-generators/sprite-utils');
+const SpritesheetPacker = require('./spritesheet-packer');
+const SeededRandom = require('../utils/seeded-random');
+
+// Screen direction of each facing, y down; diagonal effects are placed along these
+const DIRECTION_VECTORS = {
+    north: { x: 0, y: -1 },
+    northeast: { x: 1, y: -1 },
+    east: { x: 1, y: 0 },
+    southeast: { x: 1, y: 1 },
+    south: { x: 0, y: 1 },
+    southwest: { x: -1, y: 1 },
+    west: { x: -1, y: 0 },
+    northwest: { x: -1, y: -1 }
+};
+
+// Animations of a directional character sheet by name
+const DIRECTIONAL_ANIMATIONS = {
+    walk: 'walk_cycle',
+    run: 'run_cycle',
+    attack: 'attack_swing',
+    cast: 'cast_spell',
+    hurt: 'hurt_reaction',
+    death: 'death_sequence'
+};
 
 class BasicAnimationSystem {
     constructor() {
@@ -144,6 +168,173 @@ class BasicAnimationSystem {
         return frames;
     }
 
+    /**
+     * Generate several character animations from one base sprite as a single timeline
+     *
+     * Each animation becomes a tag over its frames, with frame durations taken from
+     * animationTiming. When the base sprite comes with layers (CharacterGenerator.generateLayers),
+     * every frame gets those layers without the pixels the animation changed, plus an "effects"
+     * layer holding the frame's pixels there, so the layers flatten back into the frame and the
+     * result can be written as a layered Aseprite file.
+     * @param {Jimp} image - Base sprite
+     * @param {Object} config - Animation config
+     * @param {Object} [config.animations] - Tag name to animation type, e.g. { walk: 'walk_cycle' }
+     * @param {Array<{name: string, image: Jimp}>} [config.layers] - Layers of the base sprite
+     * @param {string} [config.characterClass] - Character class
+     * @param {string} [config.direction] - Facing direction
+     * @returns {Promise<{frames: Array<{image: Jimp, delay: number, layers?: Array}>, tags: Array}>} Frames and tags
+     */
+    async generateAnimationSet(image, config = {}) {
+        const animations = config.animations || { walk: 'walk_cycle', attack: 'attack_swing', idle: 'idle_poses' };
+        const frames = [];
+        const tags = [];
+
+        for (const [name, type] of Object.entries(animations)) {
+            const frameCount = this.animationDatabase.character_animations.frame_counts[type];
+            const timing = this.animationTiming[type];
+            if (!frameCount || !timing) {
+                throw new Error(`Unknown character animation type: ${type}`);
+            }
+
+            const animationFrames = await this.generateCharacterAnimation(image, {
+                ...config,
+                animationType: type,
+                frameCount
+            });
+            const delay = Math.round(timing.duration / animationFrames.length);
+
+            tags.push({
+                name,
+                from: frames.length,
+                to: frames.length + animationFrames.length - 1,
+                direction: 'forward',
+                repeat: timing.loop ? 0 : 1
+            });
+
+            for (const frameImage of animationFrames) {
+                const frame = { image: frameImage, delay };
+                if (config.layers) {
+                    frame.layers = this.splitFrameLayers(image, frameImage, config.layers);
+                }
+                frames.push(frame);
+            }
+        }
+
+        return { frames, tags };
+    }
+
+    /**
+     * Pack character animations for every facing into one sheet, a row per animation and direction
+     *
+     * Takes the views of CharacterGenerator.generateDirections. Rows run through every
+     * direction of the first animation, then of the next; frame ids are
+     * <animation>_<direction>_<frame> and each row becomes an animation named
+     * <animation>_<direction>. All directions of an animation are drawn from the same seed,
+     * so their effects line up from one facing to the next.
+     *
+     * Views with layers (PaperDollGenerator.generateDirections) also get a sheet per layer
+     * with the same grid, plus an "effects" sheet of the pixels the animations changed (see
+     * splitFrameLayers), so a game can stack the sheets and swap equipment.
+     * @param {Array<{direction: string, image: Jimp, layers?: Array}>} views - Character facings, in row order
+     * @param {Object} [config] - Animation config
+     * @param {Object} [config.animations] - Animation name to type; defaults to walk, run, attack, cast, hurt and death
+     * @param {string} [config.characterClass] - Character class
+     * @param {number|string} [config.seed] - Seed for the effects
+     * @param {Object} [config.packing] - SpritesheetPacker options for the grid
+     * @returns {Promise<{spritesheet: Object, animationData: Object, layerSheets?: Object}>} Grid
+     *   spritesheet and the animation data for GameEngineExporters.export; animationData.directions
+     *   maps each animation and facing to its animation name. layerSheets holds the grid
+     *   spritesheet of each layer by name, bottom first
+     */
+    async generateDirectionalSheet(views, config = {}) {
+        const animations = config.animations || DIRECTIONAL_ANIMATIONS;
+        const seed = config.seed !== undefined && config.seed !== null ? config.seed : SeededRandom.createSeed();
+        const animationData = { animations: {}, directions: {} };
+        const rows = [];
+        const layerRows = views[0] && views[0].layers ? new Map([...views[0].layers.map(layer => [layer.name, []]), ['effects', []]]) : null;
+
+        for (const [name, type] of Object.entries(animations)) {
+            const frameCount = this.animationDatabase.character_animations.frame_counts[type];
+            const timing = this.animationTiming[type];
+            if (!frameCount || !timing) {
+                throw new Error(`Unknown character animation type: ${type}`);
+            }
+            animationData.directions[name] = {};
+
+            for (const { direction, image, layers } of views) {
+                const animationName = `${name}_${direction}`;
+                const frames = await SeededRandom.run(`${seed}:${name}`, () => this.generateCharacterAnimation(image, {
+                    ...config,
+                    animationType: type,
+                    direction,
+                    frameCount
+                }));
+                const ids = frames.map((frame, index) => `${animationName}_${index}`);
+
+                rows.push(frames.map((frame, index) => ({ id: ids[index], image: frame })));
+                if (layerRows) {
+                    const frameLayers = frames.map(frame => this.splitFrameLayers(image, frame, layers));
+                    layerRows.forEach((sheetRows, layerName) => {
+                        sheetRows.push(frameLayers.map((entries, index) => ({
+                            id: ids[index],
+                            image: entries.find(entry => entry.name === layerName).image
+                        })));
+                    });
+                }
+                animationData.animations[animationName] = {
+                    frames: ids,
+                    loop: timing.loop,
+                    frameDuration: Math.round(timing.duration / frames.length),
+                    duration: timing.duration,
+                    row: rows.length - 1
+                };
+                animationData.directions[name][direction] = animationName;
+            }
+        }
+
+        const packing = { padding: 0, powerOfTwo: false, ...config.packing };
+        const spritesheet = await new SpritesheetPacker().generateGrid(rows, packing);
+        if (!layerRows) {
+            return { spritesheet, animationData };
+        }
+
+        const layerSheets = {};
+        for (const [name, sheetRows] of layerRows) {
+            const sheetName = packing.name ? `${packing.name}_${name}` : name;
+            layerSheets[name] = await new SpritesheetPacker().generateGrid(sheetRows, { ...packing, name: sheetName });
+        }
+        return { spritesheet, animationData, layerSheets };
+    }
+
+    /**
+     * Layers of one animation frame
+     *
+     * Animations move and recolour pixels of the flattened sprite, so the base layers only
+     * hold where the frame still matches the base sprite. Every changed pixel is cleared from
+     * the base layers, including ones the animation moved away from, and the "effects" layer
+     * takes the frame's pixel there. Stacking the result gives back the frame.
+     * @param {Jimp} base - Flattened base sprite
+     * @param {Jimp} frame - Animated frame
+     * @param {Array<{name: string, image: Jimp}>} layers - Layers of the base sprite, bottom first
+     * @returns {Array<{name: string, image: Jimp}>} The layers followed by "effects"
+     */
+    splitFrameLayers(base, frame, layers) {
+        const { width, height } = frame.bitmap;
+        const baseData = base.bitmap.data;
+        const frameData = frame.bitmap.data;
+        const frameLayers = layers.map(layer => ({ name: layer.name, image: layer.image.clone() }));
+        const effects = new Jimp(width, height, 0x00000000);
+
+        for (let i = 0; i < frameData.length; i += 4) {
+            if (frameData.readUInt32BE(i) === baseData.readUInt32BE(i)) continue;
+
+            frameLayers.forEach(layer => layer.image.bitmap.data.writeUInt32BE(0, i));
+            frameData.copy(effects.bitmap.data, i, i, i + 4);
+        }
+
+        return [...frameLayers, { name: 'effects', image: effects }];
+    }
+
     /**
      * Apply character animation frame transformations
      */
@@ -211,6 +402,11 @@ class BasicAnimationSystem {
             case 'west':
                 offsetX = -Math.abs(offsetX);
                 break;
+            default:
+                if (DIRECTION_VECTORS[direction]) {
+                    offsetX = DIRECTION_VECTORS[direction].x * Math.abs(offsetX);
+                    offsetY = DIRECTION_VECTORS[direction].y * Math.abs(offsetY);
+                }
         }
 
         // Apply subtle bouncing motion
@@ -222,7 +418,7 @@ class BasicAnimationSystem {
         }
 
         // Add foot dust particles
-        if (frameIndex % 2 === 0) {
+        if (keyframeIndex % 2 === 0) {
             await this.addFootDust(image, direction);
         }
     }
@@ -252,6 +448,11 @@ class BasicAnimationSystem {
             case 'west':
                 offsetX = -runOffset;
                 break;
+            default:
+                if (DIRECTION_VECTORS[direction]) {
+                    offsetX = DIRECTION_VECTORS[direction].x * runOffset * Math.SQRT1_2;
+                    offsetY = DIRECTION_VECTORS[direction].y * runOffset * Math.SQRT1_2;
+                }
         }
 
         // Add motion blur
@@ -559,8 +760,17 @@ class BasicAnimationSystem {
                     particleY = centerY + Math.random() * 40 - 20;
                     break;
                 default:
-                    particleX = centerX + Math.random() * 60 - 30;
-                    particleY = centerY + Math.random() * 60 - 30;
+                    if (DIRECTION_VECTORS[direction]) {
+                        // Thrown ahead along the diagonal
+                        const vector = DIRECTION_VECTORS[direction];
+                        const distance = (30 + Math.random() * 20) * Math.SQRT1_2;
+                        const spread = (Math.random() * 40 - 20) * Math.SQRT1_2;
+                        particleX = centerX + vector.x * distance - vector.y * spread;
+                        particleY = centerY + vector.y * distance + vector.x * spread;
+                    } else {
+                        particleX = centerX + Math.random() * 60 - 30;
+                        particleY = centerY + Math.random() * 60 - 30;
+                    }
             }
 
             const particleColor = this.animationColors.energy[Math.floor(Math.random() * this.animationColors.energy.length)];
@@ -589,9 +799,12 @@ class BasicAnimationSystem {
                 dustX = width * 0.8;
                 dustY = height * 0.5;
                 break;
-            default:
-                dustX = width * 0.5;
-                dustY = height * 0.5;
+            default: {
+                // Behind the character on diagonals
+                const vector = DIRECTION_VECTORS[direction] || { x: 0, y: 0 };
+                dustX = width * (0.5 - vector.x * 0.3);
+                dustY = height * (0.5 - vector.y * 0.3);
+            }
         }
 
         // Add small dust particles
@@ -634,10 +847,20 @@ class BasicAnimationSystem {
                     lineY2 = lineY1;
                     break;
                 default:
-                    lineX1 = width * 0.3 + Math.random() * width * 0.4;
-                    lineY1 = height * 0.3 + Math.random() * height * 0.4;
-                    lineX2 = lineX1 + 20;
-                    lineY2 = lineY1 - 20;
+                    if (DIRECTION_VECTORS[direction]) {
+                        // Trailing behind along the diagonal
+                        const vector = DIRECTION_VECTORS[direction];
+                        const spread = (Math.random() - 0.5) * width * 0.4 * Math.SQRT1_2;
+                        lineX1 = width * (0.5 - vector.x * 0.3) - vector.y * spread;
+                        lineY1 = height * (0.5 - vector.y * 0.3) + vector.x * spread;
+                        lineX2 = lineX1 + vector.x * width * 0.15;
+                        lineY2 = lineY1 + vector.y * height * 0.15;
+                    } else {
+                        lineX1 = width * 0.3 + Math.random() * width * 0.4;
+                        lineY1 = height * 0.3 + Math.random() * height * 0.4;
+                        lineX2 = lineX1 + 20;
+                        lineY2 = lineY1 - 20;
+                    }
             }
 
             this.utils.drawLine(image, lineX1, lineY1, lineX2, lineY2, 0xFFFFFF, 1);
@@ -665,9 +888,12 @@ class BasicAnimationSystem {
                 cloudX = width * 0.9;
                 cloudY = height * 0.5;
                 break;
-            default:
-                cloudX = width * 0.5;
-                cloudY = height * 0.5;
+            default: {
+                // Behind the character on diagonals
+                const vector = DIRECTION_VECTORS[direction] || { x: 0, y: 0 };
+                cloudX = width * (0.5 - vector.x * 0.4);
+                cloudY = height * (0.5 - vector.y * 0.4);
+            }
         }
 
         // Add dust cloud particles
@@ -718,9 +944,12 @@ class BasicAnimationSystem {
                 impactX = width * 0.2;
                 impactY = height * 0.5;
                 break;
-            default:
-                impactX = width * 0.5;
-                impactY = height * 0.5;
+            default: {
+                // Ahead of the character on diagonals
+                const vector = DIRECTION_VECTORS[direction] || { x: 0, y: 0 };
+                impactX = width * (0.5 + vector.x * 0.3);
+                impactY = height * (0.5 + vector.y * 0.3);
+            }
         }
 
         // Add impact particles
@@ -0,0 +1,219 @@
+/**
+ * Defold Exporter - Defold atlases, tile sources, tile maps and collections
+ * Writes the protobuf text format the Defold editor saves
+ */
+
+const INDENT = '  ';
+
+class DefoldExporter {
+    /**
+     * Create a Defold exporter
+     * @param {Object} options - Exporter options
+     * @param {string} [options.projectPath='/assets'] - Project directory the exported files live in
+     */
+    constructor(options = {}) {
+        this.options = {
+            projectPath: options.projectPath || '/assets'
+        };
+    }
+
+    /**
+     * Project path of a file in the export directory
+     */
+    resPath(file) {
+        const base = this.options.projectPath.replace(/\/+$/, '');
+        return `${base}/${file}`;
+    }
+
+    /**
+     * Generate an atlas (.atlas) of single images with animation groups
+     * @param {Array<string>} images - Image files, relative to the project path
+     * @param {Array<Object>} [animations] - Animations ({name, images: Array<string>, fps, loop})
+     * @param {Object} [options] - Atlas options
+     * @param {number} [options.extrudeBorders=1] - Edge pixels Defold repeats around each image
+     * @returns {string} Atlas
+     */
+    generateAtlas(images, animations = [], options = {}) {
+        const image = file => ({
+            image: this.resPath(file),
+            sprite_trim_mode: DefoldExporter.enumValue('SPRITE_TRIM_MODE_OFF')
+        });
+
+        return DefoldExporter.formatMessage({
+            images: images.map(image),
+            animations: animations.map(animation => ({
+                id: animation.name,
+                images: animation.images.map(image),
+                playback: DefoldExporter.enumValue(animation.loop ? 'PLAYBACK_LOOP_FORWARD' : 'PLAYBACK_ONCE_FORWARD'),
+                fps: Math.max(1, Math.round(animation.fps)),
+                flip_horizontal: 0,
+                flip_vertical: 0
+            })),
+            margin: 0,
+            extrude_borders: options.extrudeBorders !== undefined ? options.extrudeBorders : 1,
+            inner_padding: 0,
+            max_page_width: 0,
+            max_page_height: 0
+        });
+    }
+
+    /**
+     * Generate a tile source (.tilesource)
+     *
+     * Solid tilesets use their own image as the collision image, so Defold builds tile
+     * collision shapes from the opaque pixels, in the tileset's collision group.
+     * @param {Object} tileset - Tileset ({name, tileWidth, tileHeight, image: {source}, collision})
+     * @returns {string} Tile source
+     */
+    generateTileSource(tileset) {
+        const image = this.resPath(tileset.image.source);
+
+        return DefoldExporter.formatMessage({
+            image,
+            tile_width: tileset.tileWidth,
+            tile_height: tileset.tileHeight,
+            tile_margin: 0,
+            tile_spacing: 0,
+            collision: tileset.collision ? image : '',
+            material_tag: 'tile',
+            collision_groups: tileset.collision ? [tileset.name] : [],
+            extrude_borders: 1,
+            inner_padding: 0,
+            sprite_trim_mode: DefoldExporter.enumValue('SPRITE_TRIM_MODE_OFF')
+        });
+    }
+
+    /**
+     * Generate a tile map (.tilemap); cells count from the bottom-left, as in Defold
+     * @param {string} tileSourcePath - Tile source, relative to the project path
+     * @param {Array<{id: string, z: number, cells: Array<{x, y, tile}>}>} layers - Layers
+     * @returns {string} Tile map
+     */
+    generateTileMap(tileSourcePath, layers) {
+        return DefoldExporter.formatMessage({
+            tile_set: this.resPath(tileSourcePath),
+            layers: layers.map(layer => ({
+                id: layer.id,
+                z: DefoldExporter.float(layer.z || 0),
+                is_visible: 1,
+                cell: layer.cells.map(cell => ({
+                    x: cell.x,
+                    y: cell.y,
+                    tile: cell.tile,
+                    h_flip: 0,
+                    v_flip: 0,
+                    rotate90: 0
+                }))
+            })),
+            material: '/builtins/materials/tile_map.material',
+            blend_mode: DefoldExporter.enumValue('BLEND_MODE_ALPHA')
+        });
+    }
+
+    /**
+     * Generate a collection (.collection) of embedded game objects
+     * @param {string} name - Collection name
+     * @param {Array<Object>} instances - Game objects ({id, position: {x, y, z}, components: [{id, component}]})
+     * @returns {string} Collection
+     */
+    generateCollection(name, instances) {
+        return DefoldExporter.formatMessage({
+            name,
+            scale_along_z: 0,
+            embedded_instances: instances.map(instance => ({
+                id: instance.id,
+                data: DefoldExporter.formatMessage({
+                    components: (instance.components || []).map(component => ({
+                        id: component.id,
+                        component: this.resPath(component.component)
+                    }))
+                }),
+                position: {
+                    x: DefoldExporter.float(instance.position.x),
+                    y: DefoldExporter.float(instance.position.y),
+                    z: DefoldExporter.float(instance.position.z || 0)
+                },
+                rotation: {
+                    x: DefoldExporter.float(0),
+                    y: DefoldExporter.float(0),
+                    z: DefoldExporter.float(0),
+                    w: DefoldExporter.float(1)
+                },
+                scale3: {
+                    x: DefoldExporter.float(1),
+                    y: DefoldExporter.float(1),
+                    z: DefoldExporter.float(1)
+                }
+            }))
+        });
+    }
+
+    /**
+     * Image file name Defold can use as an atlas image id
+     */
+    getImageName(id) {
+        return String(id).replace(/[^A-Za-z0-9_-]/g, '_');
+    }
+
+    /**
+     * Float field value, always written with a decimal point
+     */
+    static float(value) {
+        return { defoldFloat: Number(value) };
+    }
+
+    /**
+     * Enum field value, written unquoted
+     */
+    static enumValue(name) {
+        return { defoldEnum: name };
+    }
+
+    /**
+     * Format a message in protobuf text format. Arrays are repeated fields, objects are
+     * nested messages; empty repeated fields are left out.
+     * @param {Object} message - Field values by name
+     * @param {string} [indent=''] - Indentation of the fields
+     * @returns {string} Message text
+     */
+    static formatMessage(message, indent = '') {
+        let text = '';
+
+        Object.entries(message).forEach(([name, value]) => {
+            [].concat(value).forEach(item => {
+                if (item === undefined || item === null) return;
+
+                if (typeof item === 'object' && item.defoldFloat === undefined && item.defoldEnum === undefined) {
+                    text += `${indent}${name} {\n${DefoldExporter.formatMessage(item, indent + INDENT)}${indent}}\n`;
+                } else {
+                    text += `${indent}${name}: ${DefoldExporter.formatValue(item)}\n`;
+                }
+            });
+        });
+
+        return text;
+    }
+
+    static formatValue(value) {
+        if (value.defoldEnum !== undefined) {
+            return value.defoldEnum;
+        }
+        if (value.defoldFloat !== undefined) {
+            const number = Math.round(value.defoldFloat * 1e6) / 1e6;
+            return Number.isInteger(number) ? number.toFixed(1) : String(number);
+        }
+        if (typeof value === 'number') {
+            return String(Math.round(value));
+        }
+        if (typeof value === 'boolean') {
+            return value ? '1' : '0';
+        }
+
+        return `"${String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')}"`;
+    }
+}
+
+module.exports = DefoldExporter;
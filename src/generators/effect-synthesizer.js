@@ -3,11 +3,14 @@
  * Specialized class for generating sound effects
  */
 
+const SfxrSynthesizer = require('./sfxr-synthesizer');
+
 class EffectSynthesizer {
     constructor(sampleRate = 44100, channels = 1, bitDepth = 16) {
         this.sampleRate = sampleRate;
         this.channels = channels;
         this.bitDepth = bitDepth;
+        this.sfxr = new SfxrSynthesizer();
     }
 
     /**
@@ -300,6 +303,16 @@ class EffectSynthesizer {
         return audioData;
     }
 
+    /**
+     * Generate an effect from sfxr/jsfxr parameters, or from a category randomizer
+     * (see SfxrSynthesizer); the sfxr engine always renders at 44.1 kHz
+     * @param {Object|string} params - Parameters, or a category such as 'pickup' or 'laser'
+     * @returns {Float32Array} Samples
+     */
+    generateParametric(params) {
+        return this.sfxr.render(typeof params === 'string' ? this.sfxr.generate(params) : params);
+    }
+
     /**
      * Apply noise generation and filtering
      */
@@ -1,16 +1,98 @@
 /**
- * Game Engine Exporters - Export formats for Unity, Godot, GameMaker, and generic engines
+ * Game Engine Exporters - Export formats for Unity, Godot, Phaser, PixiJS, Defold, LÖVE, GameMaker, and generic engines
  * Handles conversion of spritesheets and animations to game engine formats
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const GodotExporter = require('./godot-exporter');
+const SpritesheetPacker = require('./spritesheet-packer');
+const LevelExporter = require('./level-exporter');
+const DefoldExporter = require('./defold-exporter');
+const UnityTilemapExporter = require('./unity-tilemap-exporter');
+const CollisionShapes = require('../utils/collision-shapes');
+const AssetKeyModule = require('../utils/asset-key-module');
+const LuaModule = require('../utils/lua-module');
+
+// Helpers appended to every LÖVE module; M is the module table
+const LOVE_MODULE_FUNCTIONS = `
+-- Load the page images and build a Quad per frame in M.images and M.quads
+-- path: directory of the exported files, ending in a slash
+function M.load(path)
+  path = path or ""
+  M.images, M.quads = {}, {}
+  for i, file in ipairs(M.pages) do
+    M.images[i] = love.graphics.newImage(path .. file)
+  end
+  for name, f in pairs(M.frames) do
+    M.quads[name] = love.graphics.newQuad(f.x, f.y, f.w, f.h, M.images[f.page]:getDimensions())
+  end
+  return M
+end
+
+-- Draw a frame with x, y at the top-left of the untrimmed sprite
+function M.draw(name, x, y, r, sx, sy)
+  local f = M.frames[name]
+  love.graphics.draw(M.images[f.page], M.quads[name], x, y, r or 0, sx or 1, sy or 1, -f.ox, -f.oy)
+end
+
+-- Frame name of an animation after t seconds
+function M.getAnimationFrame(name, t)
+  local animation = M.animations[name]
+  local i = math.floor(t / animation.duration)
+  if animation.loop then
+    i = i % #animation.frames
+  else
+    i = math.min(i, #animation.frames - 1)
+  end
+  return animation.frames[i + 1]
+end
+
+-- Load a level's tileset images and build a Quad per tile
+function M.loadLevel(name, path)
+  path = path or ""
+  local level = M.levels[name]
+  for _, tileset in ipairs(level.tilesets) do
+    tileset.texture = love.graphics.newImage(path .. tileset.image)
+    tileset.quads = {}
+    local sw, sh = tileset.texture:getDimensions()
+    local rows = math.floor(sh / tileset.tile_height)
+    for i = 0, tileset.columns * rows - 1 do
+      tileset.quads[i + 1] = love.graphics.newQuad(
+        (i % tileset.columns) * tileset.tile_width, math.floor(i / tileset.columns) * tileset.tile_height,
+        tileset.tile_width, tileset.tile_height, sw, sh)
+    end
+  end
+  return level
+end
+
+-- Draw the tile layers of a level loaded with M.loadLevel
+function M.drawLevel(name, x, y)
+  local level = M.levels[name]
+  x, y = x or 0, y or 0
+  for _, layer in ipairs(level.layers) do
+    local tileset = level.tilesets[layer.tileset]
+    for row, tiles in ipairs(layer.data) do
+      for column, tile in ipairs(tiles) do
+        if tile > 0 and tileset.quads[tile] then
+          love.graphics.draw(tileset.texture, tileset.quads[tile],
+            x + (column - 1) * level.tile_width, y + (row - 1) * level.tile_height)
+        end
+      end
+    end
+  end
+end
+`;
 
 class GameEngineExporters {
     constructor() {
         this.exportFormats = {
             UNITY: 'unity',
             GODOT: 'godot',
+            PHASER: 'phaser',
+            PIXI: 'pixi',
+            DEFOLD: 'defold',
+            LOVE: 'love',
             GAMEMAKER: 'gamemaker',
             CONSTRUCT: 'construct',
             RENPY: 'renpy',
@@ -26,15 +108,6 @@ class GameEngineExporters {
                 filterMode: 'Point',
                 compression: 'None'
             },
-            godot: {
-                importAs: 'Texture',
-                flags: {
-                    repeat: false,
-                    filter: true,
-                    mipmaps: false,
-                    anisotropic: false
-                }
-            },
             gamemaker: {
                 origin: 0, // Top-left
                 collisionKind: 1, // Precise
@@ -66,6 +139,14 @@ class GameEngineExporters {
                 return await this.exportUnity(spritesheetData, animationData, config);
             case this.exportFormats.GODOT:
                 return await this.exportGodot(spritesheetData, animationData, config);
+            case this.exportFormats.PHASER:
+                return await this.exportPhaser(spritesheetData, animationData, config);
+            case this.exportFormats.PIXI:
+                return await this.exportPixi(spritesheetData, animationData, config);
+            case this.exportFormats.DEFOLD:
+                return await this.exportDefold(spritesheetData, animationData, config);
+            case this.exportFormats.LOVE:
+                return await this.exportLove(spritesheetData, animationData, config);
             case this.exportFormats.GAMEMAKER:
                 return await this.exportGameMaker(spritesheetData, animationData, config);
             case this.exportFormats.CONSTRUCT:
@@ -86,22 +167,32 @@ class GameEngineExporters {
         const baseName = config.baseName || 'CharacterSprite';
         const outputFiles = [];
 
-        // 1. Export spritesheet image
-        const imagePath = path.join(config.outputPath, `${baseName}.png`);
-        await spritesheetData.spritesheet.writeAsync(imagePath);
-        outputFiles.push(imagePath);
+        const pages = SpritesheetPacker.getPages(spritesheetData);
+        const pageFiles = [];
+        const framePolygons = this.getFrameCollisionPolygons(spritesheetData, config);
 
-        // 2. Export texture metadata (.meta file)
-        const textureMeta = this.generateUnityTextureMeta(baseName, spritesheetData);
-        const textureMetaPath = path.join(config.outputPath, `${baseName}.png.meta`);
-        await fs.writeFile(textureMetaPath, textureMeta, 'utf8');
-        outputFiles.push(textureMetaPath);
+        for (let index = 0; index < pages.length; index++) {
+            const pageName = SpritesheetPacker.getPageFileName(baseName, index, pages.length, 'png').replace(/\.png$/, '');
 
-        // 3. Export sprite metadata
-        const spriteMeta = this.generateUnitySpriteMeta(baseName, spritesheetData);
-        const spriteMetaPath = path.join(config.outputPath, `${baseName}_Sprites.asset.meta`);
-        await fs.writeFile(spriteMetaPath, spriteMeta, 'utf8');
-        outputFiles.push(spriteMetaPath);
+            // 1. Export spritesheet image
+            const imagePath = path.join(config.outputPath, `${pageName}.png`);
+            await pages[index].spritesheet.writeAsync(imagePath);
+            outputFiles.push(imagePath);
+
+            // 2. Export texture metadata (.meta file)
+            const textureMeta = this.generateUnityTextureMeta(pageName, pages[index]);
+            const textureMetaPath = path.join(config.outputPath, `${pageName}.png.meta`);
+            await fs.writeFile(textureMetaPath, textureMeta, 'utf8');
+            outputFiles.push(textureMetaPath);
+
+            // 3. Export sprite metadata
+            const spriteMeta = this.generateUnitySpriteMeta(pageName, pages[index], framePolygons);
+            const spriteMetaPath = path.join(config.outputPath, `${pageName}_Sprites.asset.meta`);
+            await fs.writeFile(spriteMetaPath, spriteMeta, 'utf8');
+            outputFiles.push(spriteMetaPath);
+
+            pageFiles.push({ image: imagePath, textureMeta: textureMetaPath, spriteMeta: spriteMetaPath });
+        }
 
         // 4. Export animation controller
         if (config.includeAnimations && animationData) {
@@ -125,18 +216,166 @@ class GameEngineExporters {
         await fs.writeFile(prefabPath, prefabData, 'utf8');
         outputFiles.push(prefabPath);
 
+        // 6. Export levels as Tilemap prefabs; levels share their tileset textures
+        const textureGuids = {};
+        const tilemaps = [];
+        for (const level of config.levels || []) {
+            const tilemap = await this.exportUnityTilemap(level, { ...config, textureGuids });
+            outputFiles.push(...tilemap.files);
+            tilemaps.push(tilemap.prefab);
+        }
+
         return {
             format: 'unity',
             files: outputFiles,
-            mainImage: imagePath,
+            mainImage: pageFiles[0].image,
+            pages: pageFiles,
+            tilemaps,
             metadata: {
-                textureMeta: textureMetaPath,
-                spriteMeta: spriteMetaPath,
+                textureMeta: pageFiles[0].textureMeta,
+                spriteMeta: pageFiles[0].spriteMeta,
                 controller: config.includeAnimations ? path.join(config.outputPath, `${baseName}_Controller.controller`) : null
             }
         };
     }
 
+    /**
+     * Export a level as native Unity 2D Tilemap assets
+     *
+     * Writes, under <level key>/, a Tile asset per placed tile, a Rule Tile per transition
+     * set (needs the 2D Tilemap Extras package), a Grid prefab with a Tilemap per layer and a
+     * Tile Palette holding every tile. Tileset textures get a .png.meta next to the image
+     * path they are exported with, slicing them into sprites; copy the images there.
+     * @param {Object} level - Level from LevelGenerator or the level editor
+     * @param {Object} config - Export options (outputPath, levelOptions, textureGuids)
+     * @returns {Promise<Object>} Written files, prefab and palette paths
+     */
+    async exportUnityTilemap(level, config) {
+        const assets = this.generateUnityTilemapAssets(level, config.levelOptions || {}, config.textureGuids || {});
+        const outputFiles = [];
+
+        for (const { file, content } of assets.files) {
+            const filePath = path.join(config.outputPath, file);
+            await this.ensureDirectoryExists(path.dirname(filePath));
+            await fs.writeFile(filePath, content, 'utf8');
+            outputFiles.push(filePath);
+        }
+
+        return {
+            files: outputFiles,
+            prefab: path.join(config.outputPath, assets.prefab),
+            palette: path.join(config.outputPath, assets.palette)
+        };
+    }
+
+    /**
+     * Unity Tilemap assets of a level (see exportUnityTilemap)
+     * @param {Object} [textureGuids] - GUIDs of texture .meta files already generated, by file;
+     *   shared between levels so they slice the same textures once
+     * @returns {{files: Array<{file: string, content: string}>, prefab: string, palette: string}} Files relative to the output path
+     */
+    generateUnityTilemapAssets(level, options = {}, textureGuids = {}) {
+        const levelExporter = new LevelExporter();
+        const unity = new UnityTilemapExporter();
+        const key = this.getAssetKey(level.name || level.id || 'level');
+        const files = [];
+
+        const addAsset = (file, content, meta) => {
+            const guid = this.generateUnityGUID();
+            files.push({ file, content }, { file: `${file}.meta`, content: meta(guid) });
+            return guid;
+        };
+        const spriteOf = (tileset, index) => {
+            const file = `${tileset.image.source}.meta`;
+            if (!textureGuids[file]) {
+                textureGuids[file] = this.generateUnityGUID();
+                files.push({ file, content: unity.generateTextureMeta(textureGuids[file], tileset) });
+            }
+            return { guid: textureGuids[file], fileID: UnityTilemapExporter.getSpriteFileID(index) };
+        };
+
+        // 1. Tile assets for the placed tiles, walls colliding as whole cells except doors;
+        //    traced tiles collide with their sprite's physics shape
+        const layers = levelExporter.getPlacedTilesets(level, options).map(tileset => {
+            const tileAssets = {};
+            [...new Set(tileset.tiles.map(tile => tile.tileId))].sort((a, b) => a - b).forEach(tileId => {
+                const tileName = `${tileset.name}_${tileset.tileNames ? this.getAssetKey(tileset.tileNames[tileId]) : tileId}`;
+                const solid = tileset.collision === true || (Array.isArray(tileset.collision) && tileset.collision.includes(tileId));
+                const sprite = spriteOf(tileset, tileId);
+                let collider = UnityTilemapExporter.COLLIDER.NONE;
+                if (solid) {
+                    collider = tileset.collisionPolygons ? UnityTilemapExporter.COLLIDER.SPRITE : UnityTilemapExporter.COLLIDER.GRID;
+                }
+                const content = unity.generateTile(tileName, sprite, collider);
+
+                tileAssets[tileId] = { guid: addAsset(`${key}/Tiles/${tileName}.asset`, content, guid => unity.generateAssetMeta(guid)), sprite };
+            });
+
+            return {
+                name: (LevelExporter.TMX_LAYERS.find(layer => layer.key === tileset.name) || tileset).name,
+                collider: tileset.collision === true || (Array.isArray(tileset.collision) && tileset.collision.length > 0),
+                tileAssets,
+                cells: tileset.tiles.map(tile => ({ x: tile.cx, y: -1 - tile.cy, tile: tileAssets[tile.tileId] }))
+            };
+        });
+
+        // 2. Rule Tiles for the transition sets
+        const ruleTiles = levelExporter.getTilesetDefinitions(level, options)
+            .filter(tileset => tileset.transitionSet)
+            .map(tileset => {
+                const { toTile } = levelExporter.getWangsetInfo(tileset.transitionSet);
+                const rules = unity.getTransitionRules(tileset.transitionSet, tileId => spriteOf(tileset, tileId));
+                const sprite = spriteOf(tileset, toTile ? toTile.id : 0);
+                const content = unity.generateRuleTile(tileset.name, sprite, rules);
+
+                return { guid: addAsset(`${key}/Tiles/${tileset.name}.asset`, content, guid => unity.generateAssetMeta(guid)), sprite };
+            });
+
+        // 3. Level prefab
+        const prefab = `${key}/${key}.prefab`;
+        addAsset(prefab, unity.generateGridPrefab(level.name || key, layers), guid => unity.generatePrefabMeta(guid));
+
+        // 4. Tile Palette: a row block per tileset, ten tiles wide, then the Rule Tiles
+        const paletteCells = [];
+        let row = 0;
+        [...layers.map(layer => Object.values(layer.tileAssets)), ruleTiles].forEach(group => {
+            group.forEach((tile, index) => {
+                paletteCells.push({ x: index % 10, y: -1 - row - Math.floor(index / 10), tile });
+            });
+            row += Math.ceil(group.length / 10);
+        });
+
+        const palette = `${key}/${key}_palette.prefab`;
+        addAsset(palette, unity.generateGridPrefab(`${key}_palette`, [{ name: 'Layer1', cells: paletteCells }], { palette: true }),
+            guid => unity.generatePrefabMeta(guid));
+
+        return { files, prefab, palette };
+    }
+
+    /**
+     * Unity asset GUID: 32 hex digits
+     */
+    generateUnityGUID() {
+        return this.generateGUID().replace(/-/g, '');
+    }
+
+    /**
+     * Collision polygons of every frame, traced from its alpha when config.collisionShapes is
+     * set: true, or CollisionShapes.fromImage options plus the shape to use ('polygon',
+     * 'hull' or 'aabb')
+     * @returns {Object|null} Polygons by frame id, in untrimmed frame pixels
+     */
+    getFrameCollisionPolygons(spritesheetData, config) {
+        if (!config.collisionShapes) return null;
+
+        const options = config.collisionShapes === true ? {} : config.collisionShapes;
+        const polygons = {};
+        Object.entries(SpritesheetPacker.getCollisionShapes(spritesheetData, options)).forEach(([id, shapes]) => {
+            polygons[id] = CollisionShapes.getPolygons(shapes, options.shape);
+        });
+        return polygons;
+    }
+
     /**
      * Generate Unity texture metadata
      */
@@ -255,17 +494,35 @@ MonoBehaviour:
     }
 
     /**
-     * Generate Unity sprite metadata
+     * Generate Unity sprite metadata for one spritesheet page
+     *
+     * Unity rects start at the bottom of the texture, and trimmed sprites move their
+     * pivot so it stays at the centre of the untrimmed frame. Collision polygons become the
+     * sprite's physics shape, in units from the pivot with y up.
+     * @param {Object} [framePolygons] - Collision polygons by frame id (see getFrameCollisionPolygons)
      */
-    generateUnitySpriteMeta(baseName, spritesheetData) {
+    generateUnitySpriteMeta(baseName, spritesheetData, framePolygons = null) {
         let meta = `%YAML 1.1
 %TAG !u! tag:unity3d.com,2011:
 `;
 
         let fileId = 3;
-        const frames = spritesheetData.metadata.frames || {};
+        const { pixelsPerUnit } = this.engineSettings.unity;
+        const frames = SpritesheetPacker.getFrames(spritesheetData.metadata);
+        const textureHeight = spritesheetData.spritesheet.bitmap.height;
 
         for (const [frameId, frameData] of Object.entries(frames)) {
+            if (frameData.rotated) {
+                throw new Error('Unity sprites need spritesheets packed without rotation');
+            }
+            const { x, y, w, h } = frameData.frame;
+            const pivot = this.getUnityPivot(frameData);
+            const source = frameData.trimmed && frameData.sourceSize ? frameData.sourceSize : { w, h };
+            const polygons = (framePolygons && framePolygons[frameId]) || [];
+            const physicsShape = UnityTilemapExporter.formatPhysicsShape('m_PhysicsShape', polygons, '  ', point => ({
+                x: (point.x - source.w / 2) / pixelsPerUnit,
+                y: (source.h / 2 - point.y) / pixelsPerUnit
+            }));
             meta += `--- !u!213 &${fileId}
 Sprite:
   m_ObjectHideFlags: 0
@@ -275,14 +532,14 @@ Sprite:
   m_Name: ${frameId}
   m_Rect:
     serializedVersion: 2
-    x: ${frameData.frame.x}
-    y: ${frameData.frame.y}
-    width: ${frameData.frame.w}
-    height: ${frameData.frame.h}
+    x: ${x}
+    y: ${textureHeight - y - h}
+    width: ${w}
+    height: ${h}
   m_Offset: {x: 0, y: 0}
   m_Border: {x: 0, y: 0, z: 0, w: 0}
-  m_PixelsToUnits: 32
-  m_Pivot: {x: 0.5, y: 0.5}
+  m_PixelsToUnits: ${pixelsPerUnit}
+  m_Pivot: {x: ${pivot.x}, y: ${pivot.y}}
   m_Extrude: 1
   m_IsPolygon: 0
   m_AtlasName: ${baseName}
@@ -311,11 +568,11 @@ Sprite:
   m_LocalAABB:
     m_Center: {x: 0, y: 0, z: 0}
     m_Extent: {x: 0, y: 0, z: 0}
-  m_PhysicsShape: []
+${physicsShape}
   m_Bones: []
   m_SpriteID: 
   m_VertexColor: {r: 1, g: 1, b: 1, a: 1}
-  m_HasPhysicsShape: 0
+  m_HasPhysicsShape: ${polygons.length > 0 ? 1 : 0}
 
 `;
             fileId++;
@@ -324,6 +581,25 @@ Sprite:
         return meta;
     }
 
+    /**
+     * Normalized pivot (from the bottom left of the sprite rect) at the centre of the untrimmed frame
+     */
+    getUnityPivot(frameData) {
+        const { w, h } = frameData.frame;
+        if (!frameData.trimmed || !frameData.spriteSourceSize || !frameData.sourceSize) {
+            return { x: 0.5, y: 0.5 };
+        }
+
+        const offset = frameData.spriteSourceSize;
+        const source = frameData.sourceSize;
+        const round = value => Math.round(value * 10000) / 10000;
+
+        return {
+            x: round((source.w / 2 - offset.x) / w),
+            y: round((offset.y + h - source.h / 2) / h)
+        };
+    }
+
     /**
      * Generate Unity animation controller
      */
@@ -562,33 +838,34 @@ Animator:
     }
 
     /**
-     * Export for Godot game engine
+     * Export for Godot 4: the spritesheet pages, a SpriteFrames resource of AtlasTexture regions
+     * and a scene with an AnimatedSprite2D using it
      */
     async exportGodot(spritesheetData, animationData, config) {
         const baseName = config.baseName || 'CharacterSprite';
+        const godot = new GodotExporter({ resourcePath: config.resourcePath });
         const outputFiles = [];
 
-        // 1. Export spritesheet image
-        const imagePath = path.join(config.outputPath, `${baseName}.png`);
-        await spritesheetData.spritesheet.writeAsync(imagePath);
-        outputFiles.push(imagePath);
-
-        // 2. Export texture resource (.tres)
-        const textureResource = this.generateGodotTextureResource(baseName, spritesheetData);
-        const texturePath = path.join(config.outputPath, `${baseName}.tres`);
-        await fs.writeFile(texturePath, textureResource, 'utf8');
-        outputFiles.push(texturePath);
-
-        // 3. Export sprite frames resource
-        if (config.includeAnimations && animationData) {
-            const spriteFrames = this.generateGodotSpriteFrames(baseName, spritesheetData, animationData);
-            const spriteFramesPath = path.join(config.outputPath, `${baseName}_frames.tres`);
-            await fs.writeFile(spriteFramesPath, spriteFrames, 'utf8');
-            outputFiles.push(spriteFramesPath);
-        }
-
-        // 4. Export scene (.tscn)
-        const sceneData = this.generateGodotScene(baseName);
+        // 1. Export spritesheet images, one per page
+        const imageFiles = await this.writeSpritesheetPages(spritesheetData, baseName, config.outputPath, outputFiles);
+        const imagePath = outputFiles[0];
+
+        // 2. Export sprite frames resource
+        const animations = config.includeAnimations && animationData ? animationData.animations : {};
+        const spriteFrames = godot.generateSpriteFrames(imageFiles, SpritesheetPacker.collectFrames(spritesheetData), animations);
+        const spriteFramesPath = path.join(config.outputPath, `${baseName}_frames.tres`);
+        await fs.writeFile(spriteFramesPath, spriteFrames, 'utf8');
+        outputFiles.push(spriteFramesPath);
+
+        // 3. Export scene (.tscn), with a hitbox when collision shapes are traced
+        const animationNames = Object.keys(animations || {});
+        const animation = animationNames.includes('idle') ? 'idle' : animationNames[0] || 'default';
+        const framePolygons = this.getFrameCollisionPolygons(spritesheetData, config);
+        const sceneData = godot.generateSpriteScene(baseName, `${baseName}_frames.tres`, {
+            animation,
+            directions: config.includeAnimations && animationData ? this.getAnimationDirections(animationData) : null,
+            collision: framePolygons ? this.getGodotCollision(spritesheetData, animations, framePolygons, animation) : null
+        });
         const scenePath = path.join(config.outputPath, `${baseName}.tscn`);
         await fs.writeFile(scenePath, sceneData, 'utf8');
         outputFiles.push(scenePath);
@@ -597,103 +874,470 @@ Animator:
             format: 'godot',
             files: outputFiles,
             mainImage: imagePath,
-            textureResource: texturePath,
-            spriteFrames: config.includeAnimations ? path.join(config.outputPath, `${baseName}_frames.tres`) : null
+            spriteFrames: spriteFramesPath,
+            scene: scenePath
         };
     }
 
     /**
-     * Generate Godot texture resource
+     * Hitbox polygons of a Godot sprite scene, moved to the centre of each frame
+     * (AnimatedSprite2D draws frames centred); without animations, every frame in order
+     * makes up "default" as in the SpriteFrames resource
+     */
+    getGodotCollision(spritesheetData, animations, framePolygons, animation) {
+        const frames = SpritesheetPacker.collectFrames(spritesheetData);
+        const sequences = Object.keys(animations || {}).length > 0
+            ? this.getAnimationSequences(spritesheetData, { animations })
+            : [{ name: 'default', frames: Object.keys(frames) }];
+
+        const centred = id => {
+            const frame = frames[id];
+            const source = frame.trimmed && frame.sourceSize ? frame.sourceSize : frame.frame;
+            return framePolygons[id].map(points => points.map(point => ({ x: point.x - source.w / 2, y: point.y - source.h / 2 })));
+        };
+
+        const collision = { polygons: [], animations: {} };
+        sequences.forEach(sequence => {
+            collision.animations[sequence.name] = sequence.frames.map(centred);
+        });
+        const shown = collision.animations[animation] || Object.values(collision.animations)[0];
+        collision.polygons = shown && shown.length > 0 ? shown[0] : [];
+
+        return collision;
+    }
+
+    /**
+     * Export for Phaser 3: a multiatlas, an animations file for anims.fromJSON (or
+     * load.animation), Tiled JSON maps of config.levels for load.tilemapTiledJSON, and a
+     * TypeScript module with the asset keys and a preload function
      */
-    generateGodotTextureResource(baseName, spritesheetData) {
-        const settings = this.engineSettings.godot;
+    async exportPhaser(spritesheetData, animationData, config) {
+        const baseName = config.baseName || 'CharacterSprite';
+        const atlasKey = config.atlasKey || baseName;
+        const outputFiles = [];
 
-        return `[gd_resource type="Texture" load_steps=1 format=3]
+        // 1. Export spritesheet images, one per page
+        const imageFiles = await this.writeSpritesheetPages(spritesheetData, baseName, config.outputPath, outputFiles);
+
+        // 2. Export multiatlas JSON
+        const atlasPath = path.join(config.outputPath, `${baseName}.json`);
+        await fs.writeFile(atlasPath, JSON.stringify(this.generatePhaserMultiAtlas(spritesheetData, imageFiles), null, 2), 'utf8');
+        outputFiles.push(atlasPath);
+
+        // 3. Export animations
+        const animations = config.includeAnimations && animationData ? this.getAnimationSequences(spritesheetData, animationData) : [];
+        let animationsPath = null;
+        if (animations.length > 0) {
+            animationsPath = path.join(config.outputPath, `${baseName}_anims.json`);
+            await fs.writeFile(animationsPath, JSON.stringify(this.generatePhaserAnimations(atlasKey, animations), null, 2), 'utf8');
+            outputFiles.push(animationsPath);
+        }
 
-[ext_resource path="res://${baseName}.png" type="Texture" id=1]
+        // 4. Export tilemaps
+        const levelExporter = new LevelExporter();
+        const tilemaps = [];
+        for (const level of config.levels || []) {
+            const key = this.getAssetKey(level.name || level.id || `level_${tilemaps.length}`);
+            const tilemapPath = path.join(config.outputPath, `${key}.tmj`);
+            const tilemap = await levelExporter.exportToTiledJSON(level, config.levelOptions || {});
+            await fs.writeFile(tilemapPath, tilemap, 'utf8');
+            outputFiles.push(tilemapPath);
+            tilemaps.push({ key, file: `${key}.tmj`, tilesets: JSON.parse(tilemap).tilesets });
+        }
 
-[resource]
-resource_name = "${baseName}"
-texture = ExtResource( 1 )
-flags = ${settings.flags.repeat ? 1 : 0} | ${settings.flags.filter ? 4 : 0} | ${settings.flags.mipmaps ? 8 : 0} | ${settings.flags.anisotropic ? 16 : 0}
-load_path = "res://.import/${baseName}.png-${this.generateGodotImportHash(baseName)}"`;
+        // 5. Export TypeScript asset keys
+        const keysPath = path.join(config.outputPath, `${baseName}Keys.ts`);
+        const keys = this.generatePhaserKeyModule({
+            atlasKey,
+            atlasFile: `${baseName}.json`,
+            animationsFile: animationsPath ? `${baseName}_anims.json` : null,
+            frames: Object.keys(SpritesheetPacker.collectFrames(spritesheetData)),
+            animations: animations.map(animation => animation.name),
+            directions: animations.length > 0 ? this.getAnimationDirections(animationData) : null,
+            tilemaps
+        });
+        await fs.writeFile(keysPath, keys, 'utf8');
+        outputFiles.push(keysPath);
+
+        return {
+            format: 'phaser',
+            files: outputFiles,
+            mainImage: outputFiles[0],
+            atlas: atlasPath,
+            animations: animationsPath,
+            tilemaps: tilemaps.map(tilemap => path.join(config.outputPath, tilemap.file)),
+            keys: keysPath
+        };
     }
 
     /**
-     * Generate Godot sprite frames
+     * Phaser 3 multiatlas JSON: one texture per spritesheet page
      */
-    generateGodotSpriteFrames(baseName, spritesheetData, animationData) {
-        let framesData = `[gd_resource type="SpriteFrames" load_steps=2 format=3]
+    generatePhaserMultiAtlas(spritesheetData, imageFiles) {
+        const pages = SpritesheetPacker.getPages(spritesheetData);
 
-[ext_resource path="res://${baseName}.tres" type="Texture" id=1]
+        return {
+            textures: pages.map((page, index) => ({
+                image: imageFiles[index],
+                format: page.metadata.meta?.format || 'RGBA8888',
+                size: { w: page.spritesheet.bitmap.width, h: page.spritesheet.bitmap.height },
+                scale: page.metadata.meta?.scale || 1,
+                frames: Object.entries(SpritesheetPacker.getFrames(page.metadata))
+                    .map(([filename, frame]) => ({ filename, ...frame }))
+            })),
+            meta: {
+                app: 'TPT Asset Editor',
+                version: '1.0'
+            }
+        };
+    }
 
-[resource]
-resource_name = "${baseName}_frames"
-animations = [
-`;
+    /**
+     * Phaser 3 animations JSON, in the shape AnimationManager.fromJSON reads
+     */
+    generatePhaserAnimations(atlasKey, animations) {
+        return {
+            anims: animations.map(animation => ({
+                key: animation.name,
+                type: 'frame',
+                frames: animation.frames.map(frame => ({ key: atlasKey, frame, duration: 0 })),
+                frameRate: Math.round(100000 / animation.frameDuration) / 100,
+                repeat: animation.loop ? -1 : 0,
+                repeatDelay: 0,
+                delay: 0,
+                yoyo: false,
+                showOnStart: false,
+                hideOnComplete: false,
+                skipMissedFrames: true
+            })),
+            globalTimeScale: 1
+        };
+    }
 
-        // Add animations
-        const animations = animationData.animations || {};
-        const frames = spritesheetData.metadata.frames || {};
+    /**
+     * TypeScript key module of a Phaser export. preload() takes the scene's loader, typed
+     * structurally so the module doesn't import Phaser.
+     */
+    generatePhaserKeyModule({ atlasKey, atlasFile, animationsFile, frames, animations, directions, tilemaps }) {
+        const module = new AssetKeyModule(`Phaser asset keys for the ${atlasKey} atlas`)
+            .addKeys('Atlases', 'AtlasKey', [atlasKey])
+            .addKeys('Frames', 'FrameKey', frames)
+            .addKeys('Animations', 'AnimationKey', animations);
+        if (directions) {
+            module.addDirections(directions);
+        }
 
-        for (const [animName, animData] of Object.entries(animations)) {
-            framesData += `\t{\n`;
-            framesData += `\t\t"frames": [\n`;
+        const tilesets = [...new Set(tilemaps.flatMap(tilemap => tilemap.tilesets.map(tileset => tileset.name)))];
+        if (tilemaps.length > 0) {
+            module.addKeys('Tilemaps', 'TilemapKey', tilemaps.map(tilemap => tilemap.key))
+                .addKeys('Tilesets', 'TilesetKey', tilesets);
+        }
 
-            for (const frameId of animData.frames) {
-                const frame = frames[frameId];
-                if (frame) {
-                    framesData += `\t\t\t{\n`;
-                    framesData += `\t\t\t\t"atlas": ExtResource( 1 ),\n`;
-                    framesData += `\t\t\t\t"region": Rect2( ${frame.frame.x}, ${frame.frame.y}, ${frame.frame.w}, ${frame.frame.h} ),\n`;
-                    framesData += `\t\t\t\t"margin": Rect2( 0, 0, 0, 0 ),\n`;
-                    framesData += `\t\t\t\t"flip_h": false,\n`;
-                    framesData += `\t\t\t\t"flip_v": false\n`;
-                    framesData += `\t\t\t},\n`;
-                }
+        const quote = AssetKeyModule.quote;
+        const calls = [`    load.multiatlas(${quote(atlasKey)}, path + ${quote(atlasFile)}, path);`];
+        if (animationsFile) {
+            calls.push(`    load.animation(${quote(`${atlasKey}_anims`)}, path + ${quote(animationsFile)});`);
+        }
+        tilemaps.forEach(tilemap => {
+            calls.push(`    load.tilemapTiledJSON(${quote(tilemap.key)}, path + ${quote(tilemap.file)});`);
+        });
+        const tilesetImages = new Map();
+        tilemaps.forEach(tilemap => tilemap.tilesets.forEach(tileset => tilesetImages.set(tileset.name, tileset.image)));
+        tilesetImages.forEach((image, name) => {
+            calls.push(`    load.image(${quote(name)}, path + ${quote(image)});`);
+        });
+
+        const methods = ['multiatlas(key: string, url: string, path?: string): unknown;'];
+        if (animationsFile) methods.push('animation(key: string, url: string): unknown;');
+        if (tilemaps.length > 0) {
+            methods.push('tilemapTiledJSON(key: string, url: string): unknown;', 'image(key: string, url: string): unknown;');
+        }
+
+        return module.addSource(`/** The parts of Phaser.Loader.LoaderPlugin that preload uses */
+export interface AssetLoader {
+${methods.map(method => `    ${method}`).join('\n')}
+}
+
+/**
+ * Queue every exported file; call from a scene's preload with this.load.
+ * Tilemap tileset images are loaded under their tileset names.
+ * @param load - The scene's loader
+ * @param path - URL of the export directory, ending in a slash
+ */
+export function preload(load: AssetLoader, path = ''): void {
+${calls.join('\n')}
+}`).toString();
+    }
+
+    /**
+     * Export for PixiJS: TexturePacker JSON-Hash spritesheets with an animations table,
+     * one per page (linked through meta.related_multi_packs), and a TypeScript key module
+     */
+    async exportPixi(spritesheetData, animationData, config) {
+        const baseName = config.baseName || 'CharacterSprite';
+        const outputFiles = [];
+        const pages = SpritesheetPacker.getPages(spritesheetData);
+
+        // 1. Export spritesheet images, one per page
+        await this.writeSpritesheetPages(spritesheetData, baseName, config.outputPath, outputFiles);
+
+        // 2. Export spritesheet JSON; each animation goes with the page holding its frames
+        const animations = config.includeAnimations && animationData ? this.getAnimationSequences(spritesheetData, animationData) : [];
+        const sheets = this.generatePixiSpritesheets(spritesheetData, animations, baseName);
+        const sheetFiles = pages.map((page, index) => SpritesheetPacker.getPageFileName(baseName, index, pages.length, 'json'));
+
+        for (let index = 0; index < sheets.length; index++) {
+            const sheetPath = path.join(config.outputPath, sheetFiles[index]);
+            await fs.writeFile(sheetPath, JSON.stringify(sheets[index], null, 2), 'utf8');
+            outputFiles.push(sheetPath);
+        }
+
+        // 3. Export TypeScript asset keys
+        const keysPath = path.join(config.outputPath, `${baseName}Keys.ts`);
+        const keys = new AssetKeyModule(`PixiJS asset keys for the ${baseName} spritesheet`)
+            .addKeys('Spritesheets', 'SpritesheetUrl', [sheetFiles[0]])
+            .addKeys('Textures', 'TextureKey', Object.keys(SpritesheetPacker.collectFrames(spritesheetData)))
+            .addKeys('Animations', 'AnimationKey', animations.map(animation => animation.name));
+        const directions = animations.length > 0 ? this.getAnimationDirections(animationData) : null;
+        if (directions) {
+            keys.addDirections(directions);
+        }
+        await fs.writeFile(keysPath, keys.toString(), 'utf8');
+        outputFiles.push(keysPath);
+
+        return {
+            format: 'pixi',
+            files: outputFiles,
+            mainImage: outputFiles[0],
+            spritesheets: sheetFiles.map(file => path.join(config.outputPath, file)),
+            keys: keysPath
+        };
+    }
+
+    /**
+     * PixiJS spritesheet data per page. Pixi resolves animation frames within one sheet,
+     * so an animation whose frames span pages is an error.
+     */
+    generatePixiSpritesheets(spritesheetData, animations, baseName) {
+        const pages = SpritesheetPacker.getPages(spritesheetData);
+        const frames = SpritesheetPacker.collectFrames(spritesheetData);
+        const sheets = pages.map(page => ({
+            metadata: {
+                frames: SpritesheetPacker.getFrames(page.metadata),
+                animations: {},
+                meta: { ...page.metadata.meta }
+            }
+        }));
+
+        animations.forEach(animation => {
+            const pageIndices = [...new Set(animation.frames.map(id => frames[id].page || 0))];
+            if (pageIndices.length > 1) {
+                throw new Error(`Animation '${animation.name}' spans spritesheet pages ${pageIndices.join(', ')}; PixiJS needs each animation on one page`);
             }
+            sheets[pageIndices[0]].metadata.animations[animation.name] = animation.frames;
+        });
+
+        return new SpritesheetPacker().namePages(sheets, baseName).map(sheet => sheet.metadata);
+    }
 
-            framesData += `\t\t],\n`;
-            framesData += `\t\t"loop": ${animData.loop ? 'true' : 'false'},\n`;
-            framesData += `\t\t"name": "${animName}",\n`;
-            framesData += `\t\t"speed": ${1000 / animData.frameDuration}\n`;
-            framesData += `\t},\n`;
+    /**
+     * Write every spritesheet page image
+     * @returns {Promise<Array<string>>} Image file names, relative to the output path
+     */
+    async writeSpritesheetPages(spritesheetData, baseName, outputPath, outputFiles) {
+        const pages = SpritesheetPacker.getPages(spritesheetData);
+        const imageFiles = pages.map((page, index) => SpritesheetPacker.getPageFileName(baseName, index, pages.length, 'png'));
+
+        for (let index = 0; index < pages.length; index++) {
+            const imagePath = path.join(outputPath, imageFiles[index]);
+            await pages[index].spritesheet.writeAsync(imagePath);
+            outputFiles.push(imagePath);
         }
 
-        framesData += ']\n';
+        return imageFiles;
+    }
 
-        return framesData;
+    /**
+     * Animations with frame indices resolved to frame ids
+     * @returns {Array<{name: string, frames: Array<string>, loop: boolean, frameDuration: number}>} Animations
+     */
+    getAnimationSequences(spritesheetData, animationData) {
+        const frames = SpritesheetPacker.collectFrames(spritesheetData);
+        const frameIds = Object.keys(frames);
+
+        return Object.entries(animationData.animations || {})
+            .filter(([, animation]) => animation.frames && animation.frames.length > 0)
+            .map(([name, animation]) => ({
+                name,
+                frames: animation.frames.map(frame => {
+                    const id = typeof frame === 'number' ? frameIds[frame] : frame;
+                    if (!frames[id]) {
+                        throw new Error(`Animation frame ${frame} is not in the spritesheet`);
+                    }
+                    return id;
+                }),
+                loop: Boolean(animation.loop),
+                frameDuration: animation.frameDuration || 100
+            }));
     }
 
     /**
-     * Generate Godot scene
+     * Animation names by animation and facing of a directional sheet
+     * (BasicAnimationSystem.generateDirectionalSheet), keeping only exported animations
+     * @returns {Object|null} e.g. { walk: { north: 'walk_north' } }, or null without directions
      */
-    generateGodotScene(baseName) {
-        return `[gd_scene load_steps=4 format=3]
-
-[ext_resource path="res://${baseName}_frames.tres" type="SpriteFrames" id=1]
-
-[sub_resource type="Animation" id=2]
-resource_name = "RESET"
-tracks/0/type = "value"
-tracks/0/imported = false
-tracks/0/enabled = true
-tracks/0/path = NodePath(".:frame")
-tracks/0/interp = 1
-tracks/0/loop_wrap = true
-tracks/0/keys = {
-"times": PackedFloat32Array(0),
-"transitions": PackedFloat32Array(1),
-"update": 1,
-"values": [0]
-}
+    getAnimationDirections(animationData) {
+        const animations = animationData.animations || {};
+        const directions = {};
 
-[node name="${baseName}" type="AnimatedSprite2D"]
-sprite_frames = ExtResource( 1 )
-animation = &"idle"
-autoplay = "idle"
-frame = 0
-centered = true`;
+        Object.entries(animationData.directions || {}).forEach(([name, byFacing]) => {
+            const exported = Object.entries(byFacing).filter(([, animation]) => animations[animation]);
+            if (exported.length > 0) {
+                directions[name] = Object.fromEntries(exported);
+            }
+        });
+
+        return Object.keys(directions).length > 0 ? directions : null;
+    }
+
+    /**
+     * Lowercase file-safe asset key: 'Crypt of Bones' -> 'crypt_of_bones'
+     */
+    getAssetKey(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'asset';
+    }
+
+    /**
+     * Export for Defold
+     *
+     * Defold builds its own atlases from single images, so each frame is written as a PNG
+     * at its original size under <baseName>/, with a .atlas grouping them into animations.
+     * config.levels become tile sources, tile maps and a collection per level.
+     * config.projectPath is the Defold project directory the output path maps to.
+     */
+    async exportDefold(spritesheetData, animationData, config) {
+        const baseName = config.baseName || 'CharacterSprite';
+        const defold = new DefoldExporter({ projectPath: config.projectPath });
+        const pages = SpritesheetPacker.getPages(spritesheetData);
+        const frames = SpritesheetPacker.collectFrames(spritesheetData);
+        const outputFiles = [];
+
+        // 1. Export frame images
+        await this.ensureDirectoryExists(path.join(config.outputPath, baseName));
+        const imageFiles = {};
+        for (const [id, frame] of Object.entries(frames)) {
+            imageFiles[id] = `${baseName}/${defold.getImageName(id)}.png`;
+            const imagePath = path.join(config.outputPath, imageFiles[id]);
+            await SpritesheetPacker.extractFrame(pages[frame.page || 0].spritesheet, frame).writeAsync(imagePath);
+            outputFiles.push(imagePath);
+        }
+
+        // 2. Export atlas with animation groups
+        const animations = config.includeAnimations && animationData ? this.getAnimationSequences(spritesheetData, animationData) : [];
+        const atlasPath = path.join(config.outputPath, `${baseName}.atlas`);
+        const atlas = defold.generateAtlas(Object.values(imageFiles), animations.map(animation => ({
+            name: animation.name,
+            images: animation.frames.map(id => imageFiles[id]),
+            fps: 1000 / animation.frameDuration,
+            loop: animation.loop
+        })));
+        await fs.writeFile(atlasPath, atlas, 'utf8');
+        outputFiles.push(atlasPath);
+
+        // 3. Export levels
+        const levelExporter = new LevelExporter();
+        const collections = [];
+        for (const level of config.levels || []) {
+            const written = await levelExporter.saveDefold(level, config.outputPath, {
+                ...config.levelOptions,
+                projectPath: config.projectPath
+            });
+            outputFiles.push(...written);
+            collections.push(written[0]);
+        }
+
+        return {
+            format: 'defold',
+            files: outputFiles,
+            mainImage: outputFiles[0],
+            atlas: atlasPath,
+            collections
+        };
+    }
+
+    /**
+     * Export for LÖVE
+     *
+     * Writes the spritesheet pages and a Lua module with a quad rectangle per frame,
+     * animation tables and a level table per entry of config.levels. M.load builds the
+     * love.graphics Quads; M.loadLevel and M.drawLevel draw levels from their tileset images.
+     */
+    async exportLove(spritesheetData, animationData, config) {
+        const baseName = config.baseName || 'CharacterSprite';
+        const outputFiles = [];
+
+        // 1. Export spritesheet images, one per page
+        const imageFiles = await this.writeSpritesheetPages(spritesheetData, baseName, config.outputPath, outputFiles);
+
+        // 2. Export Lua module
+        const animations = config.includeAnimations && animationData ? this.getAnimationSequences(spritesheetData, animationData) : [];
+        const levelExporter = new LevelExporter();
+        const levels = {};
+        (config.levels || []).forEach((level, index) => {
+            levels[this.getAssetKey(level.name || level.id || `level_${index}`)] = levelExporter.getLoveLevel(level, config.levelOptions || {});
+        });
+
+        const modulePath = path.join(config.outputPath, `${baseName}.lua`);
+        await fs.writeFile(modulePath, this.generateLoveModule(spritesheetData, imageFiles, animations, levels), 'utf8');
+        outputFiles.push(modulePath);
+
+        return {
+            format: 'love',
+            files: outputFiles,
+            mainImage: outputFiles[0],
+            module: modulePath
+        };
+    }
+
+    /**
+     * Lua module for LÖVE. Frames hold their page (from 1), quad rectangle and, for trimmed
+     * frames, the offset and size of the untrimmed sprite; quads can't be rotated.
+     */
+    generateLoveModule(spritesheetData, imageFiles, animations, levels) {
+        const frames = {};
+        Object.entries(SpritesheetPacker.collectFrames(spritesheetData)).forEach(([id, frameData]) => {
+            if (frameData.rotated) {
+                throw new Error(`Frame '${id}' is rotated; LÖVE quads can't be rotated, so pack without allowRotation`);
+            }
+
+            const { x, y, w, h } = frameData.frame;
+            const trimmed = frameData.trimmed && frameData.spriteSourceSize;
+            frames[id] = {
+                page: (frameData.page || 0) + 1,
+                x, y, w, h,
+                ox: trimmed ? frameData.spriteSourceSize.x : 0,
+                oy: trimmed ? frameData.spriteSourceSize.y : 0,
+                width: trimmed ? frameData.sourceSize.w : w,
+                height: trimmed ? frameData.sourceSize.h : h
+            };
+        });
+
+        const animationTables = {};
+        animations.forEach(animation => {
+            animationTables[animation.name] = {
+                frames: animation.frames,
+                duration: animation.frameDuration / 1000,
+                loop: animation.loop
+            };
+        });
+
+        return new LuaModule('Sprites, animations and levels for LÖVE')
+            .addTable('pages', imageFiles)
+            .addTable('frames', frames)
+            .addTable('animations', animationTables)
+            .addTable('levels', levels)
+            .addSource(LOVE_MODULE_FUNCTIONS)
+            .toString();
     }
 
     /**
@@ -1133,20 +1777,6 @@ centered = true`;
         });
     }
 
-    /**
-     * Generate Godot import hash
-     */
-    generateGodotImportHash(baseName) {
-        // Simple hash for Godot import files
-        let hash = 0;
-        for (let i = 0; i < baseName.length; i++) {
-            const char = baseName.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash).toString(16);
-    }
-
     /**
      * Ensure directory exists
      */
@@ -1170,8 +1800,12 @@ centered = true`;
      */
     getFormatExtensions() {
         return {
-            [this.exportFormats.UNITY]: ['.png', '.png.meta', '.controller', '.anim', '.prefab'],
+            [this.exportFormats.UNITY]: ['.png', '.png.meta', '.controller', '.anim', '.prefab', '.asset', '.asset.meta', '.prefab.meta'],
             [this.exportFormats.GODOT]: ['.png', '.tres', '.tscn'],
+            [this.exportFormats.PHASER]: ['.png', '.json', '.tmj', '.ts'],
+            [this.exportFormats.PIXI]: ['.png', '.json', '.ts'],
+            [this.exportFormats.DEFOLD]: ['.png', '.atlas', '.tilesource', '.tilemap', '.collection'],
+            [this.exportFormats.LOVE]: ['.png', '.lua'],
             [this.exportFormats.GAMEMAKER]: ['.png', '.yy'],
             [this.exportFormats.CONSTRUCT]: ['.png', '.sprite'],
             [this.exportFormats.RENPY]: ['.png', '.rpy'],
@@ -1193,6 +1827,8 @@ centered = true`;
             errors.push('Spritesheet metadata is missing frame data');
         }
 
+        const frames = spritesheetData && spritesheetData.metadata ? SpritesheetPacker.collectFrames(spritesheetData) : {};
+
         if (animationData && animationData.animations) {
             for (const [animName, animData] of Object.entries(animationData.animations)) {
                 if (!animData.frames || animData.frames.length === 0) {
@@ -1201,7 +1837,7 @@ centered = true`;
 
                 // Check if all frames exist
                 for (const frameId of animData.frames) {
-                    if (!spritesheetData.metadata.frames[frameId]) {
+                    if (!frames[frameId]) {
                         errors.push(`Animation '${animName}' references missing frame '${frameId}'`);
                     }
                 }
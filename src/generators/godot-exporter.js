@@ -0,0 +1,341 @@
+/**
+ * Godot Exporter - Godot 4 resources and scenes for sprites, tilesets and levels
+ * Writes SpriteFrames built from AtlasTexture regions, TileSets with collision polygons,
+ * and scenes with AnimatedSprite2D (optionally with a hitbox) and TileMapLayer nodes
+ */
+
+const GodotResource = require('../utils/godot-resource');
+
+// TileMapLayer.tile_map_data format version
+const TILE_MAP_DATA_FORMAT = 0;
+
+// CanvasItem.TEXTURE_FILTER_NEAREST, so pixel art stays sharp
+const TEXTURE_FILTER_NEAREST = 1;
+
+// Variant.Type of the tile name custom data layer
+const TYPE_STRING = 4;
+
+class GodotExporter {
+    /**
+     * Create a Godot exporter
+     * @param {Object} options - Exporter options
+     * @param {string} [options.resourcePath='res://'] - Directory the exported files live in
+     */
+    constructor(options = {}) {
+        this.options = {
+            resourcePath: options.resourcePath || 'res://'
+        };
+    }
+
+    /**
+     * Resource path of a file in the export directory
+     */
+    resPath(file) {
+        const base = this.options.resourcePath.endsWith('/') ? this.options.resourcePath : `${this.options.resourcePath}/`;
+        return `${base}${file}`;
+    }
+
+    /**
+     * Generate a SpriteFrames resource (.tres)
+     *
+     * Every spritesheet frame an animation uses becomes one AtlasTexture region of the
+     * sheet; trimmed frames keep their original size through the AtlasTexture margin.
+     * Without animations all frames are played in order as "default". Multi-page sheets
+     * pass one image per page, and each frame's page index picks its texture.
+     * @param {string|Array<string>} texturePath - Spritesheet image(s), relative to the resource path
+     * @param {Object} frames - Spritesheet frames by id ({frame: {x, y, w, h}, trimmed, spriteSourceSize, sourceSize, page})
+     * @param {Object} [animations] - Animations by name ({frames: Array<string|number>, loop, frameDuration})
+     * @returns {string} SpriteFrames resource
+     */
+    generateSpriteFrames(texturePath, frames, animations = {}) {
+        const resource = new GodotResource('gd_resource', { type: 'SpriteFrames' });
+        const textures = [].concat(texturePath).map(file => resource.addExtResource('Texture2D', this.resPath(file)));
+        const frameIds = Object.keys(frames);
+        const atlases = new Map();
+
+        const resolveFrame = (frame) => {
+            const id = typeof frame === 'number' ? frameIds[frame] : frame;
+            if (!frames[id]) {
+                throw new Error(`Animation frame ${frame} is not in the spritesheet`);
+            }
+            if (!atlases.has(id)) {
+                const texture = textures[frames[id].page || 0];
+                if (!texture) {
+                    throw new Error(`Frame ${id} is on spritesheet page ${frames[id].page}, which has no texture`);
+                }
+                atlases.set(id, resource.addSubResource('AtlasTexture', this.createAtlasProperties(texture, frames[id])));
+            }
+            return atlases.get(id);
+        };
+
+        let entries = Object.entries(animations).filter(([, animation]) => animation.frames && animation.frames.length > 0);
+        if (entries.length === 0) {
+            entries = [['default', { frames: frameIds, loop: true, frameDuration: 100 }]];
+        }
+
+        resource.setResource({
+            animations: entries.map(([name, animation]) => ({
+                frames: animation.frames.map(frame => ({
+                    duration: GodotResource.float(1),
+                    texture: resolveFrame(frame)
+                })),
+                loop: Boolean(animation.loop),
+                name: GodotResource.stringName(name),
+                speed: GodotResource.float(Math.round(100000 / (animation.frameDuration || 100)) / 100)
+            }))
+        });
+
+        return resource.toString();
+    }
+
+    createAtlasProperties(texture, frame) {
+        const { x, y, w, h } = frame.frame;
+        if (frame.rotated) {
+            // AtlasTexture regions can't be rotated
+            throw new Error('Godot SpriteFrames need spritesheets packed without rotation');
+        }
+
+        const properties = {
+            atlas: texture,
+            region: GodotResource.construct('Rect2', x, y, w, h)
+        };
+
+        if (frame.trimmed && frame.spriteSourceSize && frame.sourceSize) {
+            const offset = frame.spriteSourceSize;
+            properties.margin = GodotResource.construct('Rect2', offset.x, offset.y,
+                frame.sourceSize.w - w, frame.sourceSize.h - h);
+        }
+
+        return properties;
+    }
+
+    /**
+     * Generate a scene (.tscn) with an AnimatedSprite2D playing a SpriteFrames resource
+     * @param {string} name - Root node name
+     * @param {string} spriteFramesPath - SpriteFrames file, relative to the resource path
+     * @param {Object} [options] - Scene options
+     * @param {string} [options.animation] - Animation to autoplay
+     * @param {Object} [options.directions] - Animation names by animation and facing, e.g.
+     *   { walk: { north: 'walk_north' } }, stored as the sprite's "directions" metadata
+     * @param {Object} [options.collision] - Collision polygons, relative to the sprite centre
+     * @param {Array<Array<{x, y}>>} options.collision.polygons - Polygons of the first frame shown,
+     *   one CollisionPolygon2D each under a "Hitbox" Area2D
+     * @param {Object} [options.collision.animations] - Polygons of every frame by animation
+     *   name, stored as the Hitbox's "frame_polygons" metadata for swapping on frame_changed
+     * @returns {string} Scene
+     */
+    generateSpriteScene(name, spriteFramesPath, options = {}) {
+        const scene = new GodotResource('gd_scene');
+        const spriteFrames = scene.addExtResource('SpriteFrames', this.resPath(spriteFramesPath));
+        const properties = {
+            texture_filter: TEXTURE_FILTER_NEAREST,
+            sprite_frames: spriteFrames
+        };
+
+        if (options.animation) {
+            properties.animation = GodotResource.stringName(options.animation);
+            properties.autoplay = options.animation;
+        }
+        if (options.directions) {
+            properties['metadata/directions'] = options.directions;
+        }
+
+        scene.addNode(this.getNodeName(name), 'AnimatedSprite2D', null, properties);
+
+        if (options.collision) {
+            const hitbox = {};
+            if (options.collision.animations) {
+                hitbox['metadata/frame_polygons'] = {};
+                Object.entries(options.collision.animations).forEach(([animation, frames]) => {
+                    hitbox['metadata/frame_polygons'][animation] = frames.map(polygons => polygons.map(points => this.createPolygon(points)));
+                });
+            }
+            scene.addNode('Hitbox', 'Area2D', '.', hitbox);
+
+            options.collision.polygons.forEach((points, index) => {
+                scene.addNode(index === 0 ? 'CollisionPolygon2D' : `CollisionPolygon2D${index + 1}`, 'CollisionPolygon2D', 'Hitbox', {
+                    polygon: this.createPolygon(points)
+                });
+            });
+        }
+
+        return scene.toString();
+    }
+
+    /**
+     * Generate a TileSet resource (.tres) with one atlas source per tileset
+     *
+     * A tileset's collision is true to give every tile a full-tile collision polygon, or an
+     * array of tile indices for just those tiles. Tiles with traced collisionPolygons (by
+     * tile index, in tile pixels) use those instead. Polygons go on physics layer 0. Tile
+     * names (tileNames, by tile index) are stored in a "name" custom data layer.
+     * @param {Array<Object>} tilesets - Tilesets ({name, tileWidth, tileHeight, tileCount, columns, image: {source}, collision, collisionPolygons, tileNames})
+     * @param {Object} [options] - TileSet options
+     * @param {number} [options.tileSize] - Map tile size (defaults to the first tileset's)
+     * @returns {string} TileSet resource
+     */
+    generateTileSet(tilesets, options = {}) {
+        const resource = new GodotResource('gd_resource', { type: 'TileSet' });
+        const tileSize = options.tileSize || (tilesets[0] ? tilesets[0].tileWidth : 32);
+        const properties = {
+            tile_size: GodotResource.construct('Vector2i', tileSize, tileSize)
+        };
+
+        if (tilesets.some(tileset => tileset.collision)) {
+            properties['physics_layer_0/collision_layer'] = 1;
+        }
+        if (tilesets.some(tileset => tileset.tileNames)) {
+            properties['custom_data_layer_0/name'] = 'name';
+            properties['custom_data_layer_0/type'] = TYPE_STRING;
+        }
+
+        tilesets.forEach((tileset, sourceId) => {
+            const texture = resource.addExtResource('Texture2D', this.resPath(tileset.image.source));
+            properties[`sources/${sourceId}`] = resource.addSubResource('TileSetAtlasSource', this.createAtlasSource(texture, tileset));
+        });
+
+        resource.setResource(properties);
+        return resource.toString();
+    }
+
+    createAtlasSource(texture, tileset) {
+        const { tileWidth, tileHeight, columns } = tileset;
+        const halfWidth = tileWidth / 2;
+        const halfHeight = tileHeight / 2;
+        const polygon = GodotResource.construct('PackedVector2Array',
+            -halfWidth, -halfHeight, halfWidth, -halfHeight, halfWidth, halfHeight, -halfWidth, halfHeight);
+        const properties = {
+            texture,
+            texture_region_size: GodotResource.construct('Vector2i', tileWidth, tileHeight)
+        };
+
+        for (let index = 0; index < tileset.tileCount; index++) {
+            const tile = `${index % columns}:${Math.floor(index / columns)}/0`;
+            properties[tile] = 0;
+
+            const solid = Array.isArray(tileset.collision) ? tileset.collision.includes(index) : tileset.collision;
+            const traced = tileset.collisionPolygons && tileset.collisionPolygons[index];
+            if (solid && traced && traced.length > 0) {
+                traced.forEach((points, polygonIndex) => {
+                    properties[`${tile}/physics_layer_0/polygon_${polygonIndex}/points`] = this.createPolygon(points, halfWidth, halfHeight);
+                });
+            } else if (solid) {
+                properties[`${tile}/physics_layer_0/polygon_0/points`] = polygon;
+            }
+            if (tileset.tileNames && tileset.tileNames[index] !== undefined) {
+                properties[`${tile}/custom_data_0`] = tileset.tileNames[index];
+            }
+        }
+
+        return properties;
+    }
+
+    /**
+     * PackedVector2Array of a polygon, moved so (originX, originY) becomes the origin
+     */
+    createPolygon(points, originX = 0, originY = 0) {
+        return GodotResource.construct('PackedVector2Array',
+            ...points.flatMap(point => [point.x - originX, point.y - originY]));
+    }
+
+    /**
+     * Generate a level scene (.tscn): a Node2D with one TileMapLayer per tile layer and an
+     * Entities node holding a Marker2D per entity, with entity data as node metadata
+     * @param {Object} level - Level to write
+     * @param {string} level.name - Root node name
+     * @param {Array<{name: string, cells: Array<{x, y, source, atlasX, atlasY}>}>} level.layers - Tile layers, bottom first
+     * @param {Array<{name: string, position: {x: number, y: number}, metadata: Object}>} [level.entities] - Entities, in pixels
+     * @param {string} tileSetPath - TileSet file, relative to the resource path
+     * @returns {string} Scene
+     */
+    generateLevelScene(level, tileSetPath) {
+        const scene = new GodotResource('gd_scene');
+        const tileSet = scene.addExtResource('TileSet', this.resPath(tileSetPath));
+
+        scene.addNode(this.getNodeName(level.name), 'Node2D', null);
+
+        level.layers.forEach(layer => {
+            scene.addNode(this.getNodeName(layer.name), 'TileMapLayer', '.', {
+                texture_filter: TEXTURE_FILTER_NEAREST,
+                tile_map_data: { ...GodotResource.construct('PackedByteArray'), args: Array.from(this.encodeTileMapData(layer.cells)) },
+                tile_set: tileSet
+            });
+        });
+
+        const entities = level.entities || [];
+        if (entities.length > 0) {
+            scene.addNode('Entities', 'Node2D', '.');
+            const used = new Set();
+
+            entities.forEach(entity => {
+                let name = this.getNodeName(entity.name);
+                for (let suffix = 2; used.has(name); suffix++) {
+                    name = `${this.getNodeName(entity.name)}_${suffix}`;
+                }
+                used.add(name);
+
+                const properties = {
+                    position: GodotResource.construct('Vector2', entity.position.x, entity.position.y)
+                };
+                Object.entries(entity.metadata || {}).forEach(([key, value]) => {
+                    if (value !== undefined && value !== null) {
+                        properties[`metadata/${key}`] = value;
+                    }
+                });
+
+                scene.addNode(name, 'Marker2D', 'Entities', properties);
+            });
+        }
+
+        return scene.toString();
+    }
+
+    /**
+     * TileMapLayer cell data: a format header followed by 12 bytes per cell
+     * (int16 x, int16 y, uint16 source id, uint16 atlas x, uint16 atlas y, uint16 alternative)
+     * @returns {Buffer} tile_map_data bytes
+     */
+    encodeTileMapData(cells) {
+        const data = Buffer.alloc(2 + cells.length * 12);
+        data.writeUInt16LE(TILE_MAP_DATA_FORMAT, 0);
+
+        cells.forEach((cell, index) => {
+            const offset = 2 + index * 12;
+            data.writeInt16LE(cell.x, offset);
+            data.writeInt16LE(cell.y, offset + 2);
+            data.writeUInt16LE(cell.source, offset + 4);
+            data.writeUInt16LE(cell.atlasX, offset + 6);
+            data.writeUInt16LE(cell.atlasY, offset + 8);
+            data.writeUInt16LE(cell.alternative || 0, offset + 10);
+        });
+
+        return data;
+    }
+
+    /**
+     * Cells of a TileMapLayer, decoded from tile_map_data
+     */
+    decodeTileMapData(data) {
+        const cells = [];
+        for (let offset = 2; offset + 12 <= data.length; offset += 12) {
+            cells.push({
+                x: data.readInt16LE(offset),
+                y: data.readInt16LE(offset + 2),
+                source: data.readUInt16LE(offset + 4),
+                atlasX: data.readUInt16LE(offset + 6),
+                atlasY: data.readUInt16LE(offset + 8),
+                alternative: data.readUInt16LE(offset + 10)
+            });
+        }
+        return cells;
+    }
+
+    /**
+     * Node name without the characters Godot reserves (. : @ / " %)
+     */
+    getNodeName(name) {
+        return String(name || 'Node').replace(/[.:@/"%]/g, '_');
+    }
+}
+
+module.exports = GodotExporter;
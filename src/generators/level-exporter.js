@@ -5,10 +5,58 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const zlib = require('zlib');
+const { v4: uuidv4 } = require('uuid');
+const XMLUtils = require('../utils/xml-utils');
+const CollisionShapes = require('../utils/collision-shapes');
+const GodotExporter = require('./godot-exporter');
+const DefoldExporter = require('./defold-exporter');
+
+const TMX_TILE_SIZE = 32;
+const TILED_JSON_VERSION = '1.10';
+const TILED_VERSION = '1.10.2';
+const TMX_VERSION = `version="${TILED_JSON_VERSION}" tiledversion="${TILED_VERSION}"`;
+
+// Tile layers written to TMX: level layer key, Tiled layer name and id, and the gid offset
+// that moves the layer's tile ids into its tileset
+const TMX_LAYERS = [
+    { key: 'ground', name: 'Ground', id: 1, offset: 0 },
+    { key: 'walls', name: 'Walls', id: 2, offset: 100 },
+    { key: 'decorations', name: 'Decorations', id: 3, offset: 150 }
+];
+
+// Entity fields that map to TMX object attributes rather than custom properties
+const ENTITY_FIELDS = ['id', 'type', 'name', 'x', 'y', 'position', 'size', 'properties', 'metadata'];
+
+const LDTK_VERSION = '1.5.3';
+
+// IntGrid values of the LDtk Collision layer
+const LDTK_INTGRID_VALUES = [
+    { value: 1, identifier: 'wall', color: '#3F3F52' },
+    { value: 2, identifier: 'floor', color: '#8A8F9E' },
+    { value: 3, identifier: 'water', color: '#3A6EA5' }
+];
+
+// Editor colors of the entity definitions LevelGenerator's levels use
+const LDTK_ENTITY_COLORS = {
+    Enemy: '#E04848',
+    Npc: '#48B0E0',
+    Treasure: '#F0C040',
+    Light: '#FFE08A'
+};
+
+// LDtk field types by the kind of value they hold, with their JSON type and editor value id
+const LDTK_FIELD_TYPES = {
+    Int: { jsonType: 'Int', editorValue: 'V_Int' },
+    Float: { jsonType: 'Float', editorValue: 'V_Float' },
+    Bool: { jsonType: 'Bool', editorValue: 'V_Bool' },
+    String: { jsonType: 'String', editorValue: 'V_String' },
+    Text: { jsonType: 'String', editorValue: 'V_String' }
+};
 
 class LevelExporter {
     constructor() {
-        this.supportedFormats = ['json', 'tmx', 'unity', 'godot', 'generic'];
+        this.supportedFormats = ['json', 'tmx', 'tmj', 'ldtk', 'unity', 'godot', 'generic'];
     }
 
     /**
@@ -20,6 +68,10 @@ class LevelExporter {
                 return await this.exportToJSON(level, options);
             case 'tmx':
                 return await this.exportToTMX(level, options);
+            case 'tmj':
+                return await this.exportToTiledJSON(level, options);
+            case 'ldtk':
+                return await this.exportToLDtk(level, options);
             case 'unity':
                 return await this.exportToUnity(level, options);
             case 'godot':
@@ -67,23 +119,36 @@ class LevelExporter {
 
     /**
      * Export to Tiled Map Editor format (.tmx)
+     *
+     * Layers are CSV by default; options.encoding 'base64' with options.compression
+     * 'zlib' or 'gzip' keeps large maps small (options.compress is shorthand for base64+zlib).
+     * With options.embedTilesets false, tilesets are referenced as external .tsx files
+     * (see exportTilesetsToTSX and saveTMX).
      */
     async exportToTMX(level, options = {}) {
-        const tileWidth = 32;
-        const tileHeight = 32;
-        const { width, height } = level.config.dimensions;
+        const layerFormat = this.getTMXLayerFormat(options);
+        const { width, height } = level.config?.dimensions || level.dimensions;
+        const objectCount = (level.entities || []).length;
 
         let tmxContent = '<?xml version="1.0" encoding="UTF-8"?>\n';
-        tmxContent += '<map version="1.5" tiledversion="1.7.2" orientation="orthogonal" ';
+        tmxContent += `<map ${TMX_VERSION} orientation="orthogonal" `;
         tmxContent += `renderorder="right-down" width="${width}" height="${height}" `;
-        tmxContent += `tilewidth="${tileWidth}" tileheight="${tileHeight}" infinite="0" `;
-        tmxContent += 'backgroundcolor="#000000">\n';
+        tmxContent += `tilewidth="${TMX_TILE_SIZE}" tileheight="${TMX_TILE_SIZE}" infinite="0" `;
+        tmxContent += `backgroundcolor="#000000" nextlayerid="${TMX_LAYERS.length + 2}" nextobjectid="${objectCount + 1}">\n`;
+
+        // Level identity, so an imported map keeps its name and theme
+        tmxContent += this.generateTMXProperties({
+            name: level.name,
+            type: level.type,
+            theme: level.theme,
+            difficulty: level.difficulty
+        }, '  ');
 
         // Add tilesets
-        tmxContent += this.generateTilesets();
+        tmxContent += this.generateTilesets(level, options);
 
         // Add layers
-        tmxContent += this.generateTMXLayers(level);
+        tmxContent += this.generateTMXLayers(level, layerFormat);
 
         // Add object groups for entities
         tmxContent += this.generateTMXObjectGroups(level);
@@ -93,6 +158,215 @@ class LevelExporter {
         return tmxContent;
     }
 
+    /**
+     * Export to a Tiled JSON map (.tmj)
+     *
+     * Same map as the TMX export, in the shape Phaser's tilemapTiledJSON loader reads:
+     * tilesets are embedded and layer data is a plain array of gids.
+     * @returns {Promise<string>} Tiled JSON
+     */
+    async exportToTiledJSON(level, options = {}) {
+        const { width, height } = level.config?.dimensions || level.dimensions;
+        const tileLayers = this.getTMXTileLayers(level);
+        const layers = TMX_LAYERS.filter(tmxLayer => tileLayers[tmxLayer.key]).map(tmxLayer => ({
+            id: tmxLayer.id,
+            name: tmxLayer.name,
+            type: 'tilelayer',
+            x: 0,
+            y: 0,
+            width,
+            height,
+            opacity: 1,
+            visible: true,
+            data: Array.from(this.getTMXLayerGids(tileLayers[tmxLayer.key], tmxLayer.offset).gids)
+        }));
+
+        if (level.entities && level.entities.length > 0) {
+            layers.push(this.generateTiledJSONObjectGroup(level));
+        }
+
+        const map = {
+            type: 'map',
+            version: TILED_JSON_VERSION,
+            tiledversion: TILED_VERSION,
+            orientation: 'orthogonal',
+            renderorder: 'right-down',
+            width,
+            height,
+            tilewidth: TMX_TILE_SIZE,
+            tileheight: TMX_TILE_SIZE,
+            infinite: false,
+            backgroundcolor: '#000000',
+            compressionlevel: -1,
+            nextlayerid: TMX_LAYERS.length + 2,
+            nextobjectid: (level.entities || []).length + 1,
+            properties: this.generateTiledJSONProperties({
+                name: level.name,
+                type: level.type,
+                theme: level.theme,
+                difficulty: level.difficulty
+            }),
+            tilesets: this.getTilesetDefinitions(level, options).map(tileset => this.generateTiledJSONTileset(tileset)),
+            layers
+        };
+
+        return options.minify ? JSON.stringify(map) : JSON.stringify(map, null, 2);
+    }
+
+    /**
+     * Export to an LDtk project (.ldtk)
+     *
+     * Reads LevelGenerator levels (terrain/structures/interactive/lighting grids of tile
+     * names) as well as tile-id levels (ground/walls/decorations). The project has a
+     * Collision IntGrid layer built from the wall and walkable data, set up on the walls
+     * tileset so auto-layer rules can be added to it; Ground, Walls and Decorations tile
+     * layers; and Enemy, Npc, Treasure and Light entities with typed fields. Named tiles get
+     * tile ids in order of appearance, and each tileset's custom data records the names.
+     */
+    async exportToLDtk(level, options = {}) {
+        const dimensions = level.config?.dimensions || level.dimensions;
+        const { width, height } = dimensions;
+        const gridSize = options.gridSize || dimensions.tileSize || TMX_TILE_SIZE;
+        let nextUid = 1;
+        const uid = () => nextUid++;
+
+        // Tilesets and tile layers, bottom-most first
+        const grids = this.getTileGrids(level);
+        const tilesets = [];
+        const tileLayers = [];
+        this.getTilesetDefinitions(level, options).filter(tileset => grids[tileset.name]).forEach(tileset => {
+            const { tiles, names } = this.indexTiles(grids[tileset.name]);
+            const tilesetDef = this.createLDtkTileset(tileset, uid(), names);
+            const layerDef = this.createLDtkLayerDef(tilesetDef.identifier, 'Tiles', uid(), gridSize, {
+                tilesetDefUid: tilesetDef.uid
+            });
+            tilesets.push(tilesetDef);
+            tileLayers.push({ key: tileset.name, def: layerDef, tileset: tilesetDef, tiles });
+        });
+
+        const wallTileset = tilesets.find(tileset => tileset.identifier === 'Walls');
+        const collisionDef = this.createLDtkLayerDef('Collision', 'IntGrid', uid(), gridSize, {
+            intGridValues: LDTK_INTGRID_VALUES.map(value => ({ ...value, tile: null, groupUid: 0 })),
+            tilesetDefUid: wallTileset ? wallTileset.uid : null
+        });
+
+        // Entity definitions, always including the ones LevelGenerator places
+        const entities = this.getPlacedEntities(level).map(entity => ({
+            ...entity,
+            identifier: this.getLDtkIdentifier(entity.type)
+        }));
+        const identifiers = [...new Set([...Object.keys(LDTK_ENTITY_COLORS), ...entities.map(entity => entity.identifier)])];
+        const entityDefs = identifiers.map(identifier => {
+            const records = entities.filter(entity => entity.identifier === identifier).map(entity => entity.fields);
+            return this.createLDtkEntityDef(identifier, uid(), gridSize, this.createLDtkFieldDefs(records, uid));
+        });
+        const entityLayerDef = this.createLDtkLayerDef('Entities', 'Entities', uid(), gridSize);
+
+        const levelProperties = {
+            id: level.id !== undefined ? String(level.id) : undefined,
+            type: level.type,
+            theme: level.theme,
+            difficulty: level.difficulty
+        };
+        const levelFields = this.createLDtkFieldDefs([levelProperties], uid);
+        const levelUid = uid();
+
+        const layerInstances = [
+            this.createLDtkLayerInstance(entityLayerDef, null, levelUid, width, height, {
+                entityInstances: entities.map(entity => {
+                    const def = entityDefs.find(entityDef => entityDef.identifier === entity.identifier);
+                    return this.createLDtkEntityInstance(entity, def, gridSize);
+                })
+            }),
+            this.createLDtkLayerInstance(collisionDef, wallTileset, levelUid, width, height, {
+                intGridCsv: this.getLDtkCollision(level, width, height)
+            }),
+            ...tileLayers.slice().reverse().map(layer =>
+                this.createLDtkLayerInstance(layer.def, layer.tileset, levelUid, width, height, {
+                    gridTiles: layer.tiles.map(tile => this.createLDtkGridTile(tile, layer.tileset, width, gridSize))
+                }))
+        ];
+
+        const project = {
+            __header__: {
+                fileType: 'LDtk Project JSON',
+                app: 'LDtk',
+                doc: 'https://ldtk.io/json',
+                schema: 'https://ldtk.io/files/JSON_SCHEMA.json',
+                appAuthor: 'Sebastien Benard',
+                appVersion: LDTK_VERSION,
+                url: 'https://ldtk.io'
+            },
+            iid: uuidv4(),
+            jsonVersion: LDTK_VERSION,
+            appBuildId: 0,
+            nextUid,
+            identifierStyle: 'Free',
+            toc: [],
+            worldLayout: 'Free',
+            worldGridWidth: width * gridSize,
+            worldGridHeight: height * gridSize,
+            defaultLevelWidth: width * gridSize,
+            defaultLevelHeight: height * gridSize,
+            defaultPivotX: 0,
+            defaultPivotY: 0,
+            defaultGridSize: gridSize,
+            defaultEntityWidth: gridSize,
+            defaultEntityHeight: gridSize,
+            bgColor: '#40465B',
+            defaultLevelBgColor: '#000000',
+            minifyJson: Boolean(options.minify),
+            externalLevels: false,
+            exportTiled: false,
+            simplifiedExport: false,
+            imageExportMode: 'None',
+            exportLevelBg: true,
+            pngFilePattern: null,
+            backupOnSave: false,
+            backupLimit: 10,
+            backupRelPath: null,
+            levelNamePattern: 'Level_%idx',
+            tutorialDesc: null,
+            customCommands: [],
+            flags: [],
+            defs: {
+                layers: [entityLayerDef, collisionDef, ...tileLayers.slice().reverse().map(layer => layer.def)],
+                entities: entityDefs,
+                tilesets,
+                enums: [],
+                externalEnums: [],
+                levelFields
+            },
+            levels: [{
+                identifier: this.getLDtkIdentifier(level.name || 'Level_0'),
+                iid: uuidv4(),
+                uid: levelUid,
+                worldX: 0,
+                worldY: 0,
+                worldDepth: 0,
+                pxWid: width * gridSize,
+                pxHei: height * gridSize,
+                __bgColor: '#000000',
+                bgColor: null,
+                useAutoIdentifier: false,
+                bgRelPath: null,
+                bgPos: null,
+                bgPivotX: 0.5,
+                bgPivotY: 0.5,
+                __smartColor: '#ADADB5',
+                __bgPos: null,
+                externalRelPath: null,
+                fieldInstances: levelFields.map(def => this.createLDtkFieldInstance(def, levelProperties[def.identifier])),
+                layerInstances,
+                __neighbours: []
+            }],
+            worlds: [],
+            dummyWorldIid: uuidv4()
+        };
+
+        return options.minify ? JSON.stringify(project) : JSON.stringify(project, null, 2);
+    }
+
     /**
      * Export to Unity format
      */
@@ -113,21 +387,184 @@ class LevelExporter {
     }
 
     /**
-     * Export to Godot format
+     * Export to a Godot 4 scene (.tscn)
+     *
+     * The scene has a TileMapLayer per tile layer, using the TileSet from
+     * exportGodotTileSet at options.tileSetPath, and a Marker2D per entity with the
+     * entity's data as metadata. saveGodot writes the scene and its TileSet together.
      */
     async exportToGodot(level, options = {}) {
-        const godotData = {
-            level_name: level.name,
-            level_type: level.type,
-            dimensions: level.config.dimensions,
-            tile_size: 32,
-            layers: this.convertToGodotLayers(level.layers),
-            entities: this.convertToGodotEntities(level.entities),
-            lighting: level.lighting,
-            metadata: level.metadata
-        };
+        const godot = new GodotExporter({ resourcePath: options.resourcePath });
+        const dimensions = level.config?.dimensions || level.dimensions;
+        const tileSize = dimensions.tileSize || TMX_TILE_SIZE;
+        const name = options.sceneName || level.name || 'Level';
+        const tileSetPath = options.tileSetPath || `${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}_tileset.tres`;
+
+        const layers = this.getPlacedTilesets(level, options).map((tileset, source) => ({
+            name: (TMX_LAYERS.find(tmxLayer => tmxLayer.key === tileset.name) || tileset).name,
+            cells: tileset.tiles.map(tile => ({
+                x: tile.cx,
+                y: tile.cy,
+                source,
+                atlasX: tile.tileId % tileset.columns,
+                atlasY: Math.floor(tile.tileId / tileset.columns)
+            }))
+        }));
+
+        const entities = this.getPlacedEntities(level).map(entity => ({
+            name: entity.fields.id || entity.type,
+            position: { x: entity.x * tileSize, y: entity.y * tileSize },
+            metadata: { type: entity.type, ...entity.fields }
+        }));
+
+        return godot.generateLevelScene({ name, layers, entities }, tileSetPath);
+    }
+
+    /**
+     * Export the Godot 4 TileSet (.tres) the scene from exportToGodot uses
+     * Wall tiles get full-tile collision polygons, except doors; tilesets traced from
+     * options.collisionImages get their tiles' traced polygons.
+     */
+    exportGodotTileSet(level, options = {}) {
+        const godot = new GodotExporter({ resourcePath: options.resourcePath });
+        const dimensions = level.config?.dimensions || level.dimensions;
 
-        return JSON.stringify(godotData, null, 2);
+        return godot.generateTileSet(this.getPlacedTilesets(level, options), {
+            tileSize: dimensions.tileSize || TMX_TILE_SIZE
+        });
+    }
+
+    /**
+     * Write a Godot scene and its TileSet ("<scene>_tileset.tres" next to it)
+     * @returns {Promise<Array<string>>} Written file paths, scene first
+     */
+    async saveGodot(level, filePath, options = {}) {
+        const scenePath = path.extname(filePath) ? filePath : `${filePath}.tscn`;
+        const tileSetPath = options.tileSetPath || `${path.basename(scenePath, path.extname(scenePath))}_tileset.tres`;
+        const sceneOptions = { ...options, tileSetPath };
+
+        return [
+            await this.saveToFile(await this.exportToGodot(level, sceneOptions), scenePath, 'tscn'),
+            await this.saveToFile(this.exportGodotTileSet(level, sceneOptions), path.join(path.dirname(scenePath), tileSetPath), 'tres')
+        ];
+    }
+
+    /**
+     * Export to Defold: a tile source and tile map per tile layer, and a collection with a
+     * game object per tile map and an empty game object per entity
+     *
+     * A Defold tile map uses one tile source, so each layer gets its own map. Defold counts
+     * cells and positions up from the bottom-left, so rows are flipped.
+     * @param {Object} options - Export options
+     * @param {string} [options.projectPath='/assets'] - Project directory the files are written to
+     * @returns {Array<{file: string, content: string}>} Files relative to the project path, collection first
+     */
+    exportToDefold(level, options = {}) {
+        const defold = new DefoldExporter({ projectPath: options.projectPath });
+        const dimensions = level.config?.dimensions || level.dimensions;
+        const tileSize = dimensions.tileSize || TMX_TILE_SIZE;
+        const name = (options.collectionName || level.name || 'level').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+        const tilesets = this.getPlacedTilesets(level, options);
+        const files = [];
+        const instances = [];
+
+        tilesets.forEach((tileset, index) => {
+            const tileSource = `${name}/${tileset.name}.tilesource`;
+            const tileMap = `${name}/${tileset.name}.tilemap`;
+            const cells = tileset.tiles.map(tile => ({
+                x: tile.cx,
+                y: dimensions.height - 1 - tile.cy,
+                tile: tile.tileId
+            }));
+
+            files.push({ file: tileSource, content: defold.generateTileSource(tileset) });
+            files.push({ file: tileMap, content: defold.generateTileMap(tileSource, [{ id: tileset.name, z: 0, cells }]) });
+            instances.push({
+                id: tileset.name,
+                position: { x: 0, y: 0, z: index / 10 },
+                components: [{ id: 'tilemap', component: tileMap }]
+            });
+        });
+
+        const ids = new Set(instances.map(instance => instance.id));
+        this.getPlacedEntities(level).forEach((entity, index) => {
+            let id = String(entity.fields.id || `${entity.type}_${index}`);
+            while (ids.has(id)) id = `${id}_${index}`;
+            ids.add(id);
+
+            instances.push({
+                id,
+                position: { x: entity.x * tileSize, y: (dimensions.height - entity.y) * tileSize, z: tilesets.length / 10 }
+            });
+        });
+
+        files.unshift({ file: `${name}.collection`, content: defold.generateCollection(name, instances) });
+        return files;
+    }
+
+    /**
+     * Write the Defold files of a level into a project directory
+     * @returns {Promise<Array<string>>} Written file paths, collection first
+     */
+    async saveDefold(level, dirPath, options = {}) {
+        const written = [];
+
+        for (const { file, content } of this.exportToDefold(level, options)) {
+            const filePath = path.join(dirPath, file);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, content, 'utf8');
+            written.push(filePath);
+        }
+
+        return written;
+    }
+
+    /**
+     * Level table for the LÖVE Lua module (see GameEngineExporters.exportLove)
+     * Layers name their tileset by its position in tilesets and hold rows of tile numbers,
+     * counted from 1 as Lua does; 0 is empty. Entity positions are in pixels from the top-left.
+     */
+    getLoveLevel(level, options = {}) {
+        const dimensions = level.config?.dimensions || level.dimensions;
+        const tileSize = dimensions.tileSize || TMX_TILE_SIZE;
+        const tilesets = this.getPlacedTilesets(level, options);
+
+        return {
+            name: level.name,
+            width: dimensions.width,
+            height: dimensions.height,
+            tile_width: tileSize,
+            tile_height: tileSize,
+            tilesets: tilesets.map(tileset => ({
+                name: tileset.name,
+                image: tileset.image.source,
+                tile_width: tileset.tileWidth,
+                tile_height: tileset.tileHeight,
+                columns: tileset.columns,
+                tile_names: tileset.tileNames || undefined,
+                collision: Array.isArray(tileset.collision)
+                    ? tileset.collision.map(tileId => tileId + 1)
+                    : tileset.collision
+            })),
+            layers: tilesets.map((tileset, index) => {
+                const data = Array.from({ length: dimensions.height }, () => new Array(dimensions.width).fill(0));
+                tileset.tiles.forEach(tile => {
+                    if (data[tile.cy] && tile.cx < dimensions.width) data[tile.cy][tile.cx] = tile.tileId + 1;
+                });
+
+                return {
+                    name: (TMX_LAYERS.find(tmxLayer => tmxLayer.key === tileset.name) || tileset).name,
+                    tileset: index + 1,
+                    data
+                };
+            }),
+            entities: this.getPlacedEntities(level).map(entity => ({
+                type: entity.type,
+                x: entity.x * tileSize,
+                y: entity.y * tileSize,
+                properties: entity.fields
+            }))
+        };
     }
 
     /**
@@ -192,117 +629,355 @@ class LevelExporter {
     }
 
     /**
-     * Generate tilesets for TMX
+     * Write a TMX map, plus its external .tsx tilesets when options.embedTilesets is false
+     * @returns {Promise<Array<string>>} Written file paths, map first
      */
-    generateTilesets() {
-        let tilesets = '';
+    async saveTMX(level, filePath, options = {}) {
+        const mapPath = path.extname(filePath) ? filePath : `${filePath}.tmx`;
+        const written = [await this.saveToFile(await this.exportToTMX(level, options), mapPath, 'tmx')];
+
+        if (options.embedTilesets === false) {
+            for (const tileset of this.exportTilesetsToTSX(level, options)) {
+                written.push(await this.saveToFile(tileset.content, path.join(path.dirname(mapPath), tileset.file), 'tsx'));
+            }
+        }
+
+        return written;
+    }
 
-        // Ground tileset
-        tilesets += '  <tileset firstgid="1" name="ground" tilewidth="32" tileheight="32" tilecount="100" columns="10">\n';
-        tilesets += '    <image source="tiles/ground.png" width="320" height="320"/>\n';
-        tilesets += '  </tileset>\n';
+    /**
+     * Resolve the layer data encoding from the export options
+     */
+    getTMXLayerFormat(options) {
+        const compression = options.compression || (options.compress ? 'zlib' : null);
+        const encoding = options.encoding || (compression ? 'base64' : 'csv');
 
-        // Wall tileset
-        tilesets += '  <tileset firstgid="101" name="walls" tilewidth="32" tileheight="32" tilecount="50" columns="10">\n';
-        tilesets += '    <image source="tiles/walls.png" width="320" height="160"/>\n';
-        tilesets += '  </tileset>\n';
+        if (!['csv', 'base64'].includes(encoding)) {
+            throw new Error(`Unsupported TMX layer encoding: ${encoding}`);
+        }
+        if (compression && !['zlib', 'gzip'].includes(compression)) {
+            throw new Error(`Unsupported TMX layer compression: ${compression}`);
+        }
+        if (compression && encoding !== 'base64') {
+            throw new Error('TMX layer compression requires base64 encoding');
+        }
+
+        return { encoding, compression };
+    }
+
+    /**
+     * Tilesets used by the TMX export, with their first global tile IDs
+     * Transition tilesets from TileGenerator.generateTransitionSet are appended after the
+     * fixed tilesets, each carrying a Tiled terrain set (<wangsets>) for auto-tiling.
+     * options.tilesetImages replaces a tileset's image, e.g. with a packed spritesheet:
+     * { ground: { source: 'sheets/ground.png', width: 320, height: 320 } }
+     * options.collisionImages holds tileset images (Jimp) by tileset name to trace collision
+     * polygons from; each tile's polygons (see CollisionShapes.getPolygons, the kind picked
+     * by options.collisionShapes.shape) go in collisionPolygons, by tile index.
+     */
+    getTilesetDefinitions(level = {}, options = {}) {
+        const images = options.tilesetImages || {};
+        const collisionImages = options.collisionImages || {};
+        const fixed = [
+            { firstgid: 1, name: 'ground', tileCount: 100, columns: 10, image: { source: 'tiles/ground.png', width: 320, height: 320 } },
+            { firstgid: 101, name: 'walls', tileCount: 50, columns: 10, image: { source: 'tiles/walls.png', width: 320, height: 160 } },
+            { firstgid: 151, name: 'decorations', tileCount: 50, columns: 10, image: { source: 'tiles/decorations.png', width: 320, height: 160 } }
+        ];
+
+        const definitions = fixed.map(tileset => ({
+            ...tileset,
+            tileWidth: TMX_TILE_SIZE,
+            tileHeight: TMX_TILE_SIZE,
+            image: images[tileset.name] || tileset.image
+        }));
+
+        let firstgid = 201;
+        (options.transitionSets || level.transitionSets || []).forEach(transitionSet => {
+            definitions.push({
+                firstgid,
+                name: transitionSet.name,
+                tileWidth: transitionSet.tileSize,
+                tileHeight: transitionSet.tileSize,
+                tileCount: transitionSet.tileCount,
+                columns: transitionSet.columns,
+                image: images[transitionSet.name] || {
+                    source: transitionSet.image || `tiles/${transitionSet.name}.png`,
+                    width: transitionSet.width,
+                    height: transitionSet.height
+                },
+                transitionSet
+            });
+            firstgid += transitionSet.tileCount;
+        });
 
-        // Decoration tileset
-        tilesets += '  <tileset firstgid="151" name="decorations" tilewidth="32" tileheight="32" tilecount="50" columns="10">\n';
-        tilesets += '    <image source="tiles/decorations.png" width="320" height="160"/>\n';
-        tilesets += '  </tileset>\n';
+        const shapeOptions = options.collisionShapes || {};
+        return definitions.map(tileset => {
+            if (!collisionImages[tileset.name]) return tileset;
+
+            const shapes = CollisionShapes.fromTiles(collisionImages[tileset.name], tileset, shapeOptions);
+            return { ...tileset, collisionPolygons: shapes.map(tileShapes => CollisionShapes.getPolygons(tileShapes, shapeOptions.shape)) };
+        });
+    }
+
+    /**
+     * Generate tilesets for TMX, inline or as references to external .tsx files
+     */
+    generateTilesets(level = {}, options = {}) {
+        let tilesets = '';
+
+        this.getTilesetDefinitions(level, options).forEach(tileset => {
+            if (options.embedTilesets === false) {
+                const source = this.getTSXPath(tileset, options);
+                tilesets += `  <tileset firstgid="${tileset.firstgid}" source="${XMLUtils.escape(source)}"/>\n`;
+            } else {
+                tilesets += `  <tileset firstgid="${tileset.firstgid}" ${this.getTilesetAttributes(tileset)}>\n`;
+                tilesets += this.generateTilesetContent(tileset, tileset.image.source, '    ');
+                tilesets += '  </tileset>\n';
+            }
+        });
 
         return tilesets;
     }
 
+    /**
+     * Build the external .tsx files for a TMX export
+     * Image paths are rewritten to stay relative to each .tsx file.
+     * @returns {Array<{file: string, content: string}>} Tileset files, paths relative to the map
+     */
+    exportTilesetsToTSX(level = {}, options = {}) {
+        const tilesetDir = options.tilesetDir || '.';
+
+        return this.getTilesetDefinitions(level, options).map(tileset => {
+            const imageSource = path.posix.relative(tilesetDir, tileset.image.source);
+
+            let content = '<?xml version="1.0" encoding="UTF-8"?>\n';
+            content += `<tileset ${TMX_VERSION} ${this.getTilesetAttributes(tileset)}>\n`;
+            content += this.generateTilesetContent(tileset, imageSource, ' ');
+            content += '</tileset>\n';
+
+            return { file: this.getTSXPath(tileset, options), content };
+        });
+    }
+
+    getTSXPath(tileset, options) {
+        return path.posix.join(options.tilesetDir || '.', `${tileset.name}.tsx`);
+    }
+
+    getTilesetAttributes(tileset) {
+        return `name="${XMLUtils.escape(tileset.name)}" tilewidth="${tileset.tileWidth}" tileheight="${tileset.tileHeight}" ` +
+            `tilecount="${tileset.tileCount}" columns="${tileset.columns}"`;
+    }
+
+    /**
+     * Image, tile collision and terrain set elements of a tileset
+     */
+    generateTilesetContent(tileset, imageSource, indent) {
+        const { width, height } = tileset.image;
+        let content = `${indent}<image source="${XMLUtils.escape(imageSource)}" width="${width}" height="${height}"/>\n`;
+
+        this.getTileCollisionObjects(tileset).forEach(({ id, objects }) => {
+            content += `${indent}<tile id="${id}">\n`;
+            content += `${indent}  <objectgroup draworder="index" id="2">\n`;
+            objects.forEach(object => {
+                const points = object.polygon.map(point => `${point.x},${point.y}`).join(' ');
+                content += `${indent}    <object id="${object.id}" x="${object.x}" y="${object.y}">\n`;
+                content += `${indent}      <polygon points="${points}"/>\n`;
+                content += `${indent}    </object>\n`;
+            });
+            content += `${indent}  </objectgroup>\n`;
+            content += `${indent}</tile>\n`;
+        });
+
+        if (tileset.transitionSet) {
+            content += this.generateWangsets(tileset.transitionSet, indent);
+        }
+
+        return content;
+    }
+
+    /**
+     * Collision objects of a tileset's tiles, one polygon object per collision polygon
+     * Tiled places a polygon object at its first point, with the points relative to it.
+     * @returns {Array<{id: number, objects: Array<{id, x, y, polygon}>}>} Tiles with collision polygons
+     */
+    getTileCollisionObjects(tileset) {
+        return (tileset.collisionPolygons || [])
+            .map((polygons, id) => ({
+                id,
+                objects: polygons.map((polygon, index) => ({
+                    id: index + 1,
+                    x: polygon[0].x,
+                    y: polygon[0].y,
+                    polygon: polygon.map(point => ({ x: point.x - polygon[0].x, y: point.y - polygon[0].y }))
+                }))
+            }))
+            .filter(tile => tile.objects.length > 0);
+    }
+
+    /**
+     * Generate the Tiled terrain set for one transition tileset
+     * @param {Object} transitionSet - Tileset metadata (name, layout, terrains, tiles)
+     * @param {string} indent - Indentation of the <wangsets> element
+     */
+    generateWangsets(transitionSet, indent) {
+        const { name, terrains, tiles } = transitionSet;
+        const { type, fromTile, toTile } = this.getWangsetInfo(transitionSet);
+
+        let wangsets = `${indent}<wangsets>\n`;
+        wangsets += `${indent}  <wangset name="${XMLUtils.escape(name)}" type="${type}" tile="-1">\n`;
+        wangsets += `${indent}    <wangcolor name="${XMLUtils.escape(terrains.from)}" color="#ff0000" tile="${fromTile ? fromTile.id : -1}" probability="1"/>\n`;
+        wangsets += `${indent}    <wangcolor name="${XMLUtils.escape(terrains.to)}" color="#0000ff" tile="${toTile ? toTile.id : -1}" probability="1"/>\n`;
+
+        tiles.filter(tile => tile.wangid).forEach(tile => {
+            wangsets += `${indent}    <wangtile tileid="${tile.id}" wangid="${tile.wangid.join(',')}"/>\n`;
+        });
+
+        wangsets += `${indent}  </wangset>\n`;
+        wangsets += `${indent}</wangsets>\n`;
+
+        return wangsets;
+    }
+
+    /**
+     * Wang set type and the representative tiles of its two terrains
+     */
+    getWangsetInfo(transitionSet) {
+        const { layout, tiles } = transitionSet;
+
+        // Blob sets constrain edges and corners; 16-tile Wang sets constrain corners only
+        const type = layout === 'wang16' ? 'corner' : 'mixed';
+
+        // Representative tiles: the plain "from" tile and the fully enclosed "to" tile
+        const full = layout === 'wang16' ? 15 : 255;
+        const fromTile = tiles.find(tile => tile.mask === null || (layout === 'wang16' && tile.mask === 0));
+        const toTile = tiles.find(tile => tile.mask === full);
+
+        return { type, fromTile, toTile };
+    }
+
     /**
      * Generate TMX layers
+     * @param {Object} level - Level to export
+     * @param {Object} [format] - { encoding: 'csv'|'base64', compression: null|'zlib'|'gzip' }
      */
-    generateTMXLayers(level) {
+    generateTMXLayers(level, format = { encoding: 'csv', compression: null }) {
+        const { width, height } = level.config?.dimensions || level.dimensions;
+        const tileLayers = this.getTMXTileLayers(level);
         let layers = '';
 
-        // Ground layer
-        if (level.layers.ground) {
-            layers += '  <layer id="1" name="Ground" width="' + level.config.dimensions.width +
-                     '" height="' + level.config.dimensions.height + '">\n';
-            layers += '    <data encoding="csv">\n';
-            layers += this.encodeTMXLayerData(level.layers.ground);
+        TMX_LAYERS.filter(tmxLayer => tileLayers[tmxLayer.key]).forEach(tmxLayer => {
+            const layer = tileLayers[tmxLayer.key];
+
+            layers += `  <layer id="${tmxLayer.id}" name="${tmxLayer.name}" width="${width}" height="${height}">\n`;
+            if (format.encoding === 'base64') {
+                const compression = format.compression ? ` compression="${format.compression}"` : '';
+                layers += `    <data encoding="base64"${compression}>\n`;
+                layers += `      ${this.encodeTMXLayerBase64(layer, tmxLayer.offset, format.compression)}\n`;
+            } else {
+                layers += '    <data encoding="csv">\n';
+                layers += this.encodeTMXLayerData(layer, tmxLayer.offset);
+            }
             layers += '    </data>\n';
             layers += '  </layer>\n';
-        }
+        });
 
-        // Wall layer
-        if (level.layers.walls) {
-            layers += '  <layer id="2" name="Walls" width="' + level.config.dimensions.width +
-                     '" height="' + level.config.dimensions.height + '">\n';
-            layers += '    <data encoding="csv">\n';
-            layers += this.encodeTMXLayerData(level.layers.walls, 100);
-            layers += '    </data>\n';
-            layers += '  </layer>\n';
-        }
+        return layers;
+    }
 
-        // Decoration layer
-        if (level.layers.decorations) {
-            layers += '  <layer id="3" name="Decorations" width="' + level.config.dimensions.width +
-                     '" height="' + level.config.dimensions.height + '">\n';
-            layers += '    <data encoding="csv">\n';
-            layers += this.encodeTMXLayerData(level.layers.decorations, 150);
-            layers += '    </data>\n';
-            layers += '  </layer>\n';
-        }
+    /**
+     * Tile layers of the TMX and Tiled JSON exports as grids of { tileId }, keyed like TMX_LAYERS
+     * LevelGenerator levels (terrain/structures/interactive grids of tile names) get tile ids
+     * from 1 in order of appearance. Treasure chests stay on the decorations layer, as
+     * Tiled maps have no chest objects.
+     */
+    getTMXTileLayers(level) {
+        const grids = this.getTileGrids(level, { treasureTiles: true });
+        const layers = {};
+
+        TMX_LAYERS.filter(tmxLayer => grids[tmxLayer.key]).forEach(tmxLayer => {
+            const { names } = this.indexTiles(grids[tmxLayer.key]);
+            layers[tmxLayer.key] = grids[tmxLayer.key].map(row => row.map(cell => {
+                if (cell === null) return null;
+                return { tileId: (typeof cell === 'string' ? names.indexOf(cell) : cell) + 1 };
+            }));
+        });
 
         return layers;
     }
 
+    /**
+     * Global tile IDs of a layer in row order; empty cells are 0
+     */
+    getTMXLayerGids(layer, offset = 0) {
+        const height = layer.length;
+        const width = height > 0 ? layer[0].length : 0;
+        const gids = new Uint32Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const tile = layer[y] && layer[y][x];
+                gids[y * width + x] = tile && tile.tileId ? tile.tileId + offset : 0;
+            }
+        }
+
+        return { gids, width, height };
+    }
+
     /**
      * Encode layer data for TMX
      */
     encodeTMXLayerData(layer, offset = 0) {
+        const { gids, width, height } = this.getTMXLayerGids(layer, offset);
         let data = '';
-        const { width, height } = layer.length > 0 ? { width: layer[0].length, height: layer.length } : { width: 0, height: 0 };
 
         for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const tileId = layer[y] && layer[y][x] ? layer[y][x].tileId + offset : 0;
-                data += tileId;
-                if (!(y === height - 1 && x === width - 1)) {
-                    data += ',';
-                }
-            }
-            data += '\n';
+            data += Array.from(gids.subarray(y * width, (y + 1) * width)).join(',');
+            data += y < height - 1 ? ',\n' : '\n';
         }
 
         return data;
     }
 
+    /**
+     * Encode layer data as little-endian 32-bit gids in base64, optionally compressed
+     */
+    encodeTMXLayerBase64(layer, offset = 0, compression = null) {
+        const { gids } = this.getTMXLayerGids(layer, offset);
+        let buffer = Buffer.alloc(gids.length * 4);
+        gids.forEach((gid, index) => buffer.writeUInt32LE(gid, index * 4));
+
+        if (compression === 'zlib') {
+            buffer = zlib.deflateSync(buffer);
+        } else if (compression === 'gzip') {
+            buffer = zlib.gzipSync(buffer);
+        }
+
+        return buffer.toString('base64');
+    }
+
     /**
      * Generate TMX object groups
+     * Entity fields other than id/type/name/position/size become typed custom properties
      */
     generateTMXObjectGroups(level) {
         let objectGroups = '';
 
         if (level.entities && level.entities.length > 0) {
-            objectGroups += '  <objectgroup id="1" name="Entities">\n';
+            objectGroups += `  <objectgroup id="${TMX_LAYERS.length + 1}" name="Entities">\n`;
 
             level.entities.forEach((entity, index) => {
-                const x = (entity.position?.x || 0) * 32;
-                const y = (entity.position?.y || 0) * 32;
-                const width = entity.size?.width || 32;
-                const height = entity.size?.height || 32;
-
-                objectGroups += `    <object id="${index + 1}" name="${entity.name || entity.type}" `;
-                objectGroups += `type="${entity.type}" x="${x}" y="${y}" width="${width}" height="${height}">\n`;
-
-                // Add properties
-                if (entity.properties) {
-                    objectGroups += '      <properties>\n';
-                    Object.entries(entity.properties).forEach(([key, value]) => {
-                        objectGroups += `        <property name="${key}" value="${value}"/>\n`;
-                    });
-                    objectGroups += '      </properties>\n';
-                }
-
-                objectGroups += '    </object>\n';
+                const position = entity.position || { x: entity.x, y: entity.y };
+                const x = (position.x || 0) * TMX_TILE_SIZE;
+                const y = (position.y || 0) * TMX_TILE_SIZE;
+                const width = entity.size?.width || TMX_TILE_SIZE;
+                const height = entity.size?.height || TMX_TILE_SIZE;
+                const name = XMLUtils.escape(entity.name || entity.type || '');
+
+                objectGroups += `    <object id="${index + 1}" name="${name}" type="${XMLUtils.escape(entity.type || '')}" `;
+                objectGroups += `x="${x}" y="${y}" width="${width}" height="${height}"`;
+
+                const properties = this.generateTMXProperties(this.getEntityProperties(entity), '      ');
+                objectGroups += properties ? `>\n${properties}    </object>\n` : '/>\n';
             });
 
             objectGroups += '  </objectgroup>\n';
@@ -311,6 +986,657 @@ class LevelExporter {
         return objectGroups;
     }
 
+    /**
+     * Custom properties of an entity: its properties object plus any extra top-level
+     * fields (enemyType, dialogue, lootTable, ...). The entity id is kept as "id".
+     */
+    getEntityProperties(entity) {
+        const properties = {};
+        if (entity.id !== undefined) {
+            properties.id = String(entity.id);
+        }
+
+        Object.entries(entity).forEach(([key, value]) => {
+            if (!ENTITY_FIELDS.includes(key)) {
+                properties[key] = value;
+            }
+        });
+
+        return { ...properties, ...(entity.properties || {}) };
+    }
+
+    /**
+     * Generate a TMX <properties> block, or '' when there is nothing to write
+     */
+    generateTMXProperties(properties, indent) {
+        const entries = Object.entries(properties || {}).filter(([, value]) => value !== undefined && value !== null);
+        if (entries.length === 0) return '';
+
+        let xml = `${indent}<properties>\n`;
+        entries.forEach(([name, value]) => {
+            xml += this.generateTMXProperty(name, value, `${indent}  `);
+        });
+        xml += `${indent}</properties>\n`;
+
+        return xml;
+    }
+
+    /**
+     * Generate one typed TMX property
+     * Booleans become bool, integers int, other numbers float. Objects and arrays become
+     * class properties with nested members (arrays use the "list" property type and index
+     * names), and multi-line strings are written as element text as Tiled does.
+     */
+    generateTMXProperty(name, value, indent) {
+        const attrName = `name="${XMLUtils.escape(name)}"`;
+
+        if (typeof value === 'boolean') {
+            return `${indent}<property ${attrName} type="bool" value="${value}"/>\n`;
+        }
+        if (typeof value === 'number') {
+            const type = Number.isInteger(value) ? 'int' : 'float';
+            return `${indent}<property ${attrName} type="${type}" value="${value}"/>\n`;
+        }
+        if (typeof value === 'object') {
+            const members = Array.isArray(value)
+                ? Object.fromEntries(value.map((item, index) => [String(index), item]))
+                : value;
+            const propertyType = Array.isArray(value) ? ' propertytype="list"' : '';
+
+            let xml = `${indent}<property ${attrName} type="class"${propertyType}>\n`;
+            xml += this.generateTMXProperties(members, `${indent}  `);
+            xml += `${indent}</property>\n`;
+            return xml;
+        }
+
+        const text = String(value);
+        if (text.includes('\n')) {
+            return `${indent}<property ${attrName}>${XMLUtils.escape(text)}</property>\n`;
+        }
+        return `${indent}<property ${attrName} value="${XMLUtils.escape(text)}"/>\n`;
+    }
+
+    /**
+     * Embedded tileset of a Tiled JSON map
+     */
+    generateTiledJSONTileset(tileset) {
+        const json = {
+            firstgid: tileset.firstgid,
+            name: tileset.name,
+            tilewidth: tileset.tileWidth,
+            tileheight: tileset.tileHeight,
+            tilecount: tileset.tileCount,
+            columns: tileset.columns,
+            image: tileset.image.source,
+            imagewidth: tileset.image.width,
+            imageheight: tileset.image.height,
+            margin: 0,
+            spacing: 0
+        };
+
+        const collisionTiles = this.getTileCollisionObjects(tileset);
+        if (collisionTiles.length > 0) {
+            json.tiles = collisionTiles.map(({ id, objects }) => ({
+                id,
+                objectgroup: {
+                    draworder: 'index',
+                    id: 2,
+                    name: '',
+                    objects: objects.map(object => ({
+                        id: object.id,
+                        name: '',
+                        type: '',
+                        x: object.x,
+                        y: object.y,
+                        width: 0,
+                        height: 0,
+                        rotation: 0,
+                        visible: true,
+                        polygon: object.polygon
+                    })),
+                    opacity: 1,
+                    type: 'objectgroup',
+                    visible: true,
+                    x: 0,
+                    y: 0
+                }
+            }));
+        }
+
+        if (tileset.transitionSet) {
+            const { name, terrains, tiles } = tileset.transitionSet;
+            const { type, fromTile, toTile } = this.getWangsetInfo(tileset.transitionSet);
+
+            json.wangsets = [{
+                name,
+                type,
+                tile: -1,
+                colors: [
+                    { name: terrains.from, color: '#ff0000', tile: fromTile ? fromTile.id : -1, probability: 1 },
+                    { name: terrains.to, color: '#0000ff', tile: toTile ? toTile.id : -1, probability: 1 }
+                ],
+                wangtiles: tiles.filter(tile => tile.wangid).map(tile => ({ tileid: tile.id, wangid: tile.wangid }))
+            }];
+        }
+
+        return json;
+    }
+
+    /**
+     * Entities object layer of a Tiled JSON map, positioned like the TMX object group
+     */
+    generateTiledJSONObjectGroup(level) {
+        return {
+            id: TMX_LAYERS.length + 1,
+            name: 'Entities',
+            type: 'objectgroup',
+            draworder: 'topdown',
+            x: 0,
+            y: 0,
+            opacity: 1,
+            visible: true,
+            objects: level.entities.map((entity, index) => {
+                const position = entity.position || { x: entity.x, y: entity.y };
+                const object = {
+                    id: index + 1,
+                    name: entity.name || entity.type || '',
+                    type: entity.type || '',
+                    x: (position.x || 0) * TMX_TILE_SIZE,
+                    y: (position.y || 0) * TMX_TILE_SIZE,
+                    width: entity.size?.width || TMX_TILE_SIZE,
+                    height: entity.size?.height || TMX_TILE_SIZE,
+                    rotation: 0,
+                    visible: true
+                };
+
+                const properties = this.generateTiledJSONProperties(this.getEntityProperties(entity));
+                if (properties) {
+                    object.properties = properties;
+                }
+                return object;
+            })
+        };
+    }
+
+    /**
+     * Tiled JSON properties, typed as in generateTMXProperty; undefined when there are none
+     */
+    generateTiledJSONProperties(properties) {
+        const entries = Object.entries(properties || {}).filter(([, value]) => value !== undefined && value !== null);
+        if (entries.length === 0) return undefined;
+
+        return entries.map(([name, value]) => {
+            if (typeof value === 'boolean') {
+                return { name, type: 'bool', value };
+            }
+            if (typeof value === 'number') {
+                return { name, type: Number.isInteger(value) ? 'int' : 'float', value };
+            }
+            if (typeof value === 'object') {
+                const property = { name, type: 'class', value: Array.isArray(value) ? { ...value } : value };
+                if (Array.isArray(value)) {
+                    property.propertytype = 'list';
+                }
+                return property;
+            }
+            return { name, type: 'string', value: String(value) };
+        });
+    }
+
+    /**
+     * Tile grids of the LDtk, Godot, Defold and LÖVE tile layers, keyed by tileset name
+     * Cells hold a tile index (tile-id levels) or a tile name (LevelGenerator levels).
+     * Treasure chests are exported as entities rather than decoration tiles, unless
+     * options.treasureTiles is set.
+     */
+    getTileGrids(level, options = {}) {
+        const layers = level.layers || {};
+        const toTile = cell => {
+            if (cell === null || cell === undefined) return null;
+            if (typeof cell === 'string') return cell;
+            return cell.tileId > 0 ? cell.tileId - 1 : null;
+        };
+        const convert = grid => (grid ? grid.map(row => row.map(toTile)) : null);
+
+        if (!layers.terrain && !layers.structures) {
+            return {
+                ground: convert(layers.ground),
+                walls: convert(layers.walls),
+                decorations: convert(layers.decorations)
+            };
+        }
+
+        return {
+            ground: convert(layers.terrain),
+            walls: convert(layers.structures),
+            decorations: convert(layers.interactive && layers.interactive.map(row =>
+                row.map(cell => (!options.treasureTiles && this.isTreasureCell(cell) ? null : cell))))
+        };
+    }
+
+    isTreasureCell(cell) {
+        return typeof cell === 'string' && /treasure|chest/.test(cell);
+    }
+
+    /**
+     * Placed tiles of a grid; named tiles are numbered in order of first appearance
+     */
+    indexTiles(grid) {
+        const names = [];
+        const tiles = [];
+
+        grid.forEach((row, cy) => row.forEach((cell, cx) => {
+            if (cell === null) return;
+
+            let tileId = cell;
+            if (typeof cell === 'string') {
+                if (!names.includes(cell)) names.push(cell);
+                tileId = names.indexOf(cell);
+            }
+            tiles.push({ cx, cy, tileId });
+        }));
+
+        return { tiles, names };
+    }
+
+    /**
+     * Tilesets of the Godot, Defold and LÖVE exports with their placed tiles and, for named
+     * tiles, the names
+     */
+    getPlacedTilesets(level, options = {}) {
+        const grids = this.getTileGrids(level);
+
+        return this.getTilesetDefinitions(level, options)
+            .filter(tileset => grids[tileset.name])
+            .map(tileset => {
+                const { tiles, names } = this.indexTiles(grids[tileset.name]);
+                let collision = false;
+                if (tileset.name === 'walls') {
+                    collision = names.length > 0
+                        ? names.map((tileName, index) => index).filter(index => !/door/.test(names[index]))
+                        : true;
+                }
+                if (tileset.collisionPolygons) {
+                    // Traced tilesets collide wherever a tile has opaque pixels; doors stay open
+                    collision = tileset.collisionPolygons.map((polygons, index) => index)
+                        .filter(index => tileset.collisionPolygons[index].length > 0 && !/door/.test(names[index] || ''));
+                }
+
+                return { ...tileset, tiles, tileNames: names.length > 0 ? names : null, collision };
+            });
+    }
+
+    /**
+     * Collision IntGrid values in row order (see LDTK_INTGRID_VALUES); empty cells are 0
+     */
+    getLDtkCollision(level, width, height) {
+        const layers = level.layers || {};
+        const ground = layers.terrain || layers.ground;
+        const walls = layers.structures || layers.walls;
+        const csv = [];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                csv.push(this.getLDtkCollisionValue(ground?.[y]?.[x], walls?.[y]?.[x]));
+            }
+        }
+
+        return csv;
+    }
+
+    getLDtkCollisionValue(ground, wall) {
+        if (typeof wall === 'string') {
+            // Doors sit in the wall layer but can be walked through
+            if (!/door/.test(wall)) return 1;
+            return 2;
+        }
+        if (wall && (wall.solid || wall.tileId > 0)) return 1;
+        if (!ground) return 0;
+
+        if (typeof ground === 'string') {
+            return /water/.test(ground) ? 3 : 2;
+        }
+        if (ground.solid) return 1;
+        if (!ground.tileId) return 0;
+        if (/water/.test(ground.tileType || '')) return 3;
+        return ground.walkable === false ? 1 : 2;
+    }
+
+    /**
+     * Entities for the LDtk, Godot, Defold and LÖVE exports: level entities, treasure chests and light
+     * sources painted on the interactive and lighting grids, and the level's light list
+     * @returns {Array<{type: string, x: number, y: number, size?: Object, fields: Object}>} Positions in tiles
+     */
+    getPlacedEntities(level) {
+        const layers = level.layers || {};
+        const entities = (level.entities || []).map(entity => {
+            const position = entity.position || { x: entity.x, y: entity.y };
+            return {
+                type: entity.type || 'entity',
+                x: position.x || 0,
+                y: position.y || 0,
+                size: entity.size,
+                fields: this.getEntityProperties(entity)
+            };
+        });
+
+        (layers.interactive || []).forEach((row, y) => row.forEach((cell, x) => {
+            if (this.isTreasureCell(cell)) {
+                entities.push({ type: 'treasure', x, y, fields: { id: `treasure_${x}_${y}`, kind: cell } });
+            }
+        }));
+
+        (layers.lighting || []).forEach((row, y) => row.forEach((cell, x) => {
+            if (cell) {
+                entities.push({ type: 'light', x, y, fields: { id: `light_${x}_${y}`, kind: cell } });
+            }
+        }));
+
+        (level.lighting || []).forEach(light => {
+            const position = light.position || { x: 0, y: 0 };
+            entities.push({
+                type: 'light',
+                x: position.x || 0,
+                y: position.y || 0,
+                fields: { kind: light.type || 'point', ...this.getEntityProperties(light) }
+            });
+        });
+
+        return entities;
+    }
+
+    /**
+     * LDtk identifier from a type or level name: 'main_keep' becomes 'Main_Keep'
+     */
+    getLDtkIdentifier(name) {
+        const identifier = String(name)
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map(word => word[0].toUpperCase() + word.slice(1))
+            .join('_');
+
+        return /^[A-Za-z]/.test(identifier) ? identifier : `L_${identifier}`;
+    }
+
+    /**
+     * Field definitions covering every value the records hold for each field
+     * Booleans become Bool, integers Int, other numbers Float and multi-line strings Text.
+     * Conflicting types fall back to String, arrays become array fields, and objects are
+     * stored as JSON strings.
+     */
+    createLDtkFieldDefs(records, uid) {
+        const fields = new Map();
+
+        records.forEach(record => Object.entries(record).forEach(([name, value]) => {
+            const field = fields.get(name) || { type: null, isArray: false };
+            if (value !== undefined && value !== null) {
+                const items = Array.isArray(value) ? value : [value];
+                items.filter(item => item !== undefined && item !== null).forEach(item => {
+                    field.type = this.mergeLDtkFieldTypes(field.type, this.getLDtkFieldType(item));
+                });
+                field.isArray = field.isArray || Array.isArray(value);
+            }
+            fields.set(name, field);
+        }));
+
+        return [...fields.entries()].map(([identifier, field]) => {
+            const type = field.type || 'String';
+            const jsonType = LDTK_FIELD_TYPES[type].jsonType;
+
+            return {
+                identifier,
+                doc: null,
+                __type: field.isArray ? `Array<${jsonType}>` : jsonType,
+                uid: uid(),
+                type: `F_${type}`,
+                isArray: field.isArray,
+                canBeNull: true,
+                arrayMinLength: null,
+                arrayMaxLength: null,
+                editorDisplayMode: 'Hidden',
+                editorDisplayScale: 1,
+                editorDisplayPos: 'Above',
+                editorLinkStyle: 'StraightArrow',
+                editorDisplayColor: null,
+                editorAlwaysShow: false,
+                editorShowInWorld: true,
+                editorCutLongValues: true,
+                editorTextSuffix: null,
+                editorTextPrefix: null,
+                useForSmartColor: false,
+                exportToToc: false,
+                searchable: false,
+                min: null,
+                max: null,
+                regex: null,
+                acceptFileTypes: null,
+                defaultOverride: null,
+                textLanguageMode: null,
+                symmetricalRef: false,
+                autoChainRef: true,
+                allowOutOfLevelRef: true,
+                allowedRefs: 'OnlySame',
+                allowedRefsEntityUid: null,
+                allowedRefTags: [],
+                tilesetUid: null
+            };
+        });
+    }
+
+    getLDtkFieldType(value) {
+        if (typeof value === 'boolean') return 'Bool';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'Int' : 'Float';
+        if (typeof value === 'string' && value.includes('\n')) return 'Text';
+        return 'String';
+    }
+
+    mergeLDtkFieldTypes(current, type) {
+        if (!current || current === type) return type;
+        if (['Int', 'Float'].includes(current) && ['Int', 'Float'].includes(type)) return 'Float';
+        return current === 'Text' || type === 'Text' ? 'Text' : 'String';
+    }
+
+    /**
+     * Field instance holding a value converted to its field definition's type
+     */
+    createLDtkFieldInstance(def, value) {
+        let values = Array.isArray(value) ? value : [value];
+        if (def.isArray && (value === undefined || value === null)) {
+            values = [];
+        }
+
+        const converted = values.map(item => this.toLDtkFieldValue(item, def.type));
+        const editorValue = LDTK_FIELD_TYPES[def.type.slice(2)].editorValue;
+
+        return {
+            __identifier: def.identifier,
+            __type: def.__type,
+            __value: def.isArray ? converted : converted[0],
+            __tile: null,
+            defUid: def.uid,
+            realEditorValues: converted.map(item => (item === null ? null : { id: editorValue, params: [item] }))
+        };
+    }
+
+    toLDtkFieldValue(value, fieldType) {
+        if (value === undefined || value === null) return null;
+
+        switch (fieldType) {
+            case 'F_Int':
+            case 'F_Float':
+                return Number(value);
+            case 'F_Bool':
+                return Boolean(value);
+            default:
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+
+    createLDtkTileset(tileset, uid, names) {
+        const gridSize = tileset.tileWidth;
+
+        return {
+            __cWid: Math.floor(tileset.image.width / gridSize),
+            __cHei: Math.floor(tileset.image.height / gridSize),
+            identifier: this.getLDtkIdentifier(tileset.name),
+            uid,
+            relPath: tileset.image.source,
+            embedAtlas: null,
+            pxWid: tileset.image.width,
+            pxHei: tileset.image.height,
+            tileGridSize: gridSize,
+            spacing: 0,
+            padding: 0,
+            tags: [],
+            tagsSourceEnumUid: null,
+            enumTags: [],
+            customData: names.map((name, tileId) => ({ tileId, data: name })),
+            savedSelections: [],
+            cachedPixelData: null
+        };
+    }
+
+    createLDtkLayerDef(identifier, type, uid, gridSize, settings = {}) {
+        return {
+            __type: type,
+            identifier,
+            type,
+            uid,
+            doc: null,
+            uiColor: null,
+            gridSize,
+            guideGridWid: 0,
+            guideGridHei: 0,
+            displayOpacity: 1,
+            inactiveOpacity: 1,
+            hideInList: false,
+            hideFieldsWhenInactive: true,
+            canSelectWhenInactive: true,
+            renderInWorldView: true,
+            pxOffsetX: 0,
+            pxOffsetY: 0,
+            parallaxFactorX: 0,
+            parallaxFactorY: 0,
+            parallaxScaling: true,
+            requiredTags: [],
+            excludedTags: [],
+            autoTilesKilledByOtherLayerUid: null,
+            uiFilterTags: [],
+            useAsyncRender: false,
+            intGridValues: [],
+            intGridValuesGroups: [],
+            autoRuleGroups: [],
+            autoSourceLayerDefUid: null,
+            tilesetDefUid: null,
+            tilePivotX: 0,
+            tilePivotY: 0,
+            biomeFieldUid: null,
+            ...settings
+        };
+    }
+
+    createLDtkLayerInstance(def, tileset, levelUid, width, height, content = {}) {
+        return {
+            __identifier: def.identifier,
+            __type: def.type,
+            __cWid: width,
+            __cHei: height,
+            __gridSize: def.gridSize,
+            __opacity: 1,
+            __pxTotalOffsetX: 0,
+            __pxTotalOffsetY: 0,
+            __tilesetDefUid: tileset ? tileset.uid : null,
+            __tilesetRelPath: tileset ? tileset.relPath : null,
+            iid: uuidv4(),
+            levelId: levelUid,
+            layerDefUid: def.uid,
+            pxOffsetX: 0,
+            pxOffsetY: 0,
+            visible: true,
+            optionalRules: [],
+            intGridCsv: [],
+            autoLayerTiles: [],
+            seed: Math.floor(Math.random() * 9999999),
+            overrideTilesetUid: null,
+            gridTiles: [],
+            entityInstances: [],
+            ...content
+        };
+    }
+
+    createLDtkGridTile(tile, tileset, width, gridSize) {
+        return {
+            px: [tile.cx * gridSize, tile.cy * gridSize],
+            src: [
+                (tile.tileId % tileset.__cWid) * tileset.tileGridSize,
+                Math.floor(tile.tileId / tileset.__cWid) * tileset.tileGridSize
+            ],
+            f: 0,
+            t: tile.tileId,
+            d: [tile.cx + tile.cy * width],
+            a: 1
+        };
+    }
+
+    createLDtkEntityDef(identifier, uid, gridSize, fieldDefs) {
+        return {
+            identifier,
+            uid,
+            tags: [],
+            exportToToc: false,
+            allowOutOfBounds: false,
+            doc: null,
+            width: gridSize,
+            height: gridSize,
+            resizableX: false,
+            resizableY: false,
+            minWidth: null,
+            maxWidth: null,
+            minHeight: null,
+            maxHeight: null,
+            keepAspectRatio: false,
+            tileOpacity: 1,
+            fillOpacity: 0.08,
+            lineOpacity: 0,
+            hollow: false,
+            color: LDTK_ENTITY_COLORS[identifier] || '#94D9B3',
+            renderMode: 'Rectangle',
+            showName: true,
+            tilesetId: null,
+            tileRenderMode: 'FitInside',
+            tileRect: null,
+            uiTileRect: null,
+            nineSliceBorders: [],
+            maxCount: 0,
+            limitScope: 'PerLevel',
+            limitBehavior: 'MoveLastOne',
+            pivotX: 0,
+            pivotY: 0,
+            fieldDefs
+        };
+    }
+
+    createLDtkEntityInstance(entity, def, gridSize) {
+        const px = [Math.round(entity.x * gridSize), Math.round(entity.y * gridSize)];
+
+        return {
+            __identifier: def.identifier,
+            __grid: [Math.floor(entity.x), Math.floor(entity.y)],
+            __pivot: [0, 0],
+            __tags: [],
+            __tile: null,
+            __smartColor: def.color,
+            __worldX: px[0],
+            __worldY: px[1],
+            iid: uuidv4(),
+            width: entity.size?.width || def.width,
+            height: entity.size?.height || def.height,
+            defUid: def.uid,
+            px,
+            fieldInstances: def.fieldDefs.map(fieldDef => this.createLDtkFieldInstance(fieldDef, entity.fields[fieldDef.identifier]))
+        };
+    }
+
     /**
      * Convert layers to Unity terrain format
      */
@@ -367,43 +1693,6 @@ class LevelExporter {
         }));
     }
 
-    /**
-     * Convert layers to Godot format
-     */
-    convertToGodotLayers(layers) {
-        const godotLayers = {};
-
-        Object.keys(layers).forEach(layerName => {
-            godotLayers[layerName] = layers[layerName].map(row =>
-                row.map(tile => ({
-                    tile_id: tile.tileId,
-                    position: { x: tile.x, y: tile.y },
-                    properties: {
-                        walkable: tile.walkable,
-                        solid: tile.solid
-                    }
-                }))
-            );
-        });
-
-        return godotLayers;
-    }
-
-    /**
-     * Convert entities to Godot format
-     */
-    convertToGodotEntities(entities) {
-        if (!entities) return [];
-
-        return entities.map(entity => ({
-            name: entity.name,
-            type: entity.type,
-            position: entity.position || { x: 0, y: 0 },
-            properties: entity.properties || {},
-            metadata: entity.metadata || {}
-        }));
-    }
-
     /**
      * Convert layers to generic tile format
      */
@@ -484,9 +1773,11 @@ class LevelExporter {
     validateOptions(format, options) {
         const formatOptions = {
             json: ['pretty', 'compact'],
-            tmx: ['embedTilesets', 'compress'],
+            tmx: ['embedTilesets', 'compress', 'encoding', 'compression', 'tilesetDir', 'tilesetImages', 'transitionSets'],
+            tmj: ['tilesetImages', 'transitionSets', 'minify'],
+            ldtk: ['gridSize', 'tilesetImages', 'minify'],
             unity: ['sceneName', 'prefabPath'],
-            godot: ['sceneName', 'resourcePath'],
+            godot: ['sceneName', 'resourcePath', 'tileSetPath', 'tilesetImages'],
             generic: ['schemaVersion', 'includeMetadata']
         };
 
@@ -501,4 +1792,7 @@ class LevelExporter {
     }
 }
 
+LevelExporter.TMX_LAYERS = TMX_LAYERS;
+LevelExporter.TMX_TILE_SIZE = TMX_TILE_SIZE;
+
 module.exports = LevelExporter;
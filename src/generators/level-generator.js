@@ -7,6 +7,7 @@ const Jimp = require('jimp');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const SeededRandom = require('../utils/seeded-random');
 
 class LevelGenerator {
     constructor() {
@@ -27,13 +28,12 @@ class LevelGenerator {
             levelType: config.levelType || 'dungeon',
             theme: config.theme || 'medieval',
             difficulty: config.difficulty || 'normal',
-            seed: config.seed || Math.random(),
-            ...config
+            ...config,
+            seed: config.seed !== undefined ? config.seed : SeededRandom.createSeed()
         };
 
         // Initialize random seed for reproducible generation
-        this.randomSeed = this.config.seed;
-        Math.random = this.seededRandom.bind(this);
+        this.random = new SeededRandom(this.config.seed);
 
         // Initialize level data structure
         this.level = {
@@ -72,6 +72,15 @@ class LevelGenerator {
      * Generate complete level
      */
     async generateLevel(config = {}) {
+        // Math.random is seeded only while this level is being built
+        const seed = config.seed !== undefined ? config.seed : SeededRandom.createSeed();
+        return await SeededRandom.run(seed, () => this.buildLevel({ ...config, seed }));
+    }
+
+    /**
+     * Build the level (runs inside the seeded scope)
+     */
+    async buildLevel(config) {
         await this.initialize(config);
 
         console.log(`Generating ${this.config.levelType} level: ${this.level.name}`);
@@ -590,8 +599,7 @@ class LevelGenerator {
      * Seeded random number generator
      */
     seededRandom() {
-        const x = Math.sin(this.randomSeed++) * 10000;
-        return x - Math.floor(x);
+        return this.random.next();
     }
 
     /**
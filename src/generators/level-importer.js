@@ -0,0 +1,258 @@
+/**
+ * Level Importer
+ * Loads Tiled maps (.tmx with inline or external .tsx tilesets) back into editor levels
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const XMLUtils = require('../utils/xml-utils');
+const LevelExporter = require('./level-exporter');
+
+// Tiled stores flip and rotation flags in the top bits of each gid
+const GID_FLAG_MASK = 0xF0000000;
+
+class LevelImporter {
+    /**
+     * Import a .tmx file, resolving external tilesets relative to it
+     * @param {string} filePath - Path to the .tmx file
+     * @returns {Promise<Object>} Level in the shape LevelExporter reads
+     */
+    async importFile(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        return this.importFromTMX(content, { basePath: path.dirname(filePath) });
+    }
+
+    /**
+     * Import a TMX document
+     *
+     * Tile layers named like the exported ones (Ground, Walls, Decorations) map back to
+     * their level layers and tile ids; other tile layers are kept under their lowercased
+     * name with raw gids. Objects become entities with typed custom properties.
+     * @param {string} tmxContent - TMX XML
+     * @param {Object} [options] - Import options
+     * @param {string} [options.basePath] - Directory external .tsx sources are relative to
+     * @returns {Promise<Object>} Imported level
+     */
+    async importFromTMX(tmxContent, options = {}) {
+        const map = XMLUtils.parse(tmxContent);
+        if (map.name !== 'map') {
+            throw new Error(`Not a TMX map: root element is <${map.name}>`);
+        }
+        if (map.attributes.infinite === '1') {
+            throw new Error('Infinite TMX maps are not supported');
+        }
+
+        const width = parseInt(map.attributes.width, 10);
+        const height = parseInt(map.attributes.height, 10);
+        const tileWidth = parseInt(map.attributes.tilewidth, 10);
+        const tileHeight = parseInt(map.attributes.tileheight, 10);
+        const properties = this.parseProperties(map);
+
+        const level = {
+            id: properties.id || `tmx_${Date.now()}`,
+            name: properties.name || 'Imported Level',
+            type: properties.type,
+            theme: properties.theme,
+            difficulty: properties.difficulty,
+            config: {
+                dimensions: { width, height }
+            },
+            layers: {},
+            entities: [],
+            tilesets: [],
+            metadata: {
+                source: 'tmx',
+                tileWidth,
+                tileHeight,
+                imported: new Date().toISOString()
+            }
+        };
+
+        for (const tileset of XMLUtils.children(map, 'tileset')) {
+            level.tilesets.push(await this.readTileset(tileset, options.basePath));
+        }
+
+        for (const layer of XMLUtils.children(map, 'layer')) {
+            const known = LevelExporter.TMX_LAYERS.find(tmxLayer => tmxLayer.name === layer.attributes.name);
+            const key = known ? known.key : layer.attributes.name.toLowerCase();
+            const gids = this.decodeLayerData(XMLUtils.child(layer, 'data'), width * height);
+
+            level.layers[key] = this.buildTileGrid(gids, width, height, known ? known.offset : 0, key);
+        }
+
+        for (const group of XMLUtils.children(map, 'objectgroup')) {
+            for (const object of XMLUtils.children(group, 'object')) {
+                level.entities.push(this.readObject(object, tileWidth, tileHeight));
+            }
+        }
+
+        return level;
+    }
+
+    /**
+     * Read an inline tileset or load an external .tsx one
+     */
+    async readTileset(element, basePath) {
+        const firstgid = parseInt(element.attributes.firstgid, 10);
+        let tileset = element;
+        let source = null;
+
+        if (element.attributes.source) {
+            source = element.attributes.source;
+            const tsxPath = path.resolve(basePath || '.', source);
+            tileset = XMLUtils.parse(await fs.readFile(tsxPath, 'utf8'));
+            if (tileset.name !== 'tileset') {
+                throw new Error(`Not a TSX tileset: ${source}`);
+            }
+        }
+
+        const image = XMLUtils.child(tileset, 'image');
+        return {
+            firstgid,
+            source,
+            name: tileset.attributes.name,
+            tileWidth: parseInt(tileset.attributes.tilewidth, 10),
+            tileHeight: parseInt(tileset.attributes.tileheight, 10),
+            tileCount: parseInt(tileset.attributes.tilecount, 10),
+            columns: parseInt(tileset.attributes.columns, 10),
+            image: image ? {
+                source: image.attributes.source,
+                width: parseInt(image.attributes.width, 10),
+                height: parseInt(image.attributes.height, 10)
+            } : null
+        };
+    }
+
+    /**
+     * Decode CSV or base64 (optionally zlib/gzip compressed) layer data into gids
+     */
+    decodeLayerData(data, expectedCount) {
+        if (!data) {
+            throw new Error('TMX layer has no <data> element');
+        }
+
+        const { encoding, compression } = data.attributes;
+        let gids;
+
+        if (encoding === 'csv') {
+            gids = data.text.split(',').map(value => value.trim()).filter(Boolean).map(value => Number(value) >>> 0);
+        } else if (encoding === 'base64') {
+            let buffer = Buffer.from(data.text.trim(), 'base64');
+            if (compression === 'zlib') {
+                buffer = zlib.inflateSync(buffer);
+            } else if (compression === 'gzip') {
+                buffer = zlib.gunzipSync(buffer);
+            } else if (compression) {
+                throw new Error(`Unsupported TMX layer compression: ${compression}`);
+            }
+
+            gids = [];
+            for (let offset = 0; offset + 4 <= buffer.length; offset += 4) {
+                gids.push(buffer.readUInt32LE(offset));
+            }
+        } else {
+            throw new Error(`Unsupported TMX layer encoding: ${encoding || 'xml'}`);
+        }
+
+        if (gids.length !== expectedCount) {
+            throw new Error(`TMX layer has ${gids.length} tiles, expected ${expectedCount}`);
+        }
+
+        return gids;
+    }
+
+    /**
+     * Turn gids back into the level's tile grid
+     */
+    buildTileGrid(gids, width, height, offset, key) {
+        const grid = [];
+
+        for (let y = 0; y < height; y++) {
+            const row = [];
+            for (let x = 0; x < width; x++) {
+                const raw = gids[y * width + x];
+                const gid = raw & ~GID_FLAG_MASK;
+                const tileId = gid > 0 ? gid - offset : 0;
+                const solid = key === 'walls' && tileId > 0;
+                const tile = { tileId, tileType: null, walkable: !solid, solid, x, y };
+
+                if (raw & GID_FLAG_MASK) {
+                    tile.flags = (raw & GID_FLAG_MASK) >>> 0;
+                }
+                row.push(tile);
+            }
+            grid.push(row);
+        }
+
+        return grid;
+    }
+
+    /**
+     * Convert a TMX object to an entity; the exported "id" property restores the entity id
+     */
+    readObject(object, tileWidth, tileHeight) {
+        const { id, name, type } = object.attributes;
+        const properties = this.parseProperties(object);
+        const entityId = properties.id !== undefined ? properties.id : `tmx_object_${id}`;
+        delete properties.id;
+
+        return {
+            id: entityId,
+            type: type || object.attributes.class || null,
+            name: name || null,
+            position: {
+                x: parseFloat(object.attributes.x || 0) / tileWidth,
+                y: parseFloat(object.attributes.y || 0) / tileHeight
+            },
+            size: {
+                width: parseFloat(object.attributes.width || tileWidth),
+                height: parseFloat(object.attributes.height || tileHeight)
+            },
+            properties
+        };
+    }
+
+    /**
+     * Read an element's <properties> into typed values
+     */
+    parseProperties(element) {
+        const properties = {};
+        const block = XMLUtils.child(element, 'properties');
+        if (!block) return properties;
+
+        for (const property of XMLUtils.children(block, 'property')) {
+            properties[property.attributes.name] = this.parsePropertyValue(property);
+        }
+
+        return properties;
+    }
+
+    parsePropertyValue(property) {
+        const { type, value, propertytype } = property.attributes;
+        const text = value !== undefined ? value : property.text;
+
+        switch (type) {
+            case 'bool':
+                return text === 'true';
+            case 'int':
+                return parseInt(text, 10);
+            case 'float':
+                return parseFloat(text);
+            case 'class': {
+                const members = this.parseProperties(property);
+                if (propertytype === 'list') {
+                    return Object.keys(members)
+                        .sort((a, b) => Number(a) - Number(b))
+                        .map(index => members[index]);
+                }
+                return members;
+            }
+            default:
+                // string, color, file and object references stay as their text value
+                return text;
+        }
+    }
+}
+
+module.exports = LevelImporter;
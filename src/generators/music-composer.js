@@ -3,6 +3,55 @@
  * Specialized class for generating music compositions
  */
 
+const MidiFile = require('../utils/midi-file');
+
+// Synth voices that render note tracks: an exponentially decaying sine, or a pitch-swept drum
+// hit, with a General MIDI channel and program for export
+const VOICES = {
+    melody: { gain: 0.3, decay: 0.5, channel: 0, program: 73 },
+    harmony: { gain: 0.1, decay: 0.2, channel: 1, program: 48 },
+    rhythm: { gain: 0.2, decay: 5, sweep: 10, drum: 200, channel: 9, program: 0, pitch: 36 },
+    bass: { gain: 0.25, decay: 1.5, channel: 2, program: 33 },
+    pads: { gain: 0.05, decay: 0.05, channel: 3, program: 89 }
+};
+
+// Stems of adaptive music, in mixing order
+const STEMS = ['percussion', 'bass', 'harmony', 'melody', 'pads'];
+
+// Compositions that render as stems: the beat and melody of the style's mixed track, a chord
+// progression of one chord per bar (MIDI pitches) and a percussion velocity per eighth note
+const STEM_COMPOSITIONS = {
+    combat: {
+        beat: 0.5,
+        melody: 'generateCombatMusic',
+        // Am F G Am
+        chords: [[57, 60, 64], [53, 57, 60], [55, 59, 62], [57, 60, 64]],
+        percussion: [120, 50, 80, 50, 120, 50, 80, 90]
+    },
+    dungeon: {
+        beat: 1.5,
+        melody: 'generateDungeonMusic',
+        // Dm Bb Gm A
+        chords: [[50, 53, 57], [46, 50, 53], [43, 46, 50], [45, 49, 52]],
+        percussion: [110, 0, 0, 0, 60, 0, 0, 0]
+    }
+};
+
+// Stem gains of each intensity layer, calmest first; stems left out are silent
+const INTENSITIES = {
+    calm: { bass: 0.5, pads: 1 },
+    alert: { bass: 1, harmony: 0.8, melody: 0.6, pads: 1 },
+    combat: { percussion: 1, bass: 1, harmony: 1, melody: 1, pads: 0.6 }
+};
+
+const BEATS_PER_BAR = 4;
+
+// General MIDI percussion channel (channel 10)
+const PERCUSSION_CHANNEL = 9;
+
+// Velocity of composed notes, rendered at the voice's own gain
+const DEFAULT_VELOCITY = 100;
+
 class MusicComposer {
     constructor(sampleRate = 44100, channels = 1, bitDepth = 16) {
         this.sampleRate = sampleRate;
@@ -178,79 +227,331 @@ class MusicComposer {
      * Generate melody from note sequence
      */
     generateMelody(notes, noteDuration = 1.0, tempo = 120) {
-        const adjustedDuration = noteDuration * (60 / tempo); // Adjust for tempo
-        const totalDuration = notes.length * adjustedDuration;
-        const numSamples = Math.floor(totalDuration * this.sampleRate);
-        const audioData = new Float32Array(numSamples);
+        const duration = notes.length * noteDuration * (60 / tempo);
+        return this.renderTrack(this.composeMelody(notes, noteDuration), tempo, duration);
+    }
 
-        let currentSample = 0;
+    /**
+     * Generate harmony from chord progression
+     */
+    generateHarmony(chords, duration = 4.0, tempo = 120) {
+        return this.renderTrack(this.composeHarmony(chords, duration, tempo), tempo, duration);
+    }
 
-        notes.forEach(note => {
-            const noteSamples = Math.floor(adjustedDuration * this.sampleRate);
-            const frequency = typeof note === 'string' ? this.noteToFrequency(note) : note;
+    /**
+     * Generate rhythm pattern
+     */
+    generateRhythmPattern(pattern, tempo = 120, duration = 4.0) {
+        return this.renderTrack(this.composeRhythm(pattern, tempo, duration), tempo, duration);
+    }
+
+    /**
+     * Compose a melody track: one note after another
+     * @param {Array<string|number>} notes - Note names (octave 4) or frequencies in Hz
+     * @param {number} [noteDuration=1.0] - Length of each note in beats
+     * @returns {Object} Track ({name, voice, channel, program, notes}); note times are in beats
+     */
+    composeMelody(notes, noteDuration = 1.0) {
+        return this.createTrack('melody', notes.map((note, index) => this.createNote(
+            typeof note === 'string' ? this.noteToFrequency(note) : note,
+            index * noteDuration,
+            noteDuration
+        )));
+    }
 
-            for (let i = 0; i < noteSamples && currentSample < numSamples; i++) {
-                const t = i / this.sampleRate;
-                const sample = Math.sin(2 * Math.PI * frequency * t) * 0.3 * Math.exp(-t * 0.5);
-                audioData[currentSample] = Math.max(-1, Math.min(1, sample));
-                currentSample++;
+    /**
+     * Compose a harmony track: chords of equal length filling the duration
+     * @param {Array<Array<number>>} chords - Chords as frequencies in Hz
+     * @param {number} [duration=4.0] - Duration in seconds
+     * @param {number} [tempo=120] - Beats per minute
+     * @returns {Object} Track
+     */
+    composeHarmony(chords, duration = 4.0, tempo = 120) {
+        const chordDuration = duration / chords.length * (tempo / 60);
+        return this.createTrack('harmony', chords.flatMap((chord, chordIndex) => chord.map(frequency =>
+            this.createNote(frequency, chordIndex * chordDuration, chordDuration)
+        )));
+    }
+
+    /**
+     * Compose a rhythm track: a drum hit on every beat of the pattern above zero
+     * @param {Array<number>} pattern - One entry per beat
+     * @param {number} [tempo=120] - Beats per minute
+     * @param {number} [duration=4.0] - Duration in seconds; later hits are dropped
+     * @returns {Object} Track
+     */
+    composeRhythm(pattern, tempo = 120, duration = 4.0) {
+        const beats = duration * (tempo / 60);
+        const notes = [];
+        pattern.forEach((beat, index) => {
+            if (beat > 0 && index < beats) {
+                notes.push({ pitch: VOICES.rhythm.pitch, start: index, duration: Math.min(1, beats - index), velocity: DEFAULT_VELOCITY });
             }
         });
+        return this.createTrack('rhythm', notes);
+    }
 
-        return audioData;
+    /**
+     * Gather tracks into a score, the form MIDI files are written from and read into
+     * @param {Array<Object>} tracks - Tracks from the compose methods
+     * @param {Object} [options] - Score options
+     * @param {number} [options.tempo=120] - Beats per minute
+     * @param {{numerator: number, denominator: number}} [options.timeSignature] - Time signature (default 4/4)
+     * @returns {Object} Score ({tempo, timeSignature, tracks})
+     */
+    createScore(tracks, options = {}) {
+        return {
+            tempo: options.tempo || 120,
+            timeSignature: options.timeSignature || { numerator: 4, denominator: 4 },
+            tracks
+        };
     }
 
     /**
-     * Generate harmony from chord progression
+     * Render a track through its synth voice
+     * @param {Object} track - Track to render
+     * @param {number} [tempo=120] - Beats per minute
+     * @param {number} [duration] - Duration in seconds (default: until the last note ends)
+     * @returns {Float32Array} Samples
      */
-    generateHarmony(chords, duration = 4.0) {
-        const numSamples = Math.floor(duration * this.sampleRate);
+    renderTrack(track, tempo = 120, duration = null) {
+        const secondsPerBeat = 60 / tempo;
+        const end = track.notes.reduce((latest, note) => Math.max(latest, note.start + note.duration), 0);
+        const numSamples = Math.floor((duration !== null ? duration : end * secondsPerBeat) * this.sampleRate);
         const audioData = new Float32Array(numSamples);
+        const voice = VOICES[track.voice] || VOICES.melody;
+
+        track.notes.forEach(note => {
+            const startSample = Math.floor(note.start * secondsPerBeat * this.sampleRate);
+            const endSample = Math.min(startSample + Math.floor(note.duration * secondsPerBeat * this.sampleRate), numSamples);
+            const gain = voice.gain * (note.velocity !== undefined ? note.velocity : DEFAULT_VELOCITY) / DEFAULT_VELOCITY;
+            const frequency = note.frequency || this.midiToFrequency(note.pitch);
+
+            for (let i = startSample; i < endSample; i++) {
+                const t = (i - startSample) / this.sampleRate;
+                const sample = voice.drum
+                    ? Math.sin(2 * Math.PI * voice.drum * Math.exp(-t * voice.sweep) * t) * gain * Math.exp(-t * voice.decay)
+                    : Math.sin(2 * Math.PI * frequency * t) * gain * Math.exp(-t * voice.decay);
+                audioData[i] = Math.max(-1, Math.min(1, audioData[i] + sample));
+            }
+        });
 
-        const chordDuration = numSamples / chords.length;
-
-        chords.forEach((chord, chordIndex) => {
-            const startSample = chordIndex * chordDuration;
-            const endSample = (chordIndex + 1) * chordDuration;
+        return audioData;
+    }
 
-            chord.forEach(frequency => {
-                for (let i = startSample; i < endSample; i++) {
-                    const t = (i - startSample) / this.sampleRate;
-                    const sample = Math.sin(2 * Math.PI * frequency * t) * 0.1 * Math.exp(-t * 0.2);
-                    audioData[i] = Math.max(-1, Math.min(1, audioData[i] + sample));
-                }
-            });
+    /**
+     * Render every track of a score and mix them
+     * @param {Object} score - Score to render
+     * @param {number} [duration] - Duration in seconds (default: until the last note ends)
+     * @returns {Float32Array} Samples
+     */
+    renderScore(score, duration = null) {
+        const secondsPerBeat = 60 / score.tempo;
+        const end = score.tracks.reduce((latest, track) => track.notes.reduce(
+            (trackEnd, note) => Math.max(trackEnd, note.start + note.duration), latest
+        ), 0);
+        const length = duration !== null ? duration : end * secondsPerBeat;
+        const audioData = new Float32Array(Math.floor(length * this.sampleRate));
+
+        score.tracks.forEach(track => {
+            const rendered = this.renderTrack(track, score.tempo, length);
+            for (let i = 0; i < audioData.length; i++) {
+                audioData[i] = Math.max(-1, Math.min(1, audioData[i] + rendered[i]));
+            }
         });
 
         return audioData;
     }
 
     /**
-     * Generate rhythm pattern
+     * Write a score as a Standard MIDI File, one track per voice
+     * @param {Object} score - Score from createScore
+     * @returns {Buffer} MIDI file contents
      */
-    generateRhythmPattern(pattern, tempo = 120, duration = 4.0) {
-        const numSamples = Math.floor(duration * this.sampleRate);
-        const audioData = new Float32Array(numSamples);
+    exportMIDI(score) {
+        return MidiFile.encode(score);
+    }
 
-        const beatDuration = 60 / tempo; // Duration of one beat in seconds
-        const samplesPerBeat = Math.floor(beatDuration * this.sampleRate);
+    /**
+     * Read a Standard MIDI File as a score that renders through the composer's voices
+     *
+     * Tracks named after a voice (melody, harmony, rhythm) keep it, as do tracks written
+     * by exportMIDI; other percussion-channel tracks become rhythm and the rest use
+     * options.voice.
+     * @param {Buffer} buffer - MIDI file contents
+     * @param {Object} [options] - Import options
+     * @param {string} [options.voice='melody'] - Voice of pitched tracks without a voice name
+     * @returns {Object} Score
+     */
+    importMIDI(buffer, options = {}) {
+        const defaultVoice = options.voice || 'melody';
+        if (!VOICES[defaultVoice]) {
+            throw new Error(`Unknown voice: ${defaultVoice}`);
+        }
 
-        pattern.forEach((beat, index) => {
-            if (beat > 0) {
-                const startSample = index * samplesPerBeat;
-                const endSample = Math.min((index + 1) * samplesPerBeat, numSamples);
-
-                for (let i = startSample; i < endSample; i++) {
-                    const t = (i - startSample) / this.sampleRate;
-                    // Simple drum-like sound
-                    const frequency = 200 * Math.exp(-t * 10);
-                    const sample = Math.sin(2 * Math.PI * frequency * t) * 0.2 * Math.exp(-t * 5);
-                    audioData[i] = Math.max(-1, Math.min(1, audioData[i] + sample));
-                }
+        const score = MidiFile.decode(buffer);
+        score.tracks.forEach(track => {
+            if (VOICES[track.name]) {
+                track.voice = track.name;
+            } else {
+                track.voice = track.channel === PERCUSSION_CHANNEL ? 'rhythm' : defaultVoice;
             }
         });
+        return score;
+    }
 
-        return audioData;
+    /**
+     * Render a Standard MIDI File through the composer's voices
+     * @param {Buffer} buffer - MIDI file contents
+     * @param {Object} [options] - Import options (see importMIDI) and duration in seconds
+     * @returns {Float32Array} Samples
+     */
+    renderMIDI(buffer, options = {}) {
+        const duration = options.duration !== undefined ? options.duration : null;
+        return this.renderScore(this.importMIDI(buffer, options), duration);
+    }
+
+    /**
+     * Create a track of notes for a voice
+     */
+    createTrack(voice, notes) {
+        return {
+            name: voice,
+            voice,
+            channel: VOICES[voice].channel,
+            program: VOICES[voice].program,
+            notes
+        };
+    }
+
+    /**
+     * Create a note from a frequency; the nearest MIDI pitch is kept for export and the
+     * exact frequency for rendering
+     */
+    createNote(frequency, start, duration) {
+        return {
+            pitch: this.frequencyToMidi(frequency),
+            frequency,
+            start,
+            duration,
+            velocity: DEFAULT_VELOCITY
+        };
+    }
+
+    /**
+     * Convert a frequency to the nearest MIDI note number (A4 = 69)
+     */
+    frequencyToMidi(frequency) {
+        return Math.max(0, Math.min(127, Math.round(69 + 12 * Math.log2(frequency / 440))));
+    }
+
+    /**
+     * Convert a MIDI note number to its frequency
+     */
+    midiToFrequency(pitch) {
+        return 440 * Math.pow(2, (pitch - 69) / 12);
+    }
+
+    /**
+     * Render a style's composition as synchronized stems for adaptive music
+     *
+     * The melody stem is the style's mixed track; percussion, bass, harmony and pads are
+     * composed on its beat over a chord progression. Every stem is the same whole number
+     * of bars long and loops over its full length; notes end on the bar lines, so the loop
+     * point is a bar line like any other.
+     * @param {string} style - Music style with a stem composition ('combat' or 'dungeon')
+     * @param {Object} [options] - Stem options
+     * @param {number} [options.bars] - Length in bars (default: the duration rounded to bars)
+     * @param {number} [options.duration=30] - Approximate duration in seconds
+     * @returns {Object} Stems ({style, tempo, timeSignature, bars, sampleRate, length, loop,
+     *   stems: {name: Float32Array}, intensities}); length and loop points are in samples
+     */
+    generateStems(style, options = {}) {
+        const composition = STEM_COMPOSITIONS[style];
+        if (!composition) {
+            throw new Error(`No stem composition for music style: ${style}`);
+        }
+
+        const tempo = 60 / composition.beat;
+        const barSeconds = composition.beat * BEATS_PER_BAR;
+        const bars = options.bars || Math.max(1, Math.round((options.duration || 30) / barSeconds));
+        const length = Math.round(bars * barSeconds * this.sampleRate);
+        const tracks = this.composeStemTracks(composition, bars);
+
+        // Half a sample extra, as the renderers floor seconds * sampleRate
+        const seconds = (length + 0.5) / this.sampleRate;
+        const stems = {};
+        STEMS.forEach(name => {
+            stems[name] = name === 'melody'
+                ? this[composition.melody](seconds)
+                : this.renderTrack(tracks[name], tempo, seconds);
+        });
+
+        return {
+            style,
+            tempo,
+            timeSignature: { numerator: BEATS_PER_BAR, denominator: 4 },
+            bars,
+            sampleRate: this.sampleRate,
+            length,
+            loop: { start: 0, end: length },
+            stems,
+            intensities: this.getIntensityLayers()
+        };
+    }
+
+    /**
+     * Compose the note tracks of the percussion, bass, harmony and pad stems: the bass plays
+     * each bar's root on its first and third beats, the harmony strikes the chord on every
+     * beat and the pads hold it an octave up for the whole bar
+     */
+    composeStemTracks(composition, bars) {
+        const tracks = {
+            percussion: this.createTrack('rhythm', []),
+            bass: this.createTrack('bass', []),
+            harmony: this.createTrack('harmony', []),
+            pads: this.createTrack('pads', [])
+        };
+        tracks.percussion.name = 'percussion';
+
+        for (let bar = 0; bar < bars; bar++) {
+            const chord = composition.chords[bar % composition.chords.length];
+            const barStart = bar * BEATS_PER_BAR;
+
+            composition.percussion.forEach((velocity, step) => {
+                if (velocity > 0) {
+                    tracks.percussion.notes.push({ pitch: VOICES.rhythm.pitch, start: barStart + step / 2, duration: 0.5, velocity });
+                }
+            });
+            [0, 2].forEach(beat => {
+                tracks.bass.notes.push({ pitch: chord[0] - 24, start: barStart + beat, duration: 2, velocity: DEFAULT_VELOCITY });
+            });
+            for (let beat = 0; beat < BEATS_PER_BAR; beat++) {
+                chord.forEach(pitch => {
+                    tracks.harmony.notes.push({ pitch, start: barStart + beat, duration: 1, velocity: DEFAULT_VELOCITY });
+                });
+            }
+            chord.forEach(pitch => {
+                tracks.pads.notes.push({ pitch: pitch + 12, start: barStart, duration: BEATS_PER_BAR, velocity: DEFAULT_VELOCITY });
+            });
+        }
+
+        return tracks;
+    }
+
+    /**
+     * Intensity layers for adaptive playback, calmest first, with a gain for every stem
+     * @returns {Array<{name: string, level: number, gains: Object<string, number>}>} Layers
+     */
+    getIntensityLayers() {
+        return Object.entries(INTENSITIES).map(([name, gains], level) => ({
+            name,
+            level,
+            gains: STEMS.reduce((all, stem) => {
+                all[stem] = gains[stem] || 0;
+                return all;
+            }, {})
+        }));
     }
 
     /**
@@ -305,4 +606,9 @@ class MusicComposer {
     }
 }
 
+MusicComposer.VOICES = VOICES;
+MusicComposer.STEMS = STEMS;
+MusicComposer.STEM_COMPOSITIONS = STEM_COMPOSITIONS;
+MusicComposer.INTENSITIES = INTENSITIES;
+
 module.exports = MusicComposer;
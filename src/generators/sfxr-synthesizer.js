@@ -0,0 +1,559 @@
+/**
+ * TPT Sfxr Synthesizer - JavaScript/Node.js version
+ * Parametric sound effects compatible with sfxr and jsfxr: the same parameters, the same
+ * synthesis, category randomizers and mutation, and their JSON and .sfs file formats
+ */
+
+// Oscillator of each wave_type value
+const WAVE_TYPES = ['square', 'sawtooth', 'sine', 'noise'];
+
+// Synthesis parameters with their jsfxr names, editor labels, ranges and defaults
+const PARAMETERS = {
+    p_env_attack: { label: 'Attack time', min: 0, max: 1, value: 0 },
+    p_env_sustain: { label: 'Sustain time', min: 0, max: 1, value: 0.3 },
+    p_env_punch: { label: 'Sustain punch', min: 0, max: 1, value: 0 },
+    p_env_decay: { label: 'Decay time', min: 0, max: 1, value: 0.4 },
+    p_base_freq: { label: 'Start frequency', min: 0, max: 1, value: 0.3 },
+    p_freq_limit: { label: 'Min frequency', min: 0, max: 1, value: 0 },
+    p_freq_ramp: { label: 'Slide', min: -1, max: 1, value: 0 },
+    p_freq_dramp: { label: 'Delta slide', min: -1, max: 1, value: 0 },
+    p_vib_strength: { label: 'Vibrato depth', min: 0, max: 1, value: 0 },
+    p_vib_speed: { label: 'Vibrato speed', min: 0, max: 1, value: 0 },
+    p_arp_mod: { label: 'Arpeggio amount', min: -1, max: 1, value: 0 },
+    p_arp_speed: { label: 'Arpeggio speed', min: 0, max: 1, value: 0 },
+    p_duty: { label: 'Square duty', min: 0, max: 1, value: 0 },
+    p_duty_ramp: { label: 'Duty sweep', min: -1, max: 1, value: 0 },
+    p_repeat_speed: { label: 'Retrigger speed', min: 0, max: 1, value: 0 },
+    p_pha_offset: { label: 'Flanger offset', min: -1, max: 1, value: 0 },
+    p_pha_ramp: { label: 'Flanger sweep', min: -1, max: 1, value: 0 },
+    p_lpf_freq: { label: 'Low-pass cutoff', min: 0, max: 1, value: 1 },
+    p_lpf_ramp: { label: 'Low-pass sweep', min: -1, max: 1, value: 0 },
+    p_lpf_resonance: { label: 'Low-pass resonance', min: 0, max: 1, value: 0 },
+    p_hpf_freq: { label: 'High-pass cutoff', min: 0, max: 1, value: 0 },
+    p_hpf_ramp: { label: 'High-pass sweep', min: -1, max: 1, value: 0 },
+    // Not in sfxr: reduces the bit depth from 16 bits (0) down to 2 bits (1)
+    p_bit_crush: { label: 'Bit crush', min: 0, max: 1, value: 0 }
+};
+
+// jsfxr output settings: sample rates it can downsample to and bits per sample
+const SAMPLE_RATES = [44100, 22050, 11025, 5512];
+const SAMPLE_SIZES = [16, 8];
+
+// Category randomizers, as in the sfxr and jsfxr buttons
+const CATEGORIES = {
+    pickup: 'generatePickup',
+    laser: 'generateLaser',
+    explosion: 'generateExplosion',
+    powerup: 'generatePowerup',
+    hit: 'generateHit',
+    jump: 'generateJump',
+    blip: 'generateBlip'
+};
+
+// sfxr renders at 44.1 kHz, eight oscillator steps per sample
+const SAMPLE_RATE = 44100;
+const SUPERSAMPLING = 8;
+const MASTER_VOLUME = 0.05;
+
+// .sfs settings file version written (102 adds sound_vol; 101 adds delta slide and arpeggio)
+const SFS_VERSION = 102;
+
+const frnd = range => Math.random() * range;
+const rnd = max => Math.floor(Math.random() * (max + 1));
+
+class SfxrSynthesizer {
+    /**
+     * Create parameters, defaults filled in and values clamped to their ranges
+     * @param {Object} [values] - Parameters by jsfxr name; wave_type may be a name from WAVE_TYPES
+     * @returns {Object} Parameters ({wave_type, p_*..., sound_vol, sample_rate, sample_size})
+     */
+    createParams(values = {}) {
+        const waveType = typeof values.wave_type === 'string' && isNaN(values.wave_type)
+            ? WAVE_TYPES.indexOf(values.wave_type)
+            : Number(values.wave_type);
+        const params = { wave_type: WAVE_TYPES[waveType] ? waveType : 0 };
+
+        Object.entries(PARAMETERS).forEach(([name, { min, max, value }]) => {
+            const given = Number(values[name]);
+            params[name] = Number.isFinite(given) ? Math.max(min, Math.min(max, given)) : value;
+        });
+
+        const volume = Number(values.sound_vol);
+        params.sound_vol = Number.isFinite(volume) ? Math.max(0, Math.min(1, volume)) : 0.5;
+        params.sample_rate = SAMPLE_RATES.includes(Number(values.sample_rate)) ? Number(values.sample_rate) : SAMPLE_RATE;
+        params.sample_size = SAMPLE_SIZES.includes(Number(values.sample_size)) ? Number(values.sample_size) : 8;
+
+        return params;
+    }
+
+    /**
+     * Randomize parameters for a category of sound
+     * @param {string} category - One of CATEGORIES (pickup, laser, explosion, powerup, hit, jump, blip)
+     * @returns {Object} Parameters
+     */
+    generate(category) {
+        const method = CATEGORIES[category];
+        if (!method) {
+            throw new Error(`Unknown sound category: ${category}`);
+        }
+
+        const params = this.createParams();
+        this[method](params);
+        return this.createParams(params);
+    }
+
+    /**
+     * Nudge roughly half of the parameters by up to ±amount, like sfxr's Mutate button
+     * @param {Object} params - Parameters to start from
+     * @param {number} [amount=0.05] - Largest change to a parameter
+     * @returns {Object} New parameters
+     */
+    mutate(params, amount = 0.05) {
+        const mutated = this.createParams(params);
+        Object.keys(PARAMETERS).forEach(name => {
+            if (rnd(1)) mutated[name] += frnd(amount * 2) - amount;
+        });
+        return this.createParams(mutated);
+    }
+
+    /**
+     * Render parameters to samples at 44.1 kHz
+     *
+     * The sound lasts until its envelope ends or its frequency slides below the min
+     * frequency. Downsampling (sample_rate), 8-bit samples (sample_size) and bit crush
+     * are applied in place, so the result always plays at 44.1 kHz.
+     * @param {Object} values - Parameters (see createParams)
+     * @returns {Float32Array} Samples
+     */
+    render(values) {
+        const p = this.createParams(values);
+        let fperiod;
+        let fmaxperiod;
+        let fslide;
+        let fdslide;
+        let squareDuty;
+        let squareSlide;
+        let arpMod;
+        let arpTime;
+        let arpLimit;
+
+        // Pitch state, reset again on every retrigger
+        const resetPitch = () => {
+            fperiod = 100 / (Math.pow(p.p_base_freq, 2) + 0.001);
+            fmaxperiod = 100 / (Math.pow(p.p_freq_limit, 2) + 0.001);
+            fslide = 1 - Math.pow(p.p_freq_ramp, 3) * 0.01;
+            fdslide = -Math.pow(p.p_freq_dramp, 3) * 0.000001;
+            squareDuty = 0.5 - p.p_duty * 0.5;
+            squareSlide = -p.p_duty_ramp * 0.00005;
+            arpMod = p.p_arp_mod >= 0 ? 1 - Math.pow(p.p_arp_mod, 2) * 0.9 : 1 + Math.pow(p.p_arp_mod, 2) * 10;
+            arpTime = 0;
+            arpLimit = p.p_arp_speed === 1 ? 0 : Math.floor(Math.pow(1 - p.p_arp_speed, 2) * 20000 + 32);
+        };
+        resetPitch();
+
+        // Filters
+        let fltp = 0;
+        let fltdp = 0;
+        let fltw = Math.pow(p.p_lpf_freq, 3) * 0.1;
+        const fltwD = 1 + p.p_lpf_ramp * 0.0001;
+        const fltdmp = Math.min(0.8, 5 / (1 + Math.pow(p.p_lpf_resonance, 2) * 20) * (0.01 + fltw));
+        let fltphp = 0;
+        let flthp = Math.pow(p.p_hpf_freq, 2) * 0.1;
+        const flthpD = 1 + p.p_hpf_ramp * 0.0003;
+
+        // Vibrato and envelope
+        let vibPhase = 0;
+        const vibSpeed = Math.pow(p.p_vib_speed, 2) * 0.01;
+        const vibAmp = p.p_vib_strength * 0.5;
+        const envLength = [
+            Math.floor(Math.pow(p.p_env_attack, 2) * 100000),
+            Math.floor(Math.pow(p.p_env_sustain, 2) * 100000),
+            Math.floor(Math.pow(p.p_env_decay, 2) * 100000)
+        ];
+        let envVolume = 0;
+        let envStage = 0;
+        let envTime = 0;
+
+        // Flanger
+        let fphase = Math.pow(p.p_pha_offset, 2) * 1020 * Math.sign(p.p_pha_offset);
+        const fdphase = Math.pow(p.p_pha_ramp, 2) * Math.sign(p.p_pha_ramp);
+        let iphase = Math.abs(Math.floor(fphase));
+        let ipp = 0;
+        const phaserBuffer = new Float32Array(1024);
+
+        // Noise and retrigger
+        const noiseBuffer = new Float32Array(32).map(() => Math.random() * 2 - 1);
+        let repTime = 0;
+        const repLimit = p.p_repeat_speed === 0 ? 0 : Math.floor(Math.pow(1 - p.p_repeat_speed, 2) * 20000 + 32);
+
+        const samples = [];
+        let phase = 0;
+
+        for (;;) {
+            repTime++;
+            if (repLimit !== 0 && repTime >= repLimit) {
+                repTime = 0;
+                resetPitch();
+            }
+
+            arpTime++;
+            if (arpLimit !== 0 && arpTime >= arpLimit) {
+                arpLimit = 0;
+                fperiod *= arpMod;
+            }
+
+            fslide += fdslide;
+            fperiod *= fslide;
+            if (fperiod > fmaxperiod) {
+                fperiod = fmaxperiod;
+                if (p.p_freq_limit > 0) break;
+            }
+
+            let rfperiod = fperiod;
+            if (vibAmp > 0) {
+                vibPhase += vibSpeed;
+                rfperiod = fperiod * (1 + Math.sin(vibPhase) * vibAmp);
+            }
+            const period = Math.max(8, Math.floor(rfperiod));
+
+            squareDuty = Math.max(0, Math.min(0.5, squareDuty + squareSlide));
+
+            envTime++;
+            if (envTime > envLength[envStage]) {
+                envTime = 0;
+                envStage++;
+                if (envStage === 3) break;
+            }
+            // Stages of zero length still play their first sample
+            const progress = envTime / Math.max(1, envLength[envStage]);
+            if (envStage === 0) envVolume = progress;
+            if (envStage === 1) envVolume = 1 + (1 - progress) * 2 * p.p_env_punch;
+            if (envStage === 2) envVolume = 1 - progress;
+
+            fphase += fdphase;
+            iphase = Math.min(1023, Math.abs(Math.floor(fphase)));
+
+            if (flthpD !== 0) {
+                flthp = Math.max(0.00001, Math.min(0.1, flthp * flthpD));
+            }
+
+            let superSample = 0;
+            for (let step = 0; step < SUPERSAMPLING; step++) {
+                phase++;
+                if (phase >= period) {
+                    phase %= period;
+                    if (p.wave_type === 3) {
+                        for (let i = 0; i < 32; i++) noiseBuffer[i] = Math.random() * 2 - 1;
+                    }
+                }
+
+                const fp = phase / period;
+                let sample;
+                switch (p.wave_type) {
+                    case 0:
+                        sample = fp < squareDuty ? 0.5 : -0.5;
+                        break;
+                    case 1:
+                        sample = 1 - fp * 2;
+                        break;
+                    case 2:
+                        sample = Math.sin(fp * 2 * Math.PI);
+                        break;
+                    default:
+                        sample = noiseBuffer[Math.floor(phase * 32 / period)];
+                }
+
+                // Low-pass filter
+                const pp = fltp;
+                fltw = Math.max(0, Math.min(0.1, fltw * fltwD));
+                if (p.p_lpf_freq !== 1) {
+                    fltdp += (sample - fltp) * fltw;
+                    fltdp -= fltdp * fltdmp;
+                } else {
+                    fltp = sample;
+                    fltdp = 0;
+                }
+                fltp += fltdp;
+
+                // High-pass filter
+                fltphp += fltp - pp;
+                fltphp -= fltphp * flthp;
+                sample = fltphp;
+
+                // Flanger
+                phaserBuffer[ipp & 1023] = sample;
+                sample += phaserBuffer[(ipp - iphase + 1024) & 1023];
+                ipp = (ipp + 1) & 1023;
+
+                superSample += sample * envVolume;
+            }
+
+            const output = superSample / SUPERSAMPLING * MASTER_VOLUME * 2 * p.sound_vol;
+            samples.push(Math.max(-1, Math.min(1, output)));
+        }
+
+        return this.crush(Float32Array.from(samples), p);
+    }
+
+    /**
+     * Apply jsfxr's sample rate and sample size, then bit crush
+     */
+    crush(audioData, params) {
+        const hold = SAMPLE_RATE / params.sample_rate;
+        const bits = Math.min(params.sample_size, 16 - Math.round(params.p_bit_crush * 14));
+
+        if (hold > 1) {
+            // Average each block of samples and hold it, as jsfxr does when it downsamples
+            for (let start = 0; start < audioData.length; start += hold) {
+                const from = Math.floor(start);
+                const to = Math.min(audioData.length, Math.floor(start + hold));
+                let sum = 0;
+                for (let i = from; i < to; i++) sum += audioData[i];
+                audioData.fill(sum / (to - from), from, to);
+            }
+        }
+
+        if (bits < 16) {
+            const levels = Math.pow(2, bits - 1);
+            for (let i = 0; i < audioData.length; i++) {
+                audioData[i] = Math.max(-1, Math.min(1, Math.round(audioData[i] * levels) / levels));
+            }
+        }
+
+        return audioData;
+    }
+
+    /**
+     * Parameters as jsfxr JSON, which jsfxr's Import JSON reads
+     */
+    toJSON(params) {
+        return { oldParams: true, ...this.createParams(params) };
+    }
+
+    /**
+     * Read jsfxr JSON (an object or its text)
+     */
+    fromJSON(json) {
+        return this.createParams(typeof json === 'string' ? JSON.parse(json) : json);
+    }
+
+    /**
+     * Write parameters as an sfxr .sfs settings file (version 102, little-endian); bit crush,
+     * sample rate and sample size are jsfxr settings and not stored
+     * @returns {Buffer} File contents
+     */
+    toSFS(values) {
+        const p = this.createParams(values);
+        const floats = name => {
+            const buffer = Buffer.alloc(4);
+            buffer.writeFloatLE(p[name] || 0, 0);
+            return buffer;
+        };
+        const int = value => {
+            const buffer = Buffer.alloc(4);
+            buffer.writeInt32LE(value, 0);
+            return buffer;
+        };
+
+        return Buffer.concat([
+            int(SFS_VERSION),
+            int(p.wave_type),
+            ...['sound_vol', 'p_base_freq', 'p_freq_limit', 'p_freq_ramp', 'p_freq_dramp', 'p_duty', 'p_duty_ramp',
+                'p_vib_strength', 'p_vib_speed', 'p_vib_delay', 'p_env_attack', 'p_env_sustain', 'p_env_decay',
+                'p_env_punch'].map(floats),
+            Buffer.from([p.p_lpf_freq < 1 || p.p_hpf_freq > 0 ? 1 : 0]),
+            ...['p_lpf_resonance', 'p_lpf_freq', 'p_lpf_ramp', 'p_hpf_freq', 'p_hpf_ramp', 'p_pha_offset',
+                'p_pha_ramp', 'p_repeat_speed', 'p_arp_speed', 'p_arp_mod'].map(floats)
+        ]);
+    }
+
+    /**
+     * Read an sfxr .sfs settings file (versions 100 to 102)
+     * @param {Buffer} buffer - File contents
+     * @returns {Object} Parameters
+     */
+    fromSFS(buffer) {
+        const version = buffer.length >= 4 ? buffer.readInt32LE(0) : null;
+        if (![100, 101, 102].includes(version)) {
+            throw new Error('Not an sfxr settings file');
+        }
+
+        let offset = 4;
+        const values = { wave_type: buffer.readInt32LE(offset) };
+        offset += 4;
+        const read = names => names.forEach(name => {
+            values[name] = buffer.readFloatLE(offset);
+            offset += 4;
+        });
+
+        if (version === 102) read(['sound_vol']);
+        read(['p_base_freq', 'p_freq_limit', 'p_freq_ramp']);
+        if (version >= 101) read(['p_freq_dramp']);
+        read(['p_duty', 'p_duty_ramp', 'p_vib_strength', 'p_vib_speed', 'p_vib_delay',
+            'p_env_attack', 'p_env_sustain', 'p_env_decay', 'p_env_punch']);
+        // filter_on is implied by the filter settings
+        offset += 1;
+        read(['p_lpf_resonance', 'p_lpf_freq', 'p_lpf_ramp', 'p_hpf_freq', 'p_hpf_ramp',
+            'p_pha_offset', 'p_pha_ramp', 'p_repeat_speed']);
+        if (version >= 101) read(['p_arp_speed', 'p_arp_mod']);
+
+        return this.createParams(values);
+    }
+
+    /**
+     * Coin and item pickups: a bright blip with punch, sometimes jumping up in pitch
+     */
+    generatePickup(p) {
+        p.p_base_freq = 0.4 + frnd(0.5);
+        p.p_env_attack = 0;
+        p.p_env_sustain = frnd(0.1);
+        p.p_env_decay = 0.1 + frnd(0.4);
+        p.p_env_punch = 0.3 + frnd(0.3);
+        if (rnd(1)) {
+            p.p_arp_speed = 0.5 + frnd(0.2);
+            p.p_arp_mod = 0.2 + frnd(0.4);
+        }
+    }
+
+    /**
+     * Laser shots: a fast downward slide
+     */
+    generateLaser(p) {
+        p.wave_type = rnd(2);
+        if (p.wave_type === 2 && rnd(1)) p.wave_type = rnd(1);
+        p.p_base_freq = 0.5 + frnd(0.5);
+        p.p_freq_limit = Math.max(0.2, p.p_base_freq - 0.2 - frnd(0.6));
+        p.p_freq_ramp = -0.15 - frnd(0.2);
+        if (rnd(2) === 0) {
+            p.p_base_freq = 0.3 + frnd(0.6);
+            p.p_freq_limit = frnd(0.1);
+            p.p_freq_ramp = -0.35 - frnd(0.3);
+        }
+        if (rnd(1)) {
+            p.p_duty = frnd(0.5);
+            p.p_duty_ramp = frnd(0.2);
+        } else {
+            p.p_duty = 0.4 + frnd(0.5);
+            p.p_duty_ramp = -frnd(0.7);
+        }
+        p.p_env_attack = 0;
+        p.p_env_sustain = 0.1 + frnd(0.2);
+        p.p_env_decay = frnd(0.4);
+        if (rnd(1)) p.p_env_punch = frnd(0.3);
+        if (rnd(2) === 0) {
+            p.p_pha_offset = frnd(0.2);
+            p.p_pha_ramp = -frnd(0.2);
+        }
+        if (rnd(1)) p.p_hpf_freq = frnd(0.3);
+    }
+
+    /**
+     * Explosions: low noise with punch, sometimes retriggered or flanged
+     */
+    generateExplosion(p) {
+        p.wave_type = 3;
+        if (rnd(1)) {
+            p.p_base_freq = 0.1 + frnd(0.4);
+            p.p_freq_ramp = -0.1 + frnd(0.4);
+        } else {
+            p.p_base_freq = 0.2 + frnd(0.7);
+            p.p_freq_ramp = -0.2 - frnd(0.2);
+        }
+        p.p_base_freq *= p.p_base_freq;
+        if (rnd(4) === 0) p.p_freq_ramp = 0;
+        if (rnd(2) === 0) p.p_repeat_speed = 0.3 + frnd(0.5);
+        p.p_env_attack = 0;
+        p.p_env_sustain = 0.1 + frnd(0.3);
+        p.p_env_decay = frnd(0.5);
+        if (rnd(1) === 0) {
+            p.p_pha_offset = -0.3 + frnd(0.9);
+            p.p_pha_ramp = -frnd(0.3);
+        }
+        p.p_env_punch = 0.2 + frnd(0.6);
+        if (rnd(1)) {
+            p.p_vib_strength = frnd(0.7);
+            p.p_vib_speed = frnd(0.6);
+        }
+        if (rnd(2) === 0) {
+            p.p_arp_speed = 0.6 + frnd(0.3);
+            p.p_arp_mod = 0.8 - frnd(1.6);
+        }
+    }
+
+    /**
+     * Power-ups: a rising slide, retriggered or with vibrato
+     */
+    generatePowerup(p) {
+        if (rnd(1)) {
+            p.wave_type = 1;
+        } else {
+            p.p_duty = frnd(0.6);
+        }
+        p.p_base_freq = 0.2 + frnd(0.3);
+        if (rnd(1)) {
+            p.p_freq_ramp = 0.1 + frnd(0.4);
+            p.p_repeat_speed = 0.4 + frnd(0.4);
+        } else {
+            p.p_freq_ramp = 0.05 + frnd(0.2);
+            if (rnd(1)) {
+                p.p_vib_strength = frnd(0.7);
+                p.p_vib_speed = frnd(0.6);
+            }
+        }
+        p.p_env_attack = 0;
+        p.p_env_sustain = frnd(0.4);
+        p.p_env_decay = 0.1 + frnd(0.4);
+    }
+
+    /**
+     * Hits and hurts: a short, falling burst
+     */
+    generateHit(p) {
+        p.wave_type = rnd(2);
+        if (p.wave_type === 2) p.wave_type = 3;
+        if (p.wave_type === 0) p.p_duty = frnd(0.6);
+        p.p_base_freq = 0.2 + frnd(0.6);
+        p.p_freq_ramp = -0.3 - frnd(0.4);
+        p.p_env_attack = 0;
+        p.p_env_sustain = frnd(0.1);
+        p.p_env_decay = 0.1 + frnd(0.2);
+        if (rnd(1)) p.p_hpf_freq = frnd(0.3);
+    }
+
+    /**
+     * Jumps: a square wave sliding up
+     */
+    generateJump(p) {
+        p.wave_type = 0;
+        p.p_duty = frnd(0.6);
+        p.p_base_freq = 0.3 + frnd(0.3);
+        p.p_freq_ramp = 0.1 + frnd(0.2);
+        p.p_env_attack = 0;
+        p.p_env_sustain = 0.1 + frnd(0.3);
+        p.p_env_decay = 0.1 + frnd(0.2);
+        if (rnd(1)) p.p_hpf_freq = frnd(0.3);
+        if (rnd(1)) p.p_lpf_freq = 1 - frnd(0.6);
+    }
+
+    /**
+     * Menu blips and selections: a short, steady tone
+     */
+    generateBlip(p) {
+        p.wave_type = rnd(1);
+        if (p.wave_type === 0) p.p_duty = frnd(0.6);
+        p.p_base_freq = 0.2 + frnd(0.4);
+        p.p_env_attack = 0;
+        p.p_env_sustain = 0.1 + frnd(0.1);
+        p.p_env_decay = frnd(0.2);
+        p.p_hpf_freq = 0.1;
+    }
+}
+
+SfxrSynthesizer.WAVE_TYPES = WAVE_TYPES;
+SfxrSynthesizer.PARAMETERS = PARAMETERS;
+SfxrSynthesizer.SAMPLE_RATES = SAMPLE_RATES;
+SfxrSynthesizer.SAMPLE_SIZES = SAMPLE_SIZES;
+SfxrSynthesizer.CATEGORIES = CATEGORIES;
+SfxrSynthesizer.SAMPLE_RATE = SAMPLE_RATE;
+
+module.exports = SfxrSynthesizer;
@@ -0,0 +1,323 @@
+/**
+ * Skeletal Exporter - Spine 4 and DragonBones 5.5 skeletons for generated characters and monsters
+ * Splits a sprite into body parts on a bone rig (see SkeletonRig), packs the parts into an
+ * atlas and writes walk, idle, attack and hurt as keyframed bone animations
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Jimp = require('jimp');
+const BasicAnimationSystem = require('./basic-animation-system');
+const SpritesheetPacker = require('./spritesheet-packer');
+const SkeletonRig = require('../utils/skeleton-rig');
+
+// Skeleton data version written to Spine JSON
+const SPINE_VERSION = '4.1.00';
+
+// DragonBones data version
+const DRAGONBONES_VERSION = '5.5';
+
+const FORMATS = ['spine', 'dragonbones'];
+
+// Two decimals are plenty for pixel positions and degrees
+const round = value => Math.round(value * 100) / 100;
+
+class SkeletalExporter {
+    constructor() {
+        this.animationSystem = new BasicAnimationSystem();
+        this.packer = new SpritesheetPacker();
+    }
+
+    /**
+     * Rig a sprite, key its animations and pack its parts into an atlas
+     * @param {Jimp} image - Sprite
+     * @param {Object} [options] - Skeleton options
+     * @param {string} [options.rig='humanoid'] - Rig (see SkeletonRig.RIGS)
+     * @param {string} [options.name='skeleton'] - Atlas page name
+     * @returns {Promise<{rig: Object, animations: Object, atlas: Object}>} Rig from SkeletonRig.split,
+     *   animations from SkeletonRig.animate and the part atlas (spritesheet data, one frame per part)
+     */
+    async buildSkeleton(image, options = {}) {
+        const rig = SkeletonRig.split(image, options.rig || 'humanoid');
+        const animations = SkeletonRig.animate(rig, this.animationSystem.keyframeData, this.animationSystem.animationTiming);
+        const atlas = await this.packer.generate(
+            rig.parts.map(part => ({ id: part.name, name: part.name, image: part.image })),
+            { padding: 2, name: options.name || 'skeleton' }
+        );
+
+        return { rig, animations, atlas };
+    }
+
+    /**
+     * Export a sprite as a skeleton
+     *
+     * Spine writes <baseName>.json, <baseName>.atlas and <baseName>.png. DragonBones writes
+     * <baseName>_ske.json, <baseName>_tex.json and <baseName>_tex.png.
+     * @param {Jimp} image - Sprite
+     * @param {Object} options - Export options
+     * @param {string} options.format - 'spine' or 'dragonbones'
+     * @param {string} [options.outputPath='./exports'] - Output directory
+     * @param {string} [options.baseName='Character'] - File and skeleton name
+     * @param {string} [options.rig='humanoid'] - Rig (see SkeletonRig.RIGS)
+     * @param {number} [options.frameRate=24] - DragonBones frame rate
+     * @returns {Promise<Object>} Written files ({format, files, skeleton, atlas, image})
+     */
+    async export(image, options = {}) {
+        if (!FORMATS.includes(options.format)) {
+            throw new Error(`Unknown skeletal format: ${options.format}`);
+        }
+
+        const outputPath = options.outputPath || './exports';
+        const baseName = options.baseName || 'Character';
+        const spine = options.format === 'spine';
+        const imageFile = spine ? `${baseName}.png` : `${baseName}_tex.png`;
+        const skeletonFile = spine ? `${baseName}.json` : `${baseName}_ske.json`;
+        const atlasFile = spine ? `${baseName}.atlas` : `${baseName}_tex.json`;
+
+        const skeleton = await this.buildSkeleton(image, { rig: options.rig, name: baseName });
+        const data = spine
+            ? this.generateSpine(skeleton)
+            : this.generateDragonBones(skeleton, baseName, options.frameRate);
+        const atlas = spine
+            ? this.generateSpineAtlas(skeleton.atlas, imageFile)
+            : JSON.stringify(this.generateDragonBonesAtlas(skeleton.atlas, baseName, imageFile), null, 2);
+
+        await fs.mkdir(outputPath, { recursive: true });
+        const files = {
+            skeleton: path.join(outputPath, skeletonFile),
+            atlas: path.join(outputPath, atlasFile),
+            image: path.join(outputPath, imageFile)
+        };
+        await fs.writeFile(files.skeleton, JSON.stringify(data, null, 2), 'utf8');
+        await fs.writeFile(files.atlas, atlas, 'utf8');
+        await skeleton.atlas.spritesheet.writeAsync(files.image);
+
+        return { format: options.format, files: Object.values(files), ...files };
+    }
+
+    /**
+     * Export a generated character or monster (from SpriteGenerator.generate) as a skeleton
+     *
+     * Takes the rig from the asset (see SkeletonRig.getRigName) unless options.rig is given,
+     * and names the files after the asset.
+     * @param {Object} asset - Sprite asset
+     * @param {Object} options - Export options (see export)
+     * @returns {Promise<Object>} Written files
+     */
+    async exportAsset(asset, options = {}) {
+        const image = await Jimp.read(Buffer.from(asset.sprite.data, 'base64'));
+        const config = { ...options };
+        if (!config.rig) config.rig = SkeletonRig.getRigName(asset);
+        if (!config.baseName) config.baseName = asset.name.replace(/\s+/g, '');
+
+        return this.export(image, config);
+    }
+
+    /**
+     * Generate Spine 4 skeleton data
+     *
+     * Spine is y up with angles counter-clockwise; bones and attachments are placed relative
+     * to their parent bone, with the root bone at the rig's origin.
+     * @param {Object} skeleton - Skeleton from buildSkeleton
+     * @returns {Object} Skeleton JSON
+     */
+    generateSpine({ rig, animations, atlas }) {
+        const world = this.getBonePositions(rig);
+        const frames = SpritesheetPacker.getFrames(atlas.metadata);
+
+        const bones = rig.bones.map(bone => {
+            const entry = { name: bone.name };
+            if (bone.parent) {
+                entry.parent = bone.parent;
+                entry.x = round(bone.x - world[bone.parent].x);
+                entry.y = round(world[bone.parent].y - bone.y);
+            }
+            return entry;
+        });
+
+        const attachments = {};
+        rig.parts.forEach(part => {
+            const { w, h } = frames[part.name].frame;
+            const bone = world[part.bone];
+            attachments[part.name] = {
+                [part.name]: {
+                    x: round(part.x + w / 2 - bone.x),
+                    y: round(bone.y - (part.y + h / 2)),
+                    width: w,
+                    height: h
+                }
+            };
+        });
+
+        const animationEntries = {};
+        Object.entries(animations).forEach(([name, animation]) => {
+            const timelines = {};
+            Object.entries(animation.bones).forEach(([bone, keys]) => {
+                const timeline = {};
+                if (keys.rotate) {
+                    timeline.rotate = keys.rotate.map(key => ({ time: key.time, value: round(-key.angle) }));
+                }
+                if (keys.translate) {
+                    timeline.translate = keys.translate.map(key => ({ time: key.time, x: round(key.x), y: round(-key.y) }));
+                }
+                timelines[bone] = timeline;
+            });
+            animationEntries[name] = { bones: timelines };
+        });
+
+        return {
+            skeleton: {
+                hash: '',
+                spine: SPINE_VERSION,
+                x: -rig.origin.x,
+                y: rig.origin.y - rig.height,
+                width: rig.width,
+                height: rig.height,
+                images: './',
+                audio: ''
+            },
+            bones,
+            slots: rig.parts.map(part => ({ name: part.name, bone: part.bone, attachment: part.name })),
+            skins: [{ name: 'default', attachments }],
+            animations: animationEntries
+        };
+    }
+
+    /**
+     * Generate a Spine 4 texture atlas for the packed parts, sampled nearest-neighbour for pixel art
+     * @param {Object} atlas - Part atlas from buildSkeleton
+     * @param {string} imageFile - Atlas page image file
+     * @returns {string} .atlas file
+     */
+    generateSpineAtlas(atlas, imageFile) {
+        const { size } = atlas.metadata.meta;
+        const lines = [imageFile, `size:${size.w},${size.h}`, 'filter:Nearest,Nearest'];
+
+        Object.entries(SpritesheetPacker.getFrames(atlas.metadata)).forEach(([name, { frame }]) => {
+            lines.push(name, `bounds:${frame.x},${frame.y},${frame.w},${frame.h}`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Generate DragonBones 5.5 skeleton data (_ske.json)
+     *
+     * DragonBones is y down with angles clockwise, like the rig. Keys become frames at the
+     * frame rate, each lasting until the next; looping animations play forever.
+     * @param {Object} skeleton - Skeleton from buildSkeleton
+     * @param {string} name - Armature name
+     * @param {number} [frameRate=24] - Frames per second
+     * @returns {Object} Skeleton JSON
+     */
+    generateDragonBones({ rig, animations, atlas }, name, frameRate = 24) {
+        const world = this.getBonePositions(rig);
+        const frames = SpritesheetPacker.getFrames(atlas.metadata);
+        const toFrame = time => Math.round(time * frameRate);
+
+        const bones = rig.bones.map(bone => {
+            const entry = { name: bone.name };
+            if (bone.parent) {
+                entry.parent = bone.parent;
+                entry.transform = { x: round(bone.x - world[bone.parent].x), y: round(bone.y - world[bone.parent].y) };
+            }
+            return entry;
+        });
+
+        const skinSlots = rig.parts.map(part => {
+            const { w, h } = frames[part.name].frame;
+            const bone = world[part.bone];
+            return {
+                name: part.name,
+                display: [{
+                    name: part.name,
+                    transform: { x: round(part.x + w / 2 - bone.x), y: round(part.y + h / 2 - bone.y) }
+                }]
+            };
+        });
+
+        // Each frame lasts until the next key; the last one has no duration
+        const timeline = (keys, value) => keys.map((key, index) => {
+            const next = keys[index + 1];
+            const frame = { duration: next ? toFrame(next.time) - toFrame(key.time) : 0 };
+            if (next) frame.tweenEasing = 0;
+            return Object.assign(frame, value(key));
+        });
+
+        const animationEntries = Object.entries(animations).map(([animationName, animation]) => ({
+            name: animationName,
+            duration: toFrame(animation.duration),
+            playTimes: animation.loop ? 0 : 1,
+            bone: Object.entries(animation.bones).map(([bone, keys]) => {
+                const entry = { name: bone };
+                if (keys.translate) {
+                    entry.translateFrame = timeline(keys.translate, key => ({ x: round(key.x), y: round(key.y) }));
+                }
+                if (keys.rotate) {
+                    entry.rotateFrame = timeline(keys.rotate, key => ({ rotate: round(key.angle) }));
+                }
+                return entry;
+            })
+        }));
+
+        const armature = {
+            type: 'Armature',
+            frameRate,
+            name,
+            aabb: { x: -rig.origin.x, y: -rig.origin.y, width: rig.width, height: rig.height },
+            bone: bones,
+            slot: rig.parts.map(part => ({ name: part.name, parent: part.bone })),
+            skin: [{ slot: skinSlots }],
+            animation: animationEntries
+        };
+        if (animations.idle) armature.defaultActions = [{ gotoAndPlay: 'idle' }];
+
+        return {
+            frameRate,
+            name,
+            version: DRAGONBONES_VERSION,
+            compatibleVersion: DRAGONBONES_VERSION,
+            armature: [armature]
+        };
+    }
+
+    /**
+     * Generate a DragonBones texture atlas (_tex.json) for the packed parts
+     * @param {Object} atlas - Part atlas from buildSkeleton
+     * @param {string} name - Atlas name, matching the skeleton's
+     * @param {string} imageFile - Atlas image file
+     * @returns {Object} Texture atlas JSON
+     */
+    generateDragonBonesAtlas(atlas, name, imageFile) {
+        const { size } = atlas.metadata.meta;
+
+        return {
+            name,
+            imagePath: imageFile,
+            width: size.w,
+            height: size.h,
+            SubTexture: Object.entries(SpritesheetPacker.getFrames(atlas.metadata)).map(([partName, { frame }]) => ({
+                name: partName,
+                x: frame.x,
+                y: frame.y,
+                width: frame.w,
+                height: frame.h
+            }))
+        };
+    }
+
+    /**
+     * Sprite pixel position of every bone by name
+     */
+    getBonePositions(rig) {
+        const positions = {};
+        rig.bones.forEach(bone => {
+            positions[bone.name] = { x: bone.x, y: bone.y };
+        });
+        return positions;
+    }
+}
+
+SkeletalExporter.FORMATS = FORMATS;
+
+module.exports = SkeletalExporter;
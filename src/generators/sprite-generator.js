@@ -13,7 +13,9 @@ const CharacterGenerator = require('./sprite-generators/character-generator');
 const MonsterGenerator = require('./sprite-generators/monster-generator');
 const ItemGenerator = require('./sprite-generators/item-generator');
 const TileGenerator = require('./sprite-generators/tile-generator');
+const PaperDollGenerator = require('./sprite-generators/paper-doll-generator');
 const SpriteUtils = require('./sprite-generators/sprite-utils');
+const LightMaps = require('../utils/light-maps');
 
 class SpriteGenerator {
     constructor() {
@@ -24,6 +26,7 @@ class SpriteGenerator {
         this.monsterGenerator = new MonsterGenerator();
         this.itemGenerator = new ItemGenerator();
         this.tileGenerator = new TileGenerator();
+        this.paperDollGenerator = new PaperDollGenerator();
         this.utils = new SpriteUtils();
     }
 
@@ -36,6 +39,21 @@ class SpriteGenerator {
         this.image = new Jimp(width, height, 0x00000000); // Transparent background
     }
 
+    /**
+     * Generate a sprite, choosing the generator from the config
+     * Used by GeneratorService, which passes a single config object
+     */
+    async generate(config) {
+        if (config.outfit) return await this.generatePaperDoll(config);
+        if (config.classType) return await this.generateCharacter(config);
+        if (config.monsterType) return await this.generateMonster(config);
+        if (config.itemType) return await this.generateItem(config);
+        if (config.tileType && config.transitionTo) return await this.generateTransitionTileset(config);
+        if (config.tileType) return await this.generateTile(config);
+
+        throw new Error('Sprite config must include outfit, classType, monsterType, itemType or tileType');
+    }
+
     /**
      * Generate character sprite
      */
@@ -44,21 +62,41 @@ class SpriteGenerator {
         const height = 96;
 
         await this.initImage(width, height);
-        await this.characterGenerator.generate(this.image, config);
+
+        // config.layers keeps the body and equipment passes as separate PNGs (used for .aseprite export)
+        let layers;
+        if (config.layers) {
+            const passes = await this.characterGenerator.generateLayers(this.image, config);
+            layers = [];
+            for (const layer of passes) {
+                const layerBuffer = await layer.image.getBufferAsync(Jimp.MIME_PNG);
+                layers.push({ name: layer.name, data: layerBuffer.toString('base64') });
+            }
+        } else {
+            await this.characterGenerator.generate(this.image, config);
+        }
 
         // Convert to buffer
         const buffer = await this.image.getBufferAsync(Jimp.MIME_PNG);
 
+        const sprite = {
+            width: width,
+            height: height,
+            data: buffer.toString('base64'),
+            format: 'png'
+        };
+        if (layers) {
+            sprite.layers = layers;
+        }
+        if (config.lightMaps) {
+            await this.addLightMaps(sprite, this.generateLightMaps(this.characterGenerator, config));
+        }
+
         return {
             id: uuidv4(),
             name: `${config.classType.charAt(0).toUpperCase() + config.classType.slice(1)} Character`,
             type: 'character',
-            sprite: {
-                width: width,
-                height: height,
-                data: buffer.toString('base64'),
-                format: 'png'
-            },
+            sprite,
             config: config,
             metadata: {
                 classType: config.classType,
@@ -66,6 +104,53 @@ class SpriteGenerator {
                 bodyType: config.bodyType || 'medium',
                 skinTone: config.skinTone || 'tan',
                 hairColor: config.hairColor || 'brown',
+                seed: config.seed,
+                generated: new Date().toISOString(),
+                version: '2.0'
+            }
+        };
+    }
+
+    /**
+     * Generate a paper-doll character: the flattened sprite plus every part as its own layer
+     * (body, hair and one layer per equipment slot), all anchored to the same body
+     */
+    async generatePaperDoll(config) {
+        const width = 64;
+        const height = 96;
+
+        await this.initImage(width, height);
+        const layers = await this.paperDollGenerator.generate(this.image, config);
+
+        const buffer = await this.image.getBufferAsync(Jimp.MIME_PNG);
+        const sprite = {
+            width: width,
+            height: height,
+            data: buffer.toString('base64'),
+            format: 'png',
+            layers: []
+        };
+        for (const layer of layers) {
+            const layerBuffer = await layer.image.getBufferAsync(Jimp.MIME_PNG);
+            sprite.layers.push({ name: layer.name, data: layerBuffer.toString('base64') });
+        }
+        if (config.lightMaps) {
+            await this.addLightMaps(sprite, this.generateLightMaps(this.paperDollGenerator, config));
+        }
+
+        return {
+            id: uuidv4(),
+            name: 'Paper Doll Character',
+            type: 'character',
+            sprite,
+            config: config,
+            metadata: {
+                outfit: config.outfit,
+                anchors: this.paperDollGenerator.getAnchors(width, height, config.bodyType),
+                bodyType: config.bodyType || 'medium',
+                skinTone: config.skinTone || 'tan',
+                hairColor: config.hairColor || 'brown',
+                seed: config.seed,
                 generated: new Date().toISOString(),
                 version: '2.0'
             }
@@ -84,20 +169,26 @@ class SpriteGenerator {
 
         const buffer = await this.image.getBufferAsync(Jimp.MIME_PNG);
 
+        const sprite = {
+            width: width,
+            height: height,
+            data: buffer.toString('base64'),
+            format: 'png'
+        };
+        if (config.lightMaps) {
+            await this.addLightMaps(sprite, this.generateLightMaps(this.monsterGenerator, config));
+        }
+
         return {
             id: uuidv4(),
             name: `${config.monsterType.charAt(0).toUpperCase() + config.monsterType.slice(1)} Monster`,
             type: 'monster',
-            sprite: {
-                width: width,
-                height: height,
-                data: buffer.toString('base64'),
-                format: 'png'
-            },
+            sprite,
             config: config,
             metadata: {
                 monsterType: config.monsterType,
                 sizeVariant: config.sizeVariant || 'medium',
+                seed: config.seed,
                 generated: new Date().toISOString(),
                 version: '1.0'
             }
@@ -116,18 +207,23 @@ class SpriteGenerator {
 
         const buffer = await this.image.getBufferAsync(Jimp.MIME_PNG);
 
+        const sprite = {
+            width: width,
+            height: height,
+            data: buffer.toString('base64'),
+            format: 'png'
+        };
+        if (config.lightMaps) {
+            await this.addLightMaps(sprite, this.generateLightMaps(this.itemGenerator, config));
+        }
+
         const rarityConfig = this.utils.getRarityConfig(config.rarity || 'common');
 
         return {
             id: uuidv4(),
             name: `${rarityConfig.prefix} ${config.itemType.charAt(0).toUpperCase() + config.itemType.slice(1)}`,
             type: 'item',
-            sprite: {
-                width: width,
-                height: height,
-                data: buffer.toString('base64'),
-                format: 'png'
-            },
+            sprite,
             config: config,
             metadata: {
                 itemType: config.itemType,
@@ -135,6 +231,7 @@ class SpriteGenerator {
                 rarity: config.rarity || 'common',
                 level: config.level || 1,
                 value: rarityConfig.value,
+                seed: config.seed,
                 generated: new Date().toISOString(),
                 version: '2.0'
             }
@@ -153,26 +250,88 @@ class SpriteGenerator {
 
         const buffer = await this.image.getBufferAsync(Jimp.MIME_PNG);
 
+        const sprite = {
+            width: width,
+            height: height,
+            data: buffer.toString('base64'),
+            format: 'png'
+        };
+        if (config.lightMaps) {
+            await this.addLightMaps(sprite, this.generateLightMaps(this.tileGenerator, config));
+        }
+
         return {
             id: uuidv4(),
             name: `${config.tileType.charAt(0).toUpperCase() + config.tileType.slice(1)} Tile`,
             type: 'tile',
-            sprite: {
-                width: width,
-                height: height,
-                data: buffer.toString('base64'),
-                format: 'png'
-            },
+            sprite,
             config: config,
             metadata: {
                 tileType: config.tileType,
+                tileable: Boolean(config.tileable),
                 biome: config.biome || 'grass',
                 variation: config.variation || 0,
+                seed: config.seed,
                 generated: new Date().toISOString(),
                 version: '1.0'
             }
         };
     }
+
+    /**
+     * Generate an autotile transition tileset, e.g. grass -> water
+     * metadata.tileset carries the per-tile masks and Tiled wangids used by LevelExporter
+     */
+    async generateTransitionTileset(config) {
+        const { image, tileset, maps } = await this.tileGenerator.generateTransitionSet(config);
+        const buffer = await image.getBufferAsync(Jimp.MIME_PNG);
+        const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+        const sprite = {
+            width: image.bitmap.width,
+            height: image.bitmap.height,
+            data: buffer.toString('base64'),
+            format: 'png'
+        };
+        if (maps) {
+            await this.addLightMaps(sprite, maps);
+        }
+
+        return {
+            id: uuidv4(),
+            name: `${capitalize(tileset.terrains.from)} to ${capitalize(tileset.terrains.to)} Tileset`,
+            type: 'tile',
+            sprite,
+            config: config,
+            metadata: {
+                tileType: config.tileType,
+                transitionTo: config.transitionTo,
+                tileset,
+                seed: config.seed,
+                generated: new Date().toISOString(),
+                version: '1.0'
+            }
+        };
+    }
+
+    /**
+     * Normal and emissive maps of the current image, using what the generator knows about
+     * the sprite (see getLightMapHints on the generators)
+     */
+    generateLightMaps(generator, config) {
+        const hints = generator.getLightMapHints ? generator.getLightMapHints(this.image, config) : {};
+        return LightMaps.generate(this.image, hints);
+    }
+
+    /**
+     * Attach light maps to a sprite as base64 PNGs (sprite.normalMap and sprite.emissiveMap)
+     */
+    async addLightMaps(sprite, maps) {
+        const normal = await maps.normal.getBufferAsync(Jimp.MIME_PNG);
+        const emissive = await maps.emissive.getBufferAsync(Jimp.MIME_PNG);
+        sprite.normalMap = normal.toString('base64');
+        sprite.emissiveMap = emissive.toString('base64');
+    }
 }
 
 module.exports = SpriteGenerator;
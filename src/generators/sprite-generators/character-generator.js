@@ -5,16 +5,171 @@
 
 const Jimp = require('jimp');
 const SpriteUtils = require('./sprite-utils');
+const SeededRandom = require('../../utils/seeded-random');
+
+// Facings of 8- and 4-direction sets, clockwise from north
+const DIRECTIONS = {
+    8: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+    4: ['north', 'east', 'south', 'west']
+};
+
+// How each facing is made from the front and back drawings: the drawing, how far it is
+// narrowed as the character turns side-on, and whether it is mirrored. Seen from behind the
+// drawing is mirrored, so the weapon stays in the same hand.
+const FACING_VIEWS = {
+    north: { view: 'back', width: 1, mirror: true },
+    northeast: { view: 'back', width: 0.8, mirror: true },
+    east: { view: 'front', width: 0.6, mirror: false },
+    southeast: { view: 'front', width: 0.8, mirror: false },
+    south: { view: 'front', width: 1, mirror: false },
+    southwest: { view: 'front', width: 0.8, mirror: true },
+    west: { view: 'front', width: 0.6, mirror: true },
+    northwest: { view: 'back', width: 0.8, mirror: false }
+};
 
 class CharacterGenerator {
     constructor() {
         this.utils = new SpriteUtils();
+
+        // Drawing passes recorded by generateLayers; null when not capturing layers
+        this.passes = null;
+
+        // Side of the character being drawn; the back hides the face
+        this.facing = 'front';
     }
 
     /**
      * Main character generation method
+     * The same config.seed always draws the same pixels
      */
     async generate(image, config) {
+        return SeededRandom.run(config.seed, () => this.generateSprite(image, config));
+    }
+
+    /**
+     * Generate the character split into layers, one per drawing pass
+     * The body is the bottom layer; equipment passes (weapon, armor, shield) stack
+     * above it in the order they are drawn. The flattened result is also drawn into image.
+     * @param {Jimp} image - Target image
+     * @param {Object} config - Character config
+     * @returns {Promise<Array<{name: string, image: Jimp}>>} Layers, bottom first
+     */
+    async generateLayers(image, config) {
+        this.passes = [];
+        try {
+            await this.generate(image, config);
+            return this.buildLayers(image, this.passes);
+        } finally {
+            this.passes = null;
+        }
+    }
+
+    /**
+     * Draw the character facing each direction of an 8- or 4-direction set
+     *
+     * The front and back are drawn from the same seed, so every facing shows the same
+     * character and equipment; the other facings are narrowed and mirrored from them. The
+     * south-facing view is also drawn into image.
+     * @param {Jimp} image - Target image, sized like every view
+     * @param {Object} config - Character config
+     * @param {number|Array<string>} [config.directions=8] - 8, 4 or a list of facings
+     * @returns {Promise<Array<{direction: string, image: Jimp}>>} Views in the order of config.directions
+     */
+    async generateDirections(image, config) {
+        const directions = CharacterGenerator.getDirections(config.directions);
+        const seeded = { ...config, seed: config.seed !== undefined && config.seed !== null ? config.seed : SeededRandom.createSeed() };
+
+        const back = new Jimp(image.bitmap.width, image.bitmap.height, 0x00000000);
+        this.facing = 'back';
+        try {
+            await this.generate(back, seeded);
+        } finally {
+            this.facing = 'front';
+        }
+        await this.generate(image, seeded);
+
+        const drawings = { front: image, back };
+        return directions.map(direction => ({ direction, image: this.turnView(drawings, direction) }));
+    }
+
+    /**
+     * Turn a front and back drawing to face a direction
+     * @param {{front: Jimp, back: Jimp}} drawings - Drawings of the same size
+     * @param {string} direction - Facing
+     * @returns {Jimp} New image
+     */
+    turnView(drawings, direction) {
+        const { view, width, mirror } = FACING_VIEWS[direction];
+        const turned = this.narrowView(drawings[view], width);
+        return mirror ? turned.mirror(true, false) : turned;
+    }
+
+    /**
+     * Squeeze a drawing horizontally about its centre, keeping the canvas size
+     * Columns are picked, not blended, so the character keeps its palette.
+     */
+    narrowView(image, scale) {
+        const { width, height, data } = image.bitmap;
+        const narrowed = new Jimp(width, height, 0x00000000);
+        const center = width / 2;
+
+        for (let x = 0; x < width; x++) {
+            const sourceX = Math.floor((x + 0.5 - center) / scale + center);
+            if (sourceX < 0 || sourceX >= width) continue;
+            for (let y = 0; y < height; y++) {
+                const from = (y * width + sourceX) * 4;
+                data.copy(narrowed.bitmap.data, (y * width + x) * 4, from, from + 4);
+            }
+        }
+
+        return narrowed;
+    }
+
+    /**
+     * Run one named drawing pass, recording the pixels it changed while layers are captured
+     */
+    async drawPass(image, name, draw) {
+        if (!this.passes) {
+            return await draw();
+        }
+
+        const before = Buffer.from(image.bitmap.data);
+        await draw();
+        this.passes.push({ name, before, after: Buffer.from(image.bitmap.data) });
+    }
+
+    /**
+     * Split the finished image into the recorded passes
+     * A pass owns the pixels it changed that nothing drew over afterwards; the body keeps the rest.
+     */
+    buildLayers(image, passes) {
+        const { width, height, data } = image.bitmap;
+        const body = new Jimp(width, height, 0x00000000);
+        data.copy(body.bitmap.data);
+        const layers = new Map([['body', body]]);
+
+        for (const pass of passes) {
+            if (!layers.has(pass.name)) {
+                layers.set(pass.name, new Jimp(width, height, 0x00000000));
+            }
+            const target = layers.get(pass.name).bitmap.data;
+
+            for (let i = 0; i < data.length; i += 4) {
+                const after = pass.after.readUInt32BE(i);
+                if (after !== pass.before.readUInt32BE(i) && after === data.readUInt32BE(i)) {
+                    data.copy(target, i, i, i + 4);
+                    body.bitmap.data.fill(0, i, i + 4);
+                }
+            }
+        }
+
+        return [...layers].map(([name, layerImage]) => ({ name, image: layerImage }));
+    }
+
+    /**
+     * Draw the character into the image (runs inside the seeded scope)
+     */
+    async generateSprite(image, config) {
         const { width, height } = image.bitmap;
 
         // Generate character based on class
@@ -97,11 +252,11 @@ class CharacterGenerator {
         // Hair
         this.utils.drawHair(image, headX, headY - headRadiusY * 0.8, headRadiusX * 1.2, hairColor, 'short');
         
-        // Eyes
-        this.utils.drawEyes(image, headX, headY, headRadiusX * 0.6);
-        
-        // Mouth
-        this.utils.drawMouth(image, headX, headY + headRadiusY * 0.6, headRadiusX * 0.4);
+        // Face, seen only from the front
+        if (this.facing !== 'back') {
+            this.utils.drawEyes(image, headX, headY, headRadiusX * 0.6);
+            this.utils.drawMouth(image, headX, headY + headRadiusY * 0.6, headRadiusX * 0.4);
+        }
 
         // Body with layered armor
         const bodyX = Math.floor(width * 0.5);
@@ -109,13 +264,15 @@ class CharacterGenerator {
         const bodyWidth = Math.floor(width * 0.3);
         const bodyHeight = Math.floor(height * 0.35);
         
-        // Chest armor with shading
-        this.utils.drawRoundedRect(image, bodyX - bodyWidth/2, bodyY, bodyWidth, bodyHeight, 3, armorColor);
-        // Armor shading
-        this.utils.drawShading(image, bodyX - bodyWidth/2 + 2, bodyY + 2, bodyWidth - 4, bodyHeight - 4, shadowColor, 0.3);
-        
-        // Leather straps
-        this.utils.drawLeatherStraps(image, bodyX, bodyY, bodyWidth, bodyHeight, leatherColor);
+        await this.drawPass(image, 'armor', () => {
+            // Chest armor with shading
+            this.utils.drawRoundedRect(image, bodyX - bodyWidth/2, bodyY, bodyWidth, bodyHeight, 3, armorColor);
+            // Armor shading
+            this.utils.drawShading(image, bodyX - bodyWidth/2 + 2, bodyY + 2, bodyWidth - 4, bodyHeight - 4, shadowColor, 0.3);
+
+            // Leather straps
+            this.utils.drawLeatherStraps(image, bodyX, bodyY, bodyWidth, bodyHeight, leatherColor);
+        });
 
         // Arms with detailed structure
         const armLength = Math.floor(height * 0.25);
@@ -145,12 +302,12 @@ class CharacterGenerator {
 
         // Equipment - Enhanced sword
         if (config.equipment && config.equipment.weapon === 'iron_sword') {
-            await this.addDetailedSword(image, config);
+            await this.drawPass(image, 'weapon', () => this.addSword(image, config));
         }
 
         // Enhanced armor details
         if (config.equipment && config.equipment.armor === 'leather_armor') {
-            await this.addDetailedArmor(image, config);
+            await this.drawPass(image, 'armor', () => this.addArmor(image, config));
         }
 
         // Add belt
@@ -194,7 +351,7 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'wooden_staff') {
-            await this.addStaff(image, config);
+            await this.drawPass(image, 'weapon', () => this.addStaff(image, config));
         }
     }
 
@@ -228,7 +385,7 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'hunting_bow') {
-            await this.addBow(image, config);
+            await this.drawPass(image, 'weapon', () => this.addBow(image, config));
         }
     }
 
@@ -240,7 +397,7 @@ class CharacterGenerator {
 
         // Armor (silver)
         const armorColor = this.utils.getColor('#C0C0C0');
-        this.utils.drawRectangle(image, Math.floor(width * 0.25), Math.floor(height * 0.4), Math.floor(width * 0.5), Math.floor(height * 0.4), armorColor);
+        await this.drawPass(image, 'armor', () => this.utils.drawRectangle(image, Math.floor(width * 0.25), Math.floor(height * 0.4), Math.floor(width * 0.5), Math.floor(height * 0.4), armorColor));
 
         // Head (tan)
         const headColor = this.utils.getColor('#D2B48C');
@@ -268,10 +425,10 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'holy_sword') {
-            await this.addSword(image, config);
+            await this.drawPass(image, 'weapon', () => this.addSword(image, config));
         }
         if (config.equipment && config.equipment.shield === 'holy_shield') {
-            await this.addShield(image, config);
+            await this.drawPass(image, 'shield', () => this.addShield(image, config));
         }
     }
 
@@ -283,7 +440,7 @@ class CharacterGenerator {
 
         // Leather armor (dark brown)
         const armorColor = this.utils.getColor('#654321');
-        this.utils.drawRectangle(image, Math.floor(width * 0.3), Math.floor(height * 0.4), Math.floor(width * 0.4), Math.floor(height * 0.35), armorColor);
+        await this.drawPass(image, 'armor', () => this.utils.drawRectangle(image, Math.floor(width * 0.3), Math.floor(height * 0.4), Math.floor(width * 0.4), Math.floor(height * 0.35), armorColor));
 
         // Head (tan)
         const headColor = this.utils.getColor('#D2B48C');
@@ -311,7 +468,7 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'dagger') {
-            await this.addDagger(image, config);
+            await this.drawPass(image, 'weapon', () => this.addDagger(image, config));
         }
     }
 
@@ -352,7 +509,7 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'druid_staff') {
-            await this.addStaff(image, config);
+            await this.drawPass(image, 'weapon', () => this.addStaff(image, config));
         }
     }
 
@@ -393,7 +550,7 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'necromancer_staff') {
-            await this.addStaff(image, config);
+            await this.drawPass(image, 'weapon', () => this.addStaff(image, config));
         }
     }
 
@@ -437,7 +594,7 @@ class CharacterGenerator {
 
         // Leather armor (brown)
         const armorColor = this.utils.getColor('#8B4513');
-        this.utils.drawRectangle(image, Math.floor(width * 0.3), Math.floor(height * 0.4), Math.floor(width * 0.4), Math.floor(height * 0.35), armorColor);
+        await this.drawPass(image, 'armor', () => this.utils.drawRectangle(image, Math.floor(width * 0.3), Math.floor(height * 0.4), Math.floor(width * 0.4), Math.floor(height * 0.35), armorColor));
 
         // Head (tan)
         const headColor = this.utils.getColor('#D2B48C');
@@ -458,7 +615,7 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'longbow') {
-            await this.addBow(image, config);
+            await this.drawPass(image, 'weapon', () => this.addBow(image, config));
         }
     }
 
@@ -470,7 +627,7 @@ class CharacterGenerator {
 
         // Heavy armor (steel)
         const armorColor = this.utils.getColor('#708090');
-        this.utils.drawRectangle(image, Math.floor(width * 0.25), Math.floor(height * 0.4), Math.floor(width * 0.5), Math.floor(height * 0.4), armorColor);
+        await this.drawPass(image, 'armor', () => this.utils.drawRectangle(image, Math.floor(width * 0.25), Math.floor(height * 0.4), Math.floor(width * 0.5), Math.floor(height * 0.4), armorColor));
 
         // Head (tan)
         const headColor = this.utils.getColor('#D2B48C');
@@ -498,10 +655,10 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'greatsword') {
-            await this.addSword(image, config);
+            await this.drawPass(image, 'weapon', () => this.addSword(image, config));
         }
         if (config.equipment && config.equipment.shield === 'tower_shield') {
-            await this.addShield(image, config);
+            await this.drawPass(image, 'shield', () => this.addShield(image, config));
         }
     }
 
@@ -538,7 +695,7 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'great_axe') {
-            await this.addAxe(image, config);
+            await this.drawPass(image, 'weapon', () => this.addAxe(image, config));
         }
     }
 
@@ -579,7 +736,7 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'dual_daggers') {
-            await this.addDagger(image, config);
+            await this.drawPass(image, 'weapon', () => this.addDagger(image, config));
         }
     }
 
@@ -619,7 +776,7 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'mace') {
-            await this.addMace(image, config);
+            await this.drawPass(image, 'weapon', () => this.addMace(image, config));
         }
     }
 
@@ -696,7 +853,7 @@ class CharacterGenerator {
 
         // Equipment
         if (config.equipment && config.equipment.weapon === 'sorcerer_staff') {
-            await this.addStaff(image, config);
+            await this.drawPass(image, 'weapon', () => this.addStaff(image, config));
         }
     }
 
@@ -763,6 +920,25 @@ class CharacterGenerator {
         const maceColor = this.utils.getColor('#C0C0C0');
         this.utils.drawRectangle(image, Math.floor(width * 0.8), Math.floor(height * 0.4), Math.floor(width * 0.04), Math.floor(height * 0.3), maceColor);
     }
+
+    /**
+     * Facings of a direction set: 8, 4 or a list of facing names
+     * @returns {Array<string>} Facings
+     */
+    static getDirections(directions = 8) {
+        const list = Array.isArray(directions) ? directions : DIRECTIONS[directions];
+        if (!list) {
+            throw new Error(`Unsupported direction count: ${directions}`);
+        }
+        list.forEach(direction => {
+            if (!FACING_VIEWS[direction]) {
+                throw new Error(`Unknown facing: ${direction}`);
+            }
+        });
+        return list;
+    }
 }
 
+CharacterGenerator.DIRECTIONS = DIRECTIONS;
+
 module.exports = CharacterGenerator;
@@ -5,6 +5,13 @@
 
 const Jimp = require('jimp');
 const SpriteUtils = require('./sprite-utils');
+const SeededRandom = require('../../utils/seeded-random');
+
+// Colours of the parts that glow (crystals, orb cores, tome runes) by category and item type
+const GLOWING_PARTS = {
+    weapon: { staff: ['#4169E1'] },
+    magical: { orb: ['#87CEEB', '#00FFFF', '#FFFFFF'], wand: ['#8A2BE2'], tome: ['#FFD700'] }
+};
 
 class ItemGenerator {
     constructor() {
@@ -245,8 +252,16 @@ class ItemGenerator {
 
     /**
      * Main item generation method
+     * The same config.seed always draws the same pixels
      */
     async generate(image, config) {
+        return SeededRandom.run(config.seed, () => this.generateSprite(image, config));
+    }
+
+    /**
+     * Draw the item into the image (runs inside the seeded scope)
+     */
+    async generateSprite(image, config) {
         const { width, height } = image.bitmap;
 
         // Determine rarity-based properties
@@ -960,6 +975,28 @@ class ItemGenerator {
         }
     }
 
+    /**
+     * Lighting hints for LightMaps: the glowing parts of the item and its rarity glow
+     */
+    getLightMapHints(image, config) {
+        const { width, height } = image.bitmap;
+        const category = config.category || 'weapon';
+        const parts = GLOWING_PARTS[category] || {};
+        const rarityConfig = this.utils.getRarityConfig(config.rarity || 'common');
+
+        return {
+            // Unknown magical items are drawn as orbs
+            emissiveColors: parts[config.itemType || 'sword'] || (category === 'magical' ? parts.orb : []),
+            glows: rarityConfig.glow ? [{
+                x: Math.floor(width * 0.5),
+                y: Math.floor(height * 0.5),
+                radius: Math.floor(width * 0.3),
+                color: rarityConfig.color,
+                intensity: 0.3
+            }] : []
+        };
+    }
+
     /**
      * Add rarity glow effect
      */
@@ -5,6 +5,15 @@
 
 const Jimp = require('jimp');
 const SpriteUtils = require('./sprite-utils');
+const SeededRandom = require('../../utils/seeded-random');
+
+// What glows on each monster: the colours of glowing eyes, or 'all' for bodies of energy and fire
+const GLOWING_PARTS = {
+    golem: ['#FF0000'],
+    wraith: ['#FF0000'],
+    elemental: 'all',
+    phoenix: 'all'
+};
 
 class MonsterGenerator {
     constructor() {
@@ -13,8 +22,16 @@ class MonsterGenerator {
 
     /**
      * Main monster generation method
+     * The same config.seed always draws the same pixels
      */
     async generate(image, config) {
+        return SeededRandom.run(config.seed, () => this.generateSprite(image, config));
+    }
+
+    /**
+     * Draw the monster into the image (runs inside the seeded scope)
+     */
+    async generateSprite(image, config) {
         const { width, height } = image.bitmap;
 
         // Generate monster based on type
@@ -1444,6 +1461,13 @@ class MonsterGenerator {
             this.utils.drawRectangle(image, x, legY, legWidth, legHeight, legColor);
         }
     }
+
+    /**
+     * Lighting hints for LightMaps: the glowing parts of the monster
+     */
+    getLightMapHints(image, config) {
+        return { emissiveColors: GLOWING_PARTS[config.monsterType] || [] };
+    }
 }
 
 module.exports = MonsterGenerator;
@@ -0,0 +1,306 @@
+/**
+ * Paper-Doll Character Generator
+ * Builds a character from a base body, hair and equipment pieces drawn by the armor, weapon
+ * and accessories generators, each on its own layer anchored to the body
+ */
+
+const Jimp = require('jimp');
+const SpriteUtils = require('./sprite-utils');
+const CharacterGenerator = require('./character-generator');
+const ArmorGenerator = require('../armor-generator');
+const WeaponGenerator = require('../weapon-generator');
+const AccessoriesGenerator = require('../accessories-generator');
+const SeededRandom = require('../../utils/seeded-random');
+
+// Width of the torso and limbs for each body type
+const BUILDS = { slim: 0.85, medium: 1, heavy: 1.2 };
+
+const SKIN_TONES = { pale: '#FFE0BD', tan: '#D2B48C', brown: '#A0714F', dark: '#6B4423' };
+const HAIR_COLORS = { brown: '#8B4513', black: '#1C1C1C', blonde: '#E6C36A', red: '#A52A2A', gray: '#A9A9A9', white: '#F5F5F5' };
+
+// Equipment slots: the anchors a piece is drawn at (pairs are drawn at both, mirrored on the
+// left), the box it is fitted into as fractions of the canvas, and where the piece comes from
+const SLOTS = {
+    cape: { anchors: ['back'], box: { width: 0.6, height: 0.62 }, accessoryType: 'capes' },
+    boots: { anchors: ['leftFoot', 'rightFoot'], box: { width: 0.16, height: 0.12 }, armorType: 'boots', subtype: 'leather_boots' },
+    chest: { anchors: ['chest'], box: { width: 0.46, height: 0.32 }, armorType: 'chest_armor', subtype: 'plate_armor' },
+    gloves: { anchors: ['leftHand', 'rightHand'], box: { width: 0.12, height: 0.08 }, armorType: 'gloves', subtype: 'leather_gloves' },
+    belt: { anchors: ['waist'], box: { width: 0.38, height: 0.05 }, armorType: 'belts', subtype: 'leather_belt' },
+    shoulders: { anchors: ['shoulders'], box: { width: 0.58, height: 0.08 }, armorType: 'shoulders', subtype: 'pauldrons' },
+    jewelry: { anchors: ['neck'], box: { width: 0.2, height: 0.06 }, accessoryType: 'jewelry' },
+    helmet: { anchors: ['head'], box: { width: 0.4, height: 0.26 }, armorType: 'helmets', subtype: 'great_helm' },
+    offhand: { anchors: ['leftHand'], box: { width: 0.26, height: 0.3 }, weaponType: 'shields' },
+    weapon: { anchors: ['rightHand'], box: { width: 0.3, height: 0.62 }, weaponType: 'swords' }
+};
+
+// Layers bottom first; the cape hangs behind the body
+const LAYER_ORDER = ['cape', 'body', 'hair', 'boots', 'chest', 'gloves', 'belt', 'shoulders', 'jewelry', 'helmet', 'offhand', 'weapon'];
+
+// Accessories are drawn at a fixed size, so they get a canvas large enough for a full cape
+const ACCESSORY_CANVAS = 160;
+
+class PaperDollGenerator {
+    constructor() {
+        this.utils = new SpriteUtils();
+        this.characterGenerator = new CharacterGenerator();
+        this.armorGenerator = new ArmorGenerator();
+        this.weaponGenerator = new WeaponGenerator();
+        this.accessoriesGenerator = new AccessoriesGenerator();
+
+        // Side of the character being drawn; the back hides the face
+        this.facing = 'front';
+    }
+
+    /**
+     * Draw a paper-doll character, one layer per part
+     *
+     * Every layer is the size of image and anchored to the same body, so a piece can be
+     * swapped without redrawing the rest. Each layer has its own seed scope: changing one
+     * piece leaves the others pixel for pixel the same. The flattened character is also
+     * drawn into image.
+     * @param {Jimp} image - Target image
+     * @param {Object} config - Character config
+     * @param {string} [config.bodyType='medium'] - 'slim', 'medium' or 'heavy'
+     * @param {string} [config.skinTone='tan'] - Skin tone name or CSS colour
+     * @param {string} [config.hairStyle='short'] - 'short', 'long' or 'none'
+     * @param {string} [config.hairColor='brown'] - Hair colour name or CSS colour
+     * @param {Object} [config.outfit] - Piece options by slot, or true for the slot's default piece.
+     *   Armor slots take ArmorGenerator options and weapon and offhand WeaponGenerator options;
+     *   an accessoryType draws the piece with AccessoriesGenerator instead
+     * @param {number|string} [config.seed] - Seed
+     * @returns {Promise<Array<{name: string, image: Jimp}>>} Layers, bottom first
+     */
+    async generate(image, config) {
+        const { width, height } = image.bitmap;
+        const seed = config.seed !== undefined && config.seed !== null ? config.seed : SeededRandom.createSeed();
+        const anchors = this.getAnchors(width, height, config.bodyType);
+        const outfit = config.outfit || {};
+        const unknown = Object.keys(outfit).find(slot => !SLOTS[slot]);
+        if (unknown) {
+            throw new Error(`Unknown equipment slot: ${unknown}`);
+        }
+
+        const layers = [];
+        for (const name of LAYER_ORDER) {
+            const layer = new Jimp(width, height, 0x00000000);
+
+            if (name === 'body') {
+                SeededRandom.run(`${seed}:body`, () => this.drawBody(layer, anchors, config));
+            } else if (name === 'hair') {
+                if (config.hairStyle === 'none') continue;
+                SeededRandom.run(`${seed}:hair`, () => this.drawHair(layer, anchors, config));
+            } else if (outfit[name]) {
+                const options = outfit[name] === true ? {} : outfit[name];
+                const piece = await SeededRandom.run(`${seed}:${name}`, () => this.generatePiece(name, options));
+                if (!piece) continue;
+                this.placePiece(layer, piece, SLOTS[name], anchors);
+            } else {
+                continue;
+            }
+
+            layers.push({ name, image: layer });
+        }
+
+        PaperDollGenerator.flatten(layers, image);
+        return layers;
+    }
+
+    /**
+     * Draw the paper doll facing each direction of an 8- or 4-direction set
+     *
+     * Every layer is turned the same way as the whole character
+     * (see CharacterGenerator.generateDirections), so the layers still line up in every facing.
+     * The south-facing character is also drawn into image.
+     * @param {Jimp} image - Target image, sized like every view
+     * @param {Object} config - Paper-doll config (see generate)
+     * @param {number|Array<string>} [config.directions=8] - 8, 4 or a list of facings
+     * @returns {Promise<Array<{direction: string, image: Jimp, layers: Array<{name: string, image: Jimp}>}>>}
+     *   Views in the order of config.directions
+     */
+    async generateDirections(image, config) {
+        const { width, height } = image.bitmap;
+        const directions = CharacterGenerator.getDirections(config.directions);
+        const seeded = { ...config, seed: config.seed !== undefined && config.seed !== null ? config.seed : SeededRandom.createSeed() };
+
+        let back;
+        this.facing = 'back';
+        try {
+            back = await this.generate(new Jimp(width, height, 0x00000000), seeded);
+        } finally {
+            this.facing = 'front';
+        }
+        const front = await this.generate(image, seeded);
+
+        return directions.map(direction => {
+            const layers = front.map((layer, index) => ({
+                name: layer.name,
+                image: this.characterGenerator.turnView({ front: layer.image, back: back[index].image }, direction)
+            }));
+            return { direction, image: PaperDollGenerator.flatten(layers, new Jimp(width, height, 0x00000000)), layers };
+        });
+    }
+
+    /**
+     * Anchor points of the body in pixels; left and right are as seen on screen
+     * @returns {Object} Points by name: head, neck, shoulders, chest, back, waist, leftHand,
+     *   rightHand, leftFoot and rightFoot
+     */
+    getAnchors(width, height, bodyType = 'medium') {
+        const build = BUILDS[bodyType];
+        if (!build) {
+            throw new Error(`Unknown body type: ${bodyType}`);
+        }
+
+        const hand = 0.17 + 0.08 * build;
+        const foot = 0.08 * build;
+        const point = (x, y) => ({ x: Math.round(x * width), y: Math.round(y * height) });
+
+        return {
+            head: point(0.5, 0.19),
+            neck: point(0.5, 0.31),
+            shoulders: point(0.5, 0.34),
+            chest: point(0.5, 0.45),
+            back: point(0.5, 0.55),
+            waist: point(0.5, 0.6),
+            leftHand: point(0.5 - hand, 0.6),
+            rightHand: point(0.5 + hand, 0.6),
+            leftFoot: point(0.5 - foot, 0.91),
+            rightFoot: point(0.5 + foot, 0.91)
+        };
+    }
+
+    /**
+     * Draw the base body in plain clothes: legs, torso, arms and head, with the face from the front
+     */
+    drawBody(image, anchors, config) {
+        const { width, height } = image.bitmap;
+        const build = BUILDS[config.bodyType || 'medium'];
+        const skinColor = this.getColor(SKIN_TONES, config.skinTone || 'tan');
+        const shirtColor = this.getColor({}, '#D8CBA8');
+        const trouserColor = this.getColor({}, '#6B5B45');
+        const { head, neck, waist } = anchors;
+
+        const torsoWidth = Math.round(width * 0.34 * build);
+        const armWidth = Math.max(2, Math.round(width * 0.08 * build));
+        const legWidth = Math.max(2, Math.round(width * 0.1 * build));
+        const headRadiusX = Math.round(width * 0.15);
+        const headRadiusY = Math.round(height * 0.1);
+
+        this.utils.drawShadow(image, width, height);
+
+        [anchors.leftFoot, anchors.rightFoot].forEach(foot => {
+            this.utils.drawRectangle(image, foot.x - Math.floor(legWidth / 2), waist.y, legWidth, foot.y - waist.y, trouserColor);
+            this.utils.drawEllipse(image, foot.x, foot.y, Math.ceil(legWidth * 0.6), Math.max(1, Math.round(height * 0.02)), skinColor);
+        });
+
+        this.utils.drawRoundedRect(image, Math.round(head.x - torsoWidth / 2), neck.y, torsoWidth, waist.y - neck.y, 3, shirtColor);
+
+        [anchors.leftHand, anchors.rightHand].forEach(hand => {
+            this.utils.drawRectangle(image, hand.x - Math.floor(armWidth / 2), neck.y + 1, armWidth, hand.y - neck.y - 1, shirtColor);
+            this.utils.drawEllipse(image, hand.x, hand.y, Math.ceil(armWidth * 0.6), Math.ceil(armWidth * 0.6), skinColor);
+        });
+
+        this.utils.drawRectangle(image, head.x - Math.floor(width * 0.04), head.y, Math.round(width * 0.08), neck.y - head.y + 1, skinColor);
+        this.utils.drawEllipse(image, head.x, head.y, headRadiusX, headRadiusY, skinColor);
+
+        // Face, seen only from the front
+        if (this.facing !== 'back') {
+            this.utils.drawEyes(image, head.x, head.y, Math.round(headRadiusX * 0.6));
+            this.utils.drawMouth(image, head.x, Math.round(head.y + headRadiusY * 0.6), Math.round(headRadiusX * 0.4));
+        }
+    }
+
+    drawHair(image, anchors, config) {
+        const { width, height } = image.bitmap;
+        const { head } = anchors;
+        const headRadiusX = Math.round(width * 0.15);
+        const headRadiusY = Math.round(height * 0.1);
+        const hairColor = this.getColor(HAIR_COLORS, config.hairColor || 'brown');
+
+        this.utils.drawHair(image, head.x, Math.round(head.y - headRadiusY * 0.8), Math.round(headRadiusX * 1.2), hairColor, config.hairStyle || 'short');
+    }
+
+    /**
+     * Draw one equipment piece on its own canvas with the generator for its slot
+     * @returns {Promise<Jimp|null>} Piece cropped to its visible pixels; null if nothing was drawn
+     */
+    async generatePiece(slot, options) {
+        const { armorType, weaponType, subtype } = SLOTS[slot];
+        const accessoryType = options.accessoryType || SLOTS[slot].accessoryType;
+        let image;
+
+        if (accessoryType) {
+            image = new Jimp(ACCESSORY_CANVAS, ACCESSORY_CANVAS, 0x00000000);
+            await this.accessoriesGenerator.generate(image, { ...options, accessoryType });
+        } else if (weaponType) {
+            image = (await this.weaponGenerator.generate({ type: weaponType, ...options })).image;
+        } else {
+            image = (await this.armorGenerator.generate({ type: armorType, subtype, ...options })).image;
+        }
+
+        return PaperDollGenerator.trim(image);
+    }
+
+    /**
+     * Fit a piece into its slot's box and draw it centred on each of the slot's anchors
+     */
+    placePiece(layer, piece, slot, anchors) {
+        const { width, height } = layer.bitmap;
+        const scale = Math.min(slot.box.width * width / piece.bitmap.width, slot.box.height * height / piece.bitmap.height);
+        const fitted = piece.clone().resize(
+            Math.max(1, Math.round(piece.bitmap.width * scale)),
+            Math.max(1, Math.round(piece.bitmap.height * scale)),
+            Jimp.RESIZE_NEAREST_NEIGHBOR
+        );
+
+        slot.anchors.forEach((name, index) => {
+            const anchor = anchors[name];
+            const placed = slot.anchors.length > 1 && index === 0 ? fitted.clone().mirror(true, false) : fitted;
+            layer.composite(placed, Math.round(anchor.x - placed.bitmap.width / 2), Math.round(anchor.y - placed.bitmap.height / 2));
+        });
+    }
+
+    /**
+     * A named colour from a table, or a CSS colour, as the 0xRRGGBB value SpriteUtils draws with
+     */
+    getColor(table, color) {
+        return Jimp.cssColorToHex(table[color] || color) >>> 8;
+    }
+
+    /**
+     * Draw layers onto an image, bottom first
+     * @returns {Jimp} The image
+     */
+    static flatten(layers, image) {
+        layers.forEach(layer => image.composite(layer.image, 0, 0));
+        return image;
+    }
+
+    /**
+     * Crop an image to its visible pixels
+     * @returns {Jimp|null} Cropped copy, or null for a fully transparent image
+     */
+    static trim(image) {
+        const { width, height, data } = image.bitmap;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] > 0) {
+                    minX = Math.min(minX, x);
+                    minY = Math.min(minY, y);
+                    maxX = Math.max(maxX, x);
+                    maxY = Math.max(maxY, y);
+                }
+            }
+        }
+
+        if (maxX < 0) return null;
+        return image.clone().crop(minX, minY, maxX - minX + 1, maxY - minY + 1);
+    }
+}
+
+PaperDollGenerator.SLOTS = SLOTS;
+PaperDollGenerator.LAYER_ORDER = LAYER_ORDER;
+
+module.exports = PaperDollGenerator;
@@ -75,6 +75,12 @@ class SpriteUtils {
         const imgWidth = image.bitmap.width;
         const imgHeight = image.bitmap.height;
 
+        // Bresenham only terminates on whole-pixel endpoints
+        x1 = Math.round(x1);
+        y1 = Math.round(y1);
+        x2 = Math.round(x2);
+        y2 = Math.round(y2);
+
         const dx = Math.abs(x2 - x1);
         const dy = Math.abs(y2 - y1);
         const sx = x1 < x2 ? 1 : -1;
@@ -388,6 +394,15 @@ class SpriteUtils {
         this.drawRectangle(image, x, y, Math.floor(width * 0.3), Math.floor(height * 0.4), Jimp.cssColorToHex(`rgba(255,255,255,${alpha})`));
     }
 
+    /**
+     * Lighten or darken a 0xRRGGBB colour by a percentage (-20 is 20% darker)
+     */
+    adjustBrightness(color, percent) {
+        const factor = 1 + percent / 100;
+        const channel = shift => Math.max(0, Math.min(255, Math.round(((color >> shift) & 0xFF) * factor)));
+        return (channel(16) << 16) | (channel(8) << 8) | channel(0);
+    }
+
     /**
      * Generate random number within range
      */
@@ -5,6 +5,25 @@
 
 const Jimp = require('jimp');
 const SpriteUtils = require('./sprite-utils');
+const SeededRandom = require('../../utils/seeded-random');
+const LightMaps = require('../../utils/light-maps');
+
+// Neighbour bits for transition masks, clockwise from north. The order matches the
+// position order of a Tiled wangid, so bit i is wangid entry i.
+const NEIGHBOR_BITS = {
+    N: 1, NE: 2, E: 4, SE: 8, S: 16, SW: 32, W: 64, NW: 128
+};
+
+// Corner bits for 16-tile Wang / marching-squares sets, clockwise from north-east
+const CORNER_BITS = {
+    NE: 1, SE: 2, SW: 4, NW: 8
+};
+
+// What glows on each tile type: molten lava throughout, crystal facets plus the centre glow
+const GLOWING_TILES = {
+    lava: { emissiveColors: 'all' },
+    crystal: { emissiveColors: ['#BA55D3'], glow: { radius: 0.3, color: '#9370DB', intensity: 0.3 } }
+};
 
 class TileGenerator {
     constructor() {
@@ -13,8 +32,16 @@ class TileGenerator {
 
     /**
      * Main tile generation method
+     * The same config.seed always draws the same pixels
      */
     async generate(image, config) {
+        return SeededRandom.run(config.seed, () => this.generateSprite(image, config));
+    }
+
+    /**
+     * Draw the tile into the image (runs inside the seeded scope)
+     */
+    async generateSprite(image, config) {
         const { width, height } = image.bitmap;
 
         // Generate tile based on type
@@ -79,6 +106,130 @@ class TileGenerator {
             default:
                 await this.generateGrassTile(config, image);
         }
+
+        if (config.tileable) {
+            this.makeTileable(image);
+        }
+    }
+
+    /**
+     * Lighting hints for LightMaps: tiles are flat, so their relief comes from brightness
+     * alone, plus the glowing parts of the tile type
+     */
+    getLightMapHints(image, config) {
+        const { width, height } = image.bitmap;
+        const glowing = GLOWING_TILES[config.tileType] || {};
+
+        return {
+            surface: { bevel: 0, detail: 1, wrap: Boolean(config.tileable) },
+            emissiveColors: glowing.emissiveColors || [],
+            glows: glowing.glow ? [{
+                x: Math.floor(width * 0.5),
+                y: Math.floor(height * 0.5),
+                radius: Math.floor(width * glowing.glow.radius),
+                color: glowing.glow.color,
+                intensity: glowing.glow.intensity
+            }] : []
+        };
+    }
+
+    /**
+     * Make a tile wrap seamlessly on both axes
+     *
+     * The tile is blended with a copy of itself shifted so that its borders are continuous
+     * across the wrap. The shifted copy takes over towards the edges, so the wrap ends up
+     * showing the boundary between two neighbouring columns (and rows) of the original. The
+     * shift picks the weakest such boundary in the middle half of the tile, so the seam is
+     * never stronger than the lines already inside the tile. Pixels are picked from one copy
+     * or the other (never averaged) so the tile keeps its palette, and the pick follows
+     * low-frequency noise so the hand-over happens in clumps, not speckles.
+     */
+    makeTileable(image) {
+        const { width, height, data } = image.bitmap;
+        const original = Buffer.from(data);
+        const band = Math.max(1, Math.floor(Math.min(width, height) / 4));
+        const threshold = this.createValueNoise(width, height, 8);
+        const shiftX = this.findWeakestBoundary(image, 'x') + 1;
+        const shiftY = this.findWeakestBoundary(image, 'y') + 1;
+
+        // Weight of the original: 0 on the border, 1 once a band's width inside
+        const weight = (position, size) => Math.min(1, Math.min(position, size - 1 - position) / band);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const keepOriginal = Math.min(weight(x, width), weight(y, height)) > threshold(x, y);
+                if (keepOriginal) continue;
+
+                const srcX = (x + shiftX) % width;
+                const srcY = (y + shiftY) % height;
+                const srcIdx = (srcY * width + srcX) * 4;
+                const dstIdx = (y * width + x) * 4;
+
+                data[dstIdx] = original[srcIdx];
+                data[dstIdx + 1] = original[srcIdx + 1];
+                data[dstIdx + 2] = original[srcIdx + 2];
+                data[dstIdx + 3] = original[srcIdx + 3];
+            }
+        }
+    }
+
+    /**
+     * Boundary in the middle half of the tile with the least colour change across it
+     * @param {string} axis - 'x' for the boundary after a column, 'y' after a row
+     * @returns {number} Column or row the boundary follows
+     */
+    findWeakestBoundary(image, axis) {
+        const { width, height, data } = image.bitmap;
+        const size = axis === 'x' ? width : height;
+        const length = axis === 'x' ? height : width;
+        const index = (position, along) => (axis === 'x' ? along * width + position : position * width + along) * 4;
+
+        let weakest = Math.floor(size / 2) - 1;
+        let weakestChange = Infinity;
+        for (let position = Math.floor(size / 4); position < Math.ceil(size * 3 / 4) - 1; position++) {
+            let change = 0;
+            for (let along = 0; along < length; along++) {
+                const i = index(position, along);
+                const j = index(position + 1, along);
+                change += Math.sqrt(
+                    (data[i] - data[j]) ** 2 +
+                    (data[i + 1] - data[j + 1]) ** 2 +
+                    (data[i + 2] - data[j + 2]) ** 2 +
+                    (data[i + 3] - data[j + 3]) ** 2
+                );
+            }
+            if (change < weakestChange) {
+                weakest = position;
+                weakestChange = change;
+            }
+        }
+
+        return weakest;
+    }
+
+    /**
+     * Smooth value noise in [0, 1): random values on a coarse grid, bilinearly interpolated
+     * @param {number} cell - Grid spacing in pixels
+     * @returns {Function} (x, y) => noise value
+     */
+    createValueNoise(width, height, cell) {
+        const columns = Math.ceil(width / cell) + 1;
+        const rows = Math.ceil(height / cell) + 1;
+        const grid = Array.from({ length: columns * rows }, () => Math.random());
+
+        return (x, y) => {
+            const gx = x / cell;
+            const gy = y / cell;
+            const x0 = Math.floor(gx);
+            const y0 = Math.floor(gy);
+            const tx = gx - x0;
+            const ty = gy - y0;
+            const at = (cx, cy) => grid[cy * columns + cx];
+
+            const top = at(x0, y0) * (1 - tx) + at(x0 + 1, y0) * tx;
+            const bottom = at(x0, y0 + 1) * (1 - tx) + at(x0 + 1, y0 + 1) * tx;
+            return top * (1 - ty) + bottom * ty;
+        };
     }
 
     /**
@@ -632,6 +783,304 @@ class TileGenerator {
             }
         }
     }
+
+    /**
+     * Generate a transition tileset between two terrains
+     *
+     * The "to" terrain is drawn over the "from" terrain according to each tile's mask:
+     * - blob47: 8-neighbour masks (NEIGHBOR_BITS), 47 tiles plus a plain "from" fill tile
+     * - wang16: corner masks (CORNER_BITS), 16 tiles in marching-squares order
+     *
+     * @param {Object} config - Tileset configuration
+     * @param {string} config.tileType - Terrain the tiles transition from, e.g. 'grass'
+     * @param {string} config.transitionTo - Terrain the tiles transition to, e.g. 'water'
+     * @param {string} [config.layout='blob47'] - 'blob47' or 'wang16'
+     * @param {number} [config.tileSize=32] - Tile width and height in pixels
+     * @param {boolean} [config.outline=true] - Darken the edge of the "to" terrain
+     * @param {number|string} [config.seed] - Seed for the textures and edge shapes
+     * @param {boolean} [config.lightMaps=false] - Also build normal and emissive atlases
+     * @returns {Promise<Object>} { image, tileset, maps } where tileset holds per-tile mask
+     *   metadata and maps ({normal, emissive}) is only set with config.lightMaps
+     */
+    async generateTransitionSet(config) {
+        return SeededRandom.run(config.seed, () => this.buildTransitionSet(config));
+    }
+
+    /**
+     * Build the transition atlas (runs inside the seeded scope)
+     */
+    async buildTransitionSet(config) {
+        const from = config.tileType || 'grass';
+        const to = config.transitionTo;
+        const layout = config.layout || 'blob47';
+        const tileSize = config.tileSize || 32;
+
+        if (!to) {
+            throw new Error('Transition tilesets need a transitionTo terrain');
+        }
+        if (!['blob47', 'wang16'].includes(layout)) {
+            throw new Error(`Unsupported transition layout: ${layout}`);
+        }
+
+        const fromTexture = new Jimp(tileSize, tileSize, 0x00000000);
+        const toTexture = new Jimp(tileSize, tileSize, 0x00000000);
+        await this.generateSprite(fromTexture, { ...config, tileType: from });
+        await this.generateSprite(toTexture, { ...config, tileType: to });
+
+        // Light maps of each terrain texture, cut along the same edges as the atlas
+        const textureMaps = config.lightMaps ? {
+            from: LightMaps.generate(fromTexture, this.getLightMapHints(fromTexture, { ...config, tileType: from })),
+            to: LightMaps.generate(toTexture, this.getLightMapHints(toTexture, { ...config, tileType: to }))
+        } : null;
+
+        const edgeNoise = this.createEdgeNoise(tileSize);
+        const tiles = layout === 'blob47'
+            ? [...TileGenerator.getBlobMasks().map(mask => ({ mask })), { mask: null, fill: from }]
+            : Array.from({ length: 16 }, (_, mask) => ({ mask }));
+
+        const columns = layout === 'blob47' ? 8 : 4;
+        const rows = Math.ceil(tiles.length / columns);
+        const atlas = new Jimp(columns * tileSize, rows * tileSize, 0x00000000);
+        const maps = textureMaps ? {
+            normal: new Jimp(atlas.bitmap.width, atlas.bitmap.height, 0x00000000),
+            emissive: new Jimp(atlas.bitmap.width, atlas.bitmap.height, 0x00000000)
+        } : null;
+
+        tiles.forEach((tile, index) => {
+            const coverage = tile.mask === null
+                ? new Uint8Array(tileSize * tileSize)
+                : this.getTransitionCoverage(layout, tile.mask, tileSize, edgeNoise);
+
+            const offsetX = (index % columns) * tileSize;
+            const offsetY = Math.floor(index / columns) * tileSize;
+            this.drawTransitionTile(atlas, offsetX, offsetY, fromTexture, toTexture, coverage, config.outline !== false);
+            if (maps) {
+                Object.keys(maps).forEach(name => {
+                    this.drawTransitionTile(maps[name], offsetX, offsetY, textureMaps.from[name], textureMaps.to[name], coverage, false);
+                });
+            }
+
+            tile.id = index;
+            // A lone blob island has only "from" edges and corners, the same wangid as the
+            // fill tile, so Tiled cannot place it; it stays in the atlas without a wangid
+            tile.wangid = layout === 'blob47' && tile.mask === 0
+                ? null
+                : TileGenerator.getWangId(layout, tile.mask || 0, tile.mask === null);
+        });
+
+        const result = {
+            image: atlas,
+            tileset: {
+                name: `${from}-${to}`,
+                layout,
+                terrains: { from, to },
+                tileSize,
+                columns,
+                tileCount: tiles.length,
+                width: atlas.bitmap.width,
+                height: atlas.bitmap.height,
+                tiles
+            }
+        };
+        if (maps) {
+            result.maps = maps;
+        }
+
+        return result;
+    }
+
+    /**
+     * Per-pixel coverage of the "to" terrain for one transition tile
+     * @returns {Uint8Array} 1 where the "to" terrain is drawn
+     */
+    getTransitionCoverage(layout, mask, size, edgeNoise) {
+        const coverage = new Uint8Array(size * size);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const covered = layout === 'blob47'
+                    ? this.isBlobCovered(x, y, mask, size, edgeNoise)
+                    : this.isCornerCovered(x, y, mask, size, edgeNoise);
+                coverage[y * size + x] = covered ? 1 : 0;
+            }
+        }
+
+        return coverage;
+    }
+
+    /**
+     * Blob coverage: the tile is "to" terrain, pulled back from every edge whose neighbour is not
+     */
+    isBlobCovered(x, y, mask, size, edgeNoise) {
+        const has = bit => (mask & NEIGHBOR_BITS[bit]) !== 0;
+        const margin = Math.round(size / 4);
+
+        // Edge bands wobble along their length; the noise repeats every tile so neighbours line up
+        const top = y < margin + edgeNoise.horizontal[x];
+        const bottom = y >= size - margin - edgeNoise.horizontal[x];
+        const left = x < margin + edgeNoise.vertical[y];
+        const right = x >= size - margin - edgeNoise.vertical[y];
+
+        if ((top && !has('N')) || (bottom && !has('S')) || (left && !has('W')) || (right && !has('E'))) {
+            return false;
+        }
+
+        // Inner corners: both edges connect but the diagonal does not
+        const corners = [
+            { inside: top && left, diagonal: 'NW', cx: 0, cy: 0 },
+            { inside: top && right, diagonal: 'NE', cx: size, cy: 0 },
+            { inside: bottom && right, diagonal: 'SE', cx: size, cy: size },
+            { inside: bottom && left, diagonal: 'SW', cx: 0, cy: size }
+        ];
+
+        for (const corner of corners) {
+            if (corner.inside && !has(corner.diagonal)) {
+                if (Math.hypot(x + 0.5 - corner.cx, y + 0.5 - corner.cy) < margin) {
+                    return false;
+                }
+            }
+        }
+
+        // Round off outer corners where neither edge connects
+        const outer = [
+            { edges: ['N', 'W'], cx: 2 * margin, cy: 2 * margin, test: x < 2 * margin && y < 2 * margin },
+            { edges: ['N', 'E'], cx: size - 2 * margin, cy: 2 * margin, test: x >= size - 2 * margin && y < 2 * margin },
+            { edges: ['S', 'E'], cx: size - 2 * margin, cy: size - 2 * margin, test: x >= size - 2 * margin && y >= size - 2 * margin },
+            { edges: ['S', 'W'], cx: 2 * margin, cy: size - 2 * margin, test: x < 2 * margin && y >= size - 2 * margin }
+        ];
+
+        for (const corner of outer) {
+            if (corner.test && !has(corner.edges[0]) && !has(corner.edges[1])) {
+                if (Math.hypot(x + 0.5 - corner.cx, y + 0.5 - corner.cy) > margin) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Corner (marching-squares) coverage: bilinear blend of the four corner terrains
+     */
+    isCornerCovered(x, y, mask, size, edgeNoise) {
+        const corner = bit => ((mask & CORNER_BITS[bit]) !== 0 ? 1 : 0);
+        const u = (x + 0.5) / size;
+        const v = (y + 0.5) / size;
+
+        const value = corner('NW') * (1 - u) * (1 - v) +
+            corner('NE') * u * (1 - v) +
+            corner('SE') * u * v +
+            corner('SW') * (1 - u) * v;
+
+        return value + edgeNoise.field[y * size + x] > 0.5;
+    }
+
+    /**
+     * Periodic edge noise shared by every tile in a set, so edges meet across tile borders
+     */
+    createEdgeNoise(size) {
+        const wave = () => {
+            const frequency = 1 + Math.floor(Math.random() * 3);
+            const phase = Math.random() * Math.PI * 2;
+            const amplitude = 0.5 + Math.random();
+            return t => amplitude * Math.sin((2 * Math.PI * frequency * t) / size + phase);
+        };
+
+        const [h1, h2, v1, v2] = [wave(), wave(), wave(), wave()];
+        const scale = Math.max(1, size / 16);
+        const horizontal = Array.from({ length: size }, (_, x) => Math.round((h1(x) + h2(x)) * scale * 0.5));
+        const vertical = Array.from({ length: size }, (_, y) => Math.round((v1(y) + v2(y)) * scale * 0.5));
+
+        const field = new Float32Array(size * size);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                field[y * size + x] = (h1(x) * v1(y) + h2(y) * v2(x)) * 0.015;
+            }
+        }
+
+        return { horizontal, vertical, field };
+    }
+
+    /**
+     * Composite one transition tile into the atlas
+     */
+    drawTransitionTile(atlas, offsetX, offsetY, fromTexture, toTexture, coverage, outline) {
+        const size = fromTexture.bitmap.width;
+        const atlasWidth = atlas.bitmap.width;
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const covered = coverage[y * size + x] === 1;
+                const source = covered ? toTexture.bitmap.data : fromTexture.bitmap.data;
+                const srcIdx = (y * size + x) * 4;
+                const dstIdx = ((offsetY + y) * atlasWidth + offsetX + x) * 4;
+
+                // Shade the "to" terrain where it meets the "from" terrain inside this tile
+                const isEdge = outline && covered && (
+                    (x > 0 && !coverage[y * size + x - 1]) ||
+                    (x < size - 1 && !coverage[y * size + x + 1]) ||
+                    (y > 0 && !coverage[(y - 1) * size + x]) ||
+                    (y < size - 1 && !coverage[(y + 1) * size + x])
+                );
+                const shade = isEdge ? 0.7 : 1;
+
+                atlas.bitmap.data[dstIdx] = Math.round(source[srcIdx] * shade);
+                atlas.bitmap.data[dstIdx + 1] = Math.round(source[srcIdx + 1] * shade);
+                atlas.bitmap.data[dstIdx + 2] = Math.round(source[srcIdx + 2] * shade);
+                atlas.bitmap.data[dstIdx + 3] = source[srcIdx + 3];
+            }
+        }
+    }
+
+    /**
+     * The 47 distinct blob masks, ascending
+     * A diagonal only counts when both of its adjacent edges are set
+     * @returns {Array<number>} Masks built from NEIGHBOR_BITS
+     */
+    static getBlobMasks() {
+        const masks = new Set();
+        for (let mask = 0; mask < 256; mask++) {
+            masks.add(TileGenerator.normalizeBlobMask(mask));
+        }
+        return [...masks].sort((a, b) => a - b);
+    }
+
+    /**
+     * Drop diagonal bits whose adjacent edges are not both set
+     */
+    static normalizeBlobMask(mask) {
+        const { N, NE, E, SE, S, SW, W, NW } = NEIGHBOR_BITS;
+        let normalized = mask & (N | E | S | W);
+        if ((mask & NE) && (mask & N) && (mask & E)) normalized |= NE;
+        if ((mask & SE) && (mask & S) && (mask & E)) normalized |= SE;
+        if ((mask & SW) && (mask & S) && (mask & W)) normalized |= SW;
+        if ((mask & NW) && (mask & N) && (mask & W)) normalized |= NW;
+        return normalized;
+    }
+
+    /**
+     * Tiled wangid for a transition tile: eight colours clockwise from the top edge
+     * Colour 1 is the "from" terrain, 2 the "to" terrain, 0 unused
+     * @param {string} layout - 'blob47' (mixed edges and corners) or 'wang16' (corners only)
+     * @param {number} mask - Tile mask
+     * @param {boolean} [fill=false] - Plain "from" fill tile
+     * @returns {Array<number>} Eight wangid entries
+     */
+    static getWangId(layout, mask, fill = false) {
+        if (layout === 'wang16') {
+            const corner = bit => ((mask & CORNER_BITS[bit]) ? 2 : 1);
+            return [0, corner('NE'), 0, corner('SE'), 0, corner('SW'), 0, corner('NW')];
+        }
+
+        if (fill) {
+            return [1, 1, 1, 1, 1, 1, 1, 1];
+        }
+        return Array.from({ length: 8 }, (_, i) => ((mask & (1 << i)) ? 2 : 1));
+    }
 }
 
+TileGenerator.NEIGHBOR_BITS = NEIGHBOR_BITS;
+TileGenerator.CORNER_BITS = CORNER_BITS;
+
 module.exports = TileGenerator;
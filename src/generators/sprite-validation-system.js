@@ -15,6 +15,7 @@ class SpriteValidationSystem {
             maxFileSize: options.maxFileSize || 1024 * 1024, // 1MB
             supportedFormats: options.supportedFormats || ['png', 'jpg', 'jpeg', 'webp'],
             enableDetailedAnalysis: options.enableDetailedAnalysis !== false,
+            maxSeamScore: options.maxSeamScore !== undefined ? options.maxSeamScore : 1.5,
             ...options
         };
 
@@ -29,7 +30,8 @@ class SpriteValidationSystem {
             COLOR_PALETTE: 'color_palette',
             EDGE_ARTIFACTS: 'edge_artifacts',
             COMPRESSION_RATIO: 'compression_ratio',
-            METADATA_VALIDITY: 'metadata_validity'
+            METADATA_VALIDITY: 'metadata_validity',
+            SEAMLESS: 'seamless'
         };
 
         // Quality thresholds
@@ -145,11 +147,26 @@ class SpriteValidationSystem {
                 category
             );
 
+            // Sprites meant to repeat must do so without visible seams
+            const checkSeams = options.tileable === true;
+            if (checkSeams) {
+                validationResult.technicalDetails.seams = this.analyzeSeams(spriteImage);
+            }
+
             // Determine pass/fail
-            validationResult.passed = validationResult.overallScore >= this.options.minQualityScore;
+            validationResult.passed = validationResult.overallScore >= this.options.minQualityScore &&
+                (!checkSeams || validationResult.technicalDetails.seams.passed);
 
             // Generate issues and recommendations
             validationResult.issues = this.generateIssuesList(basicResult, qualityResult, contentResult);
+            if (checkSeams && !validationResult.technicalDetails.seams.passed) {
+                const { seamScore, threshold } = validationResult.technicalDetails.seams;
+                validationResult.issues.push({
+                    type: 'seams',
+                    severity: this.getIssueSeverity('seams'),
+                    message: `Visible seams when tiled: seam score ${seamScore.toFixed(2)} (maximum: ${threshold})`
+                });
+            }
             validationResult.recommendations = this.generateRecommendations(validationResult.issues, category);
 
             // Update validation statistics
@@ -595,6 +612,70 @@ class SpriteValidationSystem {
         };
     }
 
+    /**
+     * Analyze seams when the sprite is repeated 3x3
+     *
+     * In a 3x3 repeat the centre tile's right column meets the next tile's left column,
+     * and its bottom row meets the next tile's top row. The average colour change across
+     * each seam is compared with the strongest lines of change inside the tile (the 90th
+     * percentile of its column and row boundaries), so mortar lines or plank gaps that the
+     * tile already has are not reported as seams. A score near 1 or below means the seam
+     * blends in; higher scores mean a visible line along the tile grid.
+     */
+    analyzeSeams(image) {
+        const { width, height, data } = image.bitmap;
+        const distance = (x1, y1, x2, y2) => {
+            const i = (y1 * width + x1) * 4;
+            const j = (y2 * width + x2) * 4;
+            return Math.sqrt(
+                (data[i] - data[j]) ** 2 +
+                (data[i + 1] - data[j + 1]) ** 2 +
+                (data[i + 2] - data[j + 2]) ** 2 +
+                (data[i + 3] - data[j + 3]) ** 2
+            );
+        };
+
+        // Average change across the boundary after column x (wrapping past the last column)
+        const columnBoundary = x => {
+            let total = 0;
+            for (let y = 0; y < height; y++) {
+                total += distance(x, y, (x + 1) % width, y);
+            }
+            return total / height;
+        };
+        const rowBoundary = y => {
+            let total = 0;
+            for (let x = 0; x < width; x++) {
+                total += distance(x, y, x, (y + 1) % height);
+            }
+            return total / width;
+        };
+
+        const percentile = (values, p) => {
+            if (values.length === 0) return 0;
+            const sorted = [...values].sort((a, b) => a - b);
+            return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+        };
+
+        const interiorColumns = Array.from({ length: width - 1 }, (_, x) => columnBoundary(x));
+        const interiorRows = Array.from({ length: height - 1 }, (_, y) => rowBoundary(y));
+        const columnReference = percentile(interiorColumns, 0.9);
+        const rowReference = percentile(interiorRows, 0.9);
+
+        // +1 keeps flat tiles at a score of 1 instead of dividing by zero
+        const horizontal = (columnBoundary(width - 1) + 1) / (columnReference + 1);
+        const vertical = (rowBoundary(height - 1) + 1) / (rowReference + 1);
+        const seamScore = Math.max(horizontal, vertical);
+
+        return {
+            seamScore,
+            horizontal,
+            vertical,
+            threshold: this.options.maxSeamScore,
+            passed: seamScore <= this.options.maxSeamScore
+        };
+    }
+
     /**
      * Check if pixel is an edge pixel
      */
@@ -734,7 +815,8 @@ class SpriteValidationSystem {
             noise: 'medium',
             content: 'high',
             transparency: 'medium',
-            color_palette: 'low'
+            color_palette: 'low',
+            seams: 'high'
         };
 
         return severityMap[type] || 'medium';
@@ -774,6 +856,10 @@ class SpriteValidationSystem {
                 case 'transparency':
                     recommendations.push('Review and optimize transparency usage');
                     break;
+
+                case 'seams':
+                    recommendations.push('Regenerate the tile with tileable: true so its edges wrap');
+                    break;
             }
         }
 
@@ -929,6 +1015,7 @@ class SpriteValidationSystem {
                 strictMode: this.options.strictMode,
                 minQualityScore: this.options.minQualityScore,
                 maxFileSize: this.options.maxFileSize,
+                maxSeamScore: this.options.maxSeamScore,
                 supportedFormats: this.options.supportedFormats
             },
             statistics: this.validationResults,
@@ -6,6 +6,12 @@
 const Jimp = require('jimp');
 const fs = require('fs').promises;
 const path = require('path');
+const CollisionShapes = require('../utils/collision-shapes');
+
+// Fill for sprites that lack a map another sprite has: a flat normal, no emission
+const MAP_FILLS = {
+    normal: 0x8080ffff
+};
 
 class SpritesheetPacker {
     constructor() {
@@ -34,7 +40,11 @@ class SpritesheetPacker {
             maxHeight: 4096,
             allowRotation: false,
             sortBy: 'area', // area, width, height, perimeter
-            sortOrder: 'descending' // ascending, descending
+            sortOrder: 'descending', // ascending, descending
+            trim: false, // crop transparent borders
+            extrude: 0, // edge pixels repeated around each sprite
+            metadataFormat: 'hash', // hash, array
+            name: 'spritesheet' // page image name
         };
 
         // Rectangle packing data structures
@@ -45,46 +55,134 @@ class SpritesheetPacker {
 
     /**
      * Main spritesheet generation method
+     *
+     * Sprites that don't fit in a maxWidth x maxHeight page spill over into further
+     * pages. `spritesheet` and `metadata` are the first page; `pages` holds them all.
+     *
+     * Sprites may bring companion maps the size of their image (sprite.maps, e.g. the
+     * normal and emissive maps from LightMaps). Each map is packed into its own page image
+     * with the same rects as the sprites, as page.maps[name]; `maps` is the first page's.
      */
     async generate(sprites, options = {}) {
         const config = { ...this.defaultOptions, ...options };
 
         // Prepare sprites for packing
-        const preparedSprites = await this.prepareSprites(sprites);
+        const preparedSprites = await this.prepareSprites(sprites, config);
 
         // Sort sprites based on configuration
-        const sortedSprites = this.sortSprites(preparedSprites, config.sortBy, config.sortOrder);
+        let remaining = this.sortSprites(preparedSprites, config.sortBy, config.sortOrder);
+        this.checkSpriteSizes(remaining, config);
+
+        // Pack pages until every sprite is placed
+        const packedPages = [];
+        do {
+            const page = this.packPage(remaining, config);
+            packedPages.push(page);
+            remaining = page.unpacked;
+        } while (remaining.length > 0);
+
+        return await this.renderPages(packedPages, preparedSprites, config);
+    }
 
-        // Initialize packing area
-        const packingArea = this.initializePackingArea(config);
+    /**
+     * Lay sprites out on a fixed grid instead of packing them, one grid row per entry of rows
+     *
+     * Every cell is the size of the largest untrimmed sprite plus extrusion. Trimmed sprites
+     * keep their offset inside the cell, so the page still reads as a grid. Used for
+     * character sheets with a row per animation and direction. The result has the shape of
+     * generate()'s, on a single page, plus `grid` ({columns, rows, cellWidth, cellHeight}).
+     * @param {Array<Array<Object>>} rows - Sprites of each row, as for generate(); ids must be unique
+     * @param {Object} [options] - Options as for generate(); sprites are never rotated
+     * @returns {Promise<Object>} Spritesheet data
+     */
+    async generateGrid(rows, options = {}) {
+        const config = { ...this.defaultOptions, ...options, allowRotation: false };
+        const extrude = config.extrude || 0;
 
-        // Pack sprites using selected algorithm
-        const packedSprites = await this.packSprites(sortedSprites, packingArea, config);
+        const preparedRows = [];
+        for (const row of rows) {
+            preparedRows.push(await this.prepareSprites(row, config));
+        }
+        const preparedSprites = preparedRows.flat();
+        if (preparedSprites.length === 0) {
+            throw new Error('A sprite grid needs at least one sprite');
+        }
 
-        // Generate final spritesheet
-        const spritesheet = await this.generateSpritesheet(packedSprites, packingArea, config);
+        const cellWidth = Math.max(...preparedSprites.map(sprite => sprite.sourceSize.w)) + extrude * 2;
+        const cellHeight = Math.max(...preparedSprites.map(sprite => sprite.sourceSize.h)) + extrude * 2;
+        const columns = Math.max(...preparedRows.map(row => row.length));
+        let area = {
+            width: columns * (cellWidth + config.padding) - config.padding,
+            height: preparedRows.length * (cellHeight + config.padding) - config.padding
+        };
+        if (config.powerOfTwo) {
+            area = { width: this.nextPowerOfTwo(area.width), height: this.nextPowerOfTwo(area.height) };
+        }
+        if (area.width > config.maxWidth || area.height > config.maxHeight) {
+            throw new Error(`A ${columns}x${preparedRows.length} grid of ${cellWidth}x${cellHeight} cells does not fit in a ${config.maxWidth}x${config.maxHeight} page`);
+        }
 
-        // Generate metadata
-        const metadata = this.generateMetadata(packedSprites, packingArea, config);
+        preparedRows.forEach((row, rowIndex) => {
+            row.forEach((sprite, column) => {
+                sprite.x = column * (cellWidth + config.padding) + sprite.spriteSourceSize.x;
+                sprite.y = rowIndex * (cellHeight + config.padding) + sprite.spriteSourceSize.y;
+            });
+        });
 
-        return {
-            spritesheet: spritesheet,
-            metadata: metadata,
+        const result = await this.renderPages([{ area, sprites: preparedSprites }], preparedSprites, config);
+        result.grid = { columns, rows: preparedRows.length, cellWidth, cellHeight };
+        return result;
+    }
+
+    /**
+     * Draw the page images (and map pages) of placed sprites and collect the result
+     */
+    async renderPages(packedPages, preparedSprites, config) {
+        const mapNames = [...new Set(preparedSprites.flatMap(sprite => Object.keys(sprite.maps)))];
+        const pages = [];
+        for (const page of packedPages) {
+            const packedPage = {
+                spritesheet: await this.generateSpritesheet(page.sprites, page.area, config),
+                metadata: this.generateMetadata(page.sprites, page.area, config)
+            };
+            if (mapNames.length > 0) {
+                packedPage.maps = {};
+                for (const name of mapNames) {
+                    packedPage.maps[name] = await this.generateSpritesheet(page.sprites, page.area, config,
+                        sprite => sprite.maps[name] || new Jimp(sprite.image.bitmap.width, sprite.image.bitmap.height, MAP_FILLS[name] || 0x00000000));
+                }
+            }
+            pages.push(packedPage);
+        }
+        this.namePages(pages, config.name);
+
+        const packedSprites = packedPages.flatMap(page => page.sprites);
+
+        const result = {
+            spritesheet: pages[0].spritesheet,
+            metadata: pages[0].metadata,
+            pages: pages,
             config: config,
             stats: {
                 totalSprites: packedSprites.length,
-                spritesheetWidth: packingArea.width,
-                spritesheetHeight: packingArea.height,
-                packingEfficiency: this.calculatePackingEfficiency(packedSprites, packingArea),
+                pageCount: pages.length,
+                spritesheetWidth: packedPages[0].area.width,
+                spritesheetHeight: packedPages[0].area.height,
+                packingEfficiency: this.calculatePackingEfficiency(packedSprites, packedPages.map(page => page.area)),
                 averageSpriteSize: this.calculateAverageSpriteSize(packedSprites)
             }
         };
+        if (pages[0].maps) {
+            result.maps = pages[0].maps;
+        }
+
+        return result;
     }
 
     /**
-     * Prepare sprites for packing
+     * Prepare sprites for packing, cropping transparent borders when trimming
      */
-    async prepareSprites(sprites) {
+    async prepareSprites(sprites, config = this.defaultOptions) {
         const prepared = [];
 
         for (const sprite of sprites) {
@@ -97,14 +195,40 @@ class SpritesheetPacker {
                 image = sprite.image;
             }
 
+            const sourceSize = { w: image.bitmap.width, h: image.bitmap.height };
+            let bounds = { x: 0, y: 0, w: sourceSize.w, h: sourceSize.h };
+
+            const maps = {};
+            for (const [name, map] of Object.entries(sprite.maps || {})) {
+                maps[name] = typeof map === 'string' ? await Jimp.read(map) : map;
+                if (maps[name].bitmap.width !== sourceSize.w || maps[name].bitmap.height !== sourceSize.h) {
+                    throw new Error(`The ${name} map of sprite ${sprite.id || prepared.length} is not the size of its image`);
+                }
+            }
+
+            if (config.trim) {
+                // Fully transparent sprites keep a single pixel, like TexturePacker
+                bounds = this.findOpaqueBounds(image) || { x: 0, y: 0, w: 1, h: 1 };
+                if (bounds.w !== sourceSize.w || bounds.h !== sourceSize.h) {
+                    image = image.clone().crop(bounds.x, bounds.y, bounds.w, bounds.h);
+                    Object.keys(maps).forEach(name => {
+                        maps[name] = maps[name].clone().crop(bounds.x, bounds.y, bounds.w, bounds.h);
+                    });
+                }
+            }
+
             prepared.push({
                 id: sprite.id || `sprite_${prepared.length}`,
                 name: sprite.name || `sprite_${prepared.length}`,
                 image: image,
-                width: image.bitmap.width,
-                height: image.bitmap.height,
-                area: image.bitmap.width * image.bitmap.height,
-                perimeter: 2 * (image.bitmap.width + image.bitmap.height),
+                maps: maps,
+                width: bounds.w,
+                height: bounds.h,
+                area: bounds.w * bounds.h,
+                perimeter: 2 * (bounds.w + bounds.h),
+                trimmed: bounds.w !== sourceSize.w || bounds.h !== sourceSize.h,
+                spriteSourceSize: bounds,
+                sourceSize: sourceSize,
                 x: 0, // Will be set during packing
                 y: 0, // Will be set during packing
                 rotated: false,
@@ -115,6 +239,31 @@ class SpritesheetPacker {
         return prepared;
     }
 
+    /**
+     * Bounding box of the non-transparent pixels, or null for a fully transparent image
+     */
+    findOpaqueBounds(image) {
+        const { width, height, data } = image.bitmap;
+        let minX = width;
+        let minY = height;
+        let maxX = -1;
+        let maxY = -1;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] > 0) {
+                    minX = Math.min(minX, x);
+                    minY = Math.min(minY, y);
+                    maxX = Math.max(maxX, x);
+                    maxY = Math.max(maxY, y);
+                }
+            }
+        }
+
+        if (maxX < 0) return null;
+        return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+    }
+
     /**
      * Sort sprites based on criteria
      */
@@ -153,41 +302,81 @@ class SpritesheetPacker {
     }
 
     /**
-     * Initialize packing area
+     * Make sure every sprite fits on an empty page, so none can be dropped
      */
-    initializePackingArea(config) {
-        let width = 256;
-        let height = 256;
+    checkSpriteSizes(sprites, config) {
+        const extrude = config.extrude || 0;
 
-        // Start with minimum size and grow as needed
-        while (width < config.maxWidth && height < config.maxHeight) {
-            if (this.canFitAllSprites(this.rectangles, width, height, config)) {
-                break;
-            }
+        for (const sprite of sprites) {
+            const width = sprite.width + extrude * 2;
+            const height = sprite.height + extrude * 2;
+            const fits = width <= config.maxWidth && height <= config.maxHeight;
+            const fitsRotated = config.allowRotation && height <= config.maxWidth && width <= config.maxHeight;
 
-            // Grow the packing area
-            if (config.square) {
-                width *= 2;
-                height *= 2;
-            } else {
-                if (width <= height) {
-                    width *= 2;
-                } else {
-                    height *= 2;
-                }
+            if (!fits && !fitsRotated) {
+                throw new Error(`Sprite ${sprite.id} (${width}x${height}${extrude ? ' with extrusion' : ''}) does not fit in a ${config.maxWidth}x${config.maxHeight} page`);
             }
+        }
+    }
+
+    /**
+     * Pack as many sprites as fit on one page, growing it up to the maximum size
+     * @returns {{area: Object, sprites: Array, unpacked: Array}} Page and the sprites left for the next one
+     */
+    packPage(sprites, config) {
+        let area = this.initializePackingArea(sprites, config);
+
+        for (;;) {
+            const { packed, unpacked } = this.packSprites(sprites, area, config);
+            const atMaximum = area.width >= config.maxWidth && area.height >= config.maxHeight;
 
-            if (width > config.maxWidth || height > config.maxHeight) {
-                width = Math.min(width, config.maxWidth);
-                height = Math.min(height, config.maxHeight);
-                break;
+            if (unpacked.length === 0 || atMaximum) {
+                return { area, sprites: packed, unpacked };
             }
+
+            area = this.growPackingArea(area, config);
+        }
+    }
+
+    /**
+     * Initialize packing area
+     */
+    initializePackingArea(sprites, config) {
+        let area = {
+            width: Math.min(256, config.maxWidth),
+            height: Math.min(256, config.maxHeight)
+        };
+
+        // Start with minimum size and grow as needed
+        while (!this.canFitAllSprites(sprites, area.width, area.height, config) &&
+               (area.width < config.maxWidth || area.height < config.maxHeight)) {
+            area = this.growPackingArea(area, config);
         }
 
         // Ensure power of two if requested
         if (config.powerOfTwo) {
-            width = this.nextPowerOfTwo(width);
-            height = this.nextPowerOfTwo(height);
+            area = {
+                width: Math.min(this.nextPowerOfTwo(area.width), config.maxWidth),
+                height: Math.min(this.nextPowerOfTwo(area.height), config.maxHeight)
+            };
+        }
+
+        return area;
+    }
+
+    /**
+     * Double the packing area, the shorter side first unless it must stay square
+     */
+    growPackingArea(area, config) {
+        let { width, height } = area;
+
+        if (config.square) {
+            width *= 2;
+            height *= 2;
+        } else if ((width <= height && width < config.maxWidth) || height >= config.maxHeight) {
+            width *= 2;
+        } else {
+            height *= 2;
         }
 
         return {
@@ -200,7 +389,9 @@ class SpritesheetPacker {
      * Check if all sprites can fit in the given area
      */
     canFitAllSprites(sprites, width, height, config) {
-        const totalArea = sprites.reduce((sum, sprite) => sum + sprite.area, 0);
+        const extrude = config.extrude || 0;
+        const totalArea = sprites.reduce((sum, sprite) =>
+            sum + (sprite.width + extrude * 2) * (sprite.height + extrude * 2), 0);
         const packingArea = width * height;
         const paddingArea = sprites.length * (config.padding * 2) * (config.padding * 2);
 
@@ -209,10 +400,12 @@ class SpritesheetPacker {
 
     /**
      * Pack sprites using selected algorithm
+     * @returns {{packed: Array, unpacked: Array}} Placed sprites and those that didn't fit
      */
-    async packSprites(sprites, packingArea, config) {
+    packSprites(sprites, packingArea, config) {
         this.freeRectangles = [{ x: 0, y: 0, width: packingArea.width, height: packingArea.height }];
         this.packedRectangles = [];
+        const unpacked = [];
 
         for (const sprite of sprites) {
             const packed = this.packSprite(sprite, config);
@@ -220,22 +413,28 @@ class SpritesheetPacker {
             if (packed) {
                 this.packedRectangles.push(packed);
             } else {
-                console.warn(`Could not pack sprite: ${sprite.name}`);
+                unpacked.push(sprite);
             }
         }
 
-        return this.packedRectangles;
+        return { packed: this.packedRectangles, unpacked };
     }
 
     /**
-     * Pack individual sprite
+     * Pack individual sprite; the placed rectangle includes the extruded border
      */
     packSprite(sprite, config) {
+        const extrude = config.extrude || 0;
+        const footprint = {
+            ...sprite,
+            width: sprite.width + extrude * 2,
+            height: sprite.height + extrude * 2
+        };
         let bestFit = null;
         let bestScore = Infinity;
 
         // Try packing without rotation first
-        let fit = this.findBestFit(sprite, config);
+        let fit = this.findBestFit(footprint, config);
         if (fit) {
             bestFit = fit;
             bestScore = fit.score;
@@ -244,9 +443,9 @@ class SpritesheetPacker {
         // Try with rotation if allowed
         if (config.allowRotation && sprite.width !== sprite.height) {
             const rotatedSprite = {
-                ...sprite,
-                width: sprite.height,
-                height: sprite.width,
+                ...footprint,
+                width: footprint.height,
+                height: footprint.width,
                 rotated: true
             };
 
@@ -520,57 +719,81 @@ class SpritesheetPacker {
 
     /**
      * Generate final spritesheet image
+     * getImage picks the image drawn for each sprite, so map pages share the sprite rects
      */
-    async generateSpritesheet(packedSprites, packingArea, config) {
+    async generateSpritesheet(packedSprites, packingArea, config, getImage = sprite => sprite.image) {
         const spritesheet = new Jimp(packingArea.width, packingArea.height, 0x00000000);
+        const extrude = config.extrude || 0;
 
         for (const sprite of packedSprites) {
-            // Handle rotation
-            let spriteImage = sprite.image;
+            // Rotated frames are stored turned 90 degrees clockwise, as TexturePacker does
+            let spriteImage = getImage(sprite);
             if (sprite.rotated) {
-                spriteImage = sprite.image.clone().rotate(90);
+                spriteImage = spriteImage.clone().rotate(-90);
+            }
+
+            if (extrude > 0) {
+                spriteImage = this.extrudeImage(spriteImage, extrude);
             }
 
-            // Composite sprite onto spritesheet
-            spritesheet.composite(spriteImage, sprite.x, sprite.y);
+            // Copy the sprite pixels exactly, alpha included
+            spritesheet.blit(spriteImage, sprite.x, sprite.y);
         }
 
         return spritesheet;
     }
 
     /**
-     * Generate metadata for spritesheet
+     * Repeat the edge pixels of an image outwards, so filtering at frame borders
+     * samples the sprite instead of its neighbours
      */
-    generateMetadata(packedSprites, packingArea, config) {
-        const frames = {};
-        const animations = {};
-
-        for (const sprite of packedSprites) {
-            frames[sprite.id] = {
-                frame: {
-                    x: sprite.x,
-                    y: sprite.y,
-                    w: sprite.width,
-                    h: sprite.height
-                },
-                rotated: sprite.rotated || false,
-                trimmed: false,
-                spriteSourceSize: {
-                    x: 0,
-                    y: 0,
-                    w: sprite.width,
-                    h: sprite.height
-                },
-                sourceSize: {
-                    w: sprite.width,
-                    h: sprite.height
-                }
-            };
+    extrudeImage(image, amount) {
+        const { width, height, data } = image.bitmap;
+        const extruded = new Jimp(width + amount * 2, height + amount * 2, 0x00000000);
+        const target = extruded.bitmap.data;
+
+        for (let y = 0; y < extruded.bitmap.height; y++) {
+            const sourceY = Math.min(Math.max(y - amount, 0), height - 1);
+            for (let x = 0; x < extruded.bitmap.width; x++) {
+                const sourceX = Math.min(Math.max(x - amount, 0), width - 1);
+                const from = (sourceY * width + sourceX) * 4;
+                data.copy(target, (y * extruded.bitmap.width + x) * 4, from, from + 4);
+            }
         }
 
+        return extruded;
+    }
+
+    /**
+     * Generate TexturePacker-compatible metadata for one page
+     *
+     * The frame rect excludes extrusion; trimmed frames record their offset in the
+     * original image (spriteSourceSize) and its size (sourceSize). metadataFormat
+     * 'array' writes frames as a list with filenames (JSON-Array), otherwise by id (JSON-Hash).
+     */
+    generateMetadata(packedSprites, packingArea, config) {
+        const extrude = config.extrude || 0;
+        const frames = packedSprites.map(sprite => ({
+            filename: sprite.id,
+            frame: {
+                x: sprite.x + extrude,
+                y: sprite.y + extrude,
+                w: sprite.width,
+                h: sprite.height
+            },
+            rotated: sprite.rotated || false,
+            trimmed: sprite.trimmed || false,
+            spriteSourceSize: sprite.spriteSourceSize
+                ? { ...sprite.spriteSourceSize }
+                : { x: 0, y: 0, w: sprite.width, h: sprite.height },
+            sourceSize: sprite.sourceSize
+                ? { ...sprite.sourceSize }
+                : { w: sprite.width, h: sprite.height }
+        }));
+
         return {
-            frames: frames,
-            animations: animations,
+            frames: config.metadataFormat === 'array' ? frames : SpritesheetPacker.getFrames({ frames }),
+            animations: {},
             meta: {
                 app: "TPT Asset Editor Spritesheet Packer",
                 version: "1.0",
@@ -587,11 +810,33 @@ class SpritesheetPacker {
     }
 
     /**
-     * Calculate packing efficiency
+     * Point each page's meta.image at its file, and its maps' meta.<name>_map (e.g.
+     * meta.normal_map) at theirs, and list the other pages' metadata in the first one
+     * (meta.related_multi_packs)
      */
-    calculatePackingEfficiency(packedSprites, packingArea) {
+    namePages(pages, baseName = 'spritesheet', imageFormat = 'png') {
+        pages.forEach((page, index) => {
+            page.metadata.meta.image = SpritesheetPacker.getPageFileName(baseName, index, pages.length, imageFormat);
+            Object.keys(page.maps || {}).forEach(name => {
+                page.metadata.meta[`${name}_map`] = SpritesheetPacker.getMapFileName(baseName, index, pages.length, name, imageFormat);
+            });
+            delete page.metadata.meta.related_multi_packs;
+        });
+
+        if (pages.length > 1) {
+            pages[0].metadata.meta.related_multi_packs = pages.slice(1)
+                .map((page, index) => SpritesheetPacker.getPageFileName(baseName, index + 1, pages.length, 'json'));
+        }
+
+        return pages;
+    }
+
+    /**
+     * Calculate packing efficiency over one or more page areas
+     */
+    calculatePackingEfficiency(packedSprites, packingAreas) {
         const totalSpriteArea = packedSprites.reduce((sum, sprite) => sum + sprite.area, 0);
-        const totalArea = packingArea.width * packingArea.height;
+        const totalArea = [].concat(packingAreas).reduce((sum, area) => sum + area.width * area.height, 0);
 
         return totalSpriteArea / totalArea;
     }
@@ -624,21 +869,46 @@ class SpritesheetPacker {
 
     /**
      * Export spritesheet to file
+     *
+     * Multi-page sheets are written as name-0.png/json, name-1.png/json, ...; map pages
+     * next to them as name_normal.png, name-0_normal.png, ...
      */
     async export(spritesheetData, outputPath, format = 'png') {
-        const { spritesheet, metadata } = spritesheetData;
+        const pages = SpritesheetPacker.getPages(spritesheetData);
+        const directory = path.dirname(outputPath);
+        const baseName = path.basename(outputPath).replace(/\.[^/.]+$/, '');
+        const metadataPages = pages.map(page => ({
+            metadata: { ...page.metadata, meta: { ...page.metadata.meta } },
+            maps: page.maps
+        }));
+        this.namePages(metadataPages, baseName, format);
+
+        const files = [];
+        for (let index = 0; index < pages.length; index++) {
+            const { metadata } = metadataPages[index];
+
+            // Export spritesheet image
+            const imagePath = path.join(directory, metadata.meta.image);
+            await pages[index].spritesheet.writeAsync(imagePath);
+
+            // Export map images
+            const mapPaths = {};
+            for (const [name, map] of Object.entries(pages[index].maps || {})) {
+                mapPaths[name] = path.join(directory, metadata.meta[`${name}_map`]);
+                await map.writeAsync(mapPaths[name]);
+            }
 
-        // Export spritesheet image
-        const imagePath = outputPath.replace(/\.[^/.]+$/, `.${format}`);
-        await spritesheet.writeAsync(imagePath);
+            // Export metadata
+            const metadataPath = path.join(directory, SpritesheetPacker.getPageFileName(baseName, index, pages.length, 'json'));
+            await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
 
-        // Export metadata
-        const metadataPath = outputPath.replace(/\.[^/.]+$/, '.json');
-        await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+            files.push(Object.keys(mapPaths).length > 0 ? { imagePath, metadataPath, mapPaths } : { imagePath, metadataPath });
+        }
 
         return {
-            imagePath: imagePath,
-            metadataPath: metadataPath
+            imagePath: files[0].imagePath,
+            metadataPath: files[0].metadataPath,
+            pages: files
         };
     }
 
@@ -673,39 +943,135 @@ class SpritesheetPacker {
         const scaled = [];
 
         for (const sprite of sprites) {
-            let scaledImage = sprite.image;
-
-            if (scale !== 1) {
-                scaledImage = sprite.image.clone();
-
-                if (scale > 1) {
-                    // Upscale using nearest neighbor for pixel art
-                    scaledImage.resize(
-                        Math.floor(sprite.width * scale),
-                        Math.floor(sprite.height * scale),
-                        Jimp.RESIZE_NEAREST_NEIGHBOR
-                    );
-                } else {
-                    // Downscale
-                    scaledImage.resize(
-                        Math.floor(sprite.width * scale),
-                        Math.floor(sprite.height * scale),
-                        Jimp.RESIZE_BICUBIC
-                    );
-                }
-            }
+            const scaleImage = image => {
+                if (scale === 1) return image;
+
+                // Upscale using nearest neighbor for pixel art, downscale smoothly
+                return image.clone().resize(
+                    Math.floor(sprite.width * scale),
+                    Math.floor(sprite.height * scale),
+                    scale > 1 ? Jimp.RESIZE_NEAREST_NEIGHBOR : Jimp.RESIZE_BICUBIC
+                );
+            };
 
-            scaled.push({
+            const scaledSprite = {
                 ...sprite,
-                image: scaledImage,
+                image: scaleImage(sprite.image),
                 width: Math.floor(sprite.width * scale),
                 height: Math.floor(sprite.height * scale),
                 area: Math.floor(sprite.width * scale) * Math.floor(sprite.height * scale)
-            });
+            };
+            if (sprite.maps) {
+                scaledSprite.maps = {};
+                Object.entries(sprite.maps).forEach(([name, map]) => {
+                    scaledSprite.maps[name] = scaleImage(map);
+                });
+            }
+
+            scaled.push(scaledSprite);
         }
 
         return scaled;
     }
+
+    /**
+     * Pages of packed spritesheet data; data without pages is a single page
+     * @returns {Array<{spritesheet: Jimp, metadata: Object, maps: Object}>} Pages
+     */
+    static getPages(spritesheetData) {
+        if (spritesheetData.pages && spritesheetData.pages.length > 0) {
+            return spritesheetData.pages;
+        }
+        return [{ spritesheet: spritesheetData.spritesheet, metadata: spritesheetData.metadata, maps: spritesheetData.maps }];
+    }
+
+    /**
+     * Frames of JSON-Hash or JSON-Array metadata, by id
+     */
+    static getFrames(metadata) {
+        const frames = metadata && metadata.frames;
+        if (!Array.isArray(frames)) {
+            return frames || {};
+        }
+
+        const byId = {};
+        frames.forEach(({ filename, ...frame }) => {
+            byId[filename] = frame;
+        });
+        return byId;
+    }
+
+    /**
+     * Frames of every page by id; on multi-page sheets each frame records its page index
+     */
+    static collectFrames(spritesheetData) {
+        const pages = SpritesheetPacker.getPages(spritesheetData);
+        const frames = {};
+
+        pages.forEach((page, index) => {
+            Object.entries(SpritesheetPacker.getFrames(page.metadata)).forEach(([id, frame]) => {
+                frames[id] = pages.length > 1 ? { ...frame, page: index } : frame;
+            });
+        });
+
+        return frames;
+    }
+
+    /**
+     * Copy a frame out of its page at its original size, undoing trimming and rotation
+     * @param {Jimp} sheet - Page image holding the frame
+     * @param {Object} frame - Frame metadata
+     * @param {{w: number, h: number}} [canvasSize] - Canvas to place the frame on, top-left; defaults to the source size
+     * @returns {Jimp} Frame image
+     */
+    static extractFrame(sheet, frame, canvasSize) {
+        const { x, y, w, h } = frame.frame;
+        const size = canvasSize || (frame.trimmed && frame.sourceSize ? frame.sourceSize : frame.frame);
+        const offset = frame.trimmed && frame.spriteSourceSize ? frame.spriteSourceSize : { x: 0, y: 0 };
+        const canvas = new Jimp(size.w, size.h, 0x00000000);
+
+        if (frame.rotated) {
+            // Rotated frames are stored turned clockwise; Jimp rotates counter-clockwise
+            const region = new Jimp(h, w, 0x00000000).blit(sheet, 0, 0, x, y, h, w).rotate(90);
+            return canvas.blit(region, offset.x, offset.y);
+        }
+        return canvas.blit(sheet, offset.x, offset.y, x, y, w, h);
+    }
+
+    /**
+     * Collision shapes of every frame traced from its alpha (see CollisionShapes.fromImage),
+     * in the coordinates of the untrimmed, unrotated frame
+     * @param {Object} spritesheetData - Packed sheet with its page images
+     * @param {Object} [options] - Tracing options
+     * @returns {Object} Shapes by frame id
+     */
+    static getCollisionShapes(spritesheetData, options = {}) {
+        const pages = SpritesheetPacker.getPages(spritesheetData);
+        const shapes = {};
+
+        Object.entries(SpritesheetPacker.collectFrames(spritesheetData)).forEach(([id, frame]) => {
+            const sheet = pages[frame.page || 0].spritesheet;
+            if (sheet) {
+                shapes[id] = CollisionShapes.fromImage(SpritesheetPacker.extractFrame(sheet, frame), options);
+            }
+        });
+
+        return shapes;
+    }
+
+    /**
+     * File name of a page: name.ext for a single page, name-<index>.ext otherwise
+     */
+    static getPageFileName(baseName, index, pageCount, extension) {
+        return pageCount > 1 ? `${baseName}-${index}.${extension}` : `${baseName}.${extension}`;
+    }
+
+    /**
+     * File name of a page's map: name_<map>.ext for a single page, name-<index>_<map>.ext otherwise
+     */
+    static getMapFileName(baseName, index, pageCount, mapName, extension) {
+        return SpritesheetPacker.getPageFileName(baseName, index, pageCount, extension).replace(/\.[^.]+$/, `_${mapName}$&`);
+    }
 }
 
 module.exports = SpritesheetPacker;
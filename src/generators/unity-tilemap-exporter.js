@@ -0,0 +1,553 @@
+/**
+ * Unity Tilemap Exporter - Unity 2D Tilemap assets in Unity's YAML format
+ * Texture import settings, Tile and Rule Tile assets, Grid prefabs and Tile Palettes
+ */
+
+// Built-in scripts: Tile and GridPalette (UnityEngine.Tilemaps), RuleTile (2D Tilemap Extras)
+const TILE_SCRIPT = '{fileID: 13312, guid: 0000000000000000e000000000000000, type: 0}';
+const GRID_PALETTE_SCRIPT = '{fileID: 12395, guid: 0000000000000000e000000000000000, type: 0}';
+const RULE_TILE_SCRIPT = '{fileID: 11500000, guid: 9d1514134bc4fbd41bb739b1b9a49231, type: 3}';
+const SPRITE_MATERIAL = '{fileID: 10754, guid: 0000000000000000f000000000000000, type: 0}';
+
+// Main object of a .asset file
+const ASSET_FILE_ID = 11400000;
+
+// Tile collider types
+const COLLIDER = { NONE: 0, SPRITE: 1, GRID: 2 };
+
+// Rule Tile neighbour conditions
+const NEIGHBOR = { THIS: 1, NOT_THIS: 2 };
+
+// Rule Tile neighbours in the order the Rule Tile editor lists them, with their bit in a
+// transition mask (TileGenerator.NEIGHBOR_BITS); Unity's y axis points up
+const RULE_NEIGHBORS = [
+    { x: -1, y: 1, bit: 128 },
+    { x: 0, y: 1, bit: 1 },
+    { x: 1, y: 1, bit: 2 },
+    { x: -1, y: 0, bit: 64 },
+    { x: 1, y: 0, bit: 4 },
+    { x: -1, y: -1, bit: 32 },
+    { x: 0, y: -1, bit: 16 },
+    { x: 1, y: -1, bit: 8 }
+];
+
+// Corners of 16-tile Wang sets (TileGenerator.CORNER_BITS) and the neighbours around them
+const RULE_CORNERS = [
+    { bit: 1, neighbors: [1, 2, 4] },
+    { bit: 2, neighbors: [4, 8, 16] },
+    { bit: 4, neighbors: [16, 32, 64] },
+    { bit: 8, neighbors: [64, 128, 1] }
+];
+
+const IDENTITY_MATRIX = [
+    'e00: 1', 'e01: 0', 'e02: 0', 'e03: 0',
+    'e10: 0', 'e11: 1', 'e12: 0', 'e13: 0',
+    'e20: 0', 'e21: 0', 'e22: 1', 'e23: 0',
+    'e30: 0', 'e31: 0', 'e32: 0', 'e33: 1'
+];
+
+const YAML_HEADER = '%YAML 1.1\n%TAG !u! tag:unity3d.com,2011:\n';
+
+class UnityTilemapExporter {
+    /**
+     * Texture importer settings (.png.meta) slicing a tileset image into one sprite per tile
+     * Sprites are named '<tileset>_<index>' and one tile is one world unit. Tiles with
+     * collision polygons (by tile index) get them as their sprite's physics shape.
+     * @param {string} guid - Texture GUID
+     * @param {Object} tileset - Tileset ({name, tileWidth, tileHeight, columns, image: {width, height}, collisionPolygons})
+     * @returns {string} Meta file
+     */
+    generateTextureMeta(guid, tileset) {
+        const rows = Math.floor(tileset.image.height / tileset.tileHeight);
+        const count = Math.min(tileset.tileCount || Infinity, tileset.columns * rows);
+        let sprites = '';
+        let nameTable = '';
+
+        for (let index = 0; index < count; index++) {
+            const name = `${tileset.name}_${index}`;
+            const column = index % tileset.columns;
+            const row = Math.floor(index / tileset.columns);
+            const polygons = (tileset.collisionPolygons && tileset.collisionPolygons[index]) || [];
+            const physicsShape = UnityTilemapExporter.formatPhysicsShape('physicsShape', polygons, '      ', point => ({
+                x: point.x - tileset.tileWidth / 2,
+                y: tileset.tileHeight / 2 - point.y
+            }));
+
+            sprites += `    - serializedVersion: 2
+      name: ${name}
+      rect:
+        serializedVersion: 2
+        x: ${column * tileset.tileWidth}
+        y: ${tileset.image.height - (row + 1) * tileset.tileHeight}
+        width: ${tileset.tileWidth}
+        height: ${tileset.tileHeight}
+      alignment: 0
+      pivot: {x: 0.5, y: 0.5}
+      border: {x: 0, y: 0, z: 0, w: 0}
+      outline: []
+${physicsShape}
+      tessellationDetail: 0
+      bones: []
+      spriteID: ${guid.slice(0, 24)}${index.toString(16).padStart(8, '0')}
+      internalID: ${UnityTilemapExporter.getSpriteFileID(index)}
+      vertices: []
+      indices:
+      edges: []
+      weights: []
+`;
+            nameTable += `      ${name}: ${UnityTilemapExporter.getSpriteFileID(index)}\n`;
+        }
+
+        return `fileFormatVersion: 2
+guid: ${guid}
+TextureImporter:
+  internalIDToNameTable: []
+  externalObjects: {}
+  serializedVersion: 12
+  mipmaps:
+    mipMapMode: 0
+    enableMipMap: 0
+    sRGBTexture: 1
+  isReadable: 0
+  textureSettings:
+    serializedVersion: 2
+    filterMode: 0
+    aniso: 1
+    mipBias: 0
+    wrapU: 1
+    wrapV: 1
+    wrapW: 1
+  nPOTScale: 0
+  spriteMode: 2
+  spriteExtrude: 1
+  spriteMeshType: 0
+  alignment: 0
+  spritePivot: {x: 0.5, y: 0.5}
+  spritePixelsToUnits: ${tileset.tileWidth}
+  spriteBorder: {x: 0, y: 0, z: 0, w: 0}
+  spriteGenerateFallbackPhysicsShape: 1
+  alphaUsage: 1
+  alphaIsTransparency: 1
+  textureType: 8
+  textureShape: 1
+  platformSettings:
+  - serializedVersion: 3
+    buildTarget: DefaultTexturePlatform
+    maxTextureSize: 2048
+    resizeAlgorithm: 0
+    textureFormat: -1
+    textureCompression: 0
+    compressionQuality: 50
+    crunchedCompression: 0
+    allowsAlphaSplitting: 0
+    overridden: 0
+  spriteSheet:
+    serializedVersion: 2
+    sprites:
+${sprites}    outline: []
+    physicsShape: []
+    bones: []
+    spriteID:
+    internalID: 0
+    vertices: []
+    indices:
+    edges: []
+    weights: []
+    secondaryTextures: []
+    nameFileIdTable:
+${nameTable}  userData:
+  assetBundleName:
+  assetBundleVariant:
+`;
+    }
+
+    /**
+     * Tile asset (.asset)
+     * @param {string} name - Tile name
+     * @param {{guid: string, fileID: number}} sprite - Sprite in a texture from generateTextureMeta
+     * @param {number} [colliderType=0] - UnityTilemapExporter.COLLIDER value
+     * @returns {string} Asset
+     */
+    generateTile(name, sprite, colliderType = COLLIDER.NONE) {
+        return `${this.generateAssetHeader(name, TILE_SCRIPT)}  m_Sprite: ${this.spriteRef(sprite)}
+  m_Color: {r: 1, g: 1, b: 1, a: 1}
+  m_Transform:
+${IDENTITY_MATRIX.map(entry => `    ${entry}`).join('\n')}
+  m_InstancedGameObject: {fileID: 0}
+  m_Flags: 1
+  m_ColliderType: ${colliderType}
+`;
+    }
+
+    /**
+     * Rule Tile asset (.asset) for the 2D Tilemap Extras package
+     * @param {string} name - Tile name
+     * @param {{guid: string, fileID: number}} defaultSprite - Sprite shown when no rule matches
+     * @param {Array<{sprite: Object, neighbors: Array<{x, y, value}>}>} rules - Rules, first match wins
+     * @returns {string} Asset
+     */
+    generateRuleTile(name, defaultSprite, rules) {
+        const tilingRules = rules.map((rule, index) => {
+            const neighbors = rule.neighbors.map(neighbor => neighbor.value);
+            const positions = rule.neighbors.map(neighbor => `    - {x: ${neighbor.x}, y: ${neighbor.y}, z: 0}`);
+
+            return `  - m_Id: ${index}
+    m_Sprites:
+    - ${this.spriteRef(rule.sprite)}
+    m_GameObject: {fileID: 0}
+    m_MinAnimationSpeed: 1
+    m_MaxAnimationSpeed: 1
+    m_PerlinScale: 0.5
+    m_Output: 0
+    m_ColliderType: ${COLLIDER.NONE}
+    m_RandomTransform: 0
+    m_Neighbors: ${UnityTilemapExporter.encodeIntArray(neighbors)}
+    m_NeighborPositions:${positions.length > 0 ? `\n${positions.join('\n')}` : ' []'}
+    m_RuleTransform: 0`;
+        });
+
+        return `${this.generateAssetHeader(name, RULE_TILE_SCRIPT)}  m_DefaultSprite: ${this.spriteRef(defaultSprite)}
+  m_DefaultGameObject: {fileID: 0}
+  m_DefaultColliderType: ${COLLIDER.NONE}
+  m_TilingRules:${tilingRules.length > 0 ? `\n${tilingRules.join('\n')}` : ' []'}
+`;
+    }
+
+    /**
+     * Rule Tile rules for a transition set from TileGenerator.generateTransitionSet
+     *
+     * The Rule Tile paints the "to" terrain. Blob tiles match their eight neighbours exactly,
+     * except diagonals next to an open edge, which don't matter. Wang corner tiles need the
+     * three neighbours around each "to" corner; rules with more corners come first, so the
+     * first match is the tile whose corners are all enclosed.
+     * @param {Object} transitionSet - Transition tileset metadata
+     * @param {function(number): Object} spriteOf - Sprite of a tile id
+     * @returns {Array<Object>} Rules for generateRuleTile
+     */
+    getTransitionRules(transitionSet, spriteOf) {
+        const tiles = transitionSet.tiles.filter(tile => tile.mask !== null && tile.mask !== undefined);
+        const neighbor = (bit, value) => {
+            const position = RULE_NEIGHBORS.find(entry => entry.bit === bit);
+            return { x: position.x, y: position.y, value };
+        };
+        const order = neighbors => neighbors.sort((a, b) =>
+            RULE_NEIGHBORS.findIndex(entry => entry.x === a.x && entry.y === a.y) -
+            RULE_NEIGHBORS.findIndex(entry => entry.x === b.x && entry.y === b.y));
+
+        if (transitionSet.layout === 'wang16') {
+            const count = mask => RULE_CORNERS.filter(corner => mask & corner.bit).length;
+
+            return tiles
+                .slice()
+                .sort((a, b) => count(b.mask) - count(a.mask) || a.mask - b.mask)
+                .map(tile => {
+                    const bits = new Set();
+                    RULE_CORNERS.filter(corner => tile.mask & corner.bit)
+                        .forEach(corner => corner.neighbors.forEach(bit => bits.add(bit)));
+                    return {
+                        sprite: spriteOf(tile.id),
+                        neighbors: order([...bits].map(bit => neighbor(bit, NEIGHBOR.THIS)))
+                    };
+                });
+        }
+
+        // Diagonals count only when both adjacent edges are set
+        const diagonals = { 2: [1, 4], 8: [4, 16], 32: [16, 64], 128: [64, 1] };
+
+        return tiles.map(tile => ({
+            sprite: spriteOf(tile.id),
+            neighbors: order(RULE_NEIGHBORS
+                .filter(({ bit }) => !diagonals[bit] || diagonals[bit].every(edge => tile.mask & edge))
+                .map(({ bit }) => neighbor(bit, tile.mask & bit ? NEIGHBOR.THIS : NEIGHBOR.NOT_THIS)))
+        }));
+    }
+
+    /**
+     * Prefab (.prefab) of a Grid with a child Tilemap per layer
+     *
+     * Cells are placed down from the origin, so row 0 of a level is at y = -1.
+     * A palette (options.palette) is the same prefab with a GridPalette, as the Tile Palette
+     * window saves it.
+     * @param {string} name - Root object name
+     * @param {Array<Object>} layers - Layers ({name, collider, cells: [{x, y, tile: {guid, sprite}}]})
+     * @param {Object} [options] - Prefab options
+     * @param {boolean} [options.palette=false] - Write a Tile Palette
+     * @returns {string} Prefab
+     */
+    generateGridPrefab(name, layers, options = {}) {
+        let nextId = 1;
+        const id = () => nextId++;
+        const root = { gameObject: id(), transform: id(), grid: id() };
+        const children = layers.map(layer => ({
+            layer,
+            gameObject: id(),
+            transform: id(),
+            tilemap: id(),
+            renderer: id(),
+            collider: layer.collider ? id() : null
+        }));
+
+        let yaml = YAML_HEADER;
+        yaml += this.generateGameObject(root.gameObject, name, [root.transform, root.grid]);
+        yaml += this.generateTransform(root.transform, root.gameObject, 0, children.map(child => child.transform));
+        yaml += `--- !u!156049354 &${root.grid}
+Grid:
+${this.generateComponentHeader(root.gameObject)}  m_Enabled: 1
+  m_CellSize: {x: 1, y: 1, z: 0}
+  m_CellGap: {x: 0, y: 0, z: 0}
+  m_CellLayout: 0
+  m_CellSwizzle: 0
+`;
+
+        children.forEach((child, index) => {
+            const components = [child.transform, child.tilemap, child.renderer];
+            if (child.collider) components.push(child.collider);
+
+            yaml += this.generateGameObject(child.gameObject, child.layer.name, components);
+            yaml += this.generateTransform(child.transform, child.gameObject, root.transform, []);
+            yaml += this.generateTilemap(child.tilemap, child.gameObject, child.layer.cells);
+            yaml += `--- !u!483693784 &${child.renderer}
+TilemapRenderer:
+${this.generateComponentHeader(child.gameObject)}  m_Enabled: 1
+  m_CastShadows: 0
+  m_ReceiveShadows: 0
+  m_Materials:
+  - ${SPRITE_MATERIAL}
+  m_SortingLayerID: 0
+  m_SortingLayer: 0
+  m_SortingOrder: ${index}
+  m_ChunkSize: {x: 32, y: 32, z: 32}
+  m_MaxChunkCount: 16
+  m_MaxFrameAge: 16
+  m_SortOrder: 0
+  m_Mode: 0
+  m_MaskInteraction: 0
+`;
+            if (child.collider) {
+                yaml += `--- !u!19719996 &${child.collider}
+TilemapCollider2D:
+${this.generateComponentHeader(child.gameObject)}  m_Enabled: 1
+  m_Density: 1
+  m_Material: {fileID: 0}
+  m_IsTrigger: 0
+  m_UsedByEffector: 0
+  m_UsedByComposite: 0
+  m_Offset: {x: 0, y: 0}
+  m_MaximumTileChangeCount: 1000
+  m_ExtrusionFactor: 0.00001
+`;
+            }
+        });
+
+        if (options.palette) {
+            yaml += `--- !u!114 &${id()}
+MonoBehaviour:
+  m_ObjectHideFlags: 0
+  m_CorrespondingSourceObject: {fileID: 0}
+  m_PrefabInstance: {fileID: 0}
+  m_PrefabAsset: {fileID: 0}
+  m_GameObject: {fileID: 0}
+  m_Enabled: 1
+  m_EditorHideFlags: 0
+  m_Script: ${GRID_PALETTE_SCRIPT}
+  m_Name: Palette Settings
+  m_EditorClassIdentifier:
+  cellSizing: 0
+  m_TransparencySortMode: 0
+  m_TransparencySortAxis: {x: 0, y: 0, z: 1}
+`;
+        }
+
+        return yaml;
+    }
+
+    generateGameObject(fileId, name, components) {
+        return `--- !u!1 &${fileId}
+GameObject:
+  m_ObjectHideFlags: 0
+  m_CorrespondingSourceObject: {fileID: 0}
+  m_PrefabInstance: {fileID: 0}
+  m_PrefabAsset: {fileID: 0}
+  serializedVersion: 6
+  m_Component:
+${components.map(component => `  - component: {fileID: ${component}}`).join('\n')}
+  m_Layer: 0
+  m_Name: ${name}
+  m_TagString: Untagged
+  m_Icon: {fileID: 0}
+  m_NavMeshLayer: 0
+  m_StaticEditorFlags: 0
+  m_IsActive: 1
+`;
+    }
+
+    generateTransform(fileId, gameObject, father, children) {
+        return `--- !u!4 &${fileId}
+Transform:
+${this.generateComponentHeader(gameObject)}  serializedVersion: 2
+  m_LocalRotation: {x: 0, y: 0, z: 0, w: 1}
+  m_LocalPosition: {x: 0, y: 0, z: 0}
+  m_LocalScale: {x: 1, y: 1, z: 1}
+  m_ConstrainProportionsScale: 0
+  m_Children:${children.length > 0 ? `\n${children.map(child => `  - {fileID: ${child}}`).join('\n')}` : ' []'}
+  m_Father: {fileID: ${father}}
+  m_LocalEulerAnglesHint: {x: 0, y: 0, z: 0}
+`;
+    }
+
+    /**
+     * Tilemap component; tile assets and sprites are stored once with reference counts
+     */
+    generateTilemap(fileId, gameObject, cells) {
+        const tiles = [];
+        const sprites = [];
+        const count = (list, key, value) => {
+            let entry = list.find(item => item.key === key);
+            if (!entry) {
+                entry = { key, value, refCount: 0 };
+                list.push(entry);
+            }
+            entry.refCount++;
+            return list.indexOf(entry);
+        };
+
+        const entries = cells.map(cell => {
+            const tileIndex = count(tiles, cell.tile.guid, cell.tile);
+            const spriteIndex = count(sprites, `${cell.tile.sprite.guid}:${cell.tile.sprite.fileID}`, cell.tile.sprite);
+            return `  - first: {x: ${cell.x}, y: ${cell.y}, z: 0}
+    second:
+      serializedVersion: 2
+      m_TileIndex: ${tileIndex}
+      m_TileSpriteIndex: ${spriteIndex}
+      m_TileMatrixIndex: 0
+      m_TileColorIndex: 0
+      m_TileObjectToInstantiateIndex: 65535
+      dummyAlignment: 0
+      m_AllTileFlags: 1073741825`;
+        });
+
+        const xs = cells.map(cell => cell.x);
+        const ys = cells.map(cell => cell.y);
+        const origin = cells.length > 0 ? { x: Math.min(...xs), y: Math.min(...ys) } : { x: 0, y: 0 };
+        const size = cells.length > 0
+            ? { x: Math.max(...xs) - origin.x + 1, y: Math.max(...ys) - origin.y + 1 }
+            : { x: 0, y: 0 };
+        const list = (items, format) => (items.length > 0 ? `\n${items.map(format).join('\n')}` : ' []');
+
+        return `--- !u!1839735485 &${fileId}
+Tilemap:
+${this.generateComponentHeader(gameObject)}  m_Enabled: 1
+  m_Tiles:${entries.length > 0 ? `\n${entries.join('\n')}` : ' {}'}
+  m_AnimatedTiles: {}
+  m_TileAssetArray:${list(tiles, entry => `  - m_RefCount: ${entry.refCount}\n    m_Data: {fileID: ${ASSET_FILE_ID}, guid: ${entry.value.guid}, type: 2}`)}
+  m_TileSpriteArray:${list(sprites, entry => `  - m_RefCount: ${entry.refCount}\n    m_Data: ${this.spriteRef(entry.value)}`)}
+  m_TileMatrixArray:${list(cells.length > 0 ? [cells.length] : [], refCount => `  - m_RefCount: ${refCount}\n    m_Data:\n${IDENTITY_MATRIX.map(entry => `      ${entry}`).join('\n')}`)}
+  m_TileColorArray:${list(cells.length > 0 ? [cells.length] : [], refCount => `  - m_RefCount: ${refCount}\n    m_Data: {r: 1, g: 1, b: 1, a: 1}`)}
+  m_TileObjectToInstantiateArray: []
+  m_AnimationFrameRate: 1
+  m_Color: {r: 1, g: 1, b: 1, a: 1}
+  m_Origin: {x: ${origin.x}, y: ${origin.y}, z: 0}
+  m_Size: {x: ${size.x}, y: ${size.y}, z: 1}
+  m_TileAnchor: {x: 0.5, y: 0.5, z: 0}
+  m_TileOrientation: 0
+  m_TileOrientationMatrix:
+${IDENTITY_MATRIX.map(entry => `    ${entry}`).join('\n')}
+`;
+    }
+
+    /**
+     * Importer settings for a .asset file whose main object is a ScriptableObject
+     */
+    generateAssetMeta(guid) {
+        return `fileFormatVersion: 2
+guid: ${guid}
+NativeFormatImporter:
+  externalObjects: {}
+  mainObjectFileID: ${ASSET_FILE_ID}
+  userData:
+  assetBundleName:
+  assetBundleVariant:
+`;
+    }
+
+    generatePrefabMeta(guid) {
+        return `fileFormatVersion: 2
+guid: ${guid}
+PrefabImporter:
+  externalObjects: {}
+  userData:
+  assetBundleName:
+  assetBundleVariant:
+`;
+    }
+
+    generateAssetHeader(name, script) {
+        return `${YAML_HEADER}--- !u!114 &${ASSET_FILE_ID}
+MonoBehaviour:
+  m_ObjectHideFlags: 0
+  m_CorrespondingSourceObject: {fileID: 0}
+  m_PrefabInstance: {fileID: 0}
+  m_PrefabAsset: {fileID: 0}
+  m_GameObject: {fileID: 0}
+  m_Enabled: 1
+  m_EditorHideFlags: 0
+  m_Script: ${script}
+  m_Name: ${name}
+  m_EditorClassIdentifier:
+`;
+    }
+
+    generateComponentHeader(gameObject) {
+        return `  m_ObjectHideFlags: 0
+  m_CorrespondingSourceObject: {fileID: 0}
+  m_PrefabInstance: {fileID: 0}
+  m_PrefabAsset: {fileID: 0}
+  m_GameObject: {fileID: ${gameObject}}
+`;
+    }
+
+    spriteRef(sprite) {
+        return `{fileID: ${sprite.fileID}, guid: ${sprite.guid}, type: 3}`;
+    }
+
+    /**
+     * File ID of a sprite sliced from a texture, in Unity's numbering for Multiple sprite mode
+     */
+    static getSpriteFileID(index) {
+        return 21300000 + index * 2;
+    }
+
+    /**
+     * int array as Unity writes it in YAML: little-endian 32-bit hex
+     */
+    static encodeIntArray(values) {
+        return values.map(value => {
+            const buffer = Buffer.alloc(4);
+            buffer.writeInt32LE(value);
+            return buffer.toString('hex');
+        }).join('');
+    }
+
+    /**
+     * Physics shape field: a list of polygons, each a list of points
+     * @param {string} key - Field name
+     * @param {Array<Array<{x, y}>>} polygons - Polygons in image pixels
+     * @param {string} indent - Indentation of the field
+     * @param {Function} toSprite - Maps an image point to sprite space (y up)
+     */
+    static formatPhysicsShape(key, polygons, indent, toSprite) {
+        if (polygons.length === 0) return `${indent}${key}: []`;
+
+        const round = value => Math.round(value * 10000) / 10000;
+        const lines = polygons.map(polygon => polygon.map((point, index) => {
+            const { x, y } = toSprite(point);
+            return `${indent}${index === 0 ? '- - ' : '  - '}{x: ${round(x)}, y: ${round(y)}}`;
+        }).join('\n'));
+
+        return `${indent}${key}:\n${lines.join('\n')}`;
+    }
+}
+
+UnityTilemapExporter.COLLIDER = COLLIDER;
+
+module.exports = UnityTilemapExporter;
@@ -576,7 +576,7 @@ class WeaponGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFFC0C0C0, pixelX, pixelY); // Silver blade
+                        image.setPixelColor(0xC0C0C0FF, pixelX, pixelY); // Silver blade
                     }
                 }
             }
@@ -588,7 +588,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF8B4513, pixelX, pixelY); // Brown crossguard
+                    image.setPixelColor(0x8B4513FF, pixelX, pixelY); // Brown crossguard
                 }
             }
         }
@@ -599,7 +599,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF654321, pixelX, pixelY); // Dark brown handle
+                    image.setPixelColor(0x654321FF, pixelX, pixelY); // Dark brown handle
                 }
             }
         }
@@ -622,7 +622,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(bowX);
                 const pixelY = Math.floor(bowY);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF8B4513, pixelX, pixelY); // Brown wood
+                    image.setPixelColor(0x8B4513FF, pixelX, pixelY); // Brown wood
                 }
             }
         }
@@ -649,7 +649,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF8B4513, pixelX, pixelY); // Brown wood
+                    image.setPixelColor(0x8B4513FF, pixelX, pixelY); // Brown wood
                 }
             }
         }
@@ -660,7 +660,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF87CEEB, pixelX, pixelY); // Light blue crystal
+                    image.setPixelColor(0x87CEEBFF, pixelX, pixelY); // Light blue crystal
                 }
             }
         }
@@ -678,7 +678,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF8B4513, pixelX, pixelY); // Brown wood
+                    image.setPixelColor(0x8B4513FF, pixelX, pixelY); // Brown wood
                 }
             }
         }
@@ -690,7 +690,7 @@ class WeaponGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFFC0C0C0, pixelX, pixelY); // Silver blade
+                        image.setPixelColor(0xC0C0C0FF, pixelX, pixelY); // Silver blade
                     }
                 }
             }
@@ -709,7 +709,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF8B4513, pixelX, pixelY); // Brown wood
+                    image.setPixelColor(0x8B4513FF, pixelX, pixelY); // Brown wood
                 }
             }
         }
@@ -720,7 +720,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF2F4F4F, pixelX, pixelY); // Dark steel
+                    image.setPixelColor(0x2F4F4FFF, pixelX, pixelY); // Dark steel
                 }
             }
         }
@@ -738,7 +738,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFFC0C0C0, pixelX, pixelY); // Silver blade
+                    image.setPixelColor(0xC0C0C0FF, pixelX, pixelY); // Silver blade
                 }
             }
         }
@@ -749,7 +749,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF654321, pixelX, pixelY); // Dark brown handle
+                    image.setPixelColor(0x654321FF, pixelX, pixelY); // Dark brown handle
                 }
             }
         }
@@ -767,7 +767,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF8B4513, pixelX, pixelY); // Brown wood
+                    image.setPixelColor(0x8B4513FF, pixelX, pixelY); // Brown wood
                 }
             }
         }
@@ -779,7 +779,7 @@ class WeaponGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFFC0C0C0, pixelX, pixelY); // Silver point
+                        image.setPixelColor(0xC0C0C0FF, pixelX, pixelY); // Silver point
                     }
                 }
             }
@@ -798,7 +798,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF2F4F4F, pixelX, pixelY); // Dark metal
+                    image.setPixelColor(0x2F4F4FFF, pixelX, pixelY); // Dark metal
                 }
             }
         }
@@ -809,7 +809,7 @@ class WeaponGenerator {
                 const pixelX = Math.floor(x + i);
                 const pixelY = Math.floor(y + j);
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                    image.setPixelColor(0xFF8B4513, pixelX, pixelY); // Brown handle
+                    image.setPixelColor(0x8B4513FF, pixelX, pixelY); // Brown handle
                 }
             }
         }
@@ -832,7 +832,7 @@ class WeaponGenerator {
                 if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
                     const distance = Math.sqrt(i * i + j * j);
                     if (distance < 3 && Math.random() > 0.7) {
-                        image.setPixelColor(0xFF87CEEB, pixelX, pixelY); // Magical blue glow
+                        image.setPixelColor(0x87CEEBFF, pixelX, pixelY); // Magical blue glow
                     }
                 }
             }
@@ -855,7 +855,7 @@ class WeaponGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFF8B4513, pixelX, pixelY); // Brown wood
+                        image.setPixelColor(0x8B4513FF, pixelX, pixelY); // Brown wood
                     }
                 }
             }
@@ -869,7 +869,7 @@ class WeaponGenerator {
                     const pixelX = Math.floor(x + i);
                     const pixelY = Math.floor(y + j);
                     if (pixelX >= 0 && pixelX < image.bitmap.width && pixelY >= 0 && pixelY < image.bitmap.height) {
-                        image.setPixelColor(0xFFC0C0C0, pixelX, pixelY); // Silver rim
+                        image.setPixelColor(0xC0C0C0FF, pixelX, pixelY); // Silver rim
                     }
                 }
             }
@@ -0,0 +1,112 @@
+/**
+ * TPT Asset Editor Desktop - Adaptive Stems Tests
+ * Unit tests for stem rendering, intensity layers and stem bundles from batch export
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WaveFile } = require('wavefile');
+const TestFramework = require('./test-framework');
+const ZipArchive = require('../utils/zip-archive');
+const MusicComposer = require('../generators/music-composer');
+const AudioGenerator = require('../generators/audio-generator');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const outputPath = path.join('./test-results', 'stems');
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const composer = new MusicComposer();
+    const audio = new AudioGenerator();
+
+    fixtures.combat = composer.generateStems('combat', { bars: 2 });
+    fixtures.combatMelody = composer.generateCombatMusic(fixtures.combat.length / 44100);
+    fixtures.dungeon = composer.generateStems('dungeon', { duration: 20 });
+
+    fixtures.asset = await audio.generateMusic({ style: 'combat', stems: true, bars: 2 });
+    [fixtures.zip] = await audio.batchExport([fixtures.asset], 'wav', { outputPath });
+    [fixtures.folder] = await audio.batchExport([fixtures.asset], 'wav', { stems: 'folder', outputPath, sampleRate: 22050, baseName: 'Battle' });
+    [fixtures.json] = await audio.batchExport([fixtures.asset], 'json');
+    [fixtures.noFolder] = await audio.batchExport([fixtures.asset], 'wav', { stems: 'folder' });
+    fixtures.oggStems = await audio.exportStems(fixtures.asset, 'ogg', { outputPath }).catch(error => error);
+    fixtures.village = await audio.generateMusic({ style: 'village', stems: true }).catch(error => error);
+}
+
+testFramework.describe('Adaptive Stems', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should render every stem to the same whole number of bars', () => {
+        const { combat, dungeon } = fixtures;
+
+        testFramework.expect(Object.keys(combat.stems)).toEqual(['percussion', 'bass', 'harmony', 'melody', 'pads']);
+        testFramework.expect(combat.length).toBe(2 * 4 * 0.5 * 44100);
+        testFramework.expect(Object.values(combat.stems).every(stem => stem.length === combat.length)).toBe(true);
+        testFramework.expect(combat.loop).toEqual({ start: 0, end: combat.length });
+        testFramework.expect(combat.tempo).toBe(120);
+        testFramework.expect(dungeon.bars).toBe(3);
+        testFramework.expect(Object.values(dungeon.stems).every(stem => stem.length === 3 * 6 * 44100)).toBe(true);
+    });
+
+    testFramework.it('should keep the melody of the mixed track and fill the other stems', () => {
+        const { stems } = fixtures.combat;
+
+        testFramework.expect(stems.melody.every((sample, i) => sample === fixtures.combatMelody[i])).toBe(true);
+        ['percussion', 'bass', 'harmony', 'pads'].forEach(name => {
+            testFramework.expect(stems[name].some(sample => Math.abs(sample) > 0.01)).toBe(true);
+        });
+        testFramework.expect(() => new MusicComposer().generateStems('village')).toThrow();
+        testFramework.expect(fixtures.village.message).toBe('No stem composition for music style: village');
+    });
+
+    testFramework.it('should list intensity layers from calm to combat with a gain for every stem', () => {
+        const layers = fixtures.asset.metadata.adaptive.intensities;
+
+        testFramework.expect(layers.map(layer => [layer.name, layer.level])).toEqual([['calm', 0], ['alert', 1], ['combat', 2]]);
+        layers.forEach(layer => {
+            testFramework.expect(Object.keys(layer.gains)).toEqual(MusicComposer.STEMS);
+        });
+        testFramework.expect(layers[0].gains.percussion).toBe(0);
+        testFramework.expect(layers[2].gains.percussion).toBe(1);
+    });
+
+    testFramework.it('should bundle looping stems and their manifest into a zip', () => {
+        const { manifest, bundle } = fixtures.zip.asset;
+        const files = ZipArchive.read(Buffer.from(bundle.data, 'base64'));
+        const wavs = files.filter(file => file.name.endsWith('.wav')).map(file => new WaveFile(file.data));
+        const written = JSON.parse(files.find(file => file.name === 'CombatAdaptiveMusic.json').data.toString('utf8'));
+
+        testFramework.expect(fixtures.zip.success).toBe(true);
+        testFramework.expect(files.map(file => file.name)).toEqual([
+            'CombatAdaptiveMusic_percussion.wav', 'CombatAdaptiveMusic_bass.wav', 'CombatAdaptiveMusic_harmony.wav',
+            'CombatAdaptiveMusic_melody.wav', 'CombatAdaptiveMusic_pads.wav', 'CombatAdaptiveMusic.json'
+        ]);
+        testFramework.expect(wavs.every(wav => wav.getSamples(false).length === 176400)).toBe(true);
+        testFramework.expect(wavs.every(wav => wav.smpl.loops[0].dwStart === 0 && wav.smpl.loops[0].dwEnd === 176399)).toBe(true);
+        testFramework.expect(written).toEqual(manifest);
+        testFramework.expect(manifest.barLength).toBe(88200);
+        testFramework.expect(fs.existsSync(bundle.path)).toBe(true);
+    });
+
+    testFramework.it('should write stem folders at the exported sample rate', () => {
+        const { manifest, bundle } = fixtures.folder.asset;
+        const stem = new WaveFile(fs.readFileSync(path.join(bundle.path, 'Battle_bass.wav')));
+
+        testFramework.expect(bundle.path).toBe(path.join(outputPath, 'Battle'));
+        testFramework.expect(bundle.files.every(file => fs.existsSync(path.join(bundle.path, file)))).toBe(true);
+        testFramework.expect(manifest.sampleRate).toBe(22050);
+        testFramework.expect(manifest.loop).toEqual({ start: 0, end: 88200 });
+        testFramework.expect(stem.fmt.sampleRate).toBe(22050);
+        testFramework.expect(fixtures.json.asset.bundle).toBe(undefined);
+        testFramework.expect(fixtures.noFolder.error).toBe('Exporting stems to a folder needs options.outputPath');
+        testFramework.expect(fixtures.oggStems.message).toBe('Unsupported stem format: ogg');
+    });
+});
+
+module.exports = testFramework.runFile(module);
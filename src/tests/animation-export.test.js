@@ -0,0 +1,207 @@
+/**
+ * TPT Asset Editor Desktop - Animation Export Tests
+ * Unit tests for the GIF, APNG and Aseprite animation encoders
+ */
+
+const Jimp = require('jimp');
+const { PNG } = require('pngjs');
+const TestFramework = require('./test-framework');
+const AnimationExporter = require('../utils/animation-exporter');
+const BasicAnimationSystem = require('../generators/basic-animation-system');
+const CharacterGenerator = require('../generators/sprite-generators/character-generator');
+const SeededRandom = require('../utils/seeded-random');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+/**
+ * Build a small RGBA frame with a transparent left column
+ */
+function createFrame(width, height, shift) {
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            data[i] = (x * 16 + shift) & 0xFF;
+            data[i + 1] = (y * 16) & 0xFF;
+            data[i + 2] = 128;
+            data[i + 3] = x === 0 ? 0 : 255;
+        }
+    }
+    return { bitmap: { width, height, data } };
+}
+
+/**
+ * Stack layers bottom first with source-over alpha (Jimp's composite rounds partly
+ * transparent colours, so it cannot be compared pixel for pixel)
+ */
+function flattenLayers(layers, width, height) {
+    const out = Buffer.alloc(width * height * 4);
+
+    layers.forEach(({ image }) => {
+        const data = image.bitmap.data;
+        for (let i = 0; i < data.length; i += 4) {
+            const alpha = data[i + 3] / 255;
+            if (alpha === 0) continue;
+
+            const below = (out[i + 3] / 255) * (1 - alpha);
+            const total = alpha + below;
+            for (let c = 0; c < 3; c++) {
+                out[i + c] = Math.round((data[i + c] * alpha + out[i + c] * below) / total);
+            }
+            out[i + 3] = Math.round(total * 255);
+        }
+    });
+
+    return out;
+}
+
+/**
+ * Visible pixels that differ between two RGBA buffers (fully transparent pixels all match)
+ */
+function countVisibleDifferences(a, b) {
+    let count = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        if ((a[i + 3] || b[i + 3]) && a.readUInt32BE(i) !== b.readUInt32BE(i)) count++;
+    }
+    return count;
+}
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const image = new Jimp(64, 96, 0x00000000);
+    const layers = await new CharacterGenerator().generateLayers(image, { classType: 'warrior', seed: 4 });
+    fixtures.animationSet = await SeededRandom.run(4, () => new BasicAnimationSystem().generateAnimationSet(image, {
+        characterClass: 'warrior',
+        layers
+    }));
+}
+
+testFramework.describe('Animation Exporter', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    let exporter;
+    let frames;
+
+    testFramework.beforeEach(() => {
+        exporter = new AnimationExporter();
+        frames = [createFrame(8, 8, 0), createFrame(8, 8, 32), createFrame(8, 8, 64)];
+    });
+
+    testFramework.it('should encode a looping GIF89a', () => {
+        const gif = exporter.encodeGIF(frames, { delay: 120, loop: 0 });
+
+        testFramework.expect(gif.subarray(0, 6).toString('ascii')).toBe('GIF89a');
+        testFramework.expect(gif.readUInt16LE(6)).toBe(8);
+        testFramework.expect(gif.includes(Buffer.from('NETSCAPE2.0'))).toBe(true);
+        testFramework.expect(gif[gif.length - 1]).toBe(0x3B);
+    });
+
+    testFramework.it('should write per-frame delays in hundredths of a second', () => {
+        const gif = exporter.encodeGIF(frames, { delays: [50, 100, 250] });
+        const delays = [];
+
+        for (let i = 0; i < gif.length - 7; i++) {
+            if (gif[i] === 0x21 && gif[i + 1] === 0xF9 && gif[i + 2] === 4) {
+                delays.push(gif.readUInt16LE(i + 4));
+            }
+        }
+
+        testFramework.expect(delays).toEqual([5, 10, 25]);
+    });
+
+    testFramework.it('should keep delays too long for 16-bit fields', () => {
+        const gif = exporter.encodeGIF(frames, { delays: [100, 700000, 100] });
+        const apng = exporter.encodeAPNG(frames, { delays: [100, 70000, 700000] });
+        const gifDelays = [];
+        const apngDelays = [];
+
+        for (let i = 0; i < gif.length - 7; i++) {
+            if (gif[i] === 0x21 && gif[i + 1] === 0xF9 && gif[i + 2] === 4) {
+                gifDelays.push(gif.readUInt16LE(i + 4));
+            }
+        }
+        for (let i = apng.indexOf('fcTL'); i !== -1; i = apng.indexOf('fcTL', i + 4)) {
+            apngDelays.push([apng.readUInt16BE(i + 24), apng.readUInt16BE(i + 26)]);
+        }
+
+        testFramework.expect(gifDelays).toEqual([10, 65535, 10]);
+        testFramework.expect(apngDelays).toEqual([[100, 1000], [7000, 100], [7000, 10]]);
+    });
+
+    testFramework.it('should encode an APNG whose default image is the first frame', () => {
+        const apng = exporter.encodeAPNG(frames, { delay: 80 });
+        const decoded = PNG.sync.read(apng);
+
+        testFramework.expect(apng.includes(Buffer.from('acTL'))).toBe(true);
+        testFramework.expect(apng.includes(Buffer.from('fdAT'))).toBe(true);
+        testFramework.expect(decoded.width).toBe(8);
+        testFramework.expect(Buffer.compare(decoded.data, Buffer.from(frames[0].bitmap.data))).toBe(0);
+    });
+
+    testFramework.it('should encode an Aseprite file with durations and tags', () => {
+        const tags = [{ name: 'walk', from: 0, to: 1 }, { name: 'attack', from: 2, to: 2, repeat: 1 }];
+        const ase = exporter.encodeAseprite(frames, { delays: [50, 100, 250], tags });
+        const durations = [];
+
+        for (let offset = 128; offset < ase.length; offset += ase.readUInt32LE(offset)) {
+            testFramework.expect(ase.readUInt16LE(offset + 4)).toBe(0xF1FA);
+            durations.push(ase.readUInt16LE(offset + 8));
+        }
+
+        testFramework.expect(ase.readUInt32LE(0)).toBe(ase.length);
+        testFramework.expect(ase.readUInt16LE(4)).toBe(0xA5E0);
+        testFramework.expect(ase.readUInt16LE(12)).toBe(32);
+        testFramework.expect(durations).toEqual([50, 100, 250]);
+        testFramework.expect(ase.includes(Buffer.from('walk'))).toBe(true);
+        testFramework.expect(ase.includes(Buffer.from('attack'))).toBe(true);
+        testFramework.expect(exporter.encodeAseprite(frames, { delay: 70000 }).readUInt16LE(18)).toBe(0xFFFF);
+    });
+
+    testFramework.it('should write frame layers and link unchanged cels', () => {
+        const body = createFrame(8, 8, 0);
+        const layered = [0, 32].map(shift => ({
+            image: createFrame(8, 8, shift),
+            layers: [{ name: 'body', image: body }, { name: 'weapon', image: createFrame(8, 8, shift) }]
+        }));
+        const ase = exporter.encodeAseprite(layered);
+        const celTypes = [];
+
+        for (let offset = 128; offset < ase.length; offset += ase.readUInt32LE(offset)) {
+            let chunk = offset + 16;
+            for (let i = 0; i < ase.readUInt32LE(offset + 12); i++) {
+                if (ase.readUInt16LE(chunk + 4) === 0x2005) {
+                    celTypes.push(ase.readUInt16LE(chunk + 6 + 7));
+                }
+                chunk += ase.readUInt32LE(chunk);
+            }
+        }
+
+        testFramework.expect(ase.includes(Buffer.from('body'))).toBe(true);
+        testFramework.expect(ase.includes(Buffer.from('weapon'))).toBe(true);
+        testFramework.expect(celTypes).toEqual([2, 2, 1, 2]);
+    });
+
+    testFramework.it('should split animated frames into layers that flatten back into each frame', () => {
+        const { frames, tags } = fixtures.animationSet;
+
+        testFramework.expect(tags.map(tag => [tag.name, tag.from, tag.to])).toEqual([['walk', 0, 7], ['attack', 8, 12], ['idle', 13, 16]]);
+        frames.forEach(frame => {
+            const { width, height, data } = frame.image.bitmap;
+            testFramework.expect(frame.layers.map(layer => layer.name)).toEqual(['body', 'armor', 'effects']);
+            testFramework.expect(countVisibleDifferences(flattenLayers(frame.layers, width, height), data)).toBe(0);
+        });
+    });
+
+    testFramework.it('should reject frames of different sizes', () => {
+        const mixed = [createFrame(8, 8, 0), createFrame(4, 4, 0)];
+        testFramework.expect(() => exporter.encodeGIF(mixed)).toThrow('All GIF frames');
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -0,0 +1,123 @@
+/**
+ * TPT Asset Editor Desktop - Collision Shape Tests
+ * Unit tests for tracing collision shapes from alpha and exporting them to Unity, Godot and Tiled
+ */
+
+const Jimp = require('jimp');
+const TestFramework = require('./test-framework');
+const CollisionShapes = require('../utils/collision-shapes');
+const SpritesheetPacker = require('../generators/spritesheet-packer');
+const AnimationMetadataExporter = require('../generators/animation-metadata');
+const GameEngineExporters = require('../generators/game-engine-exporters');
+const GodotExporter = require('../generators/godot-exporter');
+const LevelExporter = require('../generators/level-exporter');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const OPAQUE = 0xffffffff;
+
+function fill(image, x, y, w, h) {
+    image.scan(x, y, w, h, function (px, py, idx) {
+        this.bitmap.data.writeUInt32BE(OPAQUE, idx);
+    });
+    return image;
+}
+
+const level = {
+    name: 'Crypt of Bones',
+    config: { dimensions: { width: 2, height: 1, tileSize: 32 } },
+    layers: { walls: [[{ tileId: 1 }, { tileId: 45 }]] }
+};
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const sprite = fill(new Jimp(40, 40, 0x00000000), 5, 4, 20, 30);
+    fixtures.spritesheet = await new SpritesheetPacker().generate([
+        { id: 'walk_0', image: sprite },
+        { id: 'walk_1', image: sprite.clone() }
+    ], { trim: true });
+
+    // Walls tileset: tile 0 fully solid, tile 44 solid on its left half
+    fixtures.walls = fill(fill(new Jimp(320, 160, 0x00000000), 0, 0, 32, 32), 128, 128, 16, 32);
+    fixtures.tiledJSON = JSON.parse(await new LevelExporter().exportToTiledJSON(level, { collisionImages: { walls: fixtures.walls } }));
+}
+
+testFramework.describe('Collision Shapes', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    const exporters = new GameEngineExporters();
+
+    testFramework.it('should trace outlines, keeping diagonal neighbours apart and filling holes', () => {
+        const image = new Jimp(6, 6, 0x00000000);
+        fill(image, 0, 0, 3, 3);
+        image.setPixelColor(0x00000000, 1, 1);
+        fill(image, 3, 3, 2, 2);
+
+        const shapes = CollisionShapes.fromImage(image);
+
+        testFramework.expect(shapes.aabb).toEqual({ x: 0, y: 0, width: 5, height: 5 });
+        testFramework.expect(shapes.polygons).toEqual([
+            [{ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 3, y: 3 }, { x: 0, y: 3 }],
+            [{ x: 3, y: 3 }, { x: 5, y: 3 }, { x: 5, y: 5 }, { x: 3, y: 5 }]
+        ]);
+        testFramework.expect(shapes.hull).toEqual([
+            { x: 0, y: 0 }, { x: 3, y: 0 }, { x: 5, y: 3 }, { x: 5, y: 5 }, { x: 3, y: 5 }, { x: 0, y: 3 }
+        ]);
+    });
+
+    testFramework.it('should simplify pixel staircases within the tolerance', () => {
+        const image = new Jimp(8, 8, 0x00000000);
+        for (let y = 0; y < 8; y++) fill(image, 0, y, y + 1, 1);
+
+        const [outline] = CollisionShapes.fromImage(image).polygons;
+        const [exact] = CollisionShapes.fromImage(image, { tolerance: 0 }).polygons;
+
+        testFramework.expect(outline).toEqual([{ x: 0, y: 0 }, { x: 8, y: 8 }, { x: 0, y: 8 }]);
+        testFramework.expect(exact.length).toBe(18);
+    });
+
+    testFramework.it('should fit hitboxes to the opaque pixels of each frame', () => {
+        const prepared = new AnimationMetadataExporter().prepareAnimationData(null, fixtures.spritesheet, { includeHitboxes: true });
+        const hitbox = prepared.hitboxes.walk_0;
+
+        testFramework.expect(hitbox.body).toEqual({ x: 5, y: 4, width: 20, height: 30 });
+        testFramework.expect(hitbox.feet).toEqual({ x: 5, y: 28, width: 20, height: 6 });
+        testFramework.expect(hitbox.polygons.length).toBe(1);
+    });
+
+    testFramework.it('should write sprite physics shapes for Unity and a hitbox for Godot', () => {
+        const polygons = exporters.getFrameCollisionPolygons(fixtures.spritesheet, { collisionShapes: { shape: 'aabb' } });
+        const meta = exporters.generateUnitySpriteMeta('hero', fixtures.spritesheet, polygons);
+        const collision = exporters.getGodotCollision(fixtures.spritesheet, { walk: { frames: [0, 1] } }, polygons, 'walk');
+        const scene = new GodotExporter().generateSpriteScene('Hero', 'hero_frames.tres', { animation: 'walk', collision });
+
+        testFramework.expect(meta.includes('  m_PhysicsShape:\n  - - {x: -0.4687, y: 0.5}\n    - {x: 0.1563, y: 0.5}\n')).toBe(true);
+        testFramework.expect(meta.includes('  m_HasPhysicsShape: 1\n')).toBe(true);
+        testFramework.expect(scene.includes('[node name="Hitbox" type="Area2D" parent="."]\nmetadata/frame_polygons = {\n"walk": [[PackedVector2Array(')).toBe(true);
+        testFramework.expect(scene.includes('[node name="CollisionPolygon2D" type="CollisionPolygon2D" parent="Hitbox"]\npolygon = PackedVector2Array(-15, -16, 5, -16, 5, 14, -15, 14)')).toBe(true);
+    });
+
+    testFramework.it('should export traced tile shapes to Tiled, Godot and Unity', () => {
+        const levelExporter = new LevelExporter();
+        const options = { collisionImages: { walls: fixtures.walls } };
+        const tsx = levelExporter.exportTilesetsToTSX(level, options).find(file => file.file === 'walls.tsx').content;
+        const tileSet = levelExporter.exportGodotTileSet(level, options);
+        const { files } = exporters.generateUnityTilemapAssets(level, options);
+        const textureMeta = files.find(file => file.file === 'tiles/walls.png.meta').content;
+        const tile = files.find(file => file.file === 'crypt_of_bones/Tiles/walls_44.asset').content;
+
+        testFramework.expect(tsx.includes(' <tile id="44">\n   <objectgroup draworder="index" id="2">\n     <object id="1" x="0" y="0">\n       <polygon points="0,0 16,0 16,32 0,32"/>')).toBe(true);
+        testFramework.expect(fixtures.tiledJSON.tilesets[1].tiles.map(tileData => tileData.id)).toEqual([0, 44]);
+        testFramework.expect(tileSet.includes('4:4/0/physics_layer_0/polygon_0/points = PackedVector2Array(-16, -16, 0, -16, 0, 16, -16, 16)')).toBe(true);
+        testFramework.expect(textureMeta.includes('      physicsShape:\n      - - {x: -16, y: 16}\n')).toBe(true);
+        testFramework.expect(tile.includes('  m_ColliderType: 1\n')).toBe(true);
+    });
+});
+
+module.exports = testFramework.runFile(module);
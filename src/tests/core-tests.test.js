@@ -340,7 +340,7 @@ testFramework.describe('Store', () => {
         testFramework.expect(store.getState().test.counter).toBe(1);
     });
 
-    testFramework.it('should handle subscriptions', () => {
+    testFramework.it('should handle subscriptions', async () => {
         let callCount = 0;
         let lastAction = null;
 
@@ -349,25 +349,25 @@ testFramework.describe('Store', () => {
             lastAction = data.action;
         });
 
-        store.dispatch({ type: 'TEST_SUBSCRIBE' });
+        await store.dispatch({ type: 'TEST_SUBSCRIBE' });
 
         testFramework.expect(callCount).toBe(1);
         testFramework.expect(lastAction.type).toBe('TEST_SUBSCRIBE');
 
         unsubscribe();
-        store.dispatch({ type: 'TEST_UNSUBSCRIBE' });
+        await store.dispatch({ type: 'TEST_UNSUBSCRIBE' });
         testFramework.expect(callCount).toBe(1); // Should not have increased
     });
 
-    testFramework.it('should handle action-specific subscriptions', () => {
+    testFramework.it('should handle action-specific subscriptions', async () => {
         let callCount = 0;
 
         const unsubscribe = store.subscribeToAction('SPECIFIC_ACTION', () => {
             callCount++;
         });
 
-        store.dispatch({ type: 'SPECIFIC_ACTION' });
-        store.dispatch({ type: 'OTHER_ACTION' });
+        await store.dispatch({ type: 'SPECIFIC_ACTION' });
+        await store.dispatch({ type: 'OTHER_ACTION' });
 
         testFramework.expect(callCount).toBe(1);
 
@@ -411,7 +411,7 @@ testFramework.describe('Store', () => {
         }
     });
 
-    testFramework.it('should handle middleware', () => {
+    testFramework.it('should handle middleware', async () => {
         let middlewareCalled = false;
 
         store.use((action, state) => {
@@ -419,7 +419,7 @@ testFramework.describe('Store', () => {
             return action;
         });
 
-        store.dispatch({ type: 'TEST_MIDDLEWARE' });
+        await store.dispatch({ type: 'TEST_MIDDLEWARE' });
         testFramework.expect(middlewareCalled).toBe(true);
     });
 
@@ -656,7 +656,7 @@ if (typeof module !== 'undefined' && module.exports) {
 if (typeof require !== 'undefined' && require.main === module) {
     testFramework.run().then((results) => {
         console.log('\nTest execution completed');
-        process.exit(results.summary.failed > 0 ? 1 : 0);
+        process.exit(results.failed > 0 ? 1 : 0);
     }).catch((error) => {
         console.error('Test execution failed:', error);
         process.exit(1);
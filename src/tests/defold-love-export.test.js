@@ -0,0 +1,104 @@
+/**
+ * TPT Asset Editor Desktop - Defold and LÖVE Export Tests
+ * Unit tests for Defold atlases, tile maps and collections, and the LÖVE Lua module
+ */
+
+const Jimp = require('jimp');
+const TestFramework = require('./test-framework');
+const SpritesheetPacker = require('../generators/spritesheet-packer');
+const GameEngineExporters = require('../generators/game-engine-exporters');
+const LevelExporter = require('../generators/level-exporter');
+const DefoldExporter = require('../generators/defold-exporter');
+const LuaModule = require('../utils/lua-module');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const sprite = new Jimp(40, 40, 0x00000000);
+    sprite.scan(5, 4, 20, 30, function (x, y, idx) {
+        this.bitmap.data.writeUInt32BE(0xff0000ff, idx);
+    });
+
+    fixtures.spritesheet = await new SpritesheetPacker().generate([
+        { id: 'walk_0', image: sprite },
+        { id: 'walk_1', image: sprite.clone() }
+    ], { trim: true });
+}
+
+const level = {
+    name: 'Crypt of Bones',
+    config: { dimensions: { width: 3, height: 2, tileSize: 32 } },
+    layers: {
+        ground: [[{ tileId: 1 }, { tileId: 2 }, null], [{ tileId: 3 }, null, null]],
+        walls: [[null, null, { tileId: 5 }], [null, null, null]]
+    },
+    entities: [{ id: 'boss', type: 'enemy', position: { x: 1, y: 1 }, properties: { hp: 30 } }]
+};
+
+testFramework.describe('Defold and LÖVE Export', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    const exporters = new GameEngineExporters();
+
+    testFramework.it('should cut trimmed frames back to their source size', () => {
+        const frames = SpritesheetPacker.collectFrames(fixtures.spritesheet);
+        const image = SpritesheetPacker.extractFrame(fixtures.spritesheet.spritesheet, frames.walk_0);
+
+        testFramework.expect([image.bitmap.width, image.bitmap.height]).toEqual([40, 40]);
+        testFramework.expect(image.getPixelColor(5, 4)).toBe(0xff0000ff);
+        testFramework.expect(image.getPixelColor(4, 4)).toBe(0x00000000);
+    });
+
+    testFramework.it('should write Defold atlas animation groups', () => {
+        const atlas = new DefoldExporter().generateAtlas(['hero/walk_0.png'], [
+            { name: 'walk', images: ['hero/walk_0.png'], fps: 8, loop: false }
+        ]);
+
+        testFramework.expect(atlas.includes('images {\n  image: "/assets/hero/walk_0.png"\n')).toBe(true);
+        testFramework.expect(atlas.includes('animations {\n  id: "walk"\n  images {\n    image: "/assets/hero/walk_0.png"\n')).toBe(true);
+        testFramework.expect(atlas.includes('  playback: PLAYBACK_ONCE_FORWARD\n  fps: 8\n')).toBe(true);
+    });
+
+    testFramework.it('should write a Defold tile map per layer with rows counted from the bottom', () => {
+        const files = new LevelExporter().exportToDefold(level, { projectPath: '/main/levels' });
+        const byName = {};
+        files.forEach(({ file, content }) => { byName[file] = content; });
+
+        testFramework.expect(files.map(file => file.file)).toEqual([
+            'crypt_of_bones.collection',
+            'crypt_of_bones/ground.tilesource',
+            'crypt_of_bones/ground.tilemap',
+            'crypt_of_bones/walls.tilesource',
+            'crypt_of_bones/walls.tilemap'
+        ]);
+        testFramework.expect(byName['crypt_of_bones/walls.tilemap'].includes('  cell {\n    x: 2\n    y: 1\n    tile: 4\n')).toBe(true);
+        testFramework.expect(byName['crypt_of_bones/walls.tilesource'].includes('collision: "/main/levels/tiles/walls.png"')).toBe(true);
+        testFramework.expect(byName['crypt_of_bones.collection'].includes('  id: "boss"\n  data: ""\n  position {\n    x: 32.0\n    y: 32.0\n    z: 0.2\n')).toBe(true);
+    });
+
+    testFramework.it('should write LÖVE quads with trim offsets and 1-based level tiles', () => {
+        const sequences = exporters.getAnimationSequences(fixtures.spritesheet, { animations: { walk: { frames: [0, 1], loop: true, frameDuration: 125 } } });
+        const lua = exporters.generateLoveModule(fixtures.spritesheet, ['hero.png'], sequences, {
+            crypt: new LevelExporter().getLoveLevel(level)
+        });
+
+        testFramework.expect(lua.includes('  walk_0 = { page = 1, x = 0, y = 0, w = 20, h = 30, ox = 5, oy = 4, width = 40, height = 40 },')).toBe(true);
+        testFramework.expect(lua.includes('frames = { "walk_0", "walk_1" },\n    duration = 0.125,\n    loop = true,')).toBe(true);
+        testFramework.expect(lua.includes('          { 1, 2, 0 },\n          { 3, 0, 0 },')).toBe(true);
+        testFramework.expect(lua.endsWith('return M\n')).toBe(true);
+    });
+
+    testFramework.it('should quote Lua keys that are not names', () => {
+        testFramework.expect(LuaModule.formatValue({ end: true, 'walk-0': 'a "b"' }))
+            .toBe('{ ["end"] = true, ["walk-0"] = "a \\"b\\"" }');
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -0,0 +1,89 @@
+/**
+ * TPT Asset Editor Desktop - Directional Sprite Tests
+ * Unit tests for eight- and four-direction character sheets and their engine metadata
+ */
+
+const Jimp = require('jimp');
+const TestFramework = require('./test-framework');
+const CharacterGenerator = require('../generators/sprite-generators/character-generator');
+const BasicAnimationSystem = require('../generators/basic-animation-system');
+const GameEngineExporters = require('../generators/game-engine-exporters');
+const GodotExporter = require('../generators/godot-exporter');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const generator = new CharacterGenerator();
+    fixtures.front = new Jimp(32, 48, 0x00000000);
+    fixtures.views = await generator.generateDirections(fixtures.front, { classType: 'warrior', seed: 11 });
+    fixtures.cardinal = await generator.generateDirections(new Jimp(32, 48, 0x00000000), { classType: 'mage', seed: 11, directions: 4 });
+
+    fixtures.sheet = await new BasicAnimationSystem().generateDirectionalSheet(fixtures.views, { seed: 11 });
+}
+
+testFramework.describe('Directional Sprites', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should render every facing of an eight- or four-direction set', () => {
+        testFramework.expect(fixtures.views.map(view => view.direction)).toEqual(CharacterGenerator.DIRECTIONS[8]);
+        testFramework.expect(fixtures.cardinal.map(view => view.direction)).toEqual(['north', 'east', 'south', 'west']);
+        testFramework.expect(CharacterGenerator.getDirections(['south', 'north'])).toEqual(['south', 'north']);
+        testFramework.expect(() => CharacterGenerator.getDirections(6)).toThrow();
+    });
+
+    testFramework.it('should mirror west from east and draw the back without a face', () => {
+        const view = direction => fixtures.views.find(entry => entry.direction === direction).image;
+        const south = view('south');
+        const north = view('north');
+
+        testFramework.expect(view('west').bitmap.data.equals(view('east').clone().mirror(true, false).bitmap.data)).toBe(true);
+        testFramework.expect(south.bitmap.data.equals(fixtures.front.bitmap.data)).toBe(true);
+        testFramework.expect(north.bitmap.data.equals(south.bitmap.data)).toBe(false);
+    });
+
+    testFramework.it('should pack a row per animation and direction', () => {
+        const { spritesheet, animationData } = fixtures.sheet;
+        const walk = animationData.animations.walk_northeast;
+        const frame = spritesheet.metadata.frames[walk.frames[0]].frame;
+
+        testFramework.expect(spritesheet.grid).toEqual({ columns: 8, rows: 48, cellWidth: 32, cellHeight: 48 });
+        testFramework.expect(animationData.directions.walk.northeast).toBe('walk_northeast');
+        testFramework.expect(Object.keys(animationData.directions)).toEqual(['walk', 'run', 'attack', 'cast', 'hurt', 'death']);
+        testFramework.expect(walk.row).toBe(1);
+        testFramework.expect(frame.y - frame.y % 48).toBe(48);
+    });
+
+    testFramework.it('should write directional animation keys and a facing helper', () => {
+        const exporters = new GameEngineExporters();
+        const directions = exporters.getAnimationDirections({
+            animations: { walk_north: {}, walk_south: {} },
+            directions: { walk: { north: 'walk_north', south: 'walk_south', east: 'walk_east' }, death: { north: 'death_north' } }
+        });
+        const source = exporters.generatePhaserKeyModule({
+            atlasKey: 'Hero', atlasFile: 'Hero.json', frames: [], animations: ['walk_north', 'walk_south'], directions, tilemaps: []
+        });
+
+        testFramework.expect(directions).toEqual({ walk: { north: 'walk_north', south: 'walk_south' } });
+        testFramework.expect(source.includes('export const DirectionalAnimations = {\n    Walk: {\n        north: \'walk_north\',\n        south: \'walk_south\',\n    },\n} as const;')).toBe(true);
+        testFramework.expect(source.includes('export function facing(dx: number, dy: number): Direction {')).toBe(true);
+        testFramework.expect(exporters.getAnimationDirections({ animations: {} })).toBe(null);
+    });
+
+    testFramework.it('should store direction-aware animation names on the Godot sprite', () => {
+        const scene = new GodotExporter().generateSpriteScene('Hero', 'hero_frames.tres', {
+            animation: 'walk_south',
+            directions: { walk: { south: 'walk_south' } }
+        });
+
+        testFramework.expect(scene.includes('autoplay = "walk_south"\nmetadata/directions = {\n"walk": {\n"south": "walk_south"\n}\n}')).toBe(true);
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -0,0 +1,129 @@
+/**
+ * TPT Asset Editor Desktop - Godot Export Tests
+ * Round-trip tests for the Godot 4 SpriteFrames, TileSet and scene output
+ */
+
+const TestFramework = require('./test-framework');
+const GodotResource = require('../utils/godot-resource');
+const GodotExporter = require('../generators/godot-exporter');
+const LevelExporter = require('../generators/level-exporter');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+function createLevel() {
+    const grid = (tileAt) => Array.from({ length: 2 }, (_, y) =>
+        Array.from({ length: 3 }, (_, x) => ({ tileId: tileAt(x, y), x, y })));
+
+    return {
+        name: 'Crypt',
+        config: { dimensions: { width: 3, height: 2 } },
+        layers: {
+            ground: grid(x => x + 1),
+            walls: grid((x, y) => (y === 0 && x === 2 ? 12 : 0))
+        },
+        entities: [{ id: 'enemy_1', type: 'enemy', x: 1, y: 1, enemyType: 'skeleton', level: 3 }]
+    };
+}
+
+function findSection(resource, tag, name) {
+    return resource.sections.find(section => section.tag === tag && (!name || section.attributes.name === name));
+}
+
+async function loadFixtures() {
+    const exporter = new LevelExporter();
+    const level = createLevel();
+
+    fixtures.scene = await exporter.export(level, 'godot', { tileSetPath: 'crypt_tileset.tres' });
+    fixtures.tileSet = exporter.exportGodotTileSet(level);
+}
+
+testFramework.describe('Godot Export', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    const godot = new GodotExporter();
+    const frames = {
+        idle_0: { frame: { x: 0, y: 0, w: 32, h: 32 } },
+        idle_1: {
+            frame: { x: 32, y: 0, w: 30, h: 28 },
+            trimmed: true,
+            spriteSourceSize: { x: 1, y: 2, w: 30, h: 28 },
+            sourceSize: { w: 32, h: 32 }
+        }
+    };
+
+    testFramework.it('should write SpriteFrames that parse back to the same text', () => {
+        const text = godot.generateSpriteFrames('hero.png', frames, {
+            idle: { frames: ['idle_0', 'idle_1', 'idle_0'], loop: true, frameDuration: 125 }
+        });
+        const resource = GodotResource.parse(text).validate();
+
+        testFramework.expect(resource.toString()).toBe(text);
+        testFramework.expect(resource.attributes).toEqual({ type: 'SpriteFrames', load_steps: 4, format: 3 });
+        testFramework.expect(/ExtResource\( |id=\d|flags =|\.import/.test(text)).toBe(false);
+    });
+
+    testFramework.it('should build animation frames from AtlasTexture regions', () => {
+        const resource = GodotResource.parse(godot.generateSpriteFrames('hero.png', frames, {
+            idle: { frames: [0, 1, 0], loop: true, frameDuration: 125 }
+        }));
+        const [animation] = findSection(resource, 'resource').properties.animations;
+        const atlases = resource.sections.filter(section => section.attributes.type === 'AtlasTexture');
+
+        testFramework.expect(atlases.length).toBe(2);
+        testFramework.expect(atlases[1].properties.region).toEqual(GodotResource.construct('Rect2', 32, 0, 30, 28));
+        testFramework.expect(atlases[1].properties.margin).toEqual(GodotResource.construct('Rect2', 1, 2, 2, 4));
+        testFramework.expect(animation.frames.map(frame => frame.texture.args[0]))
+            .toEqual(['AtlasTexture_0', 'AtlasTexture_1', 'AtlasTexture_0']);
+        testFramework.expect(animation.name).toEqual(GodotResource.stringName('idle'));
+        testFramework.expect(animation.speed).toEqual(GodotResource.float(8));
+    });
+
+    testFramework.it('should write an AnimatedSprite2D scene', () => {
+        const text = godot.generateSpriteScene('Hero', 'hero_frames.tres', { animation: 'idle' });
+        const scene = GodotResource.parse(text).validate();
+        const node = findSection(scene, 'node', 'Hero');
+
+        testFramework.expect(scene.toString()).toBe(text);
+        testFramework.expect(node.attributes.type).toBe('AnimatedSprite2D');
+        testFramework.expect(node.properties.sprite_frames).toEqual(GodotResource.construct('ExtResource', '1_hero_frames'));
+    });
+
+    testFramework.it('should give wall tiles collision polygons in the TileSet', () => {
+        const tileSet = GodotResource.parse(fixtures.tileSet).validate();
+        const [ground, walls] = tileSet.sections.filter(section => section.attributes.type === 'TileSetAtlasSource');
+
+        testFramework.expect(tileSet.toString()).toBe(fixtures.tileSet);
+        testFramework.expect(findSection(tileSet, 'resource').properties['physics_layer_0/collision_layer']).toBe(1);
+        testFramework.expect(walls.properties['1:1/0/physics_layer_0/polygon_0/points'])
+            .toEqual(GodotResource.construct('PackedVector2Array', -16, -16, 16, -16, 16, 16, -16, 16));
+        testFramework.expect(ground.properties['1:1/0/physics_layer_0/polygon_0/points']).toBe(undefined);
+    });
+
+    testFramework.it('should write level TileMapLayers and entity markers', () => {
+        const scene = GodotResource.parse(fixtures.scene).validate();
+        const cells = (name) => godot.decodeTileMapData(Buffer.from(findSection(scene, 'node', name).properties.tile_map_data.args));
+        const marker = findSection(scene, 'node', 'enemy_1');
+
+        testFramework.expect(scene.toString()).toBe(fixtures.scene);
+        testFramework.expect(findSection(scene, 'ext_resource').attributes.path).toBe('res://crypt_tileset.tres');
+        testFramework.expect(cells('Ground').length).toBe(6);
+        testFramework.expect(cells('Walls')).toEqual([{ x: 2, y: 0, source: 1, atlasX: 1, atlasY: 1, alternative: 0 }]);
+        testFramework.expect(marker.attributes.parent).toBe('Entities');
+        testFramework.expect(marker.properties.position).toEqual(GodotResource.construct('Vector2', 32, 32));
+        testFramework.expect(marker.properties['metadata/level']).toBe(3);
+    });
+
+    testFramework.it('should reject references to undeclared resources', () => {
+        const broken = '[gd_resource type="SpriteFrames" format=3]\n\n[resource]\ntexture = SubResource("AtlasTexture_9")\n';
+        testFramework.expect(() => GodotResource.parse(broken).validate()).toThrow('undeclared SubResource');
+    });
+});
+
+module.exports = testFramework.runFile(module);
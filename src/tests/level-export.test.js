@@ -0,0 +1,161 @@
+/**
+ * TPT Asset Editor Desktop - Level Export Tests
+ * Unit tests for TMX layer encodings, external tilesets, TMX import, Tiled JSON and LDtk projects
+ */
+
+const TestFramework = require('./test-framework');
+const LevelExporter = require('../generators/level-exporter');
+const LevelImporter = require('../generators/level-importer');
+const LevelGenerator = require('../generators/level-generator');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+function createGrid(width, height, tileAt) {
+    return Array.from({ length: height }, (_, y) =>
+        Array.from({ length: width }, (_, x) => ({ tileId: tileAt(x, y), x, y })));
+}
+
+function createLevel() {
+    return {
+        name: 'Crypt',
+        type: 'dungeon',
+        config: { dimensions: { width: 4, height: 3 } },
+        layers: {
+            ground: createGrid(4, 3, x => x + 1),
+            walls: createGrid(4, 3, (x, y) => (y === 0 ? 7 : 0))
+        },
+        entities: [{
+            id: 'enemy_1_0',
+            type: 'enemy',
+            x: 2,
+            y: 1,
+            enemyType: 'skeleton',
+            level: 3,
+            lootTable: [{ item: 'gold', chance: 0.5 }],
+            dialogue: 'Leave.\nNow.'
+        }]
+    };
+}
+
+async function loadFixtures() {
+    const exporter = new LevelExporter();
+    const importer = new LevelImporter();
+    const level = createLevel();
+
+    fixtures.csv = await exporter.exportToTMX(level);
+    fixtures.zlib = await exporter.exportToTMX(level, { compression: 'zlib' });
+    fixtures.gzip = await exporter.exportToTMX(level, { compression: 'gzip' });
+    fixtures.external = await exporter.exportToTMX(level, { embedTilesets: false, tilesetDir: 'tilesets' });
+    fixtures.tsx = exporter.exportTilesetsToTSX(level, { tilesetDir: 'tilesets' });
+    fixtures.tmj = JSON.parse(await exporter.export(level, 'tmj'));
+    fixtures.ldtk = JSON.parse(await exporter.export(level, 'ldtk'));
+
+    fixtures.imported = {
+        csv: await importer.importFromTMX(fixtures.csv),
+        zlib: await importer.importFromTMX(fixtures.zlib),
+        gzip: await importer.importFromTMX(fixtures.gzip)
+    };
+
+    fixtures.generated = await new LevelGenerator().generateLevel({ levelType: 'dungeon', width: 16, height: 12, seed: 7 });
+    fixtures.generatedTMX = await exporter.exportToTMX(fixtures.generated);
+    fixtures.generatedImport = await importer.importFromTMX(fixtures.generatedTMX);
+}
+
+testFramework.describe('Level Export', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should write base64 layers with zlib or gzip compression', () => {
+        testFramework.expect(fixtures.zlib.includes('<data encoding="base64" compression="zlib">')).toBe(true);
+        testFramework.expect(fixtures.gzip.includes('<data encoding="base64" compression="gzip">')).toBe(true);
+        testFramework.expect(fixtures.csv.includes('<data encoding="csv">')).toBe(true);
+    });
+
+    testFramework.it('should reference external tilesets with image paths relative to the tsx', () => {
+        testFramework.expect(fixtures.external.includes('<tileset firstgid="101" source="tilesets/walls.tsx"/>')).toBe(true);
+        testFramework.expect(fixtures.tsx[0].file).toBe('tilesets/ground.tsx');
+        testFramework.expect(fixtures.tsx[0].content.includes('<image source="../tiles/ground.png"')).toBe(true);
+    });
+
+    testFramework.it('should write typed entity properties', () => {
+        testFramework.expect(fixtures.csv.includes('<property name="level" type="int" value="3"/>')).toBe(true);
+        testFramework.expect(fixtures.csv.includes('<property name="lootTable" type="class" propertytype="list">')).toBe(true);
+        testFramework.expect(fixtures.csv.includes('<property name="dialogue">Leave.\nNow.</property>')).toBe(true);
+    });
+
+    testFramework.it('should import every layer encoding back to the same tiles', () => {
+        Object.values(fixtures.imported).forEach(level => {
+            testFramework.expect(level.layers.ground[2].map(tile => tile.tileId)).toEqual([1, 2, 3, 4]);
+            testFramework.expect(level.layers.walls[0][1].tileId).toBe(7);
+            testFramework.expect(level.layers.walls[1][1].tileId).toBe(0);
+        });
+    });
+
+    testFramework.it('should export LevelGenerator levels from their terrain, structure and interactive grids', () => {
+        const { generated, generatedTMX } = fixtures;
+        const { layers, entities } = fixtures.generatedImport;
+        const placed = grid => grid.flat().filter(cell => cell && (typeof cell === 'string' || cell.tileId > 0)).length;
+
+        testFramework.expect(generatedTMX.includes('width="16" height="12" tilewidth="32"')).toBe(true);
+        testFramework.expect(placed(layers.ground)).toBe(placed(generated.layers.terrain));
+        testFramework.expect(placed(layers.walls)).toBe(placed(generated.layers.structures));
+        testFramework.expect(placed(layers.decorations)).toBe(placed(generated.layers.interactive));
+        testFramework.expect(layers.walls.flat().every(tile => tile.tileId <= 1)).toBe(true);
+        testFramework.expect(entities.length).toBe(generated.entities.length);
+    });
+
+    testFramework.it('should import entities with their ids, positions and typed properties', () => {
+        const [entity] = fixtures.imported.csv.entities;
+        testFramework.expect(entity.id).toBe('enemy_1_0');
+        testFramework.expect(entity.position).toEqual({ x: 2, y: 1 });
+        testFramework.expect(entity.properties).toEqual({
+            enemyType: 'skeleton',
+            level: 3,
+            lootTable: [{ item: 'gold', chance: 0.5 }],
+            dialogue: 'Leave.\nNow.'
+        });
+        testFramework.expect(fixtures.imported.csv.name).toBe('Crypt');
+    });
+
+    testFramework.it('should write Tiled JSON maps with embedded tilesets and typed objects', () => {
+        const [ground, walls, objects] = fixtures.tmj.layers;
+        const [enemy] = objects.objects;
+
+        testFramework.expect(fixtures.tmj.tilesets.map(tileset => tileset.firstgid)).toEqual([1, 101, 151]);
+        testFramework.expect(ground.data.slice(0, 4)).toEqual([1, 2, 3, 4]);
+        testFramework.expect(walls.data.slice(0, 5)).toEqual([107, 107, 107, 107, 0]);
+        testFramework.expect(enemy.x).toBe(64);
+        testFramework.expect(enemy.properties.find(property => property.name === 'level')).toEqual({ name: 'level', type: 'int', value: 3 });
+    });
+
+    testFramework.it('should write an LDtk collision IntGrid and tile layers', () => {
+        const [ldtkLevel] = fixtures.ldtk.levels;
+        const layer = name => ldtkLevel.layerInstances.find(instance => instance.__identifier === name);
+
+        testFramework.expect(ldtkLevel.layerInstances.map(instance => instance.__identifier))
+            .toEqual(['Entities', 'Collision', 'Walls', 'Ground']);
+        testFramework.expect(layer('Collision').intGridCsv).toEqual([1, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2]);
+        testFramework.expect(layer('Ground').gridTiles.slice(0, 4).map(tile => tile.t)).toEqual([0, 1, 2, 3]);
+        testFramework.expect(layer('Walls').gridTiles.length).toBe(4);
+    });
+
+    testFramework.it('should write LDtk entities with typed fields', () => {
+        const enemyDef = fixtures.ldtk.defs.entities.find(def => def.identifier === 'Enemy');
+        const [enemy] = fixtures.ldtk.levels[0].layerInstances[0].entityInstances;
+        const field = name => enemy.fieldInstances.find(instance => instance.__identifier === name);
+
+        testFramework.expect(fixtures.ldtk.defs.entities.map(def => def.identifier)).toEqual(['Enemy', 'Npc', 'Treasure', 'Light']);
+        testFramework.expect(enemyDef.fieldDefs.map(def => def.type)).toEqual(['F_String', 'F_String', 'F_Int', 'F_String', 'F_Text']);
+        testFramework.expect(enemy.px).toEqual([64, 32]);
+        testFramework.expect(field('level').realEditorValues).toEqual([{ id: 'V_Int', params: [3] }]);
+        testFramework.expect(field('lootTable').__type).toBe('Array<String>');
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -108,6 +108,7 @@ async function testLevelGeneration() {
     console.log('\n📋 Export Formats:');
     console.log('   • JSON - Complete level data with metadata');
     console.log('   • TMX - Tiled Map Editor format');
+    console.log('   • LDtk - LDtk project with IntGrid, tile and entity layers');
     console.log('   • Unity - Unity game engine format');
     console.log('   • Godot - Godot game engine format');
     console.log('   • Generic - Universal level format');
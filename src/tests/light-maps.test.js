@@ -0,0 +1,111 @@
+/**
+ * TPT Asset Editor Desktop - Light Map Tests
+ * Unit tests for normal and emissive maps of generated sprites and their atlas pages
+ */
+
+const Jimp = require('jimp');
+const TestFramework = require('./test-framework');
+const LightMaps = require('../utils/light-maps');
+const SpriteGenerator = require('../generators/sprite-generator');
+const SpritesheetPacker = require('../generators/spritesheet-packer');
+const TileGenerator = require('../generators/sprite-generators/tile-generator');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+function fill(image, x, y, w, h, color) {
+    image.scan(x, y, w, h, function (px, py, idx) {
+        this.bitmap.data.writeUInt32BE(color, idx);
+    });
+    return image;
+}
+
+function pixel(image, x, y) {
+    return Jimp.intToRGBA(image.getPixelColor(x, y));
+}
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const orb = await new SpriteGenerator().generate({ category: 'magical', itemType: 'orb', rarity: 'rare', seed: 7, lightMaps: true });
+    fixtures.orb = {
+        sprite: orb.sprite,
+        emissive: await Jimp.read(Buffer.from(orb.sprite.emissiveMap, 'base64'))
+    };
+
+    fixtures.transition = await new TileGenerator().generateTransitionSet({
+        tileType: 'grass', transitionTo: 'lava', tileSize: 8, seed: 1, lightMaps: true
+    });
+
+    const square = fill(new Jimp(12, 12, 0x00000000), 2, 2, 8, 8, 0x808080ff);
+    fixtures.square = square;
+    fixtures.spritesheet = await new SpritesheetPacker().generate([
+        { id: 'lit', image: square, maps: LightMaps.generate(square) },
+        { id: 'plain', image: fill(new Jimp(4, 4, 0x00000000), 0, 0, 4, 4, 0xff0000ff) }
+    ], { trim: true, extrude: 1, name: 'props' });
+}
+
+testFramework.describe('Light Maps', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should bevel sprite edges so they face away from the centre, green up', () => {
+        const normal = LightMaps.normalMap(fixtures.square);
+
+        testFramework.expect(pixel(normal, 2, 6).r < 128).toBe(true);
+        testFramework.expect(pixel(normal, 9, 6).r > 128).toBe(true);
+        testFramework.expect(pixel(normal, 6, 2).g > 128).toBe(true);
+        testFramework.expect(pixel(normal, 6, 9).g < 128).toBe(true);
+        testFramework.expect(pixel(normal, 0, 0)).toEqual({ r: 128, g: 128, b: 255, a: 0 });
+    });
+
+    testFramework.it('should read heights across the seam of tileable tiles', () => {
+        const tile = fill(new Jimp(8, 8, 0x000000ff), 0, 0, 1, 8, 0xffffffff);
+        const surface = { bevel: 0, detail: 1 };
+
+        testFramework.expect(pixel(LightMaps.normalMap(tile, surface), 7, 4).r).toBe(128);
+        testFramework.expect(pixel(LightMaps.normalMap(tile, { ...surface, wrap: true }), 7, 4).r < 128).toBe(true);
+    });
+
+    testFramework.it('should light up matching colours and replay glows', () => {
+        const image = fill(fill(new Jimp(8, 8, 0x00000000), 0, 0, 4, 8, 0x102030ff), 4, 0, 4, 8, 0x00ffffff);
+        const emissive = LightMaps.emissiveMap(image, {
+            emissiveColors: ['#00FCFF'],
+            glows: [{ x: 0, y: 0, radius: 2, color: '#FF0000', intensity: 1 }]
+        });
+
+        testFramework.expect(pixel(emissive, 5, 5)).toEqual({ r: 0, g: 255, b: 255, a: 255 });
+        testFramework.expect(pixel(emissive, 2, 5).a).toBe(0);
+        testFramework.expect(pixel(emissive, 0, 0)).toEqual({ r: 255, g: 0, b: 0, a: 255 });
+        testFramework.expect(pixel(fixtures.orb.emissive, 16, 16).a > 0).toBe(true);
+        testFramework.expect(pixel(fixtures.orb.emissive, 0, 0).a).toBe(0);
+    });
+
+    testFramework.it('should cut terrain light maps along the transition edges', () => {
+        const { tileset, maps } = fixtures.transition;
+        const tileAt = mask => tileset.tiles.find(tile => tile.mask === mask).id;
+        const emissiveAt = (id, x, y) => pixel(maps.emissive, (id % tileset.columns) * 8 + x, Math.floor(id / tileset.columns) * 8 + y).a;
+
+        testFramework.expect(maps.normal.bitmap.width).toBe(fixtures.transition.image.bitmap.width);
+        testFramework.expect(emissiveAt(tileAt(255), 4, 4)).toBe(255);
+        testFramework.expect(emissiveAt(tileAt(null), 4, 4)).toBe(0);
+    });
+
+    testFramework.it('should pack maps into pages with the same rects as the sprites', () => {
+        const { maps, metadata } = fixtures.spritesheet;
+        const lit = metadata.frames.lit;
+        const plain = metadata.frames.plain;
+        const squareNormal = LightMaps.normalMap(fixtures.square);
+
+        testFramework.expect(maps.normal.bitmap.width).toBe(fixtures.spritesheet.spritesheet.bitmap.width);
+        testFramework.expect(pixel(maps.normal, lit.frame.x, lit.frame.y + 3)).toEqual(pixel(squareNormal, 2, 5));
+        testFramework.expect(pixel(maps.normal, plain.frame.x, plain.frame.y)).toEqual({ r: 128, g: 128, b: 255, a: 255 });
+        testFramework.expect(metadata.meta.normal_map).toBe('props_normal.png');
+        testFramework.expect(SpritesheetPacker.getMapFileName('props', 1, 2, 'emissive', 'png')).toBe('props-1_emissive.png');
+    });
+});
+
+module.exports = testFramework.runFile(module);
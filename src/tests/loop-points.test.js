@@ -0,0 +1,118 @@
+/**
+ * TPT Asset Editor Desktop - Loop Points Tests
+ * Unit tests for crossfaded and bar-length loops, WAV smpl markers and Ogg loop comments
+ */
+
+const { WaveFile } = require('wavefile');
+const TestFramework = require('./test-framework');
+const LoopPoints = require('../utils/loop-points');
+const VorbisComments = require('../utils/vorbis-comments');
+const AudioGenerator = require('../generators/audio-generator');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+// A minimal Ogg Vorbis stream: identification, comment and setup headers, then one audio page
+function buildOggVorbis(comments) {
+    const ident = Buffer.concat([Buffer.from([1]), Buffer.from('vorbis', 'latin1'), Buffer.alloc(23, 7)]);
+    const comment = VorbisComments.buildCommentPacket('TPT test', comments);
+    const setup = Buffer.concat([Buffer.from([5]), Buffer.from('vorbis', 'latin1'), Buffer.alloc(600, 9)]);
+    const audio = Buffer.from([0x3C, 0x5A, 0xA5, 0xC3]);
+
+    const pages = [
+        ...VorbisComments.paginate([ident], 1234, 0, { headerType: 0x02 }),
+        ...VorbisComments.paginate([comment, setup], 1234, 1),
+        ...VorbisComments.paginate([audio], 1234, 2, { headerType: 0x04 })
+    ];
+    return Buffer.concat(pages.map(VorbisComments.serializePage));
+}
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const audio = new AudioGenerator();
+
+    fixtures.music = await audio.generateMusic({ style: 'combat', duration: 3, loop: true });
+    fixtures.resampled = await audio.exportAsWAV(fixtures.music, { sampleRate: 22050 });
+    fixtures.ambient = await audio.generateAmbient({ type: 'cave', channels: 2, duration: 1, seed: 4, loop: true, crossfade: 0.25 });
+    fixtures.plain = await audio.generateMusic({ style: 'combat', duration: 1 });
+    fixtures.noBeat = await audio.generateAmbient({ type: 'cave', duration: 1, loop: 'bars' }).catch(error => error);
+    fixtures.unknownMode = await audio.generateMusic({ style: 'combat', duration: 1, loop: 'pingpong' }).catch(error => error);
+    fixtures.ogg = await audio.exportAudio(fixtures.music, 'ogg').catch(error => error);
+}
+
+testFramework.describe('Loop Points', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should crossfade the tail into the head without a seam', () => {
+        // A ramp jumps from 1 back to 0 when looped as is
+        const ramp = Float32Array.from({ length: 1100 }, (value, i) => i / 1000);
+        const looped = LoopPoints.crossfade(ramp, 100);
+        const seam = Math.abs(looped[0] - looped[looped.length - 1]);
+
+        testFramework.expect(looped.length).toBe(1000);
+        testFramework.expect(seam < 0.02).toBe(true);
+        testFramework.expect(looped.slice(100).every((sample, i) => sample === ramp[100 + i])).toBe(true);
+        testFramework.expect(() => LoopPoints.crossfade(ramp, 600)).toThrow();
+    });
+
+    testFramework.it('should find the nearest rising zero crossing in the window', () => {
+        // Rising crossings of a 100-sample sine at 0, 100, 200...
+        const sine = Float32Array.from({ length: 400 }, (value, i) => Math.sin(2 * Math.PI * (i + 0.5) / 100));
+
+        testFramework.expect(LoopPoints.findZeroCrossing(sine, 190, 20)).toBe(200);
+        testFramework.expect(LoopPoints.findZeroCrossing([sine, sine], 110, 20)).toBe(100);
+        testFramework.expect(LoopPoints.findZeroCrossing(sine, 110, 20, { forward: true })).toBe(110);
+        testFramework.expect(LoopPoints.findZeroCrossing(sine, 150, 20)).toBe(150);
+    });
+
+    testFramework.it('should compose music loops to whole bars and mark them in the smpl chunk', () => {
+        const { loop } = fixtures.music.metadata;
+        const barLength = 0.5 * 4 * 44100;
+        const wav = new WaveFile(Buffer.from(fixtures.music.audio.data, 'base64'));
+        const resampled = new WaveFile(Buffer.from(fixtures.resampled.audio.data, 'base64'));
+
+        testFramework.expect(loop.mode).toBe('bars');
+        testFramework.expect(loop.bars).toBe(2);
+        testFramework.expect(Math.abs(loop.end - loop.start - 2 * barLength) <= 2 * 441).toBe(true);
+        testFramework.expect(wav.getSamples(false).length).toBe(loop.end);
+        testFramework.expect(wav.smpl.loops.map(marker => [marker.dwStart, marker.dwEnd])).toEqual([[loop.start, loop.end - 1]]);
+        testFramework.expect(resampled.smpl.loops[0].dwStart).toBe(Math.round(loop.start / 2));
+        testFramework.expect(fixtures.plain.audio.loop).toBe(undefined);
+    });
+
+    testFramework.it('should crossfade ambient loops to the exact duration', () => {
+        const wav = new WaveFile(Buffer.from(fixtures.ambient.audio.data, 'base64'));
+
+        testFramework.expect(fixtures.ambient.audio.loop).toEqual({ start: 0, end: 44100 });
+        testFramework.expect(fixtures.ambient.metadata.loop.mode).toBe('crossfade');
+        testFramework.expect(wav.getSamples(false).map(channel => channel.length)).toEqual([44100, 44100]);
+        testFramework.expect(wav.smpl.loops[0].dwEnd).toBe(44099);
+        testFramework.expect(fixtures.noBeat.message).toBe('Bar-length loops need a music style');
+        testFramework.expect(fixtures.unknownMode.message).toBe('Unknown loop mode: pingpong');
+    });
+
+    testFramework.it('should write LOOPSTART and LOOPLENGTH into Ogg Vorbis comments', () => {
+        const original = buildOggVorbis(['TITLE=Cave', 'loopstart=5']);
+        const tagged = VorbisComments.write(original, { LOOPSTART: 190, LOOPLENGTH: 176361 });
+        const pages = VorbisComments.parsePages(tagged);
+        const audioPage = pages[pages.length - 1];
+
+        testFramework.expect(VorbisComments.read(original).comments).toEqual({ TITLE: 'Cave', LOOPSTART: '5' });
+        testFramework.expect(VorbisComments.read(tagged)).toEqual({
+            vendor: 'TPT test',
+            comments: { TITLE: 'Cave', LOOPSTART: '190', LOOPLENGTH: '176361' }
+        });
+        testFramework.expect(pages.every(page => VorbisComments.serializePage(page).equals(page.raw))).toBe(true);
+        testFramework.expect(Array.from(audioPage.data)).toEqual([0x3C, 0x5A, 0xA5, 0xC3]);
+        testFramework.expect(audioPage.sequence).toBe(pages.length - 1);
+        testFramework.expect(() => VorbisComments.write(Buffer.from('OggS'), {})).toThrow();
+        testFramework.expect(fixtures.ogg.message).toBe('Ogg export is not supported (use wav or mp3)');
+    });
+});
+
+module.exports = testFramework.runFile(module);
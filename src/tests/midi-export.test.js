@@ -0,0 +1,114 @@
+/**
+ * TPT Asset Editor Desktop - MIDI Export Tests
+ * Unit tests for composed note tracks, Standard MIDI File export and import, and
+ * rendering MIDI through the composer's voices
+ */
+
+const TestFramework = require('./test-framework');
+const MidiFile = require('../utils/midi-file');
+const MusicComposer = require('../generators/music-composer');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+// A format 0 file as a DAW might write it: running status, note-on with velocity 0 as
+// note-off, a melody on channel 1 and a drum on channel 10, at 90 bpm in 3/4
+function buildFormat0() {
+    const events = [
+        0x00, 0xFF, 0x51, 0x03, 0x0A, 0x2C, 0x2B,
+        0x00, 0xFF, 0x58, 0x04, 0x03, 0x02, 0x18, 0x08,
+        0x00, 0x90, 0x45, 0x50,
+        0x00, 0x99, 0x26, 0x7F,
+        0x60, 0x89, 0x26, 0x00,
+        0x60, 0x90, 0x45, 0x00,
+        0x00, 0x48, 0x64,
+        0x83, 0x00, 0x48, 0x00,
+        0x00, 0xFF, 0x2F, 0x00
+    ];
+    const header = Buffer.from([0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 0x60]);
+    const track = Buffer.alloc(8);
+    track.write('MTrk', 0, 'latin1');
+    track.writeUInt32BE(events.length, 4);
+    return Buffer.concat([header, track, Buffer.from(events)]);
+}
+
+function noteSummary(track) {
+    return track.notes.map(note => [note.pitch, note.start, note.duration, note.velocity]);
+}
+
+function findMeta(buffer, type) {
+    for (let i = 0; i < buffer.length - 1; i++) {
+        if (buffer[i] === 0xFF && buffer[i + 1] === type) return Array.from(buffer.subarray(i + 3, i + 3 + buffer[i + 2]));
+    }
+    return null;
+}
+
+const composer = new MusicComposer();
+const melody = composer.composeMelody(['C', 'E', 'G', 440], 0.5);
+const harmony = composer.composeHarmony([[261.63, 329.63, 392.00], [220.00, 261.63, 329.63]], 3, 90);
+const rhythm = composer.composeRhythm([1, 0, 1, 1, 1, 1], 90, 3);
+const score = composer.createScore([melody, harmony, rhythm], { tempo: 90, timeSignature: { numerator: 3, denominator: 4 } });
+const midi = composer.exportMIDI(score);
+
+testFramework.describe('MIDI Export', () => {
+    testFramework.it('should compose melody, harmony and rhythm tracks in beats', () => {
+        testFramework.expect(noteSummary(melody)).toEqual([[60, 0, 0.5, 100], [64, 0.5, 0.5, 100], [67, 1, 0.5, 100], [69, 1.5, 0.5, 100]]);
+        testFramework.expect(harmony.notes.map(note => [note.pitch, note.start, note.duration])).toEqual([
+            [60, 0, 2.25], [64, 0, 2.25], [67, 0, 2.25], [57, 2.25, 2.25], [60, 2.25, 2.25], [64, 2.25, 2.25]
+        ]);
+        testFramework.expect(rhythm.notes.map(note => note.start)).toEqual([0, 2, 3, 4]);
+        testFramework.expect(rhythm.channel).toBe(9);
+        testFramework.expect(composer.generateMelody(['C', 'E'], 1, 120).length).toBe(44100);
+    });
+
+    testFramework.it('should write a format 1 file with a conductor track and a track per voice', () => {
+        testFramework.expect(midi.toString('latin1', 0, 4)).toBe('MThd');
+        testFramework.expect(midi.readUInt16BE(8)).toBe(1);
+        testFramework.expect(midi.readUInt16BE(10)).toBe(4);
+        testFramework.expect(midi.readUInt16BE(12)).toBe(MidiFile.DEFAULT_TICKS_PER_BEAT);
+        testFramework.expect(findMeta(midi, 0x51)).toEqual([0x0A, 0x2C, 0x2B]);
+        testFramework.expect(findMeta(midi, 0x58)).toEqual([3, 2, 24, 8]);
+        testFramework.expect(MidiFile.encodeVariable(0x3FFF)).toEqual([0xFF, 0x7F]);
+    });
+
+    testFramework.it('should read exported files back to the same notes and voices', () => {
+        const imported = composer.importMIDI(midi);
+
+        testFramework.expect(imported.tempo).toBe(90);
+        testFramework.expect(imported.timeSignature).toEqual({ numerator: 3, denominator: 4 });
+        testFramework.expect(imported.tracks.map(track => track.voice)).toEqual(['melody', 'harmony', 'rhythm']);
+        testFramework.expect(imported.tracks.map(track => track.program)).toEqual([73, 48, 0]);
+        imported.tracks.forEach((track, index) => {
+            testFramework.expect(noteSummary(track)).toEqual(noteSummary(score.tracks[index]));
+        });
+    });
+
+    testFramework.it('should import format 0 files with running status and render them', () => {
+        const imported = composer.importMIDI(buildFormat0(), { voice: 'harmony' });
+        const rendered = composer.renderMIDI(buildFormat0());
+
+        testFramework.expect(Math.round(imported.tempo)).toBe(90);
+        testFramework.expect(imported.timeSignature).toEqual({ numerator: 3, denominator: 4 });
+        testFramework.expect(imported.tracks.map(track => [track.channel, track.voice])).toEqual([[0, 'harmony'], [9, 'rhythm']]);
+        testFramework.expect(noteSummary(imported.tracks[0])).toEqual([[69, 0, 2, 80], [72, 2, 4, 100]]);
+        testFramework.expect(noteSummary(imported.tracks[1])).toEqual([[38, 0, 1, 127]]);
+        testFramework.expect(rendered.length).toBe(Math.floor(6 * (60 / imported.tempo) * 44100));
+        testFramework.expect(rendered.some(sample => sample !== 0)).toBe(true);
+    });
+
+    testFramework.it('should reject files and options it cannot handle', () => {
+        const smpte = buildFormat0();
+        smpte.writeUInt16BE(0xE728, 12);
+
+        testFramework.expect(() => composer.importMIDI(Buffer.from('RIFF0000WAVE'))).toThrow();
+        testFramework.expect(() => composer.importMIDI(smpte)).toThrow();
+        testFramework.expect(() => composer.importMIDI(midi, { voice: 'choir' })).toThrow();
+        testFramework.expect(() => composer.exportMIDI({ tempo: 120, timeSignature: { numerator: 7, denominator: 6 }, tracks: [] })).toThrow();
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -0,0 +1,137 @@
+/**
+ * TPT Asset Editor Desktop - Palette Library Tests
+ * Unit tests for palette file round trips and palette-locked quantization
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Jimp = require('jimp');
+const TestFramework = require('./test-framework');
+const PaletteLibrary = require('../utils/palette-library');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+const SAMPLE_PALETTE = {
+    name: 'sample',
+    colors: [
+        { r: 0, g: 0, b: 0, name: 'Ink' },
+        { r: 255, g: 241, b: 232, name: 'Paper' },
+        { r: 41, g: 173, b: 255 },
+        { r: 255, g: 0, b: 77, name: 'Cherry' }
+    ]
+};
+
+// Flat mid grey with a transparent top-left pixel, for dithering to black and white
+function createGreyImage() {
+    const image = new Jimp(8, 8, 0x808080FF);
+    image.setPixelColor(0xFF000010, 0, 0);
+    return image;
+}
+
+function pixelColors(image) {
+    const colors = [];
+    image.scan(0, 0, image.bitmap.width, image.bitmap.height, (x, y, idx) => {
+        colors.push(Array.from(image.bitmap.data.subarray(idx, idx + 4)).join(','));
+    });
+    return colors;
+}
+
+async function loadFixtures() {
+    const library = new PaletteLibrary();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpt-palettes-'));
+
+    try {
+        fixtures.roundTrips = {};
+        for (const extension of ['gpl', 'pal', 'hex', 'aseprite', 'ase']) {
+            const file = await library.save(SAMPLE_PALETTE, path.join(dir, `sample.${extension}`));
+            fixtures.roundTrips[extension] = await library.load(file);
+        }
+        fixtures.resolved = await new PaletteLibrary().resolve(path.join(dir, 'sample.gpl'));
+        fixtures.badExtension = await library.save(SAMPLE_PALETTE, path.join(dir, 'sample.act')).catch(error => error);
+        fixtures.missingFile = await library.resolve(path.join(dir, 'missing.pal')).catch(error => error);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+testFramework.describe('Palette Library', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    let library;
+    const blackAndWhite = { name: 'bw', colors: ['000000', 'ffffff'] };
+
+    testFramework.beforeEach(() => {
+        library = new PaletteLibrary();
+    });
+
+    testFramework.it('should read back every palette format it writes', () => {
+        const rgb = palette => palette.colors.map(({ r, g, b }) => [r, g, b]);
+        const expected = rgb(SAMPLE_PALETTE);
+
+        Object.values(fixtures.roundTrips).forEach(palette => {
+            testFramework.expect(rgb(palette)).toEqual(expected);
+        });
+        testFramework.expect(fixtures.roundTrips.gpl.name).toBe('sample');
+        testFramework.expect(fixtures.roundTrips.gpl.colors.map(color => color.name)).toEqual(['Ink', 'Paper', '29adff', 'Cherry']);
+        testFramework.expect(fixtures.roundTrips.aseprite.colors.map(color => color.name)).toEqual(['Ink', 'Paper', undefined, 'Cherry']);
+        testFramework.expect(fixtures.resolved.colors.length).toBe(4);
+    });
+
+    testFramework.it('should parse palette files written by other tools', () => {
+        const gpl = library.parse('GIMP Palette\nName: Dusk\nColumns: 2\n# comment\n 12  34  56\tNight\n255 255 255\n', 'gpl');
+        const pal = library.parse('JASC-PAL\r\n0100\r\n2\r\n1 2 3\r\n4 5 6\r\n', 'pal', 'jasc');
+        const hex = library.parse('#FF0000\n00ff00\n; not a colour\n', 'hex', 'lospec');
+
+        testFramework.expect(gpl).toEqual({ name: 'Dusk', colors: [{ r: 12, g: 34, b: 56, name: 'Night' }, { r: 255, g: 255, b: 255 }] });
+        testFramework.expect(pal.colors).toEqual([{ r: 1, g: 2, b: 3 }, { r: 4, g: 5, b: 6 }]);
+        testFramework.expect(hex.colors).toEqual([{ r: 255, g: 0, b: 0 }, { r: 0, g: 255, b: 0 }]);
+        testFramework.expect(library.get('PICO-8').colors.length).toBe(16);
+        testFramework.expect(library.list().map(palette => palette.name)).toEqual(['pico-8', 'db32', 'nes', 'gameboy']);
+    });
+
+    testFramework.it('should quantize to the nearest palette colours without dithering', () => {
+        const image = createGreyImage();
+        image.setPixelColor(0x202020FF, 1, 0);
+        image.setPixelColor(0xE0E0E0FF, 2, 0);
+        library.quantize(image, library.normalize(blackAndWhite));
+        const colors = pixelColors(image);
+
+        testFramework.expect(colors.slice(0, 3)).toEqual(['0,0,0,0', '0,0,0,255', '255,255,255,255']);
+        testFramework.expect(colors.every(color => ['0,0,0,0', '0,0,0,255', '255,255,255,255'].includes(color))).toBe(true);
+        testFramework.expect(new Set(colors.slice(3)).size).toBe(1);
+    });
+
+    testFramework.it('should dither mid grey into a mix of palette colours', () => {
+        ['bayer', 'floyd-steinberg', 'atkinson'].forEach(dither => {
+            const image = library.quantize(createGreyImage(), library.normalize(blackAndWhite), { dither });
+            const opaque = pixelColors(image).slice(1);
+            const white = opaque.filter(color => color === '255,255,255,255').length;
+
+            testFramework.expect(opaque.every(color => color === '0,0,0,255' || color === '255,255,255,255')).toBe(true);
+            testFramework.expect(white > 16 && white < 48).toBe(true);
+        });
+
+        const bayer = PaletteLibrary.bayerMatrix(2);
+        testFramework.expect(bayer.matrix).toEqual([[0.125, 0.625], [0.875, 0.375]]);
+    });
+
+    testFramework.it('should reject unknown formats, dither modes and palettes', () => {
+        testFramework.expect(fixtures.badExtension.message).toBe('Unsupported palette format: .act');
+        testFramework.expect(fixtures.missingFile.message.startsWith('ENOENT')).toBe(true);
+        testFramework.expect(() => library.parse('Not a palette', 'gpl')).toThrow('Not a GIMP palette: missing "GIMP Palette" header');
+        testFramework.expect(() => library.parseAseprite(Buffer.alloc(128), 'empty')).toThrow('Not an Aseprite file: bad header magic');
+        testFramework.expect(() => library.quantize(createGreyImage(), blackAndWhite, { dither: 'noise' })).toThrow('Unsupported dither mode: noise');
+        testFramework.expect(() => library.quantize(createGreyImage(), { colors: [] })).toThrow('Cannot quantize to an empty palette');
+        testFramework.expect(() => PaletteLibrary.bayerMatrix(3)).toThrow('Bayer matrix size must be 2, 4 or 8, got 3');
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -0,0 +1,113 @@
+/**
+ * TPT Asset Editor Desktop - Paper Doll Tests
+ * Unit tests for paper-doll characters built from anchored body, hair and equipment layers
+ */
+
+const Jimp = require('jimp');
+const TestFramework = require('./test-framework');
+const PaperDollGenerator = require('../generators/sprite-generators/paper-doll-generator');
+const SpriteGenerator = require('../generators/sprite-generator');
+const BasicAnimationSystem = require('../generators/basic-animation-system');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const outfit = {
+    cape: { capeType: 'cloak', capeColor: 'red' },
+    boots: true,
+    helmet: { subtype: 'great_helm', material: 'steel' },
+    weapon: { type: 'swords' }
+};
+
+function bounds(image) {
+    const { width, height, data } = image.bitmap;
+    const xs = [];
+    const ys = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] > 0) {
+                xs.push(x);
+                ys.push(y);
+            }
+        }
+    }
+    return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+}
+
+const layer = (layers, name) => layers.find(entry => entry.name === name).image;
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const generator = new PaperDollGenerator();
+    fixtures.image = new Jimp(64, 96, 0x00000000);
+    fixtures.layers = await generator.generate(fixtures.image, { seed: 21, outfit });
+    fixtures.swapped = await generator.generate(new Jimp(64, 96, 0x00000000), {
+        seed: 21,
+        outfit: { ...outfit, helmet: { accessoryType: 'hats', hatType: 'wizard_hat' } }
+    });
+    fixtures.bald = await generator.generate(new Jimp(64, 96, 0x00000000), { seed: 21, hairStyle: 'none', bodyType: 'heavy' });
+    fixtures.unknownSlot = await generator.generate(new Jimp(8, 8, 0x00000000), { outfit: { tail: true } }).catch(error => error);
+    fixtures.sprite = await new SpriteGenerator().generate({ seed: 21, outfit });
+
+    const views = await generator.generateDirections(new Jimp(32, 48, 0x00000000), { seed: 21, directions: 4, outfit: { helmet: true, weapon: true } });
+    fixtures.sheet = await new BasicAnimationSystem().generateDirectionalSheet(views, { seed: 21, animations: { walk: 'walk_cycle' } });
+}
+
+testFramework.describe('Paper Doll', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should stack the body, hair and equipment layers and flatten them into the image', () => {
+        const flattened = PaperDollGenerator.flatten(fixtures.layers, new Jimp(64, 96, 0x00000000));
+
+        testFramework.expect(fixtures.layers.map(entry => entry.name)).toEqual(['cape', 'body', 'hair', 'boots', 'helmet', 'weapon']);
+        testFramework.expect(fixtures.image.bitmap.data.equals(flattened.bitmap.data)).toBe(true);
+        testFramework.expect(fixtures.sprite.sprite.layers.map(entry => entry.name)).toEqual(['cape', 'body', 'hair', 'boots', 'helmet', 'weapon']);
+        testFramework.expect(fixtures.sprite.metadata.anchors.head).toEqual({ x: 32, y: 18 });
+    });
+
+    testFramework.it('should keep every other layer the same when a piece is swapped', () => {
+        ['cape', 'body', 'hair', 'boots', 'weapon'].forEach(name => {
+            testFramework.expect(layer(fixtures.swapped, name).bitmap.data.equals(layer(fixtures.layers, name).bitmap.data)).toBe(true);
+        });
+        testFramework.expect(layer(fixtures.swapped, 'helmet').bitmap.data.equals(layer(fixtures.layers, 'helmet').bitmap.data)).toBe(false);
+    });
+
+    testFramework.it('should fit pieces into their slots around the body anchors', () => {
+        const anchors = new PaperDollGenerator().getAnchors(64, 96);
+        const helmet = bounds(layer(fixtures.layers, 'helmet'));
+        const boots = bounds(layer(fixtures.layers, 'boots'));
+
+        testFramework.expect(Math.abs((helmet.minX + helmet.maxX + 1) / 2 - anchors.head.x) <= 1).toBe(true);
+        testFramework.expect(Math.abs((helmet.minY + helmet.maxY + 1) / 2 - anchors.head.y) <= 1).toBe(true);
+        testFramework.expect(helmet.maxX - helmet.minX + 1 <= Math.round(64 * PaperDollGenerator.SLOTS.helmet.box.width)).toBe(true);
+        testFramework.expect(boots.minX < anchors.leftFoot.x && boots.maxX > anchors.rightFoot.x).toBe(true);
+    });
+
+    testFramework.it('should follow the body config and reject unknown slots', () => {
+        const generator = new PaperDollGenerator();
+
+        testFramework.expect(fixtures.bald.map(entry => entry.name)).toEqual(['body']);
+        testFramework.expect(generator.getAnchors(64, 96, 'heavy').rightHand.x > generator.getAnchors(64, 96).rightHand.x).toBe(true);
+        testFramework.expect(() => generator.getAnchors(64, 96, 'giant')).toThrow();
+        testFramework.expect(fixtures.unknownSlot.message).toBe('Unknown equipment slot: tail');
+    });
+
+    testFramework.it('should pack a sheet per layer on the same grid as the flattened sheet', () => {
+        const { spritesheet, layerSheets } = fixtures.sheet;
+        const frame = 'walk_east_3';
+
+        testFramework.expect(Object.keys(layerSheets)).toEqual(['body', 'hair', 'helmet', 'weapon', 'effects']);
+        Object.values(layerSheets).forEach(sheet => {
+            testFramework.expect(sheet.grid).toEqual(spritesheet.grid);
+        });
+        testFramework.expect(layerSheets.helmet.metadata.meta.image).toBe('helmet.png');
+        testFramework.expect(layerSheets.weapon.metadata.frames[frame].sourceSize).toEqual(spritesheet.metadata.frames[frame].sourceSize);
+    });
+});
+
+module.exports = testFramework.runFile(module);
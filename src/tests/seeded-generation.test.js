@@ -0,0 +1,116 @@
+/**
+ * TPT Asset Editor Desktop - Seeded Generation Tests
+ * Unit tests for reproducible generation, seeds in asset metadata and overlapping seeded runs
+ */
+
+const TestFramework = require('./test-framework');
+const Store = require('../core/store');
+const GeneratorService = require('../core/services/generator-service');
+const SeededRandom = require('../utils/seeded-random');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+function createService() {
+    const store = new Store({ persistenceEnabled: false });
+    store.getState('generators').settings.quality = 'standard';
+    return new GeneratorService({ createAsset: async (assetData) => assetData }, store);
+}
+
+// Draws a few numbers on either side of an await, so overlapping runs interleave
+async function drawAcrossAwaits(count) {
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        values.push(Math.random());
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    return values;
+}
+
+async function loadFixtures() {
+    fixtures.originalRandom = Math.random;
+    const service = createService();
+
+    fixtures.tile = await service.generateAsset('tile', { tileType: 'grass', seed: 42 });
+    fixtures.sameTile = await service.generateAsset('tile', { tileType: 'grass', seed: 42 });
+    fixtures.otherTile = await service.generateAsset('tile', { tileType: 'grass', seed: 43 });
+    fixtures.unseeded = await service.generateAsset('tile', { tileType: 'grass' });
+    fixtures.sfx = await service.generateAsset('sfx', { effectType: 'sfxr', category: 'laser', seed: 'zap' });
+
+    fixtures.concurrentTiles = await Promise.all([
+        service.generateAsset('tile', { tileType: 'grass', seed: 43 }),
+        service.generateAsset('tile', { tileType: 'grass', seed: 42 })
+    ]);
+
+    fixtures.sequential = [await SeededRandom.run('a', () => drawAcrossAwaits(5)), await SeededRandom.run('b', () => drawAcrossAwaits(5))];
+    fixtures.overlapping = await Promise.all([
+        SeededRandom.run('a', () => drawAcrossAwaits(5)),
+        SeededRandom.run('b', () => drawAcrossAwaits(5)),
+        drawAcrossAwaits(5)
+    ]);
+    fixtures.nested = await SeededRandom.run('a', async () => {
+        const before = Math.random();
+        const inner = await SeededRandom.run('b', () => drawAcrossAwaits(2));
+        return { before, inner, after: Math.random(), active: SeededRandom.isActive() };
+    });
+    fixtures.restored = Math.random === fixtures.originalRandom;
+}
+
+testFramework.describe('Seeded Generation', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should generate identical assets from the same seed', () => {
+        const { tile, sameTile, otherTile } = fixtures;
+
+        testFramework.expect(sameTile.sprite.data).toBe(tile.sprite.data);
+        testFramework.expect(otherTile.sprite.data === tile.sprite.data).toBe(false);
+    });
+
+    testFramework.it('should record the seed alongside the generator metadata', () => {
+        const { tile, unseeded, sfx } = fixtures;
+
+        testFramework.expect(tile.metadata.seed).toBe(42);
+        testFramework.expect(tile.metadata.tileType).toBe('grass');
+        testFramework.expect(typeof unseeded.metadata.seed).toBe('number');
+        testFramework.expect(unseeded.generator.config.seed).toBe(unseeded.metadata.seed);
+        testFramework.expect(sfx.metadata.seed).toBe('zap');
+        testFramework.expect(sfx.metadata.sfxr.oldParams).toBe(true);
+        testFramework.expect(typeof sfx.metadata.config_hash).toBe('string');
+        testFramework.expect(typeof sfx.metadata.generation_time).toBe('number');
+    });
+
+    testFramework.it('should keep concurrent generations reproducible', () => {
+        const [other, same] = fixtures.concurrentTiles;
+
+        testFramework.expect(same.sprite.data).toBe(fixtures.tile.sprite.data);
+        testFramework.expect(other.sprite.data).toBe(fixtures.otherTile.sprite.data);
+    });
+
+    testFramework.it('should give overlapping seeded runs their own streams', () => {
+        const [a, b, unseeded] = fixtures.overlapping;
+
+        testFramework.expect(a).toEqual(fixtures.sequential[0]);
+        testFramework.expect(b).toEqual(fixtures.sequential[1]);
+        testFramework.expect(unseeded.some(value => a.includes(value) || b.includes(value))).toBe(false);
+    });
+
+    testFramework.it('should resume the outer stream after a nested run and restore Math.random', () => {
+        const outer = new SeededRandom('a');
+        const { before, inner, after, active } = fixtures.nested;
+
+        testFramework.expect(before).toBe(outer.next());
+        testFramework.expect(inner).toEqual(fixtures.sequential[1].slice(0, 2));
+        testFramework.expect(after).toBe(outer.next());
+        testFramework.expect(active).toBe(true);
+        testFramework.expect(SeededRandom.isActive()).toBe(false);
+        testFramework.expect(fixtures.restored).toBe(true);
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -0,0 +1,106 @@
+/**
+ * TPT Asset Editor Desktop - Sfxr Synthesizer Tests
+ * Unit tests for sfxr/jsfxr parameters, category randomizers, mutation, their file
+ * formats and sfxr sound effects from the audio generator
+ */
+
+const TestFramework = require('./test-framework');
+const SeededRandom = require('../utils/seeded-random');
+const SfxrSynthesizer = require('../generators/sfxr-synthesizer');
+const AudioGenerator = require('../generators/audio-generator');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const sfxr = new SfxrSynthesizer();
+    const audio = new AudioGenerator();
+    const generateAll = () => Object.keys(SfxrSynthesizer.CATEGORIES).map(category => sfxr.generate(category));
+
+    fixtures.categories = await SeededRandom.run('sfxr', generateAll);
+    fixtures.repeated = await SeededRandom.run('sfxr', generateAll);
+    fixtures.mutated = await SeededRandom.run('mutate', () => sfxr.mutate(fixtures.categories[0], 0.1));
+
+    fixtures.laser = await SeededRandom.run('laser', () => audio.generateSFX({ effectType: 'sfxr', category: 'laser', mutate: 2 }));
+    fixtures.imported = await audio.generateSFX({ effectType: 'sfxr', sfxr: JSON.stringify(fixtures.laser.metadata.sfxr) });
+    fixtures.unknown = await audio.generateSFX({ effectType: 'sfxr', category: 'meow' }).catch(error => error);
+}
+
+const sfxr = new SfxrSynthesizer();
+
+testFramework.describe('Sfxr Synthesizer', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should fill in defaults and clamp parameters to their ranges', () => {
+        const params = sfxr.createParams({ wave_type: 'sawtooth', p_freq_ramp: -3, p_env_decay: 2, sample_rate: 12345, sound_vol: '0.25' });
+
+        testFramework.expect(params.wave_type).toBe(1);
+        testFramework.expect(params.p_freq_ramp).toBe(-1);
+        testFramework.expect(params.p_env_decay).toBe(1);
+        testFramework.expect(params.p_lpf_freq).toBe(1);
+        testFramework.expect(params.sound_vol).toBe(0.25);
+        testFramework.expect(params.sample_rate).toBe(44100);
+        testFramework.expect(params.sample_size).toBe(8);
+        testFramework.expect(sfxr.createParams({ wave_type: '3' }).wave_type).toBe(3);
+    });
+
+    testFramework.it('should randomize every category reproducibly into audible sounds', () => {
+        const { categories, repeated } = fixtures;
+
+        testFramework.expect(repeated).toEqual(categories);
+        categories.forEach(params => {
+            const samples = sfxr.render(params);
+            testFramework.expect(samples.length > 0).toBe(true);
+            testFramework.expect(samples.every(sample => Number.isFinite(sample) && Math.abs(sample) <= 1)).toBe(true);
+            testFramework.expect(samples.some(sample => Math.abs(sample) > 0.01)).toBe(true);
+        });
+        testFramework.expect(() => sfxr.generate('meow')).toThrow();
+    });
+
+    testFramework.it('should mutate within range and downsample and crush when rendering', () => {
+        const [pickup] = fixtures.categories;
+        const changed = Object.keys(SfxrSynthesizer.PARAMETERS).filter(name => fixtures.mutated[name] !== pickup[name]);
+        const held = sfxr.render({ ...pickup, sample_rate: 11025, sample_size: 16 });
+        const crushed = sfxr.render({ ...pickup, sample_size: 16, p_bit_crush: 1 });
+
+        testFramework.expect(changed.length > 0).toBe(true);
+        testFramework.expect(changed.every(name => Math.abs(fixtures.mutated[name] - pickup[name]) <= 0.1 + 1e-9)).toBe(true);
+        testFramework.expect(held[0] === held[1] && held[1] === held[2] && held[2] === held[3]).toBe(true);
+        testFramework.expect(new Set(crushed).size <= 4).toBe(true);
+    });
+
+    testFramework.it('should round-trip jsfxr JSON and sfxr .sfs settings files', () => {
+        const params = fixtures.categories[1];
+        const json = sfxr.toJSON(params);
+        const sfs = sfxr.toSFS(params);
+        const loaded = sfxr.fromSFS(sfs);
+
+        testFramework.expect(json.oldParams).toBe(true);
+        testFramework.expect(sfxr.fromJSON(JSON.stringify(json))).toEqual(params);
+        testFramework.expect(sfs.readInt32LE(0)).toBe(102);
+        testFramework.expect(sfs.length).toBe(105);
+        testFramework.expect(loaded.wave_type).toBe(params.wave_type);
+        Object.keys(SfxrSynthesizer.PARAMETERS).filter(name => name !== 'p_bit_crush').forEach(name => {
+            testFramework.expect(loaded[name]).toBe(Math.fround(params[name]));
+        });
+        testFramework.expect(() => sfxr.fromSFS(Buffer.from('RIFF0000WAVE'))).toThrow();
+    });
+
+    testFramework.it('should generate sfxr sound effects that last as long as their envelope', () => {
+        const { laser, imported } = fixtures;
+
+        testFramework.expect(laser.name).toBe('Sfxr SFX');
+        testFramework.expect(laser.metadata.sfxr.oldParams).toBe(true);
+        testFramework.expect(laser.audio.duration).toBe(sfxr.render(laser.metadata.sfxr).length / 44100);
+        testFramework.expect(imported.audio.data).toBe(laser.audio.data);
+        testFramework.expect(fixtures.unknown.message).toBe('Unknown sound category: meow');
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -0,0 +1,124 @@
+/**
+ * TPT Asset Editor Desktop - Skeletal Export Tests
+ * Unit tests for body-part rigs and their Spine and DragonBones skeletons
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+const TestFramework = require('./test-framework');
+const SkeletonRig = require('../utils/skeleton-rig');
+const SkeletalExporter = require('../generators/skeletal-exporter');
+const SpriteGenerator = require('../generators/sprite-generator');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const outputPath = path.join('./test-results', 'skeletal');
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const generator = new SpriteGenerator();
+    const exporter = new SkeletalExporter();
+    fixtures.hero = await generator.generate({ classType: 'warrior', seed: 7 });
+    fixtures.wolf = await generator.generate({ monsterType: 'wolf', seed: 7 });
+    fixtures.heroImage = await Jimp.read(Buffer.from(fixtures.hero.sprite.data, 'base64'));
+
+    fixtures.skeleton = await exporter.buildSkeleton(fixtures.heroImage);
+    fixtures.spine = exporter.generateSpine(fixtures.skeleton);
+    fixtures.spineAtlas = exporter.generateSpineAtlas(fixtures.skeleton.atlas, 'Hero.png');
+    fixtures.dragonBones = exporter.generateDragonBones(fixtures.skeleton, 'Hero');
+    fixtures.dragonBonesAtlas = exporter.generateDragonBonesAtlas(fixtures.skeleton.atlas, 'Hero', 'Hero_tex.png');
+
+    fixtures.spineExport = await exporter.export(fixtures.heroImage, { format: 'spine', outputPath, baseName: 'Hero' });
+    fixtures.wolfExport = await exporter.exportAsset(fixtures.wolf, { format: 'dragonbones', outputPath });
+    fixtures.unknownFormat = await exporter.export(fixtures.heroImage, { format: 'unity' }).catch(error => error);
+}
+
+testFramework.describe('Skeletal Export', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should split every opaque pixel into exactly one body part', () => {
+        const { rig } = fixtures.skeleton;
+        let partPixels = 0;
+        let matching = 0;
+        rig.parts.forEach(part => {
+            part.image.scan(0, 0, part.image.bitmap.width, part.image.bitmap.height, (x, y, index) => {
+                if (part.image.bitmap.data[index + 3] === 0) return;
+                partPixels++;
+                if (part.image.getPixelColor(x, y) === fixtures.heroImage.getPixelColor(part.x + x, part.y + y)) matching++;
+            });
+        });
+        let spritePixels = 0;
+        fixtures.heroImage.scan(0, 0, rig.width, rig.height, (x, y, index) => {
+            if (fixtures.heroImage.bitmap.data[index + 3] > 0) spritePixels++;
+        });
+
+        testFramework.expect(rig.parts.map(part => part.name)).toEqual(['leftArm', 'leftLeg', 'rightLeg', 'body', 'head', 'rightArm']);
+        testFramework.expect(partPixels).toBe(spritePixels);
+        testFramework.expect(matching).toBe(spritePixels);
+    });
+
+    testFramework.it('should pick a rig for characters and monsters and list parents before children', () => {
+        testFramework.expect(SkeletonRig.getRigName(fixtures.hero)).toBe('humanoid');
+        testFramework.expect(SkeletonRig.getRigName(fixtures.wolf)).toBe('beast');
+        testFramework.expect(SkeletonRig.getRigName({ type: 'monster', metadata: { monsterType: 'dragon' } })).toBe('winged');
+        testFramework.expect(() => SkeletonRig.split(fixtures.heroImage, 'octopus')).toThrow();
+
+        Object.keys(SkeletonRig.RIGS).forEach(name => {
+            const bones = SkeletonRig.split(fixtures.heroImage, name).bones;
+            const names = bones.map(bone => bone.name);
+            bones.forEach((bone, index) => {
+                if (bone.parent) testFramework.expect(names.indexOf(bone.parent) < index).toBe(true);
+            });
+        });
+    });
+
+    testFramework.it('should write Spine bones, attachments and keys y up and counter-clockwise', () => {
+        const { rig, animations } = fixtures.skeleton;
+        const hips = rig.bones.find(bone => bone.name === 'hips');
+        const spineHips = fixtures.spine.bones.find(bone => bone.name === 'hips');
+        const walk = animations.walk.bones;
+        const frame = fixtures.skeleton.atlas.metadata.frames.head.frame;
+
+        testFramework.expect(fixtures.spine.bones[0]).toEqual({ name: 'root' });
+        testFramework.expect(spineHips.y).toBe(rig.origin.y - hips.y);
+        testFramework.expect(fixtures.spine.slots.map(slot => slot.name)).toEqual(rig.parts.map(part => part.name));
+        testFramework.expect(fixtures.spine.animations.walk.bones.leftLeg.rotate[1].value).toBe(-walk.leftLeg.rotate[1].angle);
+        testFramework.expect(fixtures.spine.animations.walk.bones.hips.translate[1].y).toBe(-walk.hips.translate[1].y);
+        testFramework.expect(Object.keys(fixtures.spine.animations)).toEqual(['walk', 'idle', 'attack', 'hurt']);
+        testFramework.expect(fixtures.spineAtlas.includes(`head\nbounds:${frame.x},${frame.y},${frame.w},${frame.h}\n`)).toBe(true);
+    });
+
+    testFramework.it('should write DragonBones frames that fill each animation', () => {
+        const armature = fixtures.dragonBones.armature[0];
+        const walk = armature.animation.find(animation => animation.name === 'walk');
+        const attack = armature.animation.find(animation => animation.name === 'attack');
+        const leg = walk.bone.find(bone => bone.name === 'leftLeg').rotateFrame;
+
+        testFramework.expect(walk.duration).toBe(Math.round(0.8 * 24));
+        testFramework.expect(leg.reduce((total, frame) => total + frame.duration, 0)).toBe(walk.duration);
+        testFramework.expect(leg[leg.length - 1].rotate).toBe(leg[0].rotate);
+        testFramework.expect(walk.playTimes).toBe(0);
+        testFramework.expect(attack.playTimes).toBe(1);
+        testFramework.expect(armature.defaultActions).toEqual([{ gotoAndPlay: 'idle' }]);
+        testFramework.expect(fixtures.dragonBonesAtlas.SubTexture.length).toBe(armature.slot.length);
+    });
+
+    testFramework.it('should write the skeleton, atlas and image files', () => {
+        const wolf = JSON.parse(fs.readFileSync(fixtures.wolfExport.skeleton, 'utf8'));
+
+        testFramework.expect(fixtures.spineExport.files.map(file => path.basename(file))).toEqual(['Hero.json', 'Hero.atlas', 'Hero.png']);
+        testFramework.expect(fixtures.spineExport.files.every(file => fs.existsSync(file))).toBe(true);
+        testFramework.expect(fixtures.wolfExport.files.map(file => path.basename(file))).toEqual(['WolfMonster_ske.json', 'WolfMonster_tex.json', 'WolfMonster_tex.png']);
+        testFramework.expect(wolf.armature[0].bone.map(bone => bone.name)).toEqual(['root', 'hips', 'body', 'head', 'leftLeg', 'rightLeg']);
+        testFramework.expect(fixtures.unknownFormat.message).toBe('Unknown skeletal format: unity');
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -0,0 +1,114 @@
+/**
+ * TPT Asset Editor Desktop - Spatial Ambience Tests
+ * Unit tests for stereo beds, panning, distance attenuation and binaural point sources
+ */
+
+const { WaveFile } = require('wavefile');
+const TestFramework = require('./test-framework');
+const AmbientGenerator = require('../generators/ambient-generator');
+const AudioGenerator = require('../generators/audio-generator');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+function rms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / samples.length);
+}
+
+function correlation(a, b) {
+    let ab = 0;
+    let aa = 0;
+    let bb = 0;
+    for (let i = 0; i < a.length; i++) {
+        ab += a[i] * b[i];
+        aa += a[i] * a[i];
+        bb += b[i] * b[i];
+    }
+    return ab / Math.sqrt(aa * bb);
+}
+
+const onset = samples => samples.findIndex(sample => Math.abs(sample) > 1e-3);
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const ambient = new AmbientGenerator(44100, 2);
+    const audio = new AudioGenerator();
+
+    fixtures.wide = await ambient.renderBed({ bed: 'forest', width: 1 }, 1, 'bed');
+    fixtures.narrow = await ambient.renderBed({ bed: 'forest', width: 0 }, 1, 'bed');
+    fixtures.scene = await ambient.generateStereoAmbient('cave', 1, { seed: 5 });
+    fixtures.sameScene = await ambient.generateStereoAmbient('cave', 1, { seed: 5 });
+    fixtures.otherScene = await ambient.generateStereoAmbient('cave', 1, { seed: 6 });
+    fixtures.unknownBed = await ambient.renderScene([{ bed: 'lava' }], 1).catch(error => error);
+    fixtures.unknownSource = await ambient.renderScene([{ source: 'owl' }], 1).catch(error => error);
+
+    fixtures.stereo = await audio.generateAmbient({ type: 'forest', channels: 2, duration: 1, seed: 5, binaural: true });
+    fixtures.mono = await audio.generateAmbient({ type: 'forest', duration: 1 });
+    fixtures.exported = await audio.exportAsWAV(fixtures.stereo);
+}
+
+testFramework.describe('Spatial Ambience', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should decorrelate wide beds and keep their loudness at any width', () => {
+        const [left, right] = fixtures.wide;
+
+        testFramework.expect(Math.abs(correlation(left, right)) < 0.2).toBe(true);
+        testFramework.expect(fixtures.narrow[0].every((sample, i) => sample === fixtures.narrow[1][i])).toBe(true);
+        testFramework.expect(Math.abs(rms(left) - rms(fixtures.narrow[0])) / rms(left) < 0.05).toBe(true);
+    });
+
+    testFramework.it('should pan with constant power and attenuate with distance', () => {
+        const ambient = new AmbientGenerator();
+        const tone = new Float32Array(4410).fill(1);
+        const [centreLeft, centreRight] = ambient.applySpatialPositioning(tone, 0);
+        const [hardLeft, hardRight] = ambient.applySpatialPositioning(tone, -1);
+        const near = ambient.applyDistance(tone, 1);
+        const far = ambient.applyDistance(tone, 8);
+
+        testFramework.expect(Math.abs(centreLeft[0] - Math.SQRT1_2) < 1e-6 && Math.abs(centreRight[0] - Math.SQRT1_2) < 1e-6).toBe(true);
+        testFramework.expect(Math.abs(hardLeft[0] - 1) < 1e-6 && Math.abs(hardRight[0]) < 1e-6).toBe(true);
+        testFramework.expect(Math.abs(near[near.length - 1] - 1) < 1e-3).toBe(true);
+        testFramework.expect(Math.abs(far[far.length - 1] - 0.25) < 1e-3).toBe(true);
+    });
+
+    testFramework.it('should reach the far ear later and quieter for binaural sources', () => {
+        const ambient = new AmbientGenerator();
+        const click = new Float32Array(400);
+        click[0] = 1;
+        const [left, right] = ambient.applyBinaural(click, { x: 3, y: 0 });
+        const [aheadLeft, aheadRight] = ambient.applyBinaural(click, { x: 0, y: 3 });
+        const delay = onset(left) - onset(right);
+
+        testFramework.expect(delay >= 25 && delay <= 32).toBe(true);
+        testFramework.expect(rms(right) > 2 * rms(left)).toBe(true);
+        testFramework.expect(aheadLeft.every((sample, i) => sample === aheadRight[i])).toBe(true);
+    });
+
+    testFramework.it('should render the same scene from the same seed and reject unknown layers', () => {
+        testFramework.expect(fixtures.scene[0].every((sample, i) => sample === fixtures.sameScene[0][i])).toBe(true);
+        testFramework.expect(fixtures.scene[0].every((sample, i) => sample === fixtures.otherScene[0][i])).toBe(false);
+        testFramework.expect(fixtures.unknownBed.message).toBe('Unknown ambient bed: lava');
+        testFramework.expect(fixtures.unknownSource.message).toBe('Unknown point source: owl');
+    });
+
+    testFramework.it('should write stereo ambient WAVs and keep them stereo on export', () => {
+        const wav = new WaveFile(Buffer.from(fixtures.stereo.audio.data, 'base64'));
+        const exported = new WaveFile(Buffer.from(fixtures.exported.audio.data, 'base64'));
+
+        testFramework.expect(fixtures.stereo.audio.channels).toBe(2);
+        testFramework.expect(wav.fmt.numChannels).toBe(2);
+        testFramework.expect(wav.getSamples(false).map(channel => channel.length)).toEqual([44100, 44100]);
+        testFramework.expect(exported.fmt.numChannels).toBe(2);
+        testFramework.expect(fixtures.mono.audio.channels).toBe(1);
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -0,0 +1,105 @@
+/**
+ * TPT Asset Editor Desktop - Spritesheet Packer Tests
+ * Unit tests for trimming, extrusion and multi-page atlases
+ */
+
+const Jimp = require('jimp');
+const TestFramework = require('./test-framework');
+const SpritesheetPacker = require('../generators/spritesheet-packer');
+const GameEngineExporters = require('../generators/game-engine-exporters');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+// A sprite with a transparent border around an opaque block
+function createSprite(size, border, color) {
+    const image = new Jimp(size, size, 0x00000000);
+    for (let y = border; y < size - border; y++) {
+        for (let x = border + 1; x < size - border; x++) {
+            image.setPixelColor(color, x, y);
+        }
+    }
+    return image;
+}
+
+async function loadFixtures() {
+    const packer = new SpritesheetPacker();
+    const items = Array.from({ length: 12 }, (_, index) => ({
+        id: `item_${index}`,
+        image: createSprite(40, 4, 0xff0000ff)
+    }));
+
+    fixtures.trimmed = await packer.generate([{ id: 'potion', image: createSprite(16, 2, 0x00ff00ff) }], {
+        trim: true,
+        extrude: 2
+    });
+    fixtures.pages = await packer.generate(items, { trim: true, maxWidth: 128, maxHeight: 128 });
+    fixtures.array = await packer.generate(items.slice(0, 2), { metadataFormat: 'array' });
+
+    try {
+        await packer.generate([{ id: 'banner', image: new Jimp(300, 8, 0xffffffff) }], { maxWidth: 256, maxHeight: 256 });
+    } catch (error) {
+        fixtures.oversizedError = error;
+    }
+}
+
+testFramework.describe('Spritesheet Packer', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should trim transparent borders and record the source offset', () => {
+        const frame = fixtures.trimmed.metadata.frames.potion;
+
+        testFramework.expect(frame.trimmed).toBe(true);
+        testFramework.expect(frame.spriteSourceSize).toEqual({ x: 3, y: 2, w: 11, h: 12 });
+        testFramework.expect(frame.sourceSize).toEqual({ w: 16, h: 16 });
+        testFramework.expect(frame.frame).toEqual({ x: 2, y: 2, w: 11, h: 12 });
+    });
+
+    testFramework.it('should extrude edge pixels around each frame', () => {
+        const sheet = fixtures.trimmed.spritesheet;
+
+        testFramework.expect(sheet.getPixelColor(0, 0)).toBe(0x00ff00ff);
+        testFramework.expect(sheet.getPixelColor(14, 15)).toBe(0x00ff00ff);
+        testFramework.expect(sheet.getPixelColor(15, 0)).toBe(0x00000000);
+    });
+
+    testFramework.it('should spill sprites that do not fit into further pages', () => {
+        const { pages, stats } = fixtures.pages;
+        const frameCount = pages.reduce((sum, page) => sum + Object.keys(page.metadata.frames).length, 0);
+
+        testFramework.expect(stats.pageCount).toBe(2);
+        testFramework.expect(frameCount).toBe(12);
+        testFramework.expect(pages.map(page => page.metadata.meta.image)).toEqual(['spritesheet-0.png', 'spritesheet-1.png']);
+        testFramework.expect(pages[0].metadata.meta.related_multi_packs).toEqual(['spritesheet-1.json']);
+        testFramework.expect(SpritesheetPacker.collectFrames(fixtures.pages).item_11.page).toBe(1);
+    });
+
+    testFramework.it('should write JSON-Array frames with filenames', () => {
+        const { frames } = fixtures.array.metadata;
+
+        testFramework.expect(Array.isArray(frames)).toBe(true);
+        testFramework.expect(frames.map(frame => frame.filename)).toEqual(['item_0', 'item_1']);
+        testFramework.expect(Object.keys(SpritesheetPacker.getFrames(fixtures.array.metadata))).toEqual(['item_0', 'item_1']);
+    });
+
+    testFramework.it('should reject sprites larger than a page', () => {
+        testFramework.expect(fixtures.oversizedError.message).toBe('Sprite banner (300x8) does not fit in a 256x256 page');
+    });
+
+    testFramework.it('should flip Unity rects to the bottom and keep trimmed pivots centred', () => {
+        const [page] = fixtures.pages.pages;
+        const meta = new GameEngineExporters().generateUnitySpriteMeta('Items', page);
+        const frame = page.metadata.frames.item_0.frame;
+
+        testFramework.expect(meta.includes(`    y: ${128 - frame.y - frame.h}\n`)).toBe(true);
+        testFramework.expect(meta.includes('m_Pivot: {x: 0.4839, y: 0.5}')).toBe(true);
+    });
+});
+
+module.exports = testFramework.runFile(module);
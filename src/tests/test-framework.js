@@ -6,6 +6,10 @@
 const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
+const { spawn } = require('child_process');
+
+// Test files that need a browser renderer (DOM canvas, ImageData, Web Workers) and are skipped by runAllTests
+const BROWSER_TEST_FILES = ['core-tests.test.js'];
 
 class TestFramework extends EventEmitter {
     constructor(options = {}) {
@@ -90,6 +94,7 @@ class TestFramework extends EventEmitter {
 
     /**
      * Define a test case
+     * Tests run in order when run() is called; a test may return a promise, which is awaited.
      */
     it(name, fn) {
         if (!this.currentSuite) {
@@ -108,60 +113,51 @@ class TestFramework extends EventEmitter {
             return;
         }
 
-        const test = {
+        this.currentSuite.tests.push({
             name,
+            fn,
             status: 'pending',
             duration: 0,
             error: null,
             assertions: 0
-        };
+        });
+    }
 
-        this.currentSuite.tests.push(test);
+    /**
+     * Run one test case with its beforeEach and afterEach hooks
+     */
+    async runTest(suite, test) {
+        this.currentSuite = suite;
         this.currentTest = test;
         this.testStartTime = Date.now();
 
         // Run beforeEach hooks
-        for (const hook of this.currentSuite.beforeEach) {
+        for (const hook of suite.beforeEach) {
             try {
-                hook();
+                await hook();
             } catch (error) {
                 this.handleTestError(test, error, 'beforeEach hook failed');
                 return;
             }
         }
 
+        let timeoutId;
         try {
-            // Set up timeout
-            const timeoutId = setTimeout(() => {
-                this.handleTestError(test, new Error(`Test timeout after ${this.options.timeout}ms`), 'timeout');
-            }, this.options.timeout);
-
-            // Run the test
-            const result = fn.call(this);
-
-            // Handle async tests
-            if (result && typeof result.then === 'function') {
-                result
-                    .then(() => {
-                        clearTimeout(timeoutId);
-                        this.completeTest(test);
-                    })
-                    .catch((error) => {
-                        clearTimeout(timeoutId);
-                        this.handleTestError(test, error);
-                    });
-            } else {
-                clearTimeout(timeoutId);
-                this.completeTest(test);
-            }
-
+            // Run the test, failing it once the timeout passes
+            const timeout = new Promise((resolve, reject) => {
+                timeoutId = setTimeout(() => reject(new Error(`Test timeout after ${this.options.timeout}ms`)), this.options.timeout);
+            });
+            await Promise.race([Promise.resolve().then(() => test.fn.call(this)), timeout]);
+            this.completeTest(test);
         } catch (error) {
-            this.handleTestError(test, error);
+            this.handleTestError(test, error, /^Test timeout/.test(error.message) ? 'timeout' : '');
         } finally {
+            clearTimeout(timeoutId);
+
             // Run afterEach hooks
-            for (const hook of this.currentSuite.afterEach) {
+            for (const hook of suite.afterEach) {
                 try {
-                    hook();
+                    await hook();
                 } catch (error) {
                     console.warn(`afterEach hook failed: ${error.message}`);
                 }
@@ -323,19 +319,35 @@ class TestFramework extends EventEmitter {
         console.log('Starting test execution...');
         this.startTime = Date.now();
 
-        // Run beforeAll hooks
         for (const suite of this.testResults.suites) {
+            const suiteStartTime = Date.now();
+
+            // Run beforeAll hooks; the suite's tests are not run if one fails
+            let setupError = null;
             for (const hook of suite.beforeAll) {
                 try {
                     await hook();
                 } catch (error) {
                     console.error(`beforeAll hook failed in ${suite.name}: ${error.message}`);
+                    setupError = error;
+                    break;
                 }
             }
-        }
 
-        // Run afterAll hooks
-        for (const suite of this.testResults.suites) {
+            for (const test of suite.tests) {
+                if (test.status !== 'pending') continue;
+
+                this.testResults.total++;
+                if (setupError) {
+                    this.currentSuite = suite;
+                    this.testStartTime = Date.now();
+                    this.handleTestError(test, setupError, 'beforeAll hook failed');
+                } else {
+                    await this.runTest(suite, test);
+                }
+            }
+
+            // Run afterAll hooks
             for (const hook of suite.afterAll) {
                 try {
                     await hook();
@@ -343,6 +355,9 @@ class TestFramework extends EventEmitter {
                     console.error(`afterAll hook failed in ${suite.name}: ${error.message}`);
                 }
             }
+
+            suite.duration += Date.now() - suiteStartTime;
+            this.currentSuite = null;
         }
 
         this.testResults.duration = Date.now() - this.startTime;
@@ -353,6 +368,75 @@ class TestFramework extends EventEmitter {
         return this.testResults;
     }
 
+    /**
+     * Export a test file's runner, and run the file when it is started directly
+     * @param {Module} fileModule - The test file's module
+     * @returns {{testFramework: TestFramework, runTests: Function}} The test file's exports
+     */
+    runFile(fileModule) {
+        const runTests = () => this.run();
+
+        if (require.main === fileModule) {
+            runTests().then((results) => {
+                process.exit(results.failed > 0 ? 1 : 0);
+            }).catch((error) => {
+                console.error('Test execution failed:', error);
+                process.exit(1);
+            });
+        }
+
+        return { testFramework: this, runTests };
+    }
+
+    /**
+     * Run every *.test.js file in a directory, one Node process per file
+     * @param {Object} [options] - Run options
+     * @param {string} [options.dir] - Directory of test files (default: this directory)
+     * @param {number} [options.fileTimeout=600000] - Longest a file may run, in ms
+     * @param {boolean} [options.browser=false] - Also run the files in BROWSER_TEST_FILES
+     * @returns {Promise<Object>} Files run, passed and failed, and the failed file names
+     */
+    async runAllTests(options = {}) {
+        const dir = options.dir || __dirname;
+        const fileTimeout = options.fileTimeout || 600000;
+        const files = (await fs.readdir(dir))
+            .filter(file => file.endsWith('.test.js'))
+            .filter(file => options.browser || !BROWSER_TEST_FILES.includes(file))
+            .sort();
+        const stats = { total: files.length, passed: 0, failed: 0, failures: [] };
+
+        if (!options.browser) {
+            BROWSER_TEST_FILES.forEach(file => console.log(`- ${file} skipped (needs a browser renderer)`));
+        }
+
+        for (const file of files) {
+            console.log(`\n▶ ${file}`);
+            const code = await new Promise((resolve) => {
+                const child = spawn(process.execPath, [path.join(dir, file)], { stdio: 'inherit' });
+                const timer = setTimeout(() => child.kill(), fileTimeout);
+                child.on('error', () => resolve(1));
+                child.on('exit', (exitCode) => {
+                    clearTimeout(timer);
+                    resolve(exitCode === null ? 1 : exitCode);
+                });
+            });
+
+            if (code === 0) {
+                stats.passed++;
+            } else {
+                stats.failed++;
+                stats.failures.push(file);
+            }
+        }
+
+        console.log('\n' + '='.repeat(50));
+        console.log(`Test files: ${stats.total}, passed: ${stats.passed}, failed: ${stats.failed}`);
+        stats.failures.forEach(file => console.log(`✗ ${file}`));
+        console.log('='.repeat(50));
+
+        return stats;
+    }
+
     /**
      * Generate test report
      */
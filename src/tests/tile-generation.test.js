@@ -0,0 +1,97 @@
+/**
+ * TPT Asset Editor Desktop - Tile Generation Tests
+ * Unit tests for tileable tiles and seam validation
+ */
+
+const Jimp = require('jimp');
+const TestFramework = require('./test-framework');
+const TileGenerator = require('../generators/sprite-generators/tile-generator');
+const SpriteValidationSystem = require('../generators/sprite-validation-system');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+function createSeamedTile() {
+    const image = new Jimp(32, 32, 0x336633FF);
+    for (let y = 0; y < 32; y++) {
+        image.setPixelColor(0xCCCC33FF, 31, y);
+    }
+    return image;
+}
+
+async function loadFixtures() {
+    const generator = new TileGenerator();
+
+    fixtures.tileable = [];
+    for (const tileType of ['grass', 'stone', 'cobblestone', 'moss']) {
+        const image = new Jimp(32, 32, 0x00000000);
+        await generator.generate(image, { tileType, seed: 3, tileable: true });
+        fixtures.tileable.push(image);
+    }
+
+    // Seeds and sizes that used to wrap onto a strong line of the tile
+    fixtures.seeded = [];
+    for (const tileType of ['grass', 'stone', 'dirt', 'moss']) {
+        for (let seed = 0; seed < 20; seed++) {
+            for (const size of [16, 32]) {
+                const image = new Jimp(size, size, 0x00000000);
+                await generator.generate(image, { tileType, seed, tileable: true });
+                fixtures.seeded.push({ name: `${tileType}/${seed}/${size}`, image });
+            }
+        }
+    }
+
+    const validator = new SpriteValidationSystem();
+    fixtures.seamedValidation = await validator.validateSprite(createSeamedTile(), 'seamed', 'tiles', { tileable: true });
+    fixtures.defaultValidation = await validator.validateSprite(createSeamedTile(), 'seamed', 'tiles');
+}
+
+testFramework.describe('Tile Generation', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    let validator;
+
+    testFramework.beforeEach(() => {
+        validator = new SpriteValidationSystem();
+    });
+
+    testFramework.it('should wrap tileable tiles within the seam threshold', () => {
+        fixtures.tileable.forEach(image => {
+            testFramework.expect(validator.analyzeSeams(image).passed).toBe(true);
+        });
+    });
+
+    testFramework.it('should keep every seed of a tileable tile within the seam threshold', () => {
+        const failing = fixtures.seeded
+            .filter(({ image }) => !validator.analyzeSeams(image).passed)
+            .map(({ name }) => name);
+        testFramework.expect(failing).toEqual([]);
+    });
+
+    testFramework.it('should score a hard edge as a seam', () => {
+        const seams = validator.analyzeSeams(createSeamedTile());
+        testFramework.expect(seams.horizontal > seams.threshold).toBe(true);
+        testFramework.expect(seams.passed).toBe(false);
+    });
+
+    testFramework.it('should fail tile validation and report the seam score', () => {
+        const result = fixtures.seamedValidation;
+        testFramework.expect(result.passed).toBe(false);
+        testFramework.expect(typeof result.technicalDetails.seams.seamScore).toBe('number');
+        testFramework.expect(result.issues.some(issue => issue.type === 'seams')).toBe(true);
+    });
+
+    testFramework.it('should only check seams when validation asks for tileable sprites', () => {
+        const result = fixtures.defaultValidation;
+        testFramework.expect(result.technicalDetails.seams).toBe(undefined);
+        testFramework.expect(result.issues.some(issue => issue.type === 'seams')).toBe(false);
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -0,0 +1,129 @@
+/**
+ * TPT Asset Editor Desktop - Command Line Tests
+ * Unit tests for tpt generate and tpt batch runs with seeds and manifests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TestFramework = require('./test-framework');
+const AssetCLI = require('../../scripts/tpt');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+function createCLI(cwd) {
+    const lines = [];
+    const cli = new AssetCLI({ cwd, log: line => lines.push(line) });
+    return { cli, lines };
+}
+
+function readSidecar(dir, name) {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+}
+
+async function loadFixtures() {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'tpt-cli-'));
+    fixtures.cwd = cwd;
+
+    fs.writeFileSync(path.join(cwd, 'grass.json'), JSON.stringify({ tileType: 'grass' }));
+    fixtures.generate = await createCLI(cwd).cli.run(['generate', 'tile', '--config', 'grass.json', '--seed', '42', '--out', 'single']);
+    fixtures.again = await createCLI(cwd).cli.run(['generate', 'tile', '--config=grass.json', '--seed=42', '--out', 'again']);
+    fixtures.variants = await createCLI(cwd).cli.run(['generate', 'tile', '--config', 'grass.json', '--seed', '7', '--count', '3', '--name', 'grass', '--out', 'variants']);
+    fixtures.ogg = await createCLI(cwd).cli.run(['generate', 'sfx', '--format', 'ogg', '--out', 'ogg']).catch(error => error);
+
+    fs.mkdirSync(path.join(cwd, 'assets', 'configs'), { recursive: true });
+    fs.writeFileSync(path.join(cwd, 'assets', 'configs', 'stone.json'), JSON.stringify({ tileType: 'stone' }));
+    fs.writeFileSync(path.join(cwd, 'assets', 'manifest.json'), JSON.stringify({
+        output: 'build',
+        assets: [
+            { type: 'tile', name: 'floor', configFile: 'configs/stone.json', seed: 'dungeon', count: 2 },
+            { type: 'tile', name: 'lawn', config: { tileType: 'grass' }, seed: 42 },
+            { type: 'sfx', name: 'coin', config: { effectType: 'coin_collect', duration: 0.2 }, seed: 3, format: 'mp3' },
+            { type: 'sfx', name: 'chime', config: { effectType: 'coin_collect' }, format: 'ogg' }
+        ],
+        spritesheets: [
+            { name: 'floors', include: ['floor_*'] }
+        ]
+    }));
+    const batch = createCLI(cwd);
+    fixtures.batchCode = await batch.cli.run(['batch', 'assets/manifest.json']);
+    fixtures.batchLog = batch.lines;
+    fixtures.build = path.join(cwd, 'assets', 'build');
+
+    fixtures.unknown = await createCLI(cwd).cli.run(['pack']).catch(error => error);
+    fixtures.noManifest = await createCLI(cwd).cli.run(['batch']).catch(error => error);
+}
+
+testFramework.describe('tpt CLI', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.afterAll(() => {
+        if (fixtures.cwd) fs.rmSync(fixtures.cwd, { recursive: true, force: true });
+    });
+
+    testFramework.it('should write a seeded asset and its metadata sidecar', () => {
+        const { cwd, generate } = fixtures;
+        const sidecar = readSidecar(path.join(cwd, 'single'), 'tile_42');
+
+        testFramework.expect(generate).toBe(0);
+        testFramework.expect(fs.readdirSync(path.join(cwd, 'single')).sort()).toEqual(['tile_42.json', 'tile_42.png']);
+        testFramework.expect(sidecar.seed).toBe(42);
+        testFramework.expect(sidecar.config.tileType).toBe('grass');
+        testFramework.expect(sidecar.metadata.seed).toBe(42);
+    });
+
+    testFramework.it('should regenerate identical files from the same seed and count variants up', () => {
+        const { cwd } = fixtures;
+        const first = fs.readFileSync(path.join(cwd, 'single', 'tile_42.png'));
+        const second = fs.readFileSync(path.join(cwd, 'again', 'tile_42.png'));
+        const seeds = [0, 1, 2].map(i => readSidecar(path.join(cwd, 'variants'), `grass_${i}`).seed);
+
+        testFramework.expect(Buffer.compare(first, second)).toBe(0);
+        testFramework.expect(seeds).toEqual([7, 8, 9]);
+    });
+
+    testFramework.it('should build a manifest relative to its directory and pack spritesheets', () => {
+        const { build } = fixtures;
+        const files = fs.readdirSync(build).sort();
+
+        ['floor_0.png', 'floor_1.png', 'lawn.png', 'coin.mp3', 'floors.png', 'floors.json'].forEach(file => {
+            testFramework.expect(files.includes(file)).toBe(true);
+        });
+        testFramework.expect(readSidecar(build, 'floor_0').seed).toBe('dungeon:0');
+        testFramework.expect(readSidecar(build, 'floor_1').seed).toBe('dungeon:1');
+        testFramework.expect(readSidecar(build, 'coin').seed).toBe(3);
+        testFramework.expect(fs.readFileSync(path.join(build, 'coin.mp3')).readUInt16BE(0) & 0xFFE0).toBe(0xFFE0);
+        testFramework.expect(Buffer.compare(
+            fs.readFileSync(path.join(build, 'lawn.png')),
+            fs.readFileSync(path.join(fixtures.cwd, 'single', 'tile_42.png'))
+        )).toBe(0);
+    });
+
+    testFramework.it('should reject Ogg output before generating anything', () => {
+        const { cwd, ogg, batchCode, batchLog, build } = fixtures;
+
+        testFramework.expect(ogg.message).toBe('Unsupported output format: ogg (use png, aseprite, wav, mp3)');
+        testFramework.expect(fs.existsSync(path.join(cwd, 'ogg'))).toBe(false);
+        testFramework.expect(batchCode).toBe(1);
+        testFramework.expect(batchLog.includes('❌ chime: Unsupported output format: ogg (use png, aseprite, wav, mp3)')).toBe(true);
+        testFramework.expect(fs.readdirSync(build).some(file => file.startsWith('chime'))).toBe(false);
+    });
+
+    testFramework.it('should reject unknown commands and missing manifests', () => {
+        testFramework.expect(fixtures.unknown.message).toBe('Unknown command: pack');
+        testFramework.expect(fixtures.noManifest.message).toBe('Manifest path is required, e.g. tpt batch manifest.json');
+        testFramework.expect(new AssetCLI().parseArgs(['generate', 'item', '--seed=7', '--out', 'dist', '--verbose'])).toEqual({
+            positional: ['generate', 'item'],
+            flags: { seed: '7', out: 'dist', verbose: true }
+        });
+    });
+});
+
+module.exports = testFramework.runFile(module);
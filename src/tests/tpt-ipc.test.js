@@ -0,0 +1,103 @@
+/**
+ * TPT Asset Editor Desktop - Sidecar IPC Tests
+ * Unit tests for tpt ipc, the one-request JSON mode behind the Tauri generate commands
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TestFramework = require('./test-framework');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const script = path.join(__dirname, '..', '..', 'scripts', 'tpt.js');
+const fixtures = {};
+
+// Logs through every console method once the request is being handled, as generators do
+const NOISY_PRELOAD = `
+setImmediate(() => {
+    console.log('log line');
+    console.info('info line');
+    console.debug('debug line');
+    console.warn('warn line');
+});
+`;
+
+function runSidecar(input, preload) {
+    const args = preload ? ['-r', preload, script, 'ipc'] : [script, 'ipc'];
+    const result = spawnSync(process.execPath, args, { input, encoding: 'utf8', timeout: 120000 });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+async function loadFixtures() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpt-ipc-'));
+    const preload = path.join(dir, 'noisy.js');
+    fs.writeFileSync(preload, NOISY_PRELOAD);
+
+    try {
+        fixtures.asset = runSidecar(JSON.stringify({ command: 'generate_asset', type: 'tile', config: { tileType: 'grass', seed: 42 } }), preload);
+        fixtures.batch = runSidecar(JSON.stringify({ command: 'generate_batch', batchConfig: { type: 'tile', count: 3, seed: 7, config: { tileType: 'grass' } } }));
+        fixtures.list = runSidecar(JSON.stringify({ command: 'generate_batch', batchConfig: [{ type: 'tile', config: { tileType: 'stone', seed: 'a' } }, { type: 'item', config: { itemType: 'sword', seed: 'b' } }] }));
+        fixtures.unknown = runSidecar(JSON.stringify({ command: 'delete_everything' }));
+        fixtures.invalid = runSidecar('{ not json');
+        fixtures.missingType = runSidecar(JSON.stringify({ command: 'generate_batch', batchConfig: [{ config: {} }] }));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+testFramework.describe('tpt ipc', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should answer generate_asset with one JSON response on stdout', () => {
+        const { code, stdout } = fixtures.asset;
+        const response = JSON.parse(stdout);
+
+        testFramework.expect(code).toBe(0);
+        testFramework.expect(response.success).toBe(true);
+        testFramework.expect(response.asset.type).toBe('tile');
+        testFramework.expect(response.asset.metadata.seed).toBe(42);
+        testFramework.expect(response.asset.config.seed).toBe(42);
+        testFramework.expect(typeof response.asset.sprite.data).toBe('string');
+    });
+
+    testFramework.it('should send every console method to stderr', () => {
+        const { stdout, stderr } = fixtures.asset;
+
+        ['log line', 'info line', 'debug line', 'warn line'].forEach(line => {
+            testFramework.expect(stdout.includes(line)).toBe(false);
+            testFramework.expect(stderr.includes(line)).toBe(true);
+        });
+    });
+
+    testFramework.it('should expand a counted batch config into seeded variants', () => {
+        const response = JSON.parse(fixtures.batch.stdout);
+
+        testFramework.expect(response.success).toBe(true);
+        testFramework.expect(response.assets.map(asset => asset.metadata.seed)).toEqual([7, 8, 9]);
+        testFramework.expect(new Set(response.assets.map(asset => asset.sprite.data)).size).toBe(3);
+    });
+
+    testFramework.it('should generate an explicit list of batch entries', () => {
+        const response = JSON.parse(fixtures.list.stdout);
+
+        testFramework.expect(response.assets.map(asset => [asset.type, asset.metadata.seed])).toEqual([['tile', 'a'], ['item', 'b']]);
+    });
+
+    testFramework.it('should report bad requests as unsuccessful responses', () => {
+        const { unknown, invalid, missingType } = fixtures;
+
+        testFramework.expect(JSON.parse(unknown.stdout)).toEqual({ success: false, error: 'Unknown sidecar command: delete_everything' });
+        testFramework.expect(JSON.parse(missingType.stdout)).toEqual({ success: false, error: 'Every batch entry needs a type' });
+        testFramework.expect(JSON.parse(invalid.stdout).success).toBe(false);
+        testFramework.expect([unknown.code, invalid.code, missingType.code]).toEqual([0, 0, 0]);
+    });
+});
+
+module.exports = testFramework.runFile(module);
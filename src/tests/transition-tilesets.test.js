@@ -0,0 +1,91 @@
+/**
+ * TPT Asset Editor Desktop - Transition Tileset Tests
+ * Unit tests for blob-47 and Wang-16 transition tilesets and their Tiled wangsets
+ */
+
+const TestFramework = require('./test-framework');
+const TileGenerator = require('../generators/sprite-generators/tile-generator');
+const SpriteGenerator = require('../generators/sprite-generator');
+const LevelExporter = require('../generators/level-exporter');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const generator = new TileGenerator();
+
+    fixtures.blob = await generator.generateTransitionSet({ tileType: 'grass', transitionTo: 'water', seed: 1 });
+    fixtures.wang = await generator.generateTransitionSet({ tileType: 'grass', transitionTo: 'water', layout: 'wang16', tileSize: 16, seed: 1 });
+    fixtures.asset = await new SpriteGenerator().generate({ tileType: 'sand', transitionTo: 'water', layout: 'wang16', seed: 2 });
+    fixtures.noTarget = await generator.generateTransitionSet({ tileType: 'grass' }).catch(error => error);
+    fixtures.badLayout = await generator.generateTransitionSet({ tileType: 'grass', transitionTo: 'water', layout: 'hex' }).catch(error => error);
+}
+
+const { N, NE, E, S, W } = TileGenerator.NEIGHBOR_BITS;
+
+testFramework.describe('Transition Tilesets', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    testFramework.it('should list the 47 blob masks with diagonals only between set edges', () => {
+        const masks = TileGenerator.getBlobMasks();
+
+        testFramework.expect(masks.length).toBe(47);
+        testFramework.expect(masks[0]).toBe(0);
+        testFramework.expect(masks[masks.length - 1]).toBe(255);
+        testFramework.expect(masks.every(mask => TileGenerator.normalizeBlobMask(mask) === mask)).toBe(true);
+        testFramework.expect(TileGenerator.normalizeBlobMask(N | NE)).toBe(N);
+        testFramework.expect(TileGenerator.normalizeBlobMask(N | NE | E)).toBe(N | NE | E);
+    });
+
+    testFramework.it('should lay out a blob set with a fill tile and a wangid per placeable tile', () => {
+        const { image, tileset } = fixtures.blob;
+        const wangids = tileset.tiles.filter(tile => tile.wangid).map(tile => tile.wangid.join(','));
+
+        testFramework.expect(tileset.tileCount).toBe(48);
+        testFramework.expect([image.bitmap.width, image.bitmap.height]).toEqual([256, 192]);
+        testFramework.expect(tileset.tiles[0].wangid).toBe(null);
+        testFramework.expect(tileset.tiles[46].wangid).toEqual([2, 2, 2, 2, 2, 2, 2, 2]);
+        testFramework.expect(tileset.tiles[47]).toEqual({ mask: null, fill: 'grass', id: 47, wangid: [1, 1, 1, 1, 1, 1, 1, 1] });
+        testFramework.expect(new Set(wangids).size).toBe(47);
+        testFramework.expect(TileGenerator.getWangId('blob47', N | E | S | W)).toEqual([2, 1, 2, 1, 2, 1, 2, 1]);
+    });
+
+    testFramework.it('should build a 16-tile Wang set with corner wangids', () => {
+        const { image, tileset } = fixtures.wang;
+
+        testFramework.expect(tileset.tileCount).toBe(16);
+        testFramework.expect(tileset.columns).toBe(4);
+        testFramework.expect([image.bitmap.width, image.bitmap.height]).toEqual([64, 64]);
+        testFramework.expect(tileset.tiles[5].wangid).toEqual([0, 2, 0, 1, 0, 2, 0, 1]);
+        testFramework.expect(new Set(tileset.tiles.map(tile => tile.wangid.join(','))).size).toBe(16);
+        testFramework.expect(fixtures.asset.metadata.tileset.layout).toBe('wang16');
+        testFramework.expect(fixtures.asset.name).toBe('Sand to Water Tileset');
+    });
+
+    testFramework.it('should write Tiled wangsets after the fixed tilesets', () => {
+        const exporter = new LevelExporter();
+        const tilesets = exporter.generateTilesets({}, { transitionSets: [fixtures.blob.tileset, fixtures.wang.tileset] });
+        const blob = exporter.generateWangsets(fixtures.blob.tileset, '');
+
+        testFramework.expect(tilesets.includes('<tileset firstgid="201" name="grass-water" tilewidth="32"')).toBe(true);
+        testFramework.expect(tilesets.includes('<tileset firstgid="249" name="grass-water" tilewidth="16"')).toBe(true);
+        testFramework.expect(blob.includes('<wangset name="grass-water" type="mixed" tile="-1">')).toBe(true);
+        testFramework.expect(blob.includes('<wangcolor name="grass" color="#ff0000" tile="47" probability="1"/>')).toBe(true);
+        testFramework.expect(blob.includes('<wangcolor name="water" color="#0000ff" tile="46" probability="1"/>')).toBe(true);
+        testFramework.expect((blob.match(/<wangtile /g) || []).length).toBe(47);
+        testFramework.expect(exporter.generateWangsets(fixtures.wang.tileset, '').includes('type="corner"')).toBe(true);
+    });
+
+    testFramework.it('should reject transition sets without a target terrain or with an unknown layout', () => {
+        testFramework.expect(fixtures.noTarget.message).toBe('Transition tilesets need a transitionTo terrain');
+        testFramework.expect(fixtures.badLayout.message).toBe('Unsupported transition layout: hex');
+    });
+});
+
+module.exports = testFramework.runFile(module);
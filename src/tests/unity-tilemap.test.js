@@ -0,0 +1,113 @@
+/**
+ * TPT Asset Editor Desktop - Unity Tilemap Export Tests
+ * Unit tests for Tile and Rule Tile assets, Tilemap prefabs and Tile Palettes
+ */
+
+const TestFramework = require('./test-framework');
+const TileGenerator = require('../generators/sprite-generators/tile-generator');
+const GameEngineExporters = require('../generators/game-engine-exporters');
+const UnityTilemapExporter = require('../generators/unity-tilemap-exporter');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+async function loadFixtures() {
+    const tileGenerator = new TileGenerator();
+    fixtures.blob = (await tileGenerator.generateTransitionSet({ tileType: 'grass', transitionTo: 'water', tileSize: 8, seed: 1 })).tileset;
+    fixtures.wang = (await tileGenerator.generateTransitionSet({ tileType: 'sand', transitionTo: 'water', layout: 'wang16', tileSize: 8, seed: 1 })).tileset;
+}
+
+const level = {
+    name: 'Crypt of Bones',
+    config: { dimensions: { width: 3, height: 2, tileSize: 32 } },
+    layers: {
+        ground: [[{ tileId: 1 }, { tileId: 2 }, null], [{ tileId: 1 }, null, null]],
+        walls: [[null, null, { tileId: 5 }], [null, null, null]]
+    }
+};
+
+// Neighbour bits of TileGenerator.NEIGHBOR_BITS by Rule Tile position
+const NEIGHBOR_BITS = { '-1,1': 128, '0,1': 1, '1,1': 2, '-1,0': 64, '1,0': 4, '-1,-1': 32, '0,-1': 16, '1,-1': 8 };
+
+function firstMatch(rules, neighbours) {
+    return rules.find(rule => rule.neighbors.every(neighbor =>
+        ((neighbours & NEIGHBOR_BITS[`${neighbor.x},${neighbor.y}`]) ? 1 : 2) === neighbor.value));
+}
+
+testFramework.describe('Unity Tilemap Export', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    const exporters = new GameEngineExporters();
+    const unity = new UnityTilemapExporter();
+
+    testFramework.it('should write a Tile asset with its .meta per placed tile', () => {
+        const { files } = exporters.generateUnityTilemapAssets(level);
+        const names = files.map(file => file.file);
+        const wall = files.find(file => file.file === 'crypt_of_bones/Tiles/walls_4.asset').content;
+        const wallMeta = files.find(file => file.file === 'crypt_of_bones/Tiles/walls_4.asset.meta').content;
+
+        testFramework.expect(names.filter(name => name.endsWith('.asset'))).toEqual([
+            'crypt_of_bones/Tiles/ground_0.asset',
+            'crypt_of_bones/Tiles/ground_1.asset',
+            'crypt_of_bones/Tiles/walls_4.asset'
+        ]);
+        testFramework.expect(names.includes('tiles/walls.png.meta')).toBe(true);
+        testFramework.expect(wall.includes('  m_Sprite: {fileID: 21300008, guid: ')).toBe(true);
+        testFramework.expect(wall.includes('  m_ColliderType: 2\n')).toBe(true);
+        testFramework.expect(/^guid: [0-9a-f]{32}$/m.test(wallMeta)).toBe(true);
+    });
+
+    testFramework.it('should fill Tilemap layers down from the grid origin', () => {
+        const { files, prefab } = exporters.generateUnityTilemapAssets(level);
+        const content = files.find(file => file.file === prefab).content;
+
+        testFramework.expect(content.includes('Grid:\n')).toBe(true);
+        testFramework.expect(content.includes('  m_Name: Ground\n')).toBe(true);
+        testFramework.expect(content.includes('  - first: {x: 0, y: -2, z: 0}\n    second:\n      serializedVersion: 2\n      m_TileIndex: 0\n')).toBe(true);
+        testFramework.expect(content.includes('  - m_RefCount: 2\n    m_Data: {fileID: 11400000, guid: ')).toBe(true);
+        testFramework.expect((content.match(/TilemapCollider2D:/g) || []).length).toBe(1);
+    });
+
+    testFramework.it('should add a Rule Tile per transition set to the palette', () => {
+        const { files, palette } = exporters.generateUnityTilemapAssets({ ...level, transitionSets: [fixtures.blob] });
+        const ruleTile = files.find(file => file.file === 'crypt_of_bones/Tiles/grass-water.asset').content;
+        const paletteContent = files.find(file => file.file === palette).content;
+
+        testFramework.expect((ruleTile.match(/ {2}- m_Id: /g) || []).length).toBe(47);
+        testFramework.expect(ruleTile.includes('guid: 9d1514134bc4fbd41bb739b1b9a49231')).toBe(true);
+        testFramework.expect(paletteContent.includes('  m_Name: Palette Settings\n')).toBe(true);
+        testFramework.expect(paletteContent.includes('  - first: {x: 0, y: -3, z: 0}')).toBe(true);
+    });
+
+    testFramework.it('should match blob neighbourhoods to exactly one rule', () => {
+        const rules = unity.getTransitionRules(fixtures.blob, id => id);
+        const islandId = fixtures.blob.tiles.find(tile => tile.mask === 0).id;
+        let ambiguous = 0;
+
+        for (let neighbours = 0; neighbours < 256; neighbours++) {
+            const matches = rules.filter(rule => firstMatch([rule], neighbours));
+            if (matches.length !== 1) ambiguous++;
+        }
+
+        testFramework.expect(ambiguous).toBe(0);
+        testFramework.expect(firstMatch(rules, 0).sprite).toBe(islandId);
+        testFramework.expect(UnityTilemapExporter.encodeIntArray([1, 2])).toBe('0100000002000000');
+    });
+
+    testFramework.it('should pick the Wang tile whose enclosed corners match', () => {
+        const rules = unity.getTransitionRules(fixtures.wang, id => fixtures.wang.tiles[id].mask);
+
+        // Water to the north, north-east and east encloses only the NE corner
+        testFramework.expect(firstMatch(rules, 1 | 2 | 4).sprite).toBe(TileGenerator.CORNER_BITS.NE);
+        testFramework.expect(firstMatch(rules, 255).sprite).toBe(15);
+        testFramework.expect(firstMatch(rules, 1 | 4 | 16 | 64).sprite).toBe(0);
+    });
+});
+
+module.exports = testFramework.runFile(module);
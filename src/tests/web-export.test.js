@@ -0,0 +1,175 @@
+/**
+ * TPT Asset Editor Desktop - Web Engine Export Tests
+ * Unit tests for the Phaser 3 and PixiJS atlases, animations, Tiled JSON maps and TypeScript key modules
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const Jimp = require('jimp');
+const TestFramework = require('./test-framework');
+const SpritesheetPacker = require('../generators/spritesheet-packer');
+const GameEngineExporters = require('../generators/game-engine-exporters');
+const LevelGenerator = require('../generators/level-generator');
+const AssetKeyModule = require('../utils/asset-key-module');
+
+const testFramework = new TestFramework({
+    verbose: true,
+    bail: false,
+    timeout: 10000,
+    outputDir: './test-results'
+});
+
+const fixtures = {};
+
+// AssetWorkflowManager reads its default project folder from electron's app
+function requireWorkflowManager(documentsPath) {
+    const electron = { app: { getPath: () => documentsPath } };
+    const load = Module._load;
+    Module._load = function (request, ...rest) {
+        return request === 'electron' ? electron : load.call(this, request, ...rest);
+    };
+    try {
+        return require('../core/asset-workflow-manager');
+    } finally {
+        Module._load = load;
+    }
+}
+
+async function exportProject(documentsPath) {
+    const AssetWorkflowManager = requireWorkflowManager(documentsPath);
+    const manager = new AssetWorkflowManager();
+    const sprite = async color => ({ data: (await new Jimp(16, 16, color).getBufferAsync(Jimp.MIME_PNG)).toString('base64') });
+
+    manager.currentProject = { id: 'crypt' };
+    manager.assetCategories.characters.push({ name: 'Hero Knight', sprite: await sprite(0x3366ccff) });
+    manager.assetCategories.characters.push({ id: 'knight-2', name: 'Hero Knight', sprite: await sprite(0xcc3333ff) });
+    manager.assetCategories.tiles.push({ name: 'floor', sprite: await sprite(0x777777ff) });
+    manager.assetCategories.audio.push({ name: 'coin' });
+
+    const level = await new LevelGenerator().generateLevel({ name: 'Bone Crypt', levelType: 'dungeon', width: 16, height: 12, seed: 7 });
+
+    const empty = new AssetWorkflowManager();
+    empty.currentProject = { id: 'silent' };
+    empty.assetCategories.audio.push({ name: 'coin' });
+
+    return {
+        manager,
+        level,
+        empty: await empty.exportForPhaser(),
+        phaser: await manager.exportForPhaser({ baseName: 'crypt', levels: [level] }),
+        unity: await manager.exportForUnity()
+    };
+}
+
+async function loadFixtures() {
+    const sprites = Array.from({ length: 6 }, (_, index) => ({
+        id: `walk_${index}`,
+        image: new Jimp(40, 40, 0xff0000ff)
+    }));
+
+    // Two pages: walk_0-walk_2 fit on the first, walk_3-walk_5 spill over
+    fixtures.spritesheet = await new SpritesheetPacker().generate(sprites, { maxWidth: 128, maxHeight: 64 });
+
+    const documentsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tpt-workflow-'));
+    try {
+        fixtures.workflow = await exportProject(documentsPath);
+        fixtures.workflow.documentsPath = documentsPath;
+        fixtures.workflow.phaserFiles = fs.readdirSync(fixtures.workflow.phaser.exportPath).sort();
+        fixtures.workflow.atlas = JSON.parse(fs.readFileSync(path.join(fixtures.workflow.phaser.exportPath, 'crypt.json'), 'utf8'));
+        fixtures.workflow.tilemap = JSON.parse(fs.readFileSync(path.join(fixtures.workflow.phaser.exportPath, 'bone_crypt.tmj'), 'utf8'));
+    } finally {
+        fs.rmSync(documentsPath, { recursive: true, force: true });
+    }
+}
+
+testFramework.describe('Web Engine Export', () => {
+    testFramework.beforeAll(loadFixtures);
+
+    const exporters = new GameEngineExporters();
+    const animationData = (frames) => ({ animations: { walk: { frames, loop: true, frameDuration: 125 } } });
+
+    testFramework.it('should write a Phaser multiatlas with one texture per page', () => {
+        const atlas = exporters.generatePhaserMultiAtlas(fixtures.spritesheet, ['hero-0.png', 'hero-1.png']);
+
+        testFramework.expect(atlas.textures.map(texture => texture.image)).toEqual(['hero-0.png', 'hero-1.png']);
+        testFramework.expect(atlas.textures[1].frames.map(frame => frame.filename)).toEqual(['walk_3', 'walk_4', 'walk_5']);
+        testFramework.expect(atlas.textures[0].frames[0].frame).toEqual({ x: 0, y: 0, w: 40, h: 40 });
+    });
+
+    testFramework.it('should write Phaser animations for anims.fromJSON', () => {
+        const sequences = exporters.getAnimationSequences(fixtures.spritesheet, animationData([0, 4]));
+        const [walk] = exporters.generatePhaserAnimations('hero', sequences).anims;
+
+        testFramework.expect(walk.key).toBe('walk');
+        testFramework.expect(walk.frames).toEqual([
+            { key: 'hero', frame: 'walk_0', duration: 0 },
+            { key: 'hero', frame: 'walk_4', duration: 0 }
+        ]);
+        testFramework.expect(walk.frameRate).toBe(8);
+        testFramework.expect(walk.repeat).toBe(-1);
+    });
+
+    testFramework.it('should put PixiJS animations on the page that holds their frames', () => {
+        const sequences = exporters.getAnimationSequences(fixtures.spritesheet, animationData(['walk_3', 'walk_5']));
+        const sheets = exporters.generatePixiSpritesheets(fixtures.spritesheet, sequences, 'hero');
+
+        testFramework.expect(sheets[1].animations).toEqual({ walk: ['walk_3', 'walk_5'] });
+        testFramework.expect(sheets[0].animations).toEqual({});
+        testFramework.expect(sheets[0].meta.related_multi_packs).toEqual(['hero-1.json']);
+    });
+
+    testFramework.it('should reject PixiJS animations that span pages', () => {
+        const sequences = exporters.getAnimationSequences(fixtures.spritesheet, animationData(['walk_0', 'walk_5']));
+
+        testFramework.expect(() => exporters.generatePixiSpritesheets(fixtures.spritesheet, sequences, 'hero'))
+            .toThrow("Animation 'walk' spans spritesheet pages 0, 1");
+    });
+
+    testFramework.it('should write typed key modules with a Phaser preload function', () => {
+        const keys = exporters.generatePhaserKeyModule({
+            atlasKey: 'hero',
+            atlasFile: 'hero.json',
+            animationsFile: null,
+            frames: ['walk_0', 'walk-0', "chief's hat"],
+            animations: [],
+            tilemaps: [{ key: 'crypt', file: 'crypt.tmj', tilesets: [{ name: 'ground', image: 'tiles/ground.png' }] }]
+        });
+
+        testFramework.expect(keys.includes("    Walk0: 'walk_0',\n    Walk0_2: 'walk-0',\n    ChiefSHat: 'chief\\'s hat',")).toBe(true);
+        testFramework.expect(keys.includes('export type TilemapKey = (typeof Tilemaps)[keyof typeof Tilemaps];')).toBe(true);
+        testFramework.expect(keys.includes("    load.image('ground', path + 'tiles/ground.png');")).toBe(true);
+        testFramework.expect(keys.includes('load.animation')).toBe(false);
+        testFramework.expect(AssetKeyModule.toIdentifier('3d-model')).toBe('_3dModel');
+    });
+
+    testFramework.it('should export a workflow project for Phaser next to the other engines', () => {
+        const { manager, phaser, unity, empty, atlas, documentsPath, phaserFiles } = fixtures.workflow;
+        const frames = atlas.textures.flatMap(texture => texture.frames.map(frame => frame.filename)).sort();
+
+        testFramework.expect(phaser.exportPath).toBe(path.join(documentsPath, 'TPT-Projects', 'crypt', 'exports', 'phaser'));
+        testFramework.expect(phaser.exportedAssets).toBe(3);
+        testFramework.expect(frames).toEqual(['Hero_Knight', 'Hero_Knight_knight_2', 'floor']);
+        testFramework.expect(empty).toEqual({ engine: 'phaser', exportPath: empty.exportPath, exportedAssets: 0, files: [], format: phaser.format });
+        testFramework.expect(phaserFiles).toEqual(['bone_crypt.tmj', 'crypt.json', 'crypt.png', 'cryptKeys.ts']);
+        testFramework.expect(unity.exportedAssets).toBe(3);
+        testFramework.expect(manager.presets.character.mage.equipment).toEqual({ weapon: 'staff', armor: 'robe' });
+        testFramework.expect(manager.getRarityColorScheme('epic').primary).toBe('#8000ff');
+    });
+
+    testFramework.it('should write Tiled JSON maps of generated levels for Phaser', () => {
+        const { level, tilemap } = fixtures.workflow;
+        const [ground, walls, decorations, objects] = tilemap.layers;
+        const placed = grid => grid.flat().filter(cell => cell !== null).length;
+
+        testFramework.expect([tilemap.width, tilemap.height]).toEqual([16, 12]);
+        testFramework.expect(ground.data.filter(gid => gid > 0).length).toBe(placed(level.layers.terrain));
+        testFramework.expect(walls.data.filter(gid => gid > 0).length).toBe(placed(level.layers.structures));
+        testFramework.expect(walls.data.every(gid => gid === 0 || gid === 101)).toBe(true);
+        testFramework.expect(decorations.data.filter(gid => gid > 0).length).toBe(placed(level.layers.interactive));
+        testFramework.expect(objects.objects.length).toBe(level.entities.length);
+    });
+});
+
+module.exports = testFramework.runFile(module);
@@ -606,6 +606,65 @@ class AppController {
         console.log('Updating settings view');
     }
 
+    /**
+     * Handle generate asset: generate the selected asset type with the current config
+     */
+    async handleGenerateAsset() {
+        if (!this.currentAssetType) {
+            this.showStatus('Select an asset type first', 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Generating asset...');
+            const result = await this.generateAsset(this.currentAssetType, this.currentConfig);
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.generatedAsset = result.asset;
+            this.showStatus('Asset generated successfully!', 'success');
+        } catch (error) {
+            console.error('Error generating asset:', error);
+            this.showStatus('Failed to generate asset: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Generate one asset in the desktop shell: Tauri's generate_asset command, which runs the
+     * Node generator sidecar, or Electron's generate IPC
+     * @returns {Promise<Object>} { success, asset } or { success: false, error }
+     */
+    async generateAsset(type, config) {
+        if (window.__TAURI__) {
+            return window.__TAURI__.core.invoke('generate_asset', { assetType: type, config });
+        }
+        if (!window.electronAPI) {
+            return { success: false, error: 'Electron API not available' };
+        }
+
+        return window.electronAPI.generateAsset(type, config);
+    }
+
+    /**
+     * Generate a batch in the desktop shell: Tauri's generate_batch command or Electron's batch IPC
+     * @param {Object|Array} batchConfig - { type, count, config } or a list of { type, config }
+     * @returns {Promise<Object>} { success, assets } or { success: false, error }
+     */
+    async generateBatch(batchConfig) {
+        if (window.__TAURI__) {
+            return window.__TAURI__.core.invoke('generate_batch', { batchConfig });
+        }
+        if (!window.electronAPI || !window.electronAPI.generateBatch) {
+            return { success: false, error: 'Electron API not available' };
+        }
+
+        return window.electronAPI.generateBatch(batchConfig);
+    }
+
     /**
      * Handle export assets
      */
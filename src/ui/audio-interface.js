@@ -8,6 +8,7 @@ const { ipcRenderer } = require('electron');
 const AudioManager = require('../audio/audio-manager');
 const WaveformVisualizer = require('../audio/waveform-visualizer');
 const SpectrumVisualizer = require('../audio/spectrum-visualizer');
+const SfxrSynthesizer = require('../generators/sfxr-synthesizer');
 
 class AudioInterface {
     constructor() {
@@ -17,6 +18,8 @@ class AudioInterface {
         this.currentAudioInstance = null;
         this.currentAudioData = null;
         this.animationId = null;
+        this.sfxr = new SfxrSynthesizer();
+        this.sfxrParams = this.sfxr.generate('pickup');
 
         this.init();
     }
@@ -110,7 +113,9 @@ class AudioInterface {
                     <option value="monster_roar">👹 Monster Roar</option>
                     <option value="coin_collect">🪙 Coin Collect</option>
                     <option value="door_open">🚪 Door Open</option>
+                    <option value="sfxr">🎛️ Sound Designer (sfxr)</option>
                 </select>
+                <div id="sfxrPanel"></div>
                 <label for="duration">Duration (seconds):</label>
                 <input type="number" id="duration" value="1.0" step="0.1" min="0.1" max="5.0">
                 <label for="quality">Quality (for MP3):</label>
@@ -120,6 +125,8 @@ class AudioInterface {
                     <option value="256">256 kbps</option>
                 </select>
             `;
+            document.getElementById('effectType')?.addEventListener('change', () => this.updateSfxrPanel());
+            this.updateSfxrPanel();
         } else if (audioType === 'music') {
             configPanel.innerHTML = `
                 <label for="style">Music Style:</label>
@@ -165,6 +172,84 @@ class AudioInterface {
         }
     }
 
+    /**
+     * Show the sfxr sound designer while its effect type is selected: category
+     * randomizers, Mutate, a control per parameter and jsfxr JSON import/export
+     */
+    updateSfxrPanel() {
+        const sfxrPanel = document.getElementById('sfxrPanel');
+        if (!sfxrPanel) return;
+
+        if (document.getElementById('effectType')?.value !== 'sfxr') {
+            sfxrPanel.innerHTML = '';
+            return;
+        }
+
+        const params = this.sfxrParams;
+        const options = (values, selected, label = value => value) => values
+            .map((value, index) => `<option value="${index}"${index === selected ? ' selected' : ''}>${label(value)}</option>`)
+            .join('');
+
+        sfxrPanel.innerHTML = `
+            <div class="sfxr-categories">
+                ${Object.keys(SfxrSynthesizer.CATEGORIES).map(category => `<button type="button" data-category="${category}">${category.charAt(0).toUpperCase() + category.slice(1)}</button>`).join('')}
+                <button type="button" id="sfxrMutate">🎲 Mutate</button>
+            </div>
+            <label for="sfxr_wave_type">Waveform:</label>
+            <select id="sfxr_wave_type">${options(SfxrSynthesizer.WAVE_TYPES, params.wave_type)}</select>
+            ${Object.entries(SfxrSynthesizer.PARAMETERS).map(([name, { label, min, max }]) => `
+                <label for="sfxr_${name}">${label}:</label>
+                <input type="range" id="sfxr_${name}" data-param="${name}" min="${min}" max="${max}" step="0.001" value="${params[name]}">
+            `).join('')}
+            <label for="sfxr_sound_vol">Volume:</label>
+            <input type="range" id="sfxr_sound_vol" data-param="sound_vol" min="0" max="1" step="0.01" value="${params.sound_vol}">
+            <label for="sfxr_sample_rate">Sample Rate:</label>
+            <select id="sfxr_sample_rate">${options(SfxrSynthesizer.SAMPLE_RATES, SfxrSynthesizer.SAMPLE_RATES.indexOf(params.sample_rate), rate => `${rate} Hz`)}</select>
+            <label for="sfxr_sample_size">Sample Size:</label>
+            <select id="sfxr_sample_size">${options(SfxrSynthesizer.SAMPLE_SIZES, SfxrSynthesizer.SAMPLE_SIZES.indexOf(params.sample_size), size => `${size} bit`)}</select>
+            <label for="sfxrJSON">jsfxr JSON:</label>
+            <textarea id="sfxrJSON" rows="4"></textarea>
+            <button type="button" id="sfxrImport">📥 Import</button>
+            <button type="button" id="sfxrExport">📤 Export</button>
+        `;
+
+        sfxrPanel.querySelectorAll('[data-category]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.sfxrParams = this.sfxr.generate(button.dataset.category);
+                this.updateSfxrPanel();
+            });
+        });
+        document.getElementById('sfxrMutate').addEventListener('click', () => {
+            this.sfxrParams = this.sfxr.mutate(this.sfxrParams);
+            this.updateSfxrPanel();
+        });
+        sfxrPanel.querySelectorAll('[data-param]').forEach(input => {
+            input.addEventListener('input', () => {
+                this.sfxrParams[input.dataset.param] = parseFloat(input.value);
+            });
+        });
+        document.getElementById('sfxr_wave_type').addEventListener('change', (e) => {
+            this.sfxrParams.wave_type = parseInt(e.target.value);
+        });
+        document.getElementById('sfxr_sample_rate').addEventListener('change', (e) => {
+            this.sfxrParams.sample_rate = SfxrSynthesizer.SAMPLE_RATES[e.target.value];
+        });
+        document.getElementById('sfxr_sample_size').addEventListener('change', (e) => {
+            this.sfxrParams.sample_size = SfxrSynthesizer.SAMPLE_SIZES[e.target.value];
+        });
+        document.getElementById('sfxrImport').addEventListener('click', () => {
+            try {
+                this.sfxrParams = this.sfxr.fromJSON(document.getElementById('sfxrJSON').value);
+                this.updateSfxrPanel();
+            } catch (error) {
+                alert('Failed to import sfxr settings: ' + error.message);
+            }
+        });
+        document.getElementById('sfxrExport').addEventListener('click', () => {
+            document.getElementById('sfxrJSON').value = JSON.stringify(this.sfxr.toJSON(this.sfxrParams), null, 2);
+        });
+    }
+
     getConfigFromPanel() {
         const audioType = document.getElementById('audioType')?.value || 'sfx';
         const config = {};
@@ -173,6 +258,9 @@ class AudioInterface {
             config.effectType = document.getElementById('effectType')?.value;
             config.duration = parseFloat(document.getElementById('duration')?.value || 1.0);
             config.quality = parseInt(document.getElementById('quality')?.value || 128);
+            if (config.effectType === 'sfxr') {
+                config.sfxr = this.sfxr.toJSON(this.sfxrParams);
+            }
         } else if (audioType === 'music') {
             config.style = document.getElementById('style')?.value;
             config.duration = parseFloat(document.getElementById('duration')?.value || 30);
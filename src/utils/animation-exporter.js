@@ -5,33 +5,210 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { PNG } = require('pngjs');
+const GIFEncoder = require('./gif-encoder');
+const APNGEncoder = require('./apng-encoder');
+const AsepriteEncoder = require('./aseprite-encoder');
 
 class AnimationExporter {
   /**
    * Export animation as GIF
-   * @param {Array} frames - Array of frame data
+   * @param {Array} frames - Array of frame data (Jimp images, RGBA bitmaps or PNG buffers)
    * @param {string} outputPath - Output file path
    * @param {Object} options - Export options
+   * @param {number} [options.delay=100] - Frame delay in milliseconds
+   * @param {Array<number>} [options.delays] - Per-frame delays in milliseconds
+   * @param {number} [options.loop=0] - Loop count (0 = infinite)
+   * @param {number} [options.colors=256] - Palette size
+   * @param {boolean} [options.dither=false] - Apply error-diffusion dithering
    * @returns {Promise<string>} Path to exported file
    */
   async exportAsGIF(frames, outputPath, options = {}) {
-    // In a real implementation, this would use a library like gifencoder
-    // For now, we'll create a placeholder
-    const { delay = 100, loop = 0 } = options;
-    
-    // Create a simple text file describing the animation
-    const animationData = {
-      format: 'gif',
-      frameCount: frames.length,
-      delay,
-      loop,
-      exported: new Date().toISOString()
-    };
-    
-    await fs.writeFile(outputPath, JSON.stringify(animationData, null, 2));
+    const buffer = this.encodeGIF(frames, options);
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, buffer);
+    return outputPath;
+  }
+
+  /**
+   * Export animation as animated PNG
+   * @param {Array} frames - Array of frame data (Jimp images, RGBA bitmaps or PNG buffers)
+   * @param {string} outputPath - Output file path
+   * @param {Object} options - Export options
+   * @param {number} [options.delay=100] - Frame delay in milliseconds
+   * @param {Array<number>} [options.delays] - Per-frame delays in milliseconds
+   * @param {number} [options.loop=0] - Number of plays (0 = infinite)
+   * @returns {Promise<string>} Path to exported file
+   */
+  async exportAsAPNG(frames, outputPath, options = {}) {
+    const buffer = this.encodeAPNG(frames, options);
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, buffer);
     return outputPath;
   }
 
+  /**
+   * Export animation as an Aseprite document with layers and tags
+   * @param {Array} frames - Array of frame data; frames may carry layers: [{ name, image }]
+   * @param {string} outputPath - Output file path (.aseprite or .ase)
+   * @param {Object} options - Export options
+   * @param {number} [options.delay=100] - Frame duration in milliseconds
+   * @param {Array<number>} [options.delays] - Per-frame durations in milliseconds
+   * @param {Array<{name: string, from: number, to: number, direction?: string, repeat?: number}>} [options.tags] - Animation tags
+   * @param {Array<string>} [options.layers] - Layer order, bottom first (defaults to first appearance)
+   * @param {string} [options.layerName='Layer 1'] - Layer name for frames without layers
+   * @param {Array<{r: number, g: number, b: number}>} [options.palette] - Palette to embed
+   * @returns {Promise<string>} Path to exported file
+   */
+  async exportAsAseprite(frames, outputPath, options = {}) {
+    const buffer = this.encodeAseprite(frames, options);
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, buffer);
+    return outputPath;
+  }
+
+  /**
+   * Encode frames to an in-memory GIF
+   * @param {Array} frames - Array of frame data
+   * @param {Object} options - Encoder options, see exportAsGIF
+   * @returns {Buffer} GIF file contents
+   */
+  encodeGIF(frames, options = {}) {
+    const encoder = new GIFEncoder(options);
+    return encoder.encode(this.normalizeFrames(frames, options));
+  }
+
+  /**
+   * Encode frames to an in-memory APNG
+   * @param {Array} frames - Array of frame data
+   * @param {Object} options - Encoder options, see exportAsAPNG
+   * @returns {Buffer} APNG file contents
+   */
+  encodeAPNG(frames, options = {}) {
+    const encoder = new APNGEncoder(options);
+    return encoder.encode(this.normalizeFrames(frames, options));
+  }
+
+  /**
+   * Encode frames to an in-memory Aseprite document
+   * @param {Array} frames - Array of frame data
+   * @param {Object} options - Encoder options, see exportAsAseprite
+   * @returns {Buffer} Aseprite file contents
+   */
+  encodeAseprite(frames, options = {}) {
+    const normalized = this.normalizeFrames(frames, options);
+    const { width, height } = normalized[0];
+    const flatLayer = options.layerName || 'Layer 1';
+
+    const layerNames = options.layers ? [...options.layers] : [];
+    if (!options.layers) {
+      frames.forEach(frame => {
+        const names = frame && Array.isArray(frame.layers) ? frame.layers.map(layer => layer.name) : [flatLayer];
+        names.forEach(name => {
+          if (!layerNames.includes(name)) layerNames.push(name);
+        });
+      });
+    }
+
+    const documentFrames = normalized.map((frame, index) => {
+      if (frame.width !== width || frame.height !== height) {
+        throw new Error(`All Aseprite frames must be ${width}x${height}, got ${frame.width}x${frame.height}`);
+      }
+
+      const source = frames[index];
+      const cels = layerNames.map(() => null);
+
+      if (source && Array.isArray(source.layers)) {
+        source.layers.forEach(layer => {
+          const layerIndex = layerNames.indexOf(layer.name);
+          if (layerIndex >= 0) {
+            cels[layerIndex] = this.readBitmap(layer.image, `layer "${layer.name}" of frame ${index}`).data;
+          }
+        });
+      } else if (layerNames.includes(flatLayer)) {
+        cels[layerNames.indexOf(flatLayer)] = frame.data;
+      }
+
+      return { delay: frame.delay, cels };
+    });
+
+    const encoder = new AsepriteEncoder(options);
+    return encoder.encode({
+      width,
+      height,
+      layers: layerNames,
+      frames: documentFrames,
+      tags: options.tags,
+      palette: options.palette
+    });
+  }
+
+  /**
+   * Convert frames from the animation generators into plain RGBA bitmaps
+   * Accepts Jimp images (BasicAnimationSystem, ParticleAnimationGenerator),
+   * ImageData-like objects, PNG buffers and { image, delay } wrappers.
+   * @param {Array} frames - Array of frame data
+   * @param {Object} options - Timing options (delay, delays, duration)
+   * @returns {Array<{width: number, height: number, data: Uint8Array, delay: number}>} RGBA frames
+   */
+  normalizeFrames(frames, options = {}) {
+    if (!Array.isArray(frames) || frames.length === 0) {
+      throw new Error('Animation export requires at least one frame');
+    }
+
+    // An animation duration (as in BasicAnimationSystem.animationTiming) is spread evenly over the frames
+    const defaultDelay = options.duration ? options.duration / frames.length : (options.delay || 100);
+
+    return frames.map((frame, index) => {
+      // { image, delay } wrappers carry their own timing
+      const source = frame && frame.image && !frame.bitmap && !frame.data ? frame.image : frame;
+
+      const bitmap = this.readBitmap(source, `frame ${index}`);
+
+      let delay = defaultDelay;
+      if (options.delays && options.delays[index] !== undefined) {
+        delay = options.delays[index];
+      } else if (frame.delay !== undefined) {
+        delay = frame.delay;
+      }
+
+      return {
+        width: bitmap.width,
+        height: bitmap.height,
+        data: bitmap.data,
+        delay
+      };
+    });
+  }
+
+  /**
+   * Read a Jimp image, ImageData-like object or PNG buffer as an RGBA bitmap
+   * @param {*} source - Image source
+   * @param {string} label - Name used in error messages
+   * @returns {{width: number, height: number, data: Uint8Array}} RGBA bitmap
+   */
+  readBitmap(source, label) {
+    let bitmap;
+    if (Buffer.isBuffer(source)) {
+      bitmap = PNG.sync.read(source);
+    } else if (source && source.bitmap) {
+      bitmap = source.bitmap;
+    } else if (source && source.data && source.width && source.height) {
+      bitmap = source;
+    } else {
+      throw new Error(`Unsupported animation image for ${label}`);
+    }
+
+    if (bitmap.data.length !== bitmap.width * bitmap.height * 4) {
+      throw new Error(`Image for ${label} is not a ${bitmap.width}x${bitmap.height} RGBA bitmap`);
+    }
+
+    return bitmap;
+  }
+
   /**
    * Export animation as sprite sheet
    * @param {Array} frames - Array of frame data
@@ -0,0 +1,188 @@
+/**
+ * TPT Asset Editor Desktop - APNG Encoder
+ * Animated PNG encoder producing lossless 32-bit RGBA animations
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Delay denominators tried in turn (ms, 1/100 s, 1/10 s, s) until the numerator fits 16 bits
+const DELAY_DENOMINATORS = [1000, 100, 10, 1];
+const MAX_DELAY_NUMERATOR = 0xFFFF;
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks
+ */
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+class APNGEncoder {
+    /**
+     * Create an APNG encoder
+     * @param {Object} options - Encoder options
+     * @param {number} [options.delay=100] - Default frame delay in milliseconds
+     * @param {number} [options.loop=0] - Number of plays (0 = infinite)
+     * @param {number} [options.compressionLevel=9] - zlib compression level
+     */
+    constructor(options = {}) {
+        this.options = {
+            delay: options.delay !== undefined ? options.delay : 100,
+            loop: options.loop !== undefined ? Math.max(0, options.loop) : 0,
+            compressionLevel: options.compressionLevel !== undefined ? options.compressionLevel : 9
+        };
+    }
+
+    /**
+     * Encode RGBA frames into an animated PNG
+     * @param {Array<{width: number, height: number, data: Uint8Array, delay?: number}>} frames - RGBA frames
+     * @returns {Buffer} APNG file contents
+     */
+    encode(frames) {
+        if (!Array.isArray(frames) || frames.length === 0) {
+            throw new Error('APNG encoding requires at least one frame');
+        }
+
+        const { width, height } = frames[0];
+        for (const frame of frames) {
+            if (frame.width !== width || frame.height !== height) {
+                throw new Error(`All APNG frames must be ${width}x${height}, got ${frame.width}x${frame.height}`);
+            }
+        }
+
+        const chunks = [PNG_SIGNATURE];
+        chunks.push(this.writeChunk('IHDR', this.createHeader(width, height)));
+
+        const actl = Buffer.alloc(8);
+        actl.writeUInt32BE(frames.length, 0);
+        actl.writeUInt32BE(this.options.loop, 4);
+        chunks.push(this.writeChunk('acTL', actl));
+
+        let sequence = 0;
+        frames.forEach((frame, index) => {
+            const delay = frame.delay !== undefined ? frame.delay : this.options.delay;
+            chunks.push(this.writeChunk('fcTL', this.createFrameControl(sequence++, width, height, delay)));
+
+            const compressed = this.compressFrame(frame);
+            if (index === 0) {
+                // The first frame doubles as the default image for non-APNG viewers
+                chunks.push(this.writeChunk('IDAT', compressed));
+            } else {
+                const fdat = Buffer.alloc(4 + compressed.length);
+                fdat.writeUInt32BE(sequence++, 0);
+                compressed.copy(fdat, 4);
+                chunks.push(this.writeChunk('fdAT', fdat));
+            }
+        });
+
+        chunks.push(this.writeChunk('IEND', Buffer.alloc(0)));
+
+        return Buffer.concat(chunks);
+    }
+
+    createHeader(width, height) {
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8; // Bit depth
+        header[9] = 6; // Color type: RGBA
+        header[10] = 0; // Compression
+        header[11] = 0; // Filter method
+        header[12] = 0; // No interlace
+        return header;
+    }
+
+    createFrameControl(sequence, width, height, delayMs) {
+        const fctl = Buffer.alloc(26);
+        fctl.writeUInt32BE(sequence, 0);
+        fctl.writeUInt32BE(width, 4);
+        fctl.writeUInt32BE(height, 8);
+        fctl.writeUInt32BE(0, 12); // x offset
+        fctl.writeUInt32BE(0, 16); // y offset
+        const { numerator, denominator } = APNGEncoder.toDelayFraction(delayMs);
+        fctl.writeUInt16BE(numerator, 20);
+        fctl.writeUInt16BE(denominator, 22);
+        fctl[24] = 1; // Dispose to transparent black
+        fctl[25] = 0; // Replace instead of blending
+        return fctl;
+    }
+
+    /**
+     * Delay as the fcTL fraction of a second, in milliseconds where it fits and in
+     * coarser units for longer delays (capped at 65535 s)
+     */
+    static toDelayFraction(delayMs) {
+        const seconds = Math.max(0, delayMs) / 1000;
+        const denominator = DELAY_DENOMINATORS.find(value => Math.round(seconds * value) <= MAX_DELAY_NUMERATOR) || 1;
+        return {
+            numerator: Math.min(MAX_DELAY_NUMERATOR, Math.round(seconds * denominator)),
+            denominator
+        };
+    }
+
+    /**
+     * Filter and deflate one frame's scanlines
+     * Each row uses the Paeth filter, which suits flat pixel art well
+     */
+    compressFrame(frame) {
+        const { width, height, data } = frame;
+        const stride = width * 4;
+        const raw = Buffer.alloc((stride + 1) * height);
+
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * (stride + 1);
+            raw[rowStart] = 4; // Paeth
+
+            for (let x = 0; x < stride; x++) {
+                const current = data[y * stride + x];
+                const left = x >= 4 ? data[y * stride + x - 4] : 0;
+                const up = y > 0 ? data[(y - 1) * stride + x] : 0;
+                const upLeft = x >= 4 && y > 0 ? data[(y - 1) * stride + x - 4] : 0;
+                raw[rowStart + 1 + x] = (current - this.paethPredictor(left, up, upLeft)) & 0xFF;
+            }
+        }
+
+        return zlib.deflateSync(raw, { level: this.options.compressionLevel });
+    }
+
+    paethPredictor(a, b, c) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        if (pa <= pb && pa <= pc) return a;
+        if (pb <= pc) return b;
+        return c;
+    }
+
+    writeChunk(type, data) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length, 0);
+
+        const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(typeAndData), 0);
+
+        return Buffer.concat([length, typeAndData, crc]);
+    }
+}
+
+module.exports = APNGEncoder;
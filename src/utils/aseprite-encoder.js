@@ -0,0 +1,311 @@
+/**
+ * TPT Asset Editor Desktop - Aseprite Encoder
+ * Writes layered, tagged RGBA animations as .aseprite/.ase files
+ */
+
+const zlib = require('zlib');
+
+const FILE_MAGIC = 0xA5E0;
+const FRAME_MAGIC = 0xF1FA;
+
+const CHUNK_LAYER = 0x2004;
+const CHUNK_CEL = 0x2005;
+const CHUNK_COLOR_PROFILE = 0x2007;
+const CHUNK_TAGS = 0x2018;
+const CHUNK_PALETTE = 0x2019;
+
+const CEL_LINKED = 1;
+const CEL_COMPRESSED = 2;
+
+const TAG_DIRECTIONS = {
+    forward: 0,
+    reverse: 1,
+    pingpong: 2,
+    pingpong_reverse: 3
+};
+
+class AsepriteEncoder {
+    /**
+     * Create an Aseprite encoder
+     * @param {Object} options - Encoder options
+     * @param {number} [options.delay=100] - Default frame duration in milliseconds
+     * @param {number} [options.compressionLevel=9] - zlib compression level for cels
+     */
+    constructor(options = {}) {
+        this.options = {
+            delay: options.delay !== undefined ? options.delay : 100,
+            compressionLevel: options.compressionLevel !== undefined ? options.compressionLevel : 9
+        };
+    }
+
+    /**
+     * Encode a layered document
+     *
+     * Each frame holds one RGBA buffer per layer (null for an empty cel). A cel whose
+     * pixels match the same layer on the previous frame is written as a linked cel, so
+     * static layers such as a character's body are stored once.
+     * @param {Object} document - Document to encode
+     * @param {number} document.width - Canvas width
+     * @param {number} document.height - Canvas height
+     * @param {Array<string|{name: string, opacity?: number, visible?: boolean}>} document.layers - Layers, bottom first
+     * @param {Array<{delay?: number, cels: Array<Uint8Array|null>}>} document.frames - Frames
+     * @param {Array<{name: string, from: number, to: number, direction?: string, repeat?: number, color?: string}>} [document.tags] - Animation tags
+     * @param {Array<{r: number, g: number, b: number, a?: number}>} [document.palette] - Optional palette
+     * @returns {Buffer} Aseprite file contents
+     */
+    encode(document) {
+        const { width, height } = document;
+        const layers = (document.layers || []).map(layer => typeof layer === 'string' ? { name: layer } : layer);
+        const frames = document.frames || [];
+        const tags = document.tags || [];
+
+        if (frames.length === 0) {
+            throw new Error('Aseprite encoding requires at least one frame');
+        }
+        if (layers.length === 0) {
+            throw new Error('Aseprite encoding requires at least one layer');
+        }
+        if (frames.length > 0xFFFF || width > 0xFFFF || height > 0xFFFF) {
+            throw new Error('Aseprite documents are limited to 65535 frames and 65535x65535 pixels');
+        }
+
+        const expectedLength = width * height * 4;
+        frames.forEach((frame, index) => {
+            if (frame.cels.length > layers.length) {
+                throw new Error(`Frame ${index} has ${frame.cels.length} cels for ${layers.length} layers`);
+            }
+            frame.cels.forEach((cel, layerIndex) => {
+                if (cel && cel.length !== expectedLength) {
+                    throw new Error(`Cel ${layerIndex} of frame ${index} is not a ${width}x${height} RGBA bitmap`);
+                }
+            });
+        });
+
+        for (const tag of tags) {
+            if (tag.from < 0 || tag.to >= frames.length || tag.from > tag.to) {
+                throw new Error(`Tag "${tag.name}" spans frames ${tag.from}-${tag.to} outside 0-${frames.length - 1}`);
+            }
+        }
+
+        // Frame index whose cel each layer links back to, with that cel's pixels
+        const previous = layers.map(() => null);
+
+        const frameBuffers = frames.map((frame, frameIndex) => {
+            const chunks = [];
+
+            if (frameIndex === 0) {
+                chunks.push(this.createChunk(CHUNK_COLOR_PROFILE, this.createColorProfile()));
+                if (document.palette && document.palette.length > 0) {
+                    chunks.push(this.createChunk(CHUNK_PALETTE, this.createPalette(document.palette)));
+                }
+                for (const layer of layers) {
+                    chunks.push(this.createChunk(CHUNK_LAYER, this.createLayer(layer)));
+                }
+                if (tags.length > 0) {
+                    chunks.push(this.createChunk(CHUNK_TAGS, this.createTags(tags)));
+                }
+            }
+
+            frame.cels.forEach((cel, layerIndex) => {
+                if (!cel) {
+                    previous[layerIndex] = null;
+                    return;
+                }
+
+                const pixels = this.toBuffer(cel);
+                const last = previous[layerIndex];
+                if (last && last.pixels.equals(pixels)) {
+                    chunks.push(this.createChunk(CHUNK_CEL, this.createLinkedCel(layerIndex, last.frame)));
+                    return;
+                }
+
+                const imageCel = this.createImageCel(layerIndex, pixels, width, height);
+                if (imageCel) {
+                    chunks.push(this.createChunk(CHUNK_CEL, imageCel));
+                    previous[layerIndex] = { frame: frameIndex, pixels };
+                } else {
+                    previous[layerIndex] = null;
+                }
+            });
+
+            const delay = frame.delay !== undefined ? frame.delay : this.options.delay;
+            return this.createFrame(chunks, delay);
+        });
+
+        const header = this.createHeader(width, height, frames.length, document.palette);
+        const file = Buffer.concat([header, ...frameBuffers]);
+        file.writeUInt32LE(file.length, 0);
+        return file;
+    }
+
+    createHeader(width, height, frameCount, palette) {
+        const header = Buffer.alloc(128);
+        header.writeUInt16LE(FILE_MAGIC, 4);
+        header.writeUInt16LE(frameCount, 6);
+        header.writeUInt16LE(width, 8);
+        header.writeUInt16LE(height, 10);
+        header.writeUInt16LE(32, 12); // Color depth: RGBA
+        header.writeUInt32LE(1, 14); // Layer opacity is valid
+        header.writeUInt16LE(this.clampDuration(this.options.delay), 18); // Deprecated speed field
+        header.writeUInt16LE(palette ? palette.length : 0, 32);
+        header[34] = 1; // Pixel width
+        header[35] = 1; // Pixel height
+        header.writeUInt16LE(16, 40); // Grid width
+        header.writeUInt16LE(16, 42); // Grid height
+        return header;
+    }
+
+    createFrame(chunks, delay) {
+        const header = Buffer.alloc(16);
+        const size = 16 + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        header.writeUInt32LE(size, 0);
+        header.writeUInt16LE(FRAME_MAGIC, 4);
+        header.writeUInt16LE(Math.min(chunks.length, 0xFFFF), 6);
+        header.writeUInt16LE(this.clampDuration(delay), 8);
+        header.writeUInt32LE(chunks.length, 12);
+        return Buffer.concat([header, ...chunks]);
+    }
+
+    /**
+     * Durations are 16-bit milliseconds
+     */
+    clampDuration(delay) {
+        return Math.max(0, Math.min(0xFFFF, Math.round(delay)));
+    }
+
+    createChunk(type, data) {
+        const header = Buffer.alloc(6);
+        header.writeUInt32LE(data.length + 6, 0);
+        header.writeUInt16LE(type, 4);
+        return Buffer.concat([header, data]);
+    }
+
+    createColorProfile() {
+        const profile = Buffer.alloc(16);
+        profile.writeUInt16LE(1, 0); // sRGB
+        return profile;
+    }
+
+    createLayer(layer) {
+        const name = this.createString(layer.name || 'Layer');
+        const data = Buffer.alloc(16);
+        data.writeUInt16LE(layer.visible === false ? 2 : 3, 0); // Visible | editable
+        data.writeUInt16LE(0, 2); // Normal (image) layer
+        data[12] = layer.opacity !== undefined ? Math.round(layer.opacity * 255) : 255;
+        return Buffer.concat([data, name]);
+    }
+
+    /**
+     * Compressed image cel, cropped to the cel's opaque bounds
+     * Returns null when the cel is fully transparent
+     */
+    createImageCel(layerIndex, pixels, width, height) {
+        const bounds = this.findBounds(pixels, width, height);
+        if (!bounds) return null;
+
+        const stride = bounds.width * 4;
+        const cropped = Buffer.alloc(stride * bounds.height);
+        for (let y = 0; y < bounds.height; y++) {
+            const start = ((bounds.y + y) * width + bounds.x) * 4;
+            pixels.copy(cropped, y * stride, start, start + stride);
+        }
+
+        const data = Buffer.alloc(20);
+        data.writeUInt16LE(layerIndex, 0);
+        data.writeInt16LE(bounds.x, 2);
+        data.writeInt16LE(bounds.y, 4);
+        data[6] = 255; // Opacity
+        data.writeUInt16LE(CEL_COMPRESSED, 7);
+        data.writeUInt16LE(bounds.width, 16);
+        data.writeUInt16LE(bounds.height, 18);
+        return Buffer.concat([data, zlib.deflateSync(cropped, { level: this.options.compressionLevel })]);
+    }
+
+    createLinkedCel(layerIndex, framePosition) {
+        const data = Buffer.alloc(18);
+        data.writeUInt16LE(layerIndex, 0);
+        data[6] = 255;
+        data.writeUInt16LE(CEL_LINKED, 7);
+        data.writeUInt16LE(framePosition, 16);
+        return data;
+    }
+
+    createTags(tags) {
+        const header = Buffer.alloc(10);
+        header.writeUInt16LE(tags.length, 0);
+
+        const entries = tags.map(tag => {
+            const entry = Buffer.alloc(17);
+            entry.writeUInt16LE(tag.from, 0);
+            entry.writeUInt16LE(tag.to, 2);
+            entry[4] = TAG_DIRECTIONS[tag.direction || 'forward'] || 0;
+            entry.writeUInt16LE(tag.repeat || 0, 5); // 0 = loop forever
+            const color = this.parseColor(tag.color || '#000000');
+            entry[13] = color.r;
+            entry[14] = color.g;
+            entry[15] = color.b;
+            return Buffer.concat([entry, this.createString(tag.name)]);
+        });
+
+        return Buffer.concat([header, ...entries]);
+    }
+
+    createPalette(palette) {
+        const header = Buffer.alloc(20);
+        header.writeUInt32LE(palette.length, 0);
+        header.writeUInt32LE(0, 4);
+        header.writeUInt32LE(palette.length - 1, 8);
+
+        const entries = palette.map(color => {
+            const entry = Buffer.alloc(6);
+            entry[2] = color.r;
+            entry[3] = color.g;
+            entry[4] = color.b;
+            entry[5] = color.a !== undefined ? color.a : 255;
+            return entry;
+        });
+
+        return Buffer.concat([header, ...entries]);
+    }
+
+    createString(text) {
+        const bytes = Buffer.from(String(text), 'utf8');
+        const length = Buffer.alloc(2);
+        length.writeUInt16LE(bytes.length, 0);
+        return Buffer.concat([length, bytes]);
+    }
+
+    parseColor(hex) {
+        const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+        return { r: (value >> 16) & 0xFF, g: (value >> 8) & 0xFF, b: value & 0xFF };
+    }
+
+    toBuffer(pixels) {
+        return Buffer.isBuffer(pixels) ? pixels : Buffer.from(pixels.buffer, pixels.byteOffset, pixels.length);
+    }
+
+    /**
+     * Bounding box of the pixels with non-zero alpha
+     */
+    findBounds(pixels, width, height) {
+        let minX = width;
+        let minY = height;
+        let maxX = -1;
+        let maxY = -1;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (pixels[(y * width + x) * 4 + 3] === 0) continue;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+
+        if (maxX < 0) return null;
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+}
+
+module.exports = AsepriteEncoder;
@@ -0,0 +1,135 @@
+/**
+ * TPT Asset Editor Desktop - TypeScript Asset Key Modules
+ * Builds the .ts modules exported next to web engine assets, so games refer to atlas
+ * frames, animations and tilemaps through typed constants instead of string literals
+ */
+
+// Compass bearing in degrees of each facing of a directional animation
+const BEARINGS = {
+    north: 0, northeast: 45, east: 90, southeast: 135, south: 180, southwest: 225, west: 270, northwest: 315
+};
+
+class AssetKeyModule {
+    /**
+     * @param {string} description - What the module holds, written in its header comment
+     */
+    constructor(description) {
+        this.description = description;
+        this.blocks = [];
+    }
+
+    /**
+     * Add a const object of keys and a union type of its values
+     * @param {string} name - Object name, e.g. 'Frames'
+     * @param {string} typeName - Union type name, e.g. 'FrameKey'
+     * @param {Array<string>} keys - Key strings; property names are derived from them
+     * @returns {AssetKeyModule} This module
+     */
+    addKeys(name, typeName, keys) {
+        const used = new Set();
+        const lines = [...new Set(keys)].map(key => {
+            const base = AssetKeyModule.toIdentifier(key);
+            let identifier = base;
+            for (let suffix = 2; used.has(identifier); suffix++) {
+                identifier = `${base}_${suffix}`;
+            }
+            used.add(identifier);
+            return `    ${identifier}: ${AssetKeyModule.quote(key)},`;
+        });
+
+        const body = lines.length > 0 ? `{\n${lines.join('\n')}\n}` : '{}';
+        this.blocks.push(`export const ${name} = ${body} as const;\n` +
+            `export type ${typeName} = (typeof ${name})[keyof typeof ${name}];`);
+        return this;
+    }
+
+    /**
+     * Add the facings of directional animations, their animation keys and a facing() helper
+     * that picks the facing closest to a movement vector
+     * @param {Object} directions - Animation keys by animation and facing, e.g.
+     *   { walk: { north: 'walk_north' } } (animationData.directions of a directional sheet)
+     * @returns {AssetKeyModule} This module
+     */
+    addDirections(directions) {
+        const quote = AssetKeyModule.quote;
+        const facings = [...new Set(Object.values(directions).flatMap(byFacing => Object.keys(byFacing)))];
+        const unknown = facings.find(facing => BEARINGS[facing] === undefined);
+        if (unknown) {
+            throw new Error(`Unknown facing: ${unknown}`);
+        }
+
+        const animations = Object.entries(directions).map(([name, byFacing]) => {
+            const keys = Object.entries(byFacing).map(([facing, key]) => `        ${facing}: ${quote(key)},`);
+            return `    ${AssetKeyModule.toIdentifier(name)}: {\n${keys.join('\n')}\n    },`;
+        });
+        const bearings = facings.map(facing => `${facing}: ${BEARINGS[facing]}`).join(', ');
+
+        this.addKeys('Directions', 'Direction', facings);
+        return this.addSource(`/** Animation keys of each directional animation by facing */
+export const DirectionalAnimations = {
+${animations.join('\n')}
+} as const;
+
+const Bearings: Record<Direction, number> = { ${bearings} };
+
+/**
+ * The facing closest to a movement vector
+ * @param dx - Horizontal movement, right positive
+ * @param dy - Vertical movement, down positive as on screen
+ */
+export function facing(dx: number, dy: number): Direction {
+    const bearing = Math.atan2(dx, -dy) * 180 / Math.PI;
+    let closest = ${quote(facings[0])} as Direction;
+    let smallest = Infinity;
+    (Object.keys(Bearings) as Direction[]).forEach(direction => {
+        const difference = Math.abs((((bearing - Bearings[direction]) % 360) + 540) % 360 - 180);
+        if (difference < smallest) {
+            closest = direction;
+            smallest = difference;
+        }
+    });
+    return closest;
+}`);
+    }
+
+    /**
+     * Add a block of TypeScript source as is
+     * @returns {AssetKeyModule} This module
+     */
+    addSource(source) {
+        this.blocks.push(source.trim());
+        return this;
+    }
+
+    toString() {
+        const header = `/**\n * ${this.description}\n * Generated by TPT Asset Editor; re-export the assets instead of editing this file.\n */`;
+        return `${[header, ...this.blocks].join('\n\n')}\n`;
+    }
+
+    /**
+     * PascalCase property name for a key: 'walk_0' -> 'Walk0', 'boss-room' -> 'BossRoom'
+     */
+    static toIdentifier(key) {
+        const identifier = String(key)
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map(part => part[0].toUpperCase() + part.slice(1))
+            .join('');
+
+        if (!identifier) return '_';
+        return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+    }
+
+    /**
+     * Single-quoted TypeScript string literal
+     */
+    static quote(value) {
+        return `'${String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, "\\'")
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r')}'`;
+    }
+}
+
+module.exports = AssetKeyModule;
@@ -0,0 +1,265 @@
+/**
+ * TPT Asset Editor Desktop - Collision Shapes
+ * Collision geometry traced from sprite alpha: a tight bounding box, a convex hull and
+ * simplified outline polygons (marching squares along pixel edges, then Douglas-Peucker)
+ */
+
+class CollisionShapes {
+    /**
+     * Collision shapes of the opaque pixels in an image
+     *
+     * Points are pixel corners relative to the region's top-left, y down. Polygons are the
+     * outer outlines of each separate opaque area, largest first; holes are filled in, as
+     * engine collision polygons can't have them.
+     * @param {Jimp} image - Image to trace
+     * @param {Object} [options] - Tracing options
+     * @param {{x: number, y: number, w: number, h: number}} [options.region] - Part of the image to trace
+     * @param {number} [options.alphaThreshold=128] - Alpha at which a pixel is solid
+     * @param {number} [options.tolerance=1] - Largest distance in pixels a simplified outline may move
+     * @returns {{aabb: Object|null, hull: Array<{x, y}>, polygons: Array<Array<{x, y}>>}} Shapes
+     */
+    static fromImage(image, options = {}) {
+        const region = options.region || { x: 0, y: 0, w: image.bitmap.width, h: image.bitmap.height };
+        const threshold = options.alphaThreshold !== undefined ? options.alphaThreshold : 128;
+        const tolerance = options.tolerance !== undefined ? options.tolerance : 1;
+        const { data, width } = image.bitmap;
+
+        const mask = new Uint8Array(region.w * region.h);
+        for (let y = 0; y < region.h; y++) {
+            for (let x = 0; x < region.w; x++) {
+                const alpha = data[((region.y + y) * width + region.x + x) * 4 + 3];
+                mask[y * region.w + x] = alpha >= threshold ? 1 : 0;
+            }
+        }
+
+        const outlines = CollisionShapes.traceOutlines(mask, region.w, region.h);
+        if (outlines.length === 0) {
+            return { aabb: null, hull: [], polygons: [] };
+        }
+
+        const corners = outlines.flat();
+        const xs = corners.map(point => point.x);
+        const ys = corners.map(point => point.y);
+        const aabb = {
+            x: Math.min(...xs),
+            y: Math.min(...ys),
+            width: Math.max(...xs) - Math.min(...xs),
+            height: Math.max(...ys) - Math.min(...ys)
+        };
+
+        return {
+            aabb,
+            hull: CollisionShapes.convexHull(corners),
+            polygons: outlines.map(outline => CollisionShapes.simplify(outline, tolerance))
+        };
+    }
+
+    /**
+     * Polygons of one kind of shape, for exporters that take a list of polygons
+     * @param {Object} shapes - Shapes from fromImage
+     * @param {string} [kind='polygon'] - 'polygon', 'hull' or 'aabb'
+     * @returns {Array<Array<{x, y}>>} Polygons; empty for fully transparent images
+     */
+    static getPolygons(shapes, kind = 'polygon') {
+        if (!shapes || !shapes.aabb) return [];
+
+        switch (kind) {
+            case 'aabb': {
+                const { x, y, width, height } = shapes.aabb;
+                return [[{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }]];
+            }
+            case 'hull':
+                return [shapes.hull];
+            case 'polygon':
+                return shapes.polygons;
+            default:
+                throw new Error(`Unknown collision shape: ${kind}`);
+        }
+    }
+
+    /**
+     * Collision shapes of each tile in a tileset image, by tile index
+     * @param {Jimp} image - Tileset image
+     * @param {{tileWidth: number, tileHeight: number, columns: number, tileCount: number}} tileset - Tile grid
+     * @param {Object} [options] - Options for fromImage
+     * @returns {Array<Object>} Shapes per tile
+     */
+    static fromTiles(image, tileset, options = {}) {
+        const rows = Math.floor(image.bitmap.height / tileset.tileHeight);
+        const count = Math.min(tileset.tileCount || Infinity, tileset.columns * rows);
+
+        return Array.from({ length: count }, (_, index) => CollisionShapes.fromImage(image, {
+            ...options,
+            region: {
+                x: (index % tileset.columns) * tileset.tileWidth,
+                y: Math.floor(index / tileset.columns) * tileset.tileHeight,
+                w: tileset.tileWidth,
+                h: tileset.tileHeight
+            }
+        }));
+    }
+
+    /**
+     * Outer outlines of a solid mask, traced along pixel edges
+     *
+     * Each solid pixel side facing an empty pixel is an edge directed with the solid side on
+     * its right, so outer outlines run clockwise on screen and holes the other way. Where two
+     * outlines meet at a corner the trace turns right, keeping diagonal neighbours apart.
+     * @param {Uint8Array} mask - 1 for solid pixels, row by row
+     * @returns {Array<Array<{x, y}>>} Outlines, corners only, largest first
+     */
+    static traceOutlines(mask, width, height) {
+        const solid = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+        const edges = [];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!solid(x, y)) continue;
+                if (!solid(x, y - 1)) edges.push([x, y, x + 1, y]);
+                if (!solid(x + 1, y)) edges.push([x + 1, y, x + 1, y + 1]);
+                if (!solid(x, y + 1)) edges.push([x + 1, y + 1, x, y + 1]);
+                if (!solid(x - 1, y)) edges.push([x, y + 1, x, y]);
+            }
+        }
+
+        const outgoing = new Map();
+        edges.forEach((edge, index) => {
+            const key = `${edge[0]},${edge[1]}`;
+            if (!outgoing.has(key)) outgoing.set(key, []);
+            outgoing.get(key).push(index);
+        });
+
+        // Following edge: the sharpest right turn (largest cross product, y down)
+        const next = edge => {
+            const dx = edge[2] - edge[0];
+            const dy = edge[3] - edge[1];
+            const turn = index => {
+                const other = edges[index];
+                return dx * (other[3] - other[1]) - dy * (other[2] - other[0]);
+            };
+            return outgoing.get(`${edge[2]},${edge[3]}`).reduce((best, index) => (turn(index) > turn(best) ? index : best));
+        };
+
+        const used = new Uint8Array(edges.length);
+        const outlines = [];
+
+        edges.forEach((edge, start) => {
+            if (used[start]) return;
+
+            const points = [];
+            for (let index = start; !used[index]; index = next(edges[index])) {
+                used[index] = 1;
+                points.push({ x: edges[index][0], y: edges[index][1] });
+            }
+
+            const outline = CollisionShapes.removeCollinear(points);
+            if (CollisionShapes.area(outline) > 0) {
+                outlines.push(outline);
+            }
+        });
+
+        return outlines.sort((a, b) => CollisionShapes.area(b) - CollisionShapes.area(a));
+    }
+
+    /**
+     * Signed area of a polygon; positive for outlines that run clockwise on screen
+     */
+    static area(points) {
+        let sum = 0;
+        points.forEach((point, index) => {
+            const following = points[(index + 1) % points.length];
+            sum += point.x * following.y - following.x * point.y;
+        });
+        return sum / 2;
+    }
+
+    static removeCollinear(points) {
+        return points.filter((point, index) => {
+            const previous = points[(index + points.length - 1) % points.length];
+            const following = points[(index + 1) % points.length];
+            return (point.x - previous.x) * (following.y - point.y) !== (point.y - previous.y) * (following.x - point.x);
+        });
+    }
+
+    /**
+     * Simplify a closed outline with Douglas-Peucker
+     *
+     * The outline is split at its two farthest-apart corners and each half simplified, so
+     * the result keeps the overall extent. Outlines that would collapse below a triangle are
+     * kept as they are.
+     * @param {Array<{x, y}>} points - Closed outline
+     * @param {number} tolerance - Largest distance in pixels a point may move
+     * @returns {Array<{x, y}>} Simplified outline
+     */
+    static simplify(points, tolerance) {
+        if (points.length <= 3 || tolerance <= 0) return points;
+
+        const distance = (a, b) => (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+        const far = points.reduce((best, point, index) => (distance(point, points[0]) > distance(points[best], points[0]) ? index : best), 0);
+        const first = CollisionShapes.simplifyChain(points.slice(0, far + 1), tolerance);
+        const second = CollisionShapes.simplifyChain([...points.slice(far), points[0]], tolerance);
+        const simplified = [...first.slice(0, -1), ...second.slice(0, -1)];
+
+        return simplified.length >= 3 ? simplified : points;
+    }
+
+    /**
+     * Douglas-Peucker on an open chain; the end points are kept
+     */
+    static simplifyChain(points, tolerance) {
+        if (points.length <= 2) return points;
+
+        const start = points[0];
+        const end = points[points.length - 1];
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        let farthest = 0;
+        let farthestIndex = 0;
+
+        for (let index = 1; index < points.length - 1; index++) {
+            const point = points[index];
+            const offset = length === 0
+                ? Math.hypot(point.x - start.x, point.y - start.y)
+                : Math.abs((end.x - start.x) * (start.y - point.y) - (start.x - point.x) * (end.y - start.y)) / length;
+            if (offset > farthest) {
+                farthest = offset;
+                farthestIndex = index;
+            }
+        }
+
+        if (farthest <= tolerance) {
+            return [start, end];
+        }
+
+        const left = CollisionShapes.simplifyChain(points.slice(0, farthestIndex + 1), tolerance);
+        const right = CollisionShapes.simplifyChain(points.slice(farthestIndex), tolerance);
+        return [...left.slice(0, -1), ...right];
+    }
+
+    /**
+     * Convex hull (monotone chain), clockwise on screen like the outlines
+     * @param {Array<{x, y}>} points - Points to enclose
+     * @returns {Array<{x, y}>} Hull corners
+     */
+    static convexHull(points) {
+        const sorted = [...new Map(points.map(point => [`${point.x},${point.y}`, point])).values()]
+            .sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) return sorted;
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const chain = list => {
+            const result = [];
+            list.forEach(point => {
+                while (result.length >= 2 && cross(result[result.length - 2], result[result.length - 1], point) <= 0) {
+                    result.pop();
+                }
+                result.push(point);
+            });
+            result.pop();
+            return result;
+        };
+
+        return [...chain(sorted), ...chain([...sorted].reverse())];
+    }
+}
+
+module.exports = CollisionShapes;
@@ -0,0 +1,460 @@
+/**
+ * TPT Asset Editor Desktop - GIF Encoder
+ * Pure JavaScript animated GIF89a encoder with palette quantization
+ */
+
+const GIF_MAX_CODE_SIZE = 12;
+const TRANSPARENT_ALPHA_THRESHOLD = 128;
+// Longest delay a frame can hold: 65535 hundredths of a second
+const MAX_DELAY = 0xFFFF;
+
+class GIFEncoder {
+    /**
+     * Create a GIF encoder
+     * @param {Object} options - Encoder options
+     * @param {number} [options.colors=256] - Maximum palette size (2-256)
+     * @param {number} [options.delay=100] - Default frame delay in milliseconds
+     * @param {number} [options.loop=0] - Loop count (0 = infinite, -1 = play once)
+     * @param {boolean} [options.dither=false] - Apply Floyd-Steinberg dithering
+     * @param {boolean} [options.transparent=true] - Preserve transparent pixels
+     */
+    constructor(options = {}) {
+        this.options = {
+            colors: Math.max(2, Math.min(256, options.colors || 256)),
+            delay: options.delay !== undefined ? options.delay : 100,
+            loop: options.loop !== undefined ? options.loop : 0,
+            dither: options.dither || false,
+            transparent: options.transparent !== false
+        };
+    }
+
+    /**
+     * Encode RGBA frames into an animated GIF
+     * @param {Array<{width: number, height: number, data: Uint8Array, delay?: number}>} frames - RGBA frames
+     * @returns {Buffer} GIF file contents
+     */
+    encode(frames) {
+        if (!Array.isArray(frames) || frames.length === 0) {
+            throw new Error('GIF encoding requires at least one frame');
+        }
+
+        const { width, height } = frames[0];
+        for (const frame of frames) {
+            if (frame.width !== width || frame.height !== height) {
+                throw new Error(`All GIF frames must be ${width}x${height}, got ${frame.width}x${frame.height}`);
+            }
+        }
+
+        const hasTransparency = this.options.transparent && frames.some(frame => this.hasTransparentPixels(frame));
+        const maxColors = hasTransparency ? this.options.colors - 1 : this.options.colors;
+        const palette = this.buildPalette(frames, maxColors);
+        const transparentIndex = hasTransparency ? palette.length : -1;
+
+        const paletteBits = this.getPaletteBits(palette.length + (hasTransparency ? 1 : 0));
+        const paletteSize = 1 << paletteBits;
+
+        const chunks = [];
+        chunks.push(Buffer.from('GIF89a', 'ascii'));
+        chunks.push(this.writeLogicalScreenDescriptor(width, height, paletteBits));
+        chunks.push(this.writeColorTable(palette, paletteSize));
+
+        if (frames.length > 1 && this.options.loop >= 0) {
+            chunks.push(this.writeNetscapeExtension(this.options.loop));
+        }
+
+        for (const frame of frames) {
+            const indices = this.mapFrameToPalette(frame, palette, transparentIndex);
+            const delay = frame.delay !== undefined ? frame.delay : this.options.delay;
+
+            chunks.push(this.writeGraphicControlExtension(delay, transparentIndex));
+            chunks.push(this.writeImageDescriptor(width, height));
+            chunks.push(this.writeImageData(indices, paletteBits));
+        }
+
+        chunks.push(Buffer.from([0x3B])); // Trailer
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Check whether a frame contains pixels below the transparency threshold
+     */
+    hasTransparentPixels(frame) {
+        const { data } = frame;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < TRANSPARENT_ALPHA_THRESHOLD) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Build a global palette shared by all frames using median cut
+     * A shared palette keeps colors stable between frames and avoids flicker
+     * @param {Array} frames - RGBA frames
+     * @param {number} maxColors - Maximum number of palette entries
+     * @returns {Array<Array<number>>} Palette as [r, g, b] entries
+     */
+    buildPalette(frames, maxColors) {
+        const histogram = new Map();
+
+        for (const frame of frames) {
+            const { data } = frame;
+            for (let i = 0; i < data.length; i += 4) {
+                if (this.options.transparent && data[i + 3] < TRANSPARENT_ALPHA_THRESHOLD) {
+                    continue;
+                }
+                const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+                histogram.set(key, (histogram.get(key) || 0) + 1);
+            }
+        }
+
+        const colors = [];
+        for (const [key, count] of histogram) {
+            colors.push({ r: (key >> 16) & 0xFF, g: (key >> 8) & 0xFF, b: key & 0xFF, count });
+        }
+
+        if (colors.length === 0) {
+            return [[0, 0, 0]];
+        }
+
+        if (colors.length <= maxColors) {
+            return colors.map(color => [color.r, color.g, color.b]);
+        }
+
+        return this.medianCut(colors, maxColors);
+    }
+
+    /**
+     * Reduce a weighted color list to a palette with the median cut algorithm
+     */
+    medianCut(colors, maxColors) {
+        const boxes = [colors];
+
+        while (boxes.length < maxColors) {
+            // Split the box with the widest channel range, weighted by population
+            let boxIndex = -1;
+            let bestScore = 0;
+            let bestChannel = 'r';
+
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+
+                const range = this.getChannelRanges(box);
+                const channel = range.r >= range.g && range.r >= range.b ? 'r' : (range.g >= range.b ? 'g' : 'b');
+                const population = box.reduce((sum, color) => sum + color.count, 0);
+                const score = range[channel] * Math.sqrt(population);
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    boxIndex = index;
+                    bestChannel = channel;
+                }
+            });
+
+            if (boxIndex === -1) break;
+
+            const box = boxes[boxIndex];
+            box.sort((a, b) => a[bestChannel] - b[bestChannel]);
+
+            const total = box.reduce((sum, color) => sum + color.count, 0);
+            let running = 0;
+            let split = 1;
+            for (let i = 0; i < box.length - 1; i++) {
+                running += box[i].count;
+                if (running >= total / 2) {
+                    split = i + 1;
+                    break;
+                }
+            }
+
+            boxes.splice(boxIndex, 1, box.slice(0, split), box.slice(split));
+        }
+
+        return boxes.map(box => {
+            let r = 0, g = 0, b = 0, count = 0;
+            for (const color of box) {
+                r += color.r * color.count;
+                g += color.g * color.count;
+                b += color.b * color.count;
+                count += color.count;
+            }
+            return [Math.round(r / count), Math.round(g / count), Math.round(b / count)];
+        });
+    }
+
+    /**
+     * Get the min/max spread of each channel in a color box
+     */
+    getChannelRanges(box) {
+        const min = { r: 255, g: 255, b: 255 };
+        const max = { r: 0, g: 0, b: 0 };
+
+        for (const color of box) {
+            for (const channel of ['r', 'g', 'b']) {
+                if (color[channel] < min[channel]) min[channel] = color[channel];
+                if (color[channel] > max[channel]) max[channel] = color[channel];
+            }
+        }
+
+        return { r: max.r - min.r, g: max.g - min.g, b: max.b - min.b };
+    }
+
+    /**
+     * Map every pixel of a frame to a palette index
+     * @param {Object} frame - RGBA frame
+     * @param {Array<Array<number>>} palette - Palette entries
+     * @param {number} transparentIndex - Index reserved for transparency, or -1
+     * @returns {Uint8Array} Palette indices
+     */
+    mapFrameToPalette(frame, palette, transparentIndex) {
+        const { width, height, data } = frame;
+        const indices = new Uint8Array(width * height);
+        const cache = new Map();
+
+        const nearest = (r, g, b) => {
+            const key = (r << 16) | (g << 8) | b;
+            let index = cache.get(key);
+            if (index === undefined) {
+                index = this.findNearestColor(palette, r, g, b);
+                cache.set(key, index);
+            }
+            return index;
+        };
+
+        if (!this.options.dither) {
+            for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+                if (transparentIndex !== -1 && data[i + 3] < TRANSPARENT_ALPHA_THRESHOLD) {
+                    indices[p] = transparentIndex;
+                } else {
+                    indices[p] = nearest(data[i], data[i + 1], data[i + 2]);
+                }
+            }
+            return indices;
+        }
+
+        // Floyd-Steinberg error diffusion on a working copy of the color channels
+        const work = new Float32Array(width * height * 3);
+        for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+            work[p * 3] = data[i];
+            work[p * 3 + 1] = data[i + 1];
+            work[p * 3 + 2] = data[i + 2];
+        }
+
+        const spread = (x, y, er, eg, eb, factor) => {
+            if (x < 0 || x >= width || y >= height) return;
+            const p = y * width + x;
+            if (transparentIndex !== -1 && data[p * 4 + 3] < TRANSPARENT_ALPHA_THRESHOLD) return;
+            work[p * 3] += er * factor;
+            work[p * 3 + 1] += eg * factor;
+            work[p * 3 + 2] += eb * factor;
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                if (transparentIndex !== -1 && data[p * 4 + 3] < TRANSPARENT_ALPHA_THRESHOLD) {
+                    indices[p] = transparentIndex;
+                    continue;
+                }
+
+                const r = Math.max(0, Math.min(255, Math.round(work[p * 3])));
+                const g = Math.max(0, Math.min(255, Math.round(work[p * 3 + 1])));
+                const b = Math.max(0, Math.min(255, Math.round(work[p * 3 + 2])));
+                const index = nearest(r, g, b);
+                indices[p] = index;
+
+                const [pr, pg, pb] = palette[index];
+                const er = r - pr, eg = g - pg, eb = b - pb;
+                spread(x + 1, y, er, eg, eb, 7 / 16);
+                spread(x - 1, y + 1, er, eg, eb, 3 / 16);
+                spread(x, y + 1, er, eg, eb, 5 / 16);
+                spread(x + 1, y + 1, er, eg, eb, 1 / 16);
+            }
+        }
+
+        return indices;
+    }
+
+    /**
+     * Find the palette index closest to a color (squared euclidean distance)
+     */
+    findNearestColor(palette, r, g, b) {
+        let bestIndex = 0;
+        let bestDistance = Infinity;
+
+        for (let i = 0; i < palette.length; i++) {
+            const dr = palette[i][0] - r;
+            const dg = palette[i][1] - g;
+            const db = palette[i][2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = i;
+                if (distance === 0) break;
+            }
+        }
+
+        return bestIndex;
+    }
+
+    /**
+     * Number of bits needed to address a color table (minimum 1)
+     */
+    getPaletteBits(colorCount) {
+        let bits = 1;
+        while ((1 << bits) < colorCount) {
+            bits++;
+        }
+        return bits;
+    }
+
+    writeLogicalScreenDescriptor(width, height, paletteBits) {
+        const buffer = Buffer.alloc(7);
+        buffer.writeUInt16LE(width, 0);
+        buffer.writeUInt16LE(height, 2);
+        // Global color table present, 8-bit color resolution, table size
+        buffer[4] = 0x80 | 0x70 | (paletteBits - 1);
+        buffer[5] = 0; // Background color index
+        buffer[6] = 0; // Pixel aspect ratio
+        return buffer;
+    }
+
+    writeColorTable(palette, paletteSize) {
+        const buffer = Buffer.alloc(paletteSize * 3);
+        palette.forEach((color, index) => {
+            buffer[index * 3] = color[0];
+            buffer[index * 3 + 1] = color[1];
+            buffer[index * 3 + 2] = color[2];
+        });
+        return buffer;
+    }
+
+    writeNetscapeExtension(loop) {
+        const buffer = Buffer.alloc(19);
+        buffer[0] = 0x21;
+        buffer[1] = 0xFF;
+        buffer[2] = 11;
+        buffer.write('NETSCAPE2.0', 3, 'ascii');
+        buffer[14] = 3;
+        buffer[15] = 1;
+        buffer.writeUInt16LE(loop & 0xFFFF, 16);
+        buffer[18] = 0;
+        return buffer;
+    }
+
+    writeGraphicControlExtension(delayMs, transparentIndex) {
+        const buffer = Buffer.alloc(8);
+        const hasTransparency = transparentIndex !== -1;
+        // Restore to background between frames when transparent so frames don't accumulate
+        const disposal = hasTransparency ? 2 : 1;
+
+        buffer[0] = 0x21;
+        buffer[1] = 0xF9;
+        buffer[2] = 4;
+        buffer[3] = (disposal << 2) | (hasTransparency ? 1 : 0);
+        buffer.writeUInt16LE(Math.min(MAX_DELAY, Math.max(0, Math.round(delayMs / 10))), 4); // GIF delays are in 1/100s
+        buffer[6] = hasTransparency ? transparentIndex : 0;
+        buffer[7] = 0;
+        return buffer;
+    }
+
+    writeImageDescriptor(width, height) {
+        const buffer = Buffer.alloc(10);
+        buffer[0] = 0x2C;
+        buffer.writeUInt16LE(0, 1);
+        buffer.writeUInt16LE(0, 3);
+        buffer.writeUInt16LE(width, 5);
+        buffer.writeUInt16LE(height, 7);
+        buffer[9] = 0; // No local color table, not interlaced
+        return buffer;
+    }
+
+    /**
+     * Write LZW-compressed image data split into sub-blocks
+     */
+    writeImageData(indices, paletteBits) {
+        const minCodeSize = Math.max(2, paletteBits);
+        const compressed = this.lzwEncode(indices, minCodeSize);
+
+        const blocks = [Buffer.from([minCodeSize])];
+        for (let offset = 0; offset < compressed.length; offset += 255) {
+            const block = compressed.subarray(offset, offset + 255);
+            blocks.push(Buffer.from([block.length]), block);
+        }
+        blocks.push(Buffer.from([0]));
+
+        return Buffer.concat(blocks);
+    }
+
+    /**
+     * GIF variable-length LZW compression
+     * @param {Uint8Array} indices - Palette indices
+     * @param {number} minCodeSize - Initial code size
+     * @returns {Buffer} Packed code stream
+     */
+    lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let dictionary = new Map();
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                output.push(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const pixel = indices[i];
+            const key = (prefix << 8) | pixel;
+            const existing = dictionary.get(key);
+
+            if (existing !== undefined) {
+                prefix = existing;
+                continue;
+            }
+
+            emit(prefix);
+
+            if (nextCode < (1 << GIF_MAX_CODE_SIZE)) {
+                dictionary.set(key, nextCode);
+                if (nextCode === (1 << codeSize) && codeSize < GIF_MAX_CODE_SIZE) {
+                    codeSize++;
+                }
+                nextCode++;
+            } else {
+                emit(clearCode);
+                dictionary = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+
+            prefix = pixel;
+        }
+
+        emit(prefix);
+        emit(endCode);
+
+        if (bitCount > 0) {
+            output.push(bitBuffer & 0xFF);
+        }
+
+        return Buffer.from(output);
+    }
+}
+
+module.exports = GIFEncoder;
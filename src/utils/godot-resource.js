@@ -0,0 +1,435 @@
+/**
+ * TPT Asset Editor Desktop - Godot Resource
+ * Builds, writes and parses Godot 4 text resources (.tres) and scenes (.tscn)
+ */
+
+const FORMAT_VERSION = 3;
+
+/**
+ * Recursive-descent reader for the Variant text syntax
+ */
+class VariantParser {
+    constructor(text) {
+        this.text = text;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.text[this.index];
+    }
+
+    skipSpace() {
+        while (this.index < this.text.length && /\s/.test(this.text[this.index])) {
+            this.index++;
+        }
+        return this.index < this.text.length;
+    }
+
+    skipLine() {
+        const end = this.text.indexOf('\n', this.index);
+        this.index = end === -1 ? this.text.length : end + 1;
+    }
+
+    expect(char) {
+        this.skipSpace();
+        if (this.text[this.index] !== char) {
+            throw new Error(`Expected "${char}" at offset ${this.index}, found "${this.text[this.index] || 'end of file'}"`);
+        }
+        this.index++;
+    }
+
+    readTag() {
+        this.expect('[');
+        const tag = this.readIdentifier();
+        const attributes = {};
+
+        while (this.skipSpace() && this.peek() !== ']') {
+            const name = this.readIdentifier();
+            this.expect('=');
+            this.skipSpace();
+            attributes[name] = this.peek() === '"' ? this.readString() : this.readNumber();
+        }
+
+        this.expect(']');
+        return { tag, attributes };
+    }
+
+    readIdentifier() {
+        this.skipSpace();
+        const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(this.text.slice(this.index, this.index + 256));
+        if (!match) {
+            throw new Error(`Expected an identifier at offset ${this.index}`);
+        }
+        this.index += match[0].length;
+        return match[0];
+    }
+
+    readKey() {
+        const end = this.text.indexOf('=', this.index);
+        const lineEnd = this.text.indexOf('\n', this.index);
+        if (end === -1 || (lineEnd !== -1 && lineEnd < end)) {
+            throw new Error(`Expected "key = value" at offset ${this.index}`);
+        }
+
+        const key = this.text.slice(this.index, end).trim();
+        this.index = end + 1;
+        return key;
+    }
+
+    readValue() {
+        this.skipSpace();
+        const char = this.peek();
+
+        if (char === '"') return this.readString();
+        if (char === '&' || char === '^') {
+            this.index++;
+            const value = this.readString();
+            return char === '&' ? GodotResource.stringName(value) : GodotResource.construct('NodePath', value);
+        }
+        if (char === '[') return this.readList('[', ']', () => this.readValue());
+        if (char === '{') return this.readDictionary();
+        if (/[-+0-9.]/.test(char)) return this.readNumber();
+
+        const name = this.readIdentifier();
+        if (name === 'true' || name === 'false') return name === 'true';
+        if (name === 'null') return null;
+        if (name === 'inf' || name === 'nan') {
+            throw new Error(`Unsupported value ${name} at offset ${this.index}`);
+        }
+
+        return GodotResource.construct(name, ...this.readList('(', ')', () => this.readValue()));
+    }
+
+    readList(open, close, readItem) {
+        this.expect(open);
+        const items = [];
+
+        while (this.skipSpace() && this.peek() !== close) {
+            items.push(readItem());
+            this.skipSpace();
+            if (this.peek() === ',') {
+                this.index++;
+            } else if (this.peek() !== close) {
+                throw new Error(`Expected "," or "${close}" at offset ${this.index}`);
+            }
+        }
+
+        this.expect(close);
+        return items;
+    }
+
+    readDictionary() {
+        const dictionary = {};
+
+        this.readList('{', '}', () => {
+            this.skipSpace();
+            const key = this.peek() === '"' ? this.readString() : String(this.readValue());
+            this.expect(':');
+            dictionary[key] = this.readValue();
+        });
+
+        return dictionary;
+    }
+
+    readString() {
+        this.expect('"');
+        let value = '';
+
+        while (this.index < this.text.length && this.text[this.index] !== '"') {
+            let char = this.text[this.index++];
+            if (char === '\\') {
+                const escaped = this.text[this.index++];
+                if (escaped === 'u') {
+                    char = String.fromCharCode(parseInt(this.text.slice(this.index, this.index + 4), 16));
+                    this.index += 4;
+                } else {
+                    char = { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+                }
+            }
+            value += char;
+        }
+
+        this.expect('"');
+        return value;
+    }
+
+    readNumber() {
+        const match = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(this.text.slice(this.index, this.index + 64));
+        if (!match) {
+            throw new Error(`Expected a number at offset ${this.index}`);
+        }
+
+        this.index += match[0].length;
+        const value = Number(match[0]);
+        return /[.eE]/.test(match[0]) ? GodotResource.float(value) : value;
+    }
+}
+
+class GodotResource {
+    /**
+     * Create an empty resource or scene
+     * @param {string} [tag='gd_resource'] - 'gd_resource' or 'gd_scene'
+     * @param {Object} [attributes] - Header attributes, e.g. { type: 'SpriteFrames' }
+     */
+    constructor(tag = 'gd_resource', attributes = {}) {
+        this.tag = tag;
+        this.attributes = attributes;
+        this.sections = [];
+    }
+
+    /**
+     * Constructor value such as Rect2(0, 0, 32, 32) or PackedVector2Array(...)
+     * @param {string} type - Godot type name
+     * @param {...*} args - Constructor arguments
+     * @returns {{godotType: string, args: Array}} Value for a property
+     */
+    static construct(type, ...args) {
+        return { godotType: type, args };
+    }
+
+    /**
+     * A float that keeps its decimal point when written (10 becomes 10.0)
+     */
+    static float(value) {
+        return GodotResource.construct('float', value);
+    }
+
+    /**
+     * A StringName literal (&"idle")
+     */
+    static stringName(value) {
+        return GodotResource.construct('StringName', value);
+    }
+
+    /**
+     * Declare an external resource
+     * @returns {Object} ExtResource("id") value to reference it with
+     */
+    addExtResource(type, path) {
+        const count = this.sections.filter(section => section.tag === 'ext_resource').length;
+        const name = path.split('/').pop().replace(/\.[^.]*$/, '').replace(/[^A-Za-z0-9_]/g, '_');
+        const id = `${count + 1}_${name}`;
+
+        this.insertSection({ tag: 'ext_resource', attributes: { type, path, id }, properties: {} }, ['ext_resource']);
+        return GodotResource.construct('ExtResource', id);
+    }
+
+    /**
+     * Declare a built-in sub resource
+     * @returns {Object} SubResource("id") value to reference it with
+     */
+    addSubResource(type, properties = {}) {
+        const count = this.sections.filter(section => section.tag === 'sub_resource').length;
+        const id = `${type}_${count}`;
+
+        this.insertSection({ tag: 'sub_resource', attributes: { type, id }, properties }, ['ext_resource', 'sub_resource']);
+        return GodotResource.construct('SubResource', id);
+    }
+
+    /**
+     * Insert a section after the sections it has to follow, since Godot loads external
+     * resources, then sub resources, then the resource or nodes that use them
+     */
+    insertSection(section, precedingTags) {
+        const index = this.sections.findIndex(existing => !precedingTags.includes(existing.tag));
+        this.sections.splice(index === -1 ? this.sections.length : index, 0, section);
+    }
+
+    /**
+     * Set the main [resource] section of a .tres file
+     */
+    setResource(properties) {
+        this.sections = this.sections.filter(section => section.tag !== 'resource');
+        this.sections.push({ tag: 'resource', attributes: {}, properties });
+    }
+
+    /**
+     * Add a scene node; the first node added is the root and has no parent
+     * @param {string} name - Node name
+     * @param {string} type - Node class, e.g. 'TileMapLayer'
+     * @param {string|null} parent - Parent path relative to the root ('.' for the root)
+     * @param {Object} [properties] - Node properties
+     */
+    addNode(name, type, parent, properties = {}) {
+        const attributes = { name, type };
+        if (parent !== null && parent !== undefined) {
+            attributes.parent = parent;
+        }
+
+        this.sections.push({ tag: 'node', attributes, properties });
+    }
+
+    /**
+     * Write the resource in Godot's text format
+     * load_steps is recomputed from the declared resources.
+     * @returns {string} .tres or .tscn contents
+     */
+    toString() {
+        const { type, ...rest } = this.attributes;
+        delete rest.load_steps;
+        delete rest.format;
+        const loadSteps = this.sections.filter(section => ['ext_resource', 'sub_resource'].includes(section.tag)).length + 1;
+        const header = {};
+
+        if (type !== undefined) header.type = type;
+        if (loadSteps > 1) header.load_steps = loadSteps;
+        header.format = FORMAT_VERSION;
+        Object.assign(header, rest);
+
+        let text = `${GodotResource.formatTag(this.tag, header)}\n`;
+        this.sections.forEach((section, index) => {
+            // Godot lists external resources without blank lines between them
+            const previous = this.sections[index - 1];
+            const grouped = section.tag === 'ext_resource' && previous && previous.tag === 'ext_resource';
+            text += `${grouped ? '' : '\n'}${GodotResource.formatTag(section.tag, section.attributes)}\n`;
+            Object.entries(section.properties).forEach(([key, value]) => {
+                text += `${key} = ${GodotResource.formatValue(value)}\n`;
+            });
+        });
+
+        return text;
+    }
+
+    /**
+     * Check that every ExtResource/SubResource reference points at a resource declared
+     * before it, that ids are unique and that every node's parent exists
+     * @returns {GodotResource} This resource
+     */
+    validate() {
+        const declared = { ExtResource: new Set(), SubResource: new Set() };
+        const nodePaths = new Set();
+
+        const checkReferences = (value, where) => {
+            if (Array.isArray(value)) {
+                value.forEach(item => checkReferences(item, where));
+            } else if (value && typeof value === 'object') {
+                if (declared[value.godotType]) {
+                    if (!declared[value.godotType].has(value.args[0])) {
+                        throw new Error(`${where} references undeclared ${value.godotType}("${value.args[0]}")`);
+                    }
+                } else if (!value.godotType) {
+                    Object.values(value).forEach(item => checkReferences(item, where));
+                }
+            }
+        };
+
+        this.sections.forEach(section => {
+            const where = GodotResource.formatTag(section.tag, section.attributes);
+            Object.values(section.properties).forEach(value => checkReferences(value, where));
+
+            if (section.tag === 'ext_resource' || section.tag === 'sub_resource') {
+                const ids = declared[section.tag === 'ext_resource' ? 'ExtResource' : 'SubResource'];
+                if (ids.has(section.attributes.id)) {
+                    throw new Error(`Duplicate ${section.tag} id "${section.attributes.id}"`);
+                }
+                ids.add(section.attributes.id);
+            } else if (section.tag === 'node') {
+                const { name, parent } = section.attributes;
+                if (parent === undefined) {
+                    if (nodePaths.size > 0) {
+                        throw new Error(`Node "${name}" has no parent but the scene already has a root`);
+                    }
+                    nodePaths.add('.');
+                } else {
+                    if (!nodePaths.has(parent)) {
+                        throw new Error(`Node "${name}" has unknown parent "${parent}"`);
+                    }
+                    nodePaths.add(parent === '.' ? name : `${parent}/${name}`);
+                }
+            }
+        });
+
+        return this;
+    }
+
+    static formatTag(tag, attributes) {
+        const parts = Object.entries(attributes).map(([key, value]) =>
+            `${key}=${typeof value === 'number' ? value : GodotResource.formatString(value)}`);
+        return `[${[tag, ...parts].join(' ')}]`;
+    }
+
+    static formatString(value) {
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    /**
+     * Write a value as a Godot Variant literal
+     */
+    static formatValue(value) {
+        if (value === null || value === undefined) return 'null';
+        if (typeof value === 'boolean') return String(value);
+        if (typeof value === 'number') return GodotResource.formatNumber(value);
+        if (typeof value === 'string') return GodotResource.formatString(value);
+        if (Array.isArray(value)) {
+            return `[${value.map(item => GodotResource.formatValue(item)).join(', ')}]`;
+        }
+
+        if (value.godotType === 'float') {
+            return Number.isInteger(value.args[0]) ? value.args[0].toFixed(1) : String(value.args[0]);
+        }
+        if (value.godotType === 'StringName') {
+            return `&${GodotResource.formatString(value.args[0])}`;
+        }
+        if (value.godotType) {
+            return `${value.godotType}(${value.args.map(arg => GodotResource.formatValue(arg)).join(', ')})`;
+        }
+
+        const entries = Object.entries(value);
+        if (entries.length === 0) return '{}';
+        return `{\n${entries.map(([key, item]) => `${GodotResource.formatString(key)}: ${GodotResource.formatValue(item)}`).join(',\n')}\n}`;
+    }
+
+    static formatNumber(value) {
+        if (!Number.isFinite(value)) {
+            throw new Error(`Cannot write ${value} to a Godot resource`);
+        }
+        return String(value);
+    }
+
+    /**
+     * Parse a .tres or .tscn file
+     *
+     * Values come back in the shape formatValue writes: numbers with a decimal point as
+     * float(), StringNames, constructors and resource references as construct() values,
+     * so writing a parsed resource reproduces the text the exporters wrote.
+     * @param {string} text - Resource text
+     * @returns {GodotResource} Parsed resource
+     */
+    static parse(text) {
+        const parser = new VariantParser(text);
+        let resource = null;
+        let section = null;
+
+        while (parser.skipSpace()) {
+            const char = parser.peek();
+
+            if (char === ';') {
+                parser.skipLine();
+            } else if (char === '[') {
+                const { tag, attributes } = parser.readTag();
+                if (!resource) {
+                    if (tag !== 'gd_resource' && tag !== 'gd_scene') {
+                        throw new Error(`Not a Godot text resource: starts with [${tag}]`);
+                    }
+                    resource = new GodotResource(tag, attributes);
+                } else {
+                    section = { tag, attributes, properties: {} };
+                    resource.sections.push(section);
+                }
+            } else {
+                if (!section) {
+                    throw new Error(`Property outside a section at offset ${parser.index}`);
+                }
+                const key = parser.readKey();
+                section.properties[key] = parser.readValue();
+            }
+        }
+
+        if (!resource) {
+            throw new Error('Empty Godot resource');
+        }
+        return resource;
+    }
+}
+
+module.exports = GodotResource;
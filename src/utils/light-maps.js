@@ -0,0 +1,211 @@
+/**
+ * TPT Asset Editor Desktop - Light Maps
+ * Companion maps for 2D dynamic lighting: a tangent-space normal map from an estimated
+ * height field, and an emissive map of the parts that glow
+ */
+
+const Jimp = require('jimp');
+
+// Normal of a flat surface facing the viewer
+const FLAT_NORMAL = [128, 128, 255];
+
+class LightMaps {
+    /**
+     * Normal and emissive maps of a sprite
+     * @param {Jimp} image - Sprite
+     * @param {Object} [hints] - What the generator knows about the sprite
+     * @param {Object} [hints.surface] - Height options (see estimateHeight and normalMap)
+     * @param {Array<string|number>|string} [hints.emissiveColors] - Colours of the parts that glow, or 'all'
+     * @param {Array<Object>} [hints.glows] - Radial glows drawn over the sprite (see emissiveMap)
+     * @returns {{normal: Jimp, emissive: Jimp}} Maps the size of the sprite
+     */
+    static generate(image, hints = {}) {
+        return {
+            normal: LightMaps.normalMap(image, hints.surface),
+            emissive: LightMaps.emissiveMap(image, hints)
+        };
+    }
+
+    /**
+     * Estimate a height field from a sprite
+     *
+     * Opaque pixels rise in a rounded bevel from the transparent edge, so silhouettes read
+     * as raised shapes, and brighter pixels sit higher for surface detail.
+     * @param {Jimp} image - Sprite
+     * @param {Object} [options] - Height options
+     * @param {number} [options.bevel] - Width of the edge bevel in pixels; 0 for flat surfaces like tiles
+     * @param {number} [options.detail=0.3] - Share of the height that comes from brightness, 0 to 1
+     * @param {boolean} [options.wrap=false] - Treat the image as tiling, for seamless tiles
+     * @returns {Float32Array} Heights from 0 to 1, row by row
+     */
+    static estimateHeight(image, options = {}) {
+        const { width, height, data } = image.bitmap;
+        const bevel = options.bevel !== undefined ? options.bevel : Math.max(1, Math.round(Math.min(width, height) / 8));
+        const detail = options.detail !== undefined ? options.detail : 0.3;
+        const distances = bevel > 0 ? LightMaps.distanceToEdge(image, options.wrap) : null;
+        const heights = new Float32Array(width * height);
+
+        for (let index = 0; index < width * height; index++) {
+            const offset = index * 4;
+            if (data[offset + 3] === 0) continue;
+
+            // Quarter-circle profile: steep at the edge, flat on top
+            const t = distances ? Math.min(1, distances[index] / bevel) : 1;
+            const shape = Math.sqrt(1 - (1 - t) * (1 - t));
+            const brightness = (0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]) / 255;
+            heights[index] = (1 - detail) * shape + detail * brightness;
+        }
+
+        return heights;
+    }
+
+    /**
+     * Distance of every opaque pixel to the nearest transparent one (chamfer distance);
+     * outside the image counts as transparent unless it wraps
+     */
+    static distanceToEdge(image, wrap = false) {
+        const { width, height, data } = image.bitmap;
+        const far = width + height;
+        const distances = new Float32Array(width * height);
+        for (let index = 0; index < width * height; index++) {
+            distances[index] = data[index * 4 + 3] === 0 ? 0 : far;
+        }
+
+        const at = (x, y) => {
+            if (wrap) return distances[((y + height) % height) * width + ((x + width) % width)];
+            return x < 0 || y < 0 || x >= width || y >= height ? 0 : distances[y * width + x];
+        };
+        const forward = [[-1, 0, 1], [0, -1, 1], [-1, -1, Math.SQRT2], [1, -1, Math.SQRT2]];
+        const backward = forward.map(([dx, dy, cost]) => [-dx, -dy, cost]);
+
+        // Wrapping distances can cross the seam, so they need a second round
+        for (let round = 0; round < (wrap ? 2 : 1); round++) {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    forward.forEach(([dx, dy, cost]) => {
+                        distances[y * width + x] = Math.min(distances[y * width + x], at(x + dx, y + dy) + cost);
+                    });
+                }
+            }
+            for (let y = height - 1; y >= 0; y--) {
+                for (let x = width - 1; x >= 0; x--) {
+                    backward.forEach(([dx, dy, cost]) => {
+                        distances[y * width + x] = Math.min(distances[y * width + x], at(x + dx, y + dy) + cost);
+                    });
+                }
+            }
+        }
+
+        return distances;
+    }
+
+    /**
+     * Tangent-space normal map from the sprite's height field (Sobel gradients)
+     *
+     * Green points up (OpenGL convention), as Unity and Godot expect; flipY writes the
+     * DirectX convention instead. The alpha channel is the sprite's.
+     * @param {Jimp} image - Sprite
+     * @param {Object} [options] - Height options (see estimateHeight), plus:
+     * @param {number} [options.strength=2] - Steepness of the normals
+     * @param {boolean} [options.flipY=false] - Green points down
+     * @param {Float32Array} [options.heights] - Height field to use instead of the estimate
+     * @returns {Jimp} Normal map
+     */
+    static normalMap(image, options = {}) {
+        const { width, height, data } = image.bitmap;
+        const heights = options.heights || LightMaps.estimateHeight(image, options);
+        const strength = options.strength !== undefined ? options.strength : 2;
+        const normal = new Jimp(width, height, 0x00000000);
+        const target = normal.bitmap.data;
+
+        const at = (x, y) => {
+            if (options.wrap) return heights[((y + height) % height) * width + ((x + width) % width)];
+            return heights[Math.min(Math.max(y, 0), height - 1) * width + Math.min(Math.max(x, 0), width - 1)];
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const offset = (y * width + x) * 4;
+                if (data[offset + 3] === 0) {
+                    target.set([...FLAT_NORMAL, 0], offset);
+                    continue;
+                }
+
+                const dx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1)) -
+                    (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+                const dy = (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1)) -
+                    (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1));
+
+                // Image rows run down, so a height rising downwards faces up
+                const nx = -dx * strength;
+                const ny = (options.flipY ? -dy : dy) * strength;
+                const length = Math.sqrt(nx * nx + ny * ny + 1);
+
+                target[offset] = Math.round((nx / length * 0.5 + 0.5) * 255);
+                target[offset + 1] = Math.round((ny / length * 0.5 + 0.5) * 255);
+                target[offset + 2] = Math.round((1 / length * 0.5 + 0.5) * 255);
+                target[offset + 3] = data[offset + 3];
+            }
+        }
+
+        return normal;
+    }
+
+    /**
+     * Emissive map: the sprite's glowing pixels in their own colour, transparent elsewhere
+     * @param {Jimp} image - Sprite
+     * @param {Object} [hints] - Glowing parts
+     * @param {Array<string|number>|string} [hints.emissiveColors] - CSS or RGBA colours of the
+     *   pixels that glow, or 'all' for every opaque pixel
+     * @param {number} [hints.emissiveTolerance=8] - Largest per-channel difference from a colour
+     * @param {Array<{x, y, radius, color, intensity}>} [hints.glows] - Radial glows, fading out
+     *   from intensity at the centre to nothing at the radius
+     * @returns {Jimp} Emissive map
+     */
+    static emissiveMap(image, hints = {}) {
+        const { width, height, data } = image.bitmap;
+        const emissive = new Jimp(width, height, 0x00000000);
+        const target = emissive.bitmap.data;
+        const colors = hints.emissiveColors === 'all' ? 'all' : (hints.emissiveColors || []).map(LightMaps.toRGBA);
+        const tolerance = hints.emissiveTolerance !== undefined ? hints.emissiveTolerance : 8;
+
+        for (let offset = 0; offset < data.length; offset += 4) {
+            if (data[offset + 3] === 0) continue;
+
+            const glows = colors === 'all' || colors.some(color =>
+                Math.abs(color.r - data[offset]) <= tolerance &&
+                Math.abs(color.g - data[offset + 1]) <= tolerance &&
+                Math.abs(color.b - data[offset + 2]) <= tolerance);
+            if (glows) {
+                data.copy(target, offset, offset, offset + 4);
+            }
+        }
+
+        (hints.glows || []).forEach(glow => {
+            const color = LightMaps.toRGBA(glow.color);
+            const intensity = glow.intensity !== undefined ? glow.intensity : 0.5;
+
+            for (let y = Math.max(0, glow.y - glow.radius); y <= Math.min(height - 1, glow.y + glow.radius); y++) {
+                for (let x = Math.max(0, glow.x - glow.radius); x <= Math.min(width - 1, glow.x + glow.radius); x++) {
+                    const distance = Math.hypot(x - glow.x, y - glow.y) / glow.radius;
+                    const alpha = Math.floor((1 - distance) * intensity * 255);
+                    const offset = (y * width + x) * 4;
+                    if (distance <= 1 && alpha > target[offset + 3]) {
+                        target.set([color.r, color.g, color.b, alpha], offset);
+                    }
+                }
+            }
+        });
+
+        return emissive;
+    }
+
+    /**
+     * Channels of a CSS colour string or an RGBA integer
+     */
+    static toRGBA(color) {
+        return Jimp.intToRGBA(typeof color === 'string' ? Jimp.cssColorToHex(color) : color);
+    }
+}
+
+module.exports = LightMaps;
@@ -0,0 +1,95 @@
+/**
+ * TPT Asset Editor Desktop - Loop Points
+ * Seamless loops for rendered audio: crossfading the tail into the head, and loop points
+ * on zero crossings. Audio is a Float32Array, or an array of them (one per channel).
+ */
+
+class LoopPoints {
+    /**
+     * Crossfade the tail of audio into its head so the result loops without a seam
+     *
+     * The last fadeLength samples are faded out over the first fadeLength samples, which
+     * fade in, and then cut off. Playing the result end to start continues exactly where
+     * the untouched audio would have gone on. Fades are equal-power, which keeps noise and
+     * other uncorrelated material at the same loudness through the fade.
+     * @param {Float32Array|Array<Float32Array>} audioData - Audio rendered fadeLength samples longer than the loop
+     * @param {number} fadeLength - Crossfade length in samples
+     * @returns {Float32Array|Array<Float32Array>} Looping audio, fadeLength samples shorter, shaped like audioData
+     */
+    static crossfade(audioData, fadeLength) {
+        const channels = Array.isArray(audioData) ? audioData : [audioData];
+        const length = channels[0].length - fadeLength;
+        if (fadeLength < 0 || length < fadeLength) {
+            throw new Error('The crossfade must be shorter than half the audio');
+        }
+
+        const looped = channels.map(channel => {
+            const output = channel.slice(0, length);
+            for (let i = 0; i < fadeLength; i++) {
+                const angle = (i + 0.5) / fadeLength * Math.PI / 2;
+                output[i] = channel[i] * Math.sin(angle) + channel[length + i] * Math.cos(angle);
+            }
+            return output;
+        });
+
+        return Array.isArray(audioData) ? looped : looped[0];
+    }
+
+    /**
+     * Find the rising zero crossing nearest to a sample offset
+     *
+     * A rising crossing at i has the sample before it below zero and sample i at or above
+     * it, so jumping from just before one crossing to another stays continuous. Channels
+     * are summed, so every channel loops at the same offset.
+     * @param {Float32Array|Array<Float32Array>} audioData - Audio
+     * @param {number} target - Sample offset to search around
+     * @param {number} window - Largest distance in samples from target
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.forward=false] - Only search at or after target
+     * @returns {number} Offset of the crossing, or target when there is none in the window
+     */
+    static findZeroCrossing(audioData, target, window, options = {}) {
+        const channels = Array.isArray(audioData) ? audioData : [audioData];
+        const length = channels[0].length;
+        const mix = index => channels.reduce((sum, channel) => sum + channel[index], 0);
+
+        const first = Math.max(1, options.forward ? target : target - window);
+        const last = Math.min(length - 1, target + window);
+        let best = target;
+        let bestDistance = Infinity;
+        let previous = mix(first - 1);
+
+        for (let i = first; i <= last; i++) {
+            const current = mix(i);
+            if (previous < 0 && current >= 0 && Math.abs(i - target) < bestDistance) {
+                best = i;
+                bestDistance = Math.abs(i - target);
+            }
+            previous = current;
+        }
+
+        return best;
+    }
+
+    /**
+     * Cut audio off at a sample offset
+     * @param {Float32Array|Array<Float32Array>} audioData - Audio
+     * @param {number} length - Samples to keep
+     * @returns {Float32Array|Array<Float32Array>} Shortened audio, shaped like audioData
+     */
+    static truncate(audioData, length) {
+        if (Array.isArray(audioData)) {
+            return audioData.map(channel => channel.slice(0, length));
+        }
+        return audioData.slice(0, length);
+    }
+
+    /**
+     * Number of samples per channel
+     */
+    static getLength(audioData) {
+        return Array.isArray(audioData) ? audioData[0].length : audioData.length;
+    }
+}
+
+module.exports = LoopPoints;
@@ -0,0 +1,99 @@
+/**
+ * TPT Asset Editor Desktop - Lua Modules
+ * Builds the Lua modules exported for LÖVE: data tables and helper functions on one
+ * module table, which the file returns for require()
+ */
+
+const LUA_KEYWORDS = new Set([
+    'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'goto', 'if',
+    'in', 'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while'
+]);
+
+const INDENT = '  ';
+
+class LuaModule {
+    /**
+     * @param {string} description - What the module holds, written in its header comment
+     */
+    constructor(description) {
+        this.description = description;
+        this.blocks = [];
+    }
+
+    /**
+     * Add a field to the module table
+     * @param {string} name - Field name
+     * @param {*} value - Plain data: objects become tables, arrays become sequences
+     * @returns {LuaModule} This module
+     */
+    addTable(name, value) {
+        this.blocks.push(`M.${name} = ${LuaModule.formatValue(value)}`);
+        return this;
+    }
+
+    /**
+     * Add a block of Lua source as is; the module table is M
+     * @returns {LuaModule} This module
+     */
+    addSource(source) {
+        this.blocks.push(source.trim());
+        return this;
+    }
+
+    toString() {
+        const header = `-- ${this.description}\n-- Generated by TPT Asset Editor; re-export the assets instead of editing this file.`;
+        return `${[header, 'local M = {}', ...this.blocks, 'return M'].join('\n\n')}\n`;
+    }
+
+    /**
+     * Lua literal for a value. Tables of plain values stay on one line, so grid rows and
+     * quads read as rows; nested tables get a line per entry.
+     */
+    static formatValue(value, indent = '') {
+        if (value === null || value === undefined) return 'nil';
+        if (typeof value === 'boolean') return String(value);
+        if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '0';
+        if (typeof value === 'string') return LuaModule.quote(value);
+
+        const entries = Array.isArray(value)
+            ? value.map(item => [null, item])
+            : Object.entries(value).filter(([, item]) => item !== undefined);
+        if (entries.length === 0) return '{}';
+
+        const inline = entries.every(([, item]) => item === null || typeof item !== 'object');
+        const inner = inline ? '' : indent + INDENT;
+        const fields = entries.map(([key, item]) => {
+            const field = LuaModule.formatValue(item, inner);
+            return key === null ? field : `${LuaModule.formatKey(key)} = ${field}`;
+        });
+
+        if (inline) {
+            return `{ ${fields.join(', ')} }`;
+        }
+        return `{\n${fields.map(field => `${inner}${field},`).join('\n')}\n${indent}}`;
+    }
+
+    /**
+     * Table key: bare when it is a Lua name, bracketed otherwise
+     */
+    static formatKey(key) {
+        if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key) && !LUA_KEYWORDS.has(key)) {
+            return key;
+        }
+        return `[${LuaModule.quote(key)}]`;
+    }
+
+    /**
+     * Double-quoted Lua string literal
+     */
+    static quote(value) {
+        return `"${String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r')
+            .replace(/\t/g, '\\t')}"`;
+    }
+}
+
+module.exports = LuaModule;
@@ -0,0 +1,261 @@
+/**
+ * TPT Asset Editor Desktop - MIDI File
+ * Reads and writes Standard MIDI Files as scores: a tempo, a time signature and
+ * tracks of notes timed in beats
+ */
+
+const HEADER_CHUNK = 'MThd';
+const TRACK_CHUNK = 'MTrk';
+
+// Ticks per quarter note of written files
+const DEFAULT_TICKS_PER_BEAT = 480;
+
+// Microseconds per minute, for tempo meta events
+const MICROSECONDS_PER_MINUTE = 60000000;
+
+// Channel voice messages (upper nibble of the status byte) and their data byte counts
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const PROGRAM_CHANGE = 0xC0;
+const DATA_BYTES = {
+    0x80: 2, 0x90: 2, 0xA0: 2, 0xB0: 2, 0xC0: 1, 0xD0: 1, 0xE0: 2
+};
+
+// Meta event types
+const META = 0xFF;
+const META_TRACK_NAME = 0x03;
+const META_END_OF_TRACK = 0x2F;
+const META_TEMPO = 0x51;
+const META_TIME_SIGNATURE = 0x58;
+
+// System exclusive messages
+const SYSEX = 0xF0;
+const SYSEX_ESCAPE = 0xF7;
+
+class MidiFile {
+    /**
+     * Write a score as a format 1 Standard MIDI File
+     *
+     * The first track carries the tempo and time signature; each score track follows as
+     * a named track with its program change and notes.
+     * @param {Object} score - Score to write
+     * @param {number} [score.tempo=120] - Beats per minute
+     * @param {{numerator: number, denominator: number}} [score.timeSignature] - Time signature (default 4/4)
+     * @param {Array<Object>} score.tracks - Tracks ({name, channel, program, notes: [{pitch, start, duration, velocity}]},
+     *   start and duration in beats)
+     * @param {Object} [options] - Encoding options
+     * @param {number} [options.ticksPerBeat=480] - Time resolution
+     * @returns {Buffer} MIDI file contents
+     */
+    static encode(score, options = {}) {
+        const ticksPerBeat = options.ticksPerBeat || DEFAULT_TICKS_PER_BEAT;
+        const tempo = score.tempo || 120;
+        const { numerator, denominator } = score.timeSignature || { numerator: 4, denominator: 4 };
+        const denominatorPower = Math.log2(denominator);
+        if (!Number.isInteger(denominatorPower)) {
+            throw new Error(`Time signature denominator must be a power of two: ${denominator}`);
+        }
+
+        const microseconds = Math.round(MICROSECONDS_PER_MINUTE / tempo);
+        const conductor = [
+            { tick: 0, order: 0, bytes: [META, META_TEMPO, 3, (microseconds >> 16) & 0xFF, (microseconds >> 8) & 0xFF, microseconds & 0xFF] },
+            { tick: 0, order: 0, bytes: [META, META_TIME_SIGNATURE, 4, numerator, denominatorPower, 24, 8] }
+        ];
+
+        const tracks = score.tracks.map(track => {
+            const channel = track.channel || 0;
+            const events = [
+                { tick: 0, order: 0, bytes: [META, META_TRACK_NAME, ...MidiFile.encodeText(track.name || '')] },
+                { tick: 0, order: 0, bytes: [PROGRAM_CHANGE | channel, track.program || 0] }
+            ];
+            track.notes.forEach(note => {
+                const start = Math.round(note.start * ticksPerBeat);
+                const end = Math.max(start + 1, Math.round((note.start + note.duration) * ticksPerBeat));
+                const velocity = note.velocity !== undefined ? note.velocity : 100;
+                // Note-offs sort before note-ons on the same tick, so repeated notes stay separate
+                events.push({ tick: start, order: 2, bytes: [NOTE_ON | channel, note.pitch, velocity] });
+                events.push({ tick: end, order: 1, bytes: [NOTE_OFF | channel, note.pitch, 0] });
+            });
+            return events;
+        });
+
+        const header = Buffer.alloc(14);
+        header.write(HEADER_CHUNK, 0, 'latin1');
+        header.writeUInt32BE(6, 4);
+        header.writeUInt16BE(1, 8);
+        header.writeUInt16BE(tracks.length + 1, 10);
+        header.writeUInt16BE(ticksPerBeat, 12);
+
+        return Buffer.concat([header, ...[conductor, ...tracks].map(MidiFile.encodeTrack)]);
+    }
+
+    /**
+     * Read a Standard MIDI File (format 0 or 1) as a score
+     *
+     * Notes are grouped into one track per MIDI track and channel. The score takes the
+     * first tempo and time signature; later changes are not kept.
+     * @param {Buffer} buffer - MIDI file contents
+     * @returns {Object} Score ({tempo, timeSignature, ticksPerBeat, tracks})
+     */
+    static decode(buffer) {
+        if (buffer.length < 14 || buffer.toString('latin1', 0, 4) !== HEADER_CHUNK) {
+            throw new Error('Not a MIDI file');
+        }
+
+        const format = buffer.readUInt16BE(8);
+        const division = buffer.readUInt16BE(12);
+        if (format > 1) {
+            throw new Error(`Unsupported MIDI format: ${format}`);
+        }
+        if (division & 0x8000) {
+            throw new Error('SMPTE-timed MIDI files are not supported');
+        }
+
+        const score = { tempo: null, timeSignature: null, ticksPerBeat: division, tracks: [] };
+        let offset = 8 + buffer.readUInt32BE(4);
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset + 4);
+            if (buffer.toString('latin1', offset, offset + 4) === TRACK_CHUNK) {
+                score.tracks.push(...MidiFile.decodeTrack(buffer.subarray(offset + 8, offset + 8 + length), score));
+            }
+            offset += 8 + length;
+        }
+
+        score.tempo = score.tempo || 120;
+        score.timeSignature = score.timeSignature || { numerator: 4, denominator: 4 };
+        return score;
+    }
+
+    /**
+     * Read one track chunk, recording the first tempo and time signature on the score
+     * @returns {Array<Object>} Tracks with notes, one per channel used
+     */
+    static decodeTrack(data, score) {
+        const channels = new Map();
+        const sounding = new Map();
+        let name = '';
+        let tick = 0;
+        let runningStatus = 0;
+        let offset = 0;
+
+        const readVariable = () => {
+            let value = 0;
+            let byte;
+            do {
+                byte = data[offset++];
+                value = (value << 7) | (byte & 0x7F);
+            } while (byte & 0x80);
+            return value;
+        };
+        const getChannel = channel => {
+            if (!channels.has(channel)) channels.set(channel, { channel, program: 0, notes: [] });
+            return channels.get(channel);
+        };
+        const endNote = (channel, pitch) => {
+            const key = channel * 128 + pitch;
+            const note = sounding.get(key);
+            if (note) {
+                note.duration = tick / score.ticksPerBeat - note.start;
+                sounding.delete(key);
+            }
+        };
+
+        while (offset < data.length) {
+            tick += readVariable();
+            // Running status: a data byte repeats the last channel message's status
+            const status = data[offset] & 0x80 ? data[offset++] : runningStatus;
+            if (status < SYSEX) runningStatus = status;
+
+            if (status === META) {
+                const type = data[offset++];
+                const length = readVariable();
+                const payload = data.subarray(offset, offset + length);
+                offset += length;
+
+                if (type === META_TRACK_NAME) {
+                    name = payload.toString('utf8');
+                } else if (type === META_TEMPO && score.tempo === null) {
+                    // Tempos are stored in whole microseconds per beat; round off what that added
+                    score.tempo = Math.round(MICROSECONDS_PER_MINUTE / payload.readUIntBE(0, 3) * 1000) / 1000;
+                } else if (type === META_TIME_SIGNATURE && score.timeSignature === null) {
+                    score.timeSignature = { numerator: payload[0], denominator: Math.pow(2, payload[1]) };
+                } else if (type === META_END_OF_TRACK) {
+                    break;
+                }
+            } else if (status === SYSEX || status === SYSEX_ESCAPE) {
+                offset += readVariable();
+            } else if (DATA_BYTES[status & 0xF0]) {
+                const type = status & 0xF0;
+                const channel = status & 0x0F;
+                const first = data[offset];
+                const second = data[offset + 1];
+                offset += DATA_BYTES[type];
+
+                if (type === NOTE_ON && second > 0) {
+                    endNote(channel, first);
+                    const note = { pitch: first, start: tick / score.ticksPerBeat, duration: 0, velocity: second };
+                    getChannel(channel).notes.push(note);
+                    sounding.set(channel * 128 + first, note);
+                } else if (type === NOTE_ON || type === NOTE_OFF) {
+                    endNote(channel, first);
+                } else if (type === PROGRAM_CHANGE) {
+                    getChannel(channel).program = first;
+                }
+            } else {
+                throw new Error(`Invalid MIDI event at byte ${offset}`);
+            }
+        }
+
+        // Notes still sounding run to the end of the track
+        Array.from(sounding.keys()).forEach(key => endNote(Math.floor(key / 128), key % 128));
+
+        return Array.from(channels.values())
+            .filter(track => track.notes.length > 0)
+            .map(track => ({ name, ...track }));
+    }
+
+    /**
+     * Write a track chunk from timed events, closed by an end-of-track event
+     */
+    static encodeTrack(events) {
+        const sorted = events
+            .map((event, index) => ({ ...event, index }))
+            .sort((a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index);
+        const lastTick = sorted.length > 0 ? sorted[sorted.length - 1].tick : 0;
+
+        const bytes = [];
+        let tick = 0;
+        sorted.concat([{ tick: lastTick, bytes: [META, META_END_OF_TRACK, 0] }]).forEach(event => {
+            bytes.push(...MidiFile.encodeVariable(event.tick - tick), ...event.bytes);
+            tick = event.tick;
+        });
+
+        const header = Buffer.alloc(8);
+        header.write(TRACK_CHUNK, 0, 'latin1');
+        header.writeUInt32BE(bytes.length, 4);
+        return Buffer.concat([header, Buffer.from(bytes)]);
+    }
+
+    /**
+     * Variable-length quantity: seven bits per byte, most significant first
+     */
+    static encodeVariable(value) {
+        const bytes = [value & 0x7F];
+        for (let rest = value >>> 7; rest > 0; rest >>>= 7) {
+            bytes.unshift((rest & 0x7F) | 0x80);
+        }
+        return bytes;
+    }
+
+    /**
+     * Length-prefixed text of a meta event
+     */
+    static encodeText(text) {
+        const bytes = Array.from(Buffer.from(text, 'utf8'));
+        return [...MidiFile.encodeVariable(bytes.length), ...bytes];
+    }
+}
+
+MidiFile.DEFAULT_TICKS_PER_BEAT = DEFAULT_TICKS_PER_BEAT;
+
+module.exports = MidiFile;
@@ -0,0 +1,576 @@
+/**
+ * TPT Asset Editor Desktop - Palette Library
+ * Standard and custom palettes, palette file formats and palette-locked quantization
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const BUILT_IN_PALETTES = {
+    'pico-8': [
+        '000000', '1d2b53', '7e2553', '008751', 'ab5236', '5f574f', 'c2c3c7', 'fff1e8',
+        'ff004d', 'ffa300', 'ffec27', '00e436', '29adff', '83769c', 'ff77a8', 'ffccaa'
+    ],
+    db32: [
+        '000000', '222034', '45283c', '663931', '8f563b', 'df7126', 'd9a066', 'eec39a',
+        'fbf236', '99e550', '6abe30', '37946e', '4b692f', '524b24', '323c39', '3f3f74',
+        '306082', '5b6ee1', '639bff', '5fcde4', 'cbdbfc', 'ffffff', '9badb7', '847e87',
+        '696a6a', '595652', '76428a', 'ac3232', 'd95763', 'd77bba', '8f974a', '8a6f30'
+    ],
+    // NES 2C02 output colours with the duplicate blacks removed
+    nes: [
+        '7c7c7c', '0000fc', '0000bc', '4428bc', '940084', 'a80020', 'a81000', '881400',
+        '503000', '007800', '006800', '005800', '004058', '000000', 'bcbcbc', '0078f8',
+        '0058f8', '6844fc', 'd800cc', 'e40058', 'f83800', 'e45c10', 'ac7c00', '00b800',
+        '00a800', '00a844', '008888', 'f8f8f8', '3cbcfc', '6888fc', '9878f8', 'f878f8',
+        'f85898', 'f87858', 'fca044', 'f8b800', 'b8f818', '58d854', '58f898', '00e8d8',
+        '787878', 'fcfcfc', 'a4e4fc', 'b8b8f8', 'd8b8f8', 'f8b8f8', 'f8a4c0', 'f0d0b0',
+        'fce0a8', 'f8d878', 'd8f878', 'b8f8b8', 'b8f8d8', '00fcfc', 'f8d8f8'
+    ],
+    gameboy: ['0f380f', '306230', '8bac0f', '9bbc0f']
+};
+
+const FORMAT_EXTENSIONS = {
+    '.gpl': 'gpl',
+    '.pal': 'pal',
+    '.hex': 'hex',
+    '.aseprite': 'aseprite',
+    '.ase': 'aseprite'
+};
+
+// Error diffusion kernels: [dx, dy, weight]
+const DIFFUSION_KERNELS = {
+    'floyd-steinberg': {
+        divisor: 16,
+        offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    atkinson: {
+        divisor: 8,
+        offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    }
+};
+
+const ASEPRITE_MAGIC = 0xA5E0;
+const ASEPRITE_FRAME_MAGIC = 0xF1FA;
+const ASEPRITE_OLD_PALETTE_CHUNK = 0x0004;
+const ASEPRITE_LAYER_CHUNK = 0x2004;
+const ASEPRITE_PALETTE_CHUNK = 0x2019;
+
+class PaletteLibrary {
+    constructor() {
+        this.palettes = new Map();
+
+        Object.entries(BUILT_IN_PALETTES).forEach(([name, colors]) => {
+            this.register({ name, colors, builtIn: true });
+        });
+    }
+
+    /**
+     * Register a palette
+     * @param {Object} palette - { name, colors } where colors are hex strings or { r, g, b, name }
+     * @returns {Object} Normalized palette
+     */
+    register(palette) {
+        const normalized = this.normalize(palette);
+        this.palettes.set(normalized.name.toLowerCase(), normalized);
+        return normalized;
+    }
+
+    /**
+     * Get a registered palette by name (case-insensitive)
+     */
+    get(name) {
+        return this.palettes.get(String(name).toLowerCase()) || null;
+    }
+
+    /**
+     * List registered palettes
+     * @returns {Array<{name: string, size: number, builtIn: boolean}>}
+     */
+    list() {
+        return Array.from(this.palettes.values()).map(palette => ({
+            name: palette.name,
+            size: palette.colors.length,
+            builtIn: Boolean(palette.builtIn)
+        }));
+    }
+
+    /**
+     * Resolve a palette reference: a registered name, a palette file path, a colour list or a palette object
+     * @param {string|Array|Object} spec - Palette reference
+     * @returns {Promise<Object>} Normalized palette
+     */
+    async resolve(spec) {
+        if (Array.isArray(spec)) {
+            return this.normalize({ name: 'custom', colors: spec });
+        }
+
+        if (spec && typeof spec === 'object') {
+            return this.normalize(spec);
+        }
+
+        const registered = this.get(spec);
+        if (registered) {
+            return registered;
+        }
+
+        if (typeof spec === 'string' && FORMAT_EXTENSIONS[path.extname(spec).toLowerCase()]) {
+            return this.register(await this.load(spec));
+        }
+
+        throw new Error(`Unknown palette: ${spec}`);
+    }
+
+    /**
+     * Load a palette file (.gpl, .pal, .hex, .aseprite/.ase)
+     */
+    async load(filePath) {
+        const format = this.getFormat(filePath);
+        const name = path.basename(filePath, path.extname(filePath));
+        const content = await fs.readFile(filePath);
+
+        return this.parse(format === 'aseprite' ? content : content.toString('utf8'), format, name);
+    }
+
+    /**
+     * Save a palette file, choosing the format from the extension
+     */
+    async save(palette, filePath) {
+        const data = this.serialize(palette, this.getFormat(filePath));
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, data);
+        return filePath;
+    }
+
+    getFormat(filePath) {
+        const format = FORMAT_EXTENSIONS[path.extname(filePath).toLowerCase()];
+        if (!format) {
+            throw new Error(`Unsupported palette format: ${path.extname(filePath) || filePath}`);
+        }
+        return format;
+    }
+
+    /**
+     * Parse palette file contents
+     * @param {string|Buffer} content - Text contents, or a Buffer for Aseprite files
+     * @param {string} format - 'gpl', 'pal', 'hex' or 'aseprite'
+     * @param {string} [name] - Fallback palette name
+     */
+    parse(content, format, name = 'imported') {
+        switch (format) {
+            case 'gpl':
+                return this.parseGPL(content, name);
+            case 'pal':
+                return this.parseJASC(content, name);
+            case 'hex':
+                return this.normalize({
+                    name,
+                    colors: content.split(/\r?\n/).map(line => line.trim()).filter(line => /^#?[0-9a-f]{6}$/i.test(line))
+                });
+            case 'aseprite':
+                return this.parseAseprite(content, name);
+            default:
+                throw new Error(`Unsupported palette format: ${format}`);
+        }
+    }
+
+    /**
+     * Serialize a palette
+     * @returns {string|Buffer} Text for gpl/pal/hex, Buffer for aseprite
+     */
+    serialize(palette, format) {
+        const { name, colors } = this.normalize(palette);
+
+        switch (format) {
+            case 'gpl':
+                return [
+                    'GIMP Palette',
+                    `Name: ${name}`,
+                    `Columns: ${Math.min(16, colors.length)}`,
+                    '#',
+                    ...colors.map(c => `${String(c.r).padStart(3)} ${String(c.g).padStart(3)} ${String(c.b).padStart(3)}\t${c.name || this.toHex(c)}`)
+                ].join('\n') + '\n';
+            case 'pal':
+                return ['JASC-PAL', '0100', String(colors.length), ...colors.map(c => `${c.r} ${c.g} ${c.b}`)].join('\r\n') + '\r\n';
+            case 'hex':
+                return colors.map(c => this.toHex(c)).join('\n') + '\n';
+            case 'aseprite':
+                return this.serializeAseprite(colors);
+            default:
+                throw new Error(`Unsupported palette format: ${format}`);
+        }
+    }
+
+    parseGPL(content, fallbackName) {
+        const lines = content.split(/\r?\n/);
+        if (!lines[0] || !lines[0].trim().startsWith('GIMP Palette')) {
+            throw new Error('Not a GIMP palette: missing "GIMP Palette" header');
+        }
+
+        let name = fallbackName;
+        const colors = [];
+
+        for (const line of lines.slice(1)) {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('Columns:')) continue;
+            if (trimmed.startsWith('Name:')) {
+                name = trimmed.slice(5).trim() || fallbackName;
+                continue;
+            }
+
+            const match = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/);
+            if (match) {
+                colors.push({ r: +match[1], g: +match[2], b: +match[3], name: match[4] || undefined });
+            }
+        }
+
+        return this.normalize({ name, colors });
+    }
+
+    parseJASC(content, name) {
+        const lines = content.split(/\r?\n/).map(line => line.trim());
+        if (lines[0] !== 'JASC-PAL') {
+            throw new Error('Not a JASC palette: missing "JASC-PAL" header');
+        }
+
+        const count = parseInt(lines[2], 10);
+        const colors = lines.slice(3, 3 + count).map(line => {
+            const [r, g, b] = line.split(/\s+/).map(Number);
+            return { r, g, b };
+        });
+
+        return this.normalize({ name, colors });
+    }
+
+    /**
+     * Read the palette from an Aseprite file (new 0x2019 chunk, or the old 0x0004 chunk)
+     */
+    parseAseprite(buffer, name) {
+        if (buffer.length < 128 || buffer.readUInt16LE(4) !== ASEPRITE_MAGIC) {
+            throw new Error('Not an Aseprite file: bad header magic');
+        }
+
+        const frameCount = buffer.readUInt16LE(6);
+        let offset = 128;
+        let oldPalette = null;
+
+        for (let frame = 0; frame < frameCount && offset < buffer.length; frame++) {
+            const frameSize = buffer.readUInt32LE(offset);
+            if (buffer.readUInt16LE(offset + 4) !== ASEPRITE_FRAME_MAGIC) {
+                throw new Error('Corrupt Aseprite file: bad frame magic');
+            }
+
+            const oldChunkCount = buffer.readUInt16LE(offset + 6);
+            const newChunkCount = buffer.readUInt32LE(offset + 12);
+            const chunkCount = newChunkCount || oldChunkCount;
+            let chunkOffset = offset + 16;
+
+            for (let chunk = 0; chunk < chunkCount; chunk++) {
+                const chunkSize = buffer.readUInt32LE(chunkOffset);
+                const chunkType = buffer.readUInt16LE(chunkOffset + 4);
+                const data = buffer.subarray(chunkOffset + 6, chunkOffset + chunkSize);
+
+                if (chunkType === ASEPRITE_PALETTE_CHUNK) {
+                    return this.normalize({ name, colors: this.readAsepritePaletteChunk(data) });
+                }
+                if (chunkType === ASEPRITE_OLD_PALETTE_CHUNK && !oldPalette) {
+                    oldPalette = this.readAsepriteOldPaletteChunk(data);
+                }
+
+                chunkOffset += chunkSize;
+            }
+
+            offset += frameSize;
+        }
+
+        if (oldPalette) {
+            return this.normalize({ name, colors: oldPalette });
+        }
+        throw new Error('Aseprite file has no palette chunk');
+    }
+
+    readAsepritePaletteChunk(data) {
+        const first = data.readUInt32LE(4);
+        const last = data.readUInt32LE(8);
+        const colors = [];
+        let offset = 20;
+
+        for (let index = first; index <= last; index++) {
+            const flags = data.readUInt16LE(offset);
+            const color = { r: data[offset + 2], g: data[offset + 3], b: data[offset + 4] };
+            offset += 6;
+
+            if (flags & 1) {
+                const length = data.readUInt16LE(offset);
+                color.name = data.toString('utf8', offset + 2, offset + 2 + length);
+                offset += 2 + length;
+            }
+            colors.push(color);
+        }
+
+        return colors;
+    }
+
+    readAsepriteOldPaletteChunk(data) {
+        const packets = data.readUInt16LE(0);
+        const colors = [];
+        let offset = 2;
+
+        for (let packet = 0; packet < packets; packet++) {
+            offset += 1; // Entries to skip
+            const count = data[offset] || 256;
+            offset += 1;
+            for (let i = 0; i < count; i++) {
+                colors.push({ r: data[offset], g: data[offset + 1], b: data[offset + 2] });
+                offset += 3;
+            }
+        }
+
+        return colors;
+    }
+
+    /**
+     * Write a palette-only Aseprite file: one empty frame with a layer and a palette chunk
+     */
+    serializeAseprite(colors) {
+        const layerName = Buffer.from('Palette', 'utf8');
+        const layer = Buffer.alloc(16 + 2 + layerName.length);
+        layer.writeUInt16LE(3, 0); // Visible | editable
+        layer[12] = 255; // Opacity
+        layer.writeUInt16LE(layerName.length, 16);
+        layerName.copy(layer, 18);
+
+        const entries = colors.map(color => {
+            const name = color.name ? Buffer.from(color.name, 'utf8') : null;
+            const entry = Buffer.alloc(6 + (name ? 2 + name.length : 0));
+            entry.writeUInt16LE(name ? 1 : 0, 0);
+            entry[2] = color.r;
+            entry[3] = color.g;
+            entry[4] = color.b;
+            entry[5] = 255;
+            if (name) {
+                entry.writeUInt16LE(name.length, 6);
+                name.copy(entry, 8);
+            }
+            return entry;
+        });
+
+        const paletteHeader = Buffer.alloc(20);
+        paletteHeader.writeUInt32LE(colors.length, 0);
+        paletteHeader.writeUInt32LE(0, 4);
+        paletteHeader.writeUInt32LE(colors.length - 1, 8);
+
+        const chunk = (type, data) => {
+            const header = Buffer.alloc(6);
+            header.writeUInt32LE(data.length + 6, 0);
+            header.writeUInt16LE(type, 4);
+            return Buffer.concat([header, data]);
+        };
+
+        const chunks = Buffer.concat([
+            chunk(ASEPRITE_LAYER_CHUNK, layer),
+            chunk(ASEPRITE_PALETTE_CHUNK, Buffer.concat([paletteHeader, ...entries]))
+        ]);
+
+        const frameHeader = Buffer.alloc(16);
+        frameHeader.writeUInt32LE(16 + chunks.length, 0);
+        frameHeader.writeUInt16LE(ASEPRITE_FRAME_MAGIC, 4);
+        frameHeader.writeUInt16LE(2, 6);
+        frameHeader.writeUInt16LE(100, 8); // Frame duration (ms)
+        frameHeader.writeUInt32LE(2, 12);
+
+        const header = Buffer.alloc(128);
+        header.writeUInt32LE(128 + frameHeader.length + chunks.length, 0);
+        header.writeUInt16LE(ASEPRITE_MAGIC, 4);
+        header.writeUInt16LE(1, 6); // Frames
+        header.writeUInt16LE(16, 8); // Width
+        header.writeUInt16LE(16, 10); // Height
+        header.writeUInt16LE(32, 12); // Color depth (RGBA)
+        header.writeUInt32LE(1, 14); // Layer opacity is valid
+        header.writeUInt16LE(100, 18); // Deprecated speed
+        header.writeUInt16LE(colors.length, 32);
+        header[34] = 1; // Pixel width
+        header[35] = 1; // Pixel height
+
+        return Buffer.concat([header, frameHeader, chunks]);
+    }
+
+    /**
+     * Quantize an image to a palette in place
+     * @param {Object} image - Jimp image or { bitmap: { width, height, data } }
+     * @param {Object} palette - Normalized palette (see resolve())
+     * @param {Object} [options] - Quantization options
+     * @param {string} [options.dither='none'] - 'none', 'bayer', 'floyd-steinberg' or 'atkinson'
+     * @param {number} [options.bayerSize=4] - Bayer matrix size: 2, 4 or 8
+     * @param {number} [options.strength=1] - Dither strength
+     * @param {number} [options.alphaThreshold=128] - Pixels below become fully transparent, others opaque
+     * @returns {Object} The same image
+     */
+    quantize(image, palette, options = {}) {
+        const { width, height, data } = image.bitmap;
+        const { colors } = this.normalize(palette);
+        const dither = options.dither || 'none';
+        const strength = options.strength !== undefined ? options.strength : 1;
+        const alphaThreshold = options.alphaThreshold !== undefined ? options.alphaThreshold : 128;
+
+        if (colors.length === 0) {
+            throw new Error('Cannot quantize to an empty palette');
+        }
+        if (dither !== 'none' && dither !== 'bayer' && !DIFFUSION_KERNELS[dither]) {
+            throw new Error(`Unsupported dither mode: ${dither}`);
+        }
+
+        const nearest = this.createMatcher(colors);
+        const kernel = DIFFUSION_KERNELS[dither];
+        const bayer = dither === 'bayer' ? PaletteLibrary.bayerMatrix(options.bayerSize || 4) : null;
+
+        // Ordered dither spread: roughly the gap between neighbouring palette colours
+        const spread = (255 / Math.max(1, Math.cbrt(colors.length))) * strength;
+        const error = kernel ? new Float32Array(width * height * 3) : null;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pixel = y * width + x;
+                const idx = pixel * 4;
+
+                if (data[idx + 3] < alphaThreshold) {
+                    data[idx] = data[idx + 1] = data[idx + 2] = data[idx + 3] = 0;
+                    continue;
+                }
+
+                let r = data[idx];
+                let g = data[idx + 1];
+                let b = data[idx + 2];
+
+                if (bayer) {
+                    const offset = (bayer.matrix[y % bayer.size][x % bayer.size] - 0.5) * spread;
+                    r += offset;
+                    g += offset;
+                    b += offset;
+                } else if (error) {
+                    r += error[pixel * 3];
+                    g += error[pixel * 3 + 1];
+                    b += error[pixel * 3 + 2];
+                }
+
+                const color = nearest(this.clamp(r), this.clamp(g), this.clamp(b));
+
+                if (error) {
+                    const errors = [(r - color.r) * strength, (g - color.g) * strength, (b - color.b) * strength];
+                    for (const [dx, dy, weight] of kernel.offsets) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || nx >= width || ny >= height) continue;
+                        // Transparent pixels neither receive nor pass on error
+                        if (data[(ny * width + nx) * 4 + 3] < alphaThreshold) continue;
+
+                        const target = (ny * width + nx) * 3;
+                        for (let c = 0; c < 3; c++) {
+                            error[target + c] += (errors[c] * weight) / kernel.divisor;
+                        }
+                    }
+                }
+
+                data[idx] = color.r;
+                data[idx + 1] = color.g;
+                data[idx + 2] = color.b;
+                data[idx + 3] = 255;
+            }
+        }
+
+        return image;
+    }
+
+    /**
+     * Nearest-colour lookup with a cache, using the "redmean" weighted RGB distance
+     */
+    createMatcher(colors) {
+        const cache = new Map();
+
+        return (r, g, b) => {
+            const key = (r << 16) | (g << 8) | b;
+            let match = cache.get(key);
+            if (match) return match;
+
+            let best = Infinity;
+            for (const color of colors) {
+                const meanRed = (r + color.r) / 2;
+                const dr = r - color.r;
+                const dg = g - color.g;
+                const db = b - color.b;
+                const distance = (2 + meanRed / 256) * dr * dr + 4 * dg * dg + (2 + (255 - meanRed) / 256) * db * db;
+                if (distance < best) {
+                    best = distance;
+                    match = color;
+                }
+            }
+
+            cache.set(key, match);
+            return match;
+        };
+    }
+
+    /**
+     * Normalized Bayer threshold matrix with values in [0, 1)
+     * @param {number} size - 2, 4 or 8
+     */
+    static bayerMatrix(size) {
+        if (![2, 4, 8].includes(size)) {
+            throw new Error(`Bayer matrix size must be 2, 4 or 8, got ${size}`);
+        }
+
+        let matrix = [[0, 2], [3, 1]];
+        while (matrix.length < size) {
+            const n = matrix.length;
+            const next = Array.from({ length: n * 2 }, () => new Array(n * 2));
+            for (let y = 0; y < n; y++) {
+                for (let x = 0; x < n; x++) {
+                    const v = matrix[y][x] * 4;
+                    next[y][x] = v;
+                    next[y][x + n] = v + 2;
+                    next[y + n][x] = v + 3;
+                    next[y + n][x + n] = v + 1;
+                }
+            }
+            matrix = next;
+        }
+
+        const cells = size * size;
+        return { size, matrix: matrix.map(row => row.map(v => (v + 0.5) / cells)) };
+    }
+
+    /**
+     * Normalize a palette to { name, colors: [{ r, g, b, name? }] }
+     */
+    normalize(palette) {
+        if (!palette || !Array.isArray(palette.colors)) {
+            throw new Error('Palette must have a colors array');
+        }
+
+        const colors = palette.colors.map(color => {
+            if (typeof color === 'string') {
+                const hex = color.replace(/^#/, '');
+                if (!/^[0-9a-f]{6}$/i.test(hex)) {
+                    throw new Error(`Invalid palette color: ${color}`);
+                }
+                return { r: parseInt(hex.slice(0, 2), 16), g: parseInt(hex.slice(2, 4), 16), b: parseInt(hex.slice(4, 6), 16) };
+            }
+
+            const normalized = { r: this.clamp(color.r), g: this.clamp(color.g), b: this.clamp(color.b) };
+            if (color.name) normalized.name = color.name;
+            return normalized;
+        });
+
+        return { ...palette, name: palette.name || 'custom', colors };
+    }
+
+    toHex(color) {
+        return [color.r, color.g, color.b].map(v => v.toString(16).padStart(2, '0')).join('');
+    }
+
+    clamp(value) {
+        return Math.max(0, Math.min(255, Math.round(value)));
+    }
+}
+
+module.exports = PaletteLibrary;
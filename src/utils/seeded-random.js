@@ -0,0 +1,144 @@
+/**
+ * TPT Asset Editor Desktop - Seeded Random
+ * Deterministic pseudo-random numbers for reproducible asset generation
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Seeded generator of the run the current async context belongs to, if any
+const scopes = new AsyncLocalStorage();
+
+// While any run is active, Math.random reads the caller's seeded generator and
+// falls back to the original for code outside every run
+let activeRuns = 0;
+let originalRandom = null;
+
+function scopedRandom() {
+    const random = scopes.getStore();
+    return random ? random.next() : originalRandom();
+}
+
+class SeededRandom {
+    /**
+     * Create a seeded generator
+     * @param {number|string} seed - Seed value; strings are hashed
+     */
+    constructor(seed) {
+        this.seed = seed;
+        this.state = SeededRandom.hashSeed(seed);
+    }
+
+    /**
+     * Next float in [0, 1) (mulberry32)
+     * @returns {number} Pseudo-random number
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer in [min, max] inclusive
+     */
+    nextInt(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Random float in [min, max)
+     */
+    nextFloat(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Pick a random array element
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Derive an independent generator, e.g. one per tile or frame
+     * @param {number|string} key - Sub-stream key
+     * @returns {SeededRandom} Child generator
+     */
+    fork(key) {
+        return new SeededRandom(`${this.seed}:${key}`);
+    }
+
+    /**
+     * Hash any seed value to a 32-bit integer state
+     * @param {number|string} seed - Seed value
+     * @returns {number} 32-bit state
+     */
+    static hashSeed(seed) {
+        const text = String(seed);
+        let hash = 1779033703 ^ text.length;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+            hash = (hash << 13) | (hash >>> 19);
+        }
+        hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+        hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+
+    /**
+     * Create a fresh seed for unseeded requests
+     * Uses crypto so it never draws from a seeded Math.random
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static createSeed() {
+        return crypto.randomBytes(4).readUInt32LE(0);
+    }
+
+    /**
+     * Run a generation function with Math.random drawing from a seeded generator
+     *
+     * Generators call Math.random directly, so while a run is active the global is
+     * replaced by a dispatcher that draws from the generator of the run the caller's
+     * async context belongs to. Runs therefore stay reproducible when they overlap
+     * across awaits, other code keeps unseeded numbers, and nested runs shadow the
+     * outer one until they return.
+     * @param {number|string|undefined} seed - Seed; undefined runs fn unseeded
+     * @param {Function} fn - Sync or async function to run
+     * @returns {Promise<*>} Result of fn
+     */
+    static async run(seed, fn) {
+        if (seed === undefined || seed === null) {
+            return await fn();
+        }
+
+        const random = new SeededRandom(seed);
+
+        if (activeRuns === 0) {
+            originalRandom = Math.random;
+            Math.random = scopedRandom;
+        }
+        activeRuns++;
+
+        try {
+            return await scopes.run(random, () => fn(random));
+        } finally {
+            activeRuns--;
+            if (activeRuns === 0) {
+                Math.random = originalRandom;
+                originalRandom = null;
+            }
+        }
+    }
+
+    /**
+     * Whether the caller is inside a seeded run
+     */
+    static isActive() {
+        return scopes.getStore() !== undefined;
+    }
+}
+
+module.exports = SeededRandom;
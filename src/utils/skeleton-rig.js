@@ -0,0 +1,281 @@
+/**
+ * TPT Asset Editor Desktop - Skeleton Rig
+ * Splits a sprite into body-part images on a bone hierarchy and keys bone animations,
+ * for skeletal export (Spine, DragonBones)
+ */
+
+const Jimp = require('jimp');
+
+// Bones of each rig, parents first. Joints and regions are fractions of the sprite's opaque
+// bounds ([x, y] and [left, top, right, bottom]); a pixel goes to the first bone whose region
+// holds it, or to the rig's base bone. drawOrder lists the parts back to front.
+const RIGS = {
+    humanoid: {
+        base: 'body',
+        bones: [
+            { name: 'hips', parent: 'root', joint: [0.5, 0.62] },
+            { name: 'body', parent: 'hips', joint: [0.5, 0.62] },
+            { name: 'head', parent: 'body', joint: [0.5, 0.3], region: [0, 0, 1, 0.3] },
+            { name: 'leftArm', parent: 'body', joint: [0.22, 0.34], region: [0, 0.3, 0.25, 0.62] },
+            { name: 'rightArm', parent: 'body', joint: [0.78, 0.34], region: [0.75, 0.3, 1, 0.62] },
+            { name: 'leftLeg', parent: 'hips', joint: [0.38, 0.62], region: [0, 0.62, 0.5, 1] },
+            { name: 'rightLeg', parent: 'hips', joint: [0.62, 0.62], region: [0.5, 0.62, 1, 1] }
+        ],
+        drawOrder: ['leftArm', 'leftLeg', 'rightLeg', 'body', 'head', 'rightArm']
+    },
+    beast: {
+        base: 'body',
+        bones: [
+            { name: 'hips', parent: 'root', joint: [0.5, 0.8] },
+            { name: 'body', parent: 'hips', joint: [0.5, 0.6] },
+            { name: 'head', parent: 'body', joint: [0.5, 0.4], region: [0, 0, 1, 0.4] },
+            { name: 'leftLeg', parent: 'hips', joint: [0.3, 0.8], region: [0, 0.8, 0.5, 1] },
+            { name: 'rightLeg', parent: 'hips', joint: [0.7, 0.8], region: [0.5, 0.8, 1, 1] }
+        ],
+        drawOrder: ['leftLeg', 'rightLeg', 'body', 'head']
+    },
+    winged: {
+        base: 'body',
+        bones: [
+            { name: 'hips', parent: 'root', joint: [0.5, 0.8] },
+            { name: 'body', parent: 'hips', joint: [0.5, 0.6] },
+            { name: 'head', parent: 'body', joint: [0.5, 0.35], region: [0.2, 0, 0.8, 0.35] },
+            { name: 'leftWing', parent: 'body', joint: [0.3, 0.45], region: [0, 0, 0.25, 0.8] },
+            { name: 'rightWing', parent: 'body', joint: [0.7, 0.45], region: [0.75, 0, 1, 0.8] },
+            { name: 'leftLeg', parent: 'hips', joint: [0.35, 0.8], region: [0, 0.8, 0.5, 1] },
+            { name: 'rightLeg', parent: 'hips', joint: [0.65, 0.8], region: [0.5, 0.8, 1, 1] }
+        ],
+        drawOrder: ['leftWing', 'rightWing', 'leftLeg', 'rightLeg', 'body', 'head']
+    }
+};
+
+// Rig of each monster that stands upright or flies; other monsters use the beast rig
+const MONSTER_RIGS = {
+    goblin: 'humanoid',
+    skeleton: 'humanoid',
+    orc: 'humanoid',
+    giant: 'humanoid',
+    demon: 'humanoid',
+    zombie: 'humanoid',
+    vampire: 'humanoid',
+    werewolf: 'humanoid',
+    troll: 'humanoid',
+    ogre: 'humanoid',
+    golem: 'humanoid',
+    lich: 'humanoid',
+    minotaur: 'humanoid',
+    wraith: 'humanoid',
+    dragon: 'winged',
+    phoenix: 'winged',
+    griffin: 'winged',
+    harpy: 'winged'
+};
+
+// Skeletal animations and the BasicAnimationSystem timing each one takes its duration and loop from
+const ANIMATIONS = {
+    walk: 'walk_cycle',
+    idle: 'idle_poses',
+    attack: 'attack_swing',
+    hurt: 'hurt_reaction'
+};
+
+// Bone poses of BasicAnimationSystem keyframes: angles in degrees clockwise, offsets in pixels at 32px tall
+const KEYFRAME_POSES = {
+    walk_cycle: key => ({
+        hips: { y: key.body_offset.y },
+        leftLeg: { angle: key.leg_angle },
+        rightLeg: { angle: -key.leg_angle },
+        leftArm: { angle: -key.arm_angle },
+        rightArm: { angle: key.arm_angle },
+        leftWing: { angle: -2 * key.leg_angle },
+        rightWing: { angle: 2 * key.leg_angle }
+    }),
+    attack_swing: key => ({
+        body: { angle: key.body_rotation / 2 },
+        head: { angle: key.body_rotation / 2 },
+        rightArm: { angle: -key.weapon_angle / 2 }
+    })
+};
+
+// Poses of the animations without keyframes, evenly spaced; bones left out are at rest
+const POSES = {
+    idle_poses: [
+        {},
+        {
+            hips: { y: 1 },
+            head: { angle: 2 },
+            leftArm: { angle: 3 },
+            rightArm: { angle: -3 },
+            leftWing: { angle: -10 },
+            rightWing: { angle: 10 }
+        }
+    ],
+    hurt_reaction: [
+        {},
+        {
+            hips: { x: -2 },
+            body: { angle: -12 },
+            head: { angle: -15 },
+            leftArm: { angle: 25 },
+            rightArm: { angle: -25 },
+            leftWing: { angle: 20 },
+            rightWing: { angle: -20 }
+        },
+        {}
+    ]
+};
+
+// Sprite height the pose offsets are given at
+const POSE_HEIGHT = 32;
+
+class SkeletonRig {
+    /**
+     * Split a sprite into a part image per bone of a rig
+     *
+     * Every opaque pixel goes to exactly one part, so drawing the parts at rest rebuilds the sprite.
+     * Positions are in sprite pixels, y down. The root bone sits at the origin: the middle of
+     * the bottom edge of the opaque bounds, where the sprite stands.
+     * @param {Jimp} image - Sprite
+     * @param {string} [rigName='humanoid'] - Rig (see SkeletonRig.RIGS)
+     * @returns {Object} Rig ({name, width, height, bounds, origin, bones, parts, drawOrder});
+     *   bones are {name, parent, x, y}, parents first; parts are {name, bone, image, x, y}
+     *   with x, y the top-left of the part image; bones without pixels have no part
+     */
+    static split(image, rigName = 'humanoid') {
+        const rig = RIGS[rigName];
+        if (!rig) {
+            throw new Error(`Unknown skeleton rig: ${rigName}`);
+        }
+
+        const { width, height, data } = image.bitmap;
+        const bounds = SkeletonRig.opaqueBounds(image);
+        const origin = { x: Math.round(bounds.x + bounds.w / 2), y: bounds.y + bounds.h };
+        const point = ([u, v]) => ({ x: Math.round(bounds.x + u * bounds.w), y: Math.round(bounds.y + v * bounds.h) });
+
+        const bones = [{ name: 'root', parent: null, ...origin }];
+        rig.bones.forEach(bone => bones.push({ name: bone.name, parent: bone.parent, ...point(bone.joint) }));
+
+        // Sort every opaque pixel into its bone's part
+        const regions = rig.bones.filter(bone => bone.region);
+        const pixels = {};
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] === 0) continue;
+
+                const u = (x + 0.5 - bounds.x) / bounds.w;
+                const v = (y + 0.5 - bounds.y) / bounds.h;
+                const owner = regions.find(({ region }) => u >= region[0] && u < region[2] && v >= region[1] && v < region[3]);
+                const name = owner ? owner.name : rig.base;
+                (pixels[name] = pixels[name] || []).push({ x, y });
+            }
+        }
+
+        const parts = [];
+        rig.drawOrder.forEach(name => {
+            if (!pixels[name]) return;
+
+            const xs = pixels[name].map(pixel => pixel.x);
+            const ys = pixels[name].map(pixel => pixel.y);
+            const left = Math.min(...xs);
+            const top = Math.min(...ys);
+            const part = new Jimp(Math.max(...xs) - left + 1, Math.max(...ys) - top + 1, 0x00000000);
+            pixels[name].forEach(({ x, y }) => {
+                part.setPixelColor(image.getPixelColor(x, y), x - left, y - top);
+            });
+            parts.push({ name, bone: name, image: part, x: left, y: top });
+        });
+
+        return { name: rigName, width, height, bounds, origin, bones, parts, drawOrder: rig.drawOrder.slice() };
+    }
+
+    /**
+     * Key the walk, idle, attack and hurt animations on a rig's bones
+     *
+     * Walk and attack follow BasicAnimationSystem's walk_cycle and attack_swing keyframes;
+     * durations and looping come from its animationTiming. Looping animations end on their
+     * first pose. Keys on bones the rig doesn't have are dropped.
+     * @param {Object} rig - Rig from split
+     * @param {Object} keyframeData - BasicAnimationSystem keyframeData
+     * @param {Object} animationTiming - BasicAnimationSystem animationTiming
+     * @returns {Object} Animations by name ({duration, loop, bones}); bones map a bone name to
+     *   {rotate: [{time, angle}], translate: [{time, x, y}]}, time in seconds, angles in
+     *   degrees clockwise and offsets in pixels, y down
+     */
+    static animate(rig, keyframeData, animationTiming) {
+        const boneNames = new Set(rig.bones.map(bone => bone.name));
+        const scale = Math.round(rig.bounds.h / POSE_HEIGHT * 100) / 100;
+        const animations = {};
+
+        Object.entries(ANIMATIONS).forEach(([name, type]) => {
+            const timing = animationTiming[type];
+            const poses = KEYFRAME_POSES[type] ? keyframeData[type].map(KEYFRAME_POSES[type]) : POSES[type];
+            const keyed = poses.concat(timing.loop ? [poses[0]] : []);
+            const duration = timing.duration / 1000;
+            const step = duration / (keyed.length - 1);
+
+            // Every bone keyed in any pose gets a key in each, at rest where the pose leaves it out
+            const names = [...new Set(keyed.flatMap(pose => Object.keys(pose)))].filter(bone => boneNames.has(bone));
+            const bones = {};
+            names.forEach(bone => {
+                const rotates = keyed.some(pose => pose[bone] && pose[bone].angle !== undefined);
+                const translates = keyed.some(pose => pose[bone] && (pose[bone].x !== undefined || pose[bone].y !== undefined));
+                const timelines = {};
+                if (rotates) timelines.rotate = [];
+                if (translates) timelines.translate = [];
+
+                keyed.forEach((pose, index) => {
+                    const key = pose[bone] || {};
+                    const time = Math.round(index * step * 1000) / 1000;
+                    if (rotates) timelines.rotate.push({ time, angle: key.angle || 0 });
+                    if (translates) timelines.translate.push({ time, x: (key.x || 0) * scale, y: (key.y || 0) * scale });
+                });
+                bones[bone] = timelines;
+            });
+
+            animations[name] = { duration, loop: timing.loop, bones };
+        });
+
+        return animations;
+    }
+
+    /**
+     * Rig for a generated sprite asset: humanoid for characters, by monster type for monsters
+     * @param {Object} asset - Asset from SpriteGenerator.generate
+     * @returns {string} Rig name
+     */
+    static getRigName(asset) {
+        if (asset.type === 'monster') {
+            return MONSTER_RIGS[asset.metadata.monsterType] || 'beast';
+        }
+        return 'humanoid';
+    }
+
+    /**
+     * Bounds of the opaque pixels ({x, y, w, h}); the whole image when it is fully transparent
+     */
+    static opaqueBounds(image) {
+        const { width, height, data } = image.bitmap;
+        let minX = width;
+        let minY = height;
+        let maxX = -1;
+        let maxY = -1;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] === 0) continue;
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+
+        if (maxX < 0) return { x: 0, y: 0, w: width, h: height };
+        return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+    }
+}
+
+SkeletonRig.RIGS = RIGS;
+SkeletonRig.ANIMATIONS = ANIMATIONS;
+
+module.exports = SkeletonRig;
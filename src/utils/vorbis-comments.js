@@ -0,0 +1,283 @@
+/**
+ * TPT Asset Editor Desktop - Vorbis Comments
+ * Reads and rewrites the comment header of Ogg Vorbis files, e.g. to add the
+ * LOOPSTART/LOOPLENGTH loop tags, without touching the audio
+ */
+
+const CAPTURE_PATTERN = 'OggS';
+const PAGE_HEADER_SIZE = 27;
+const MAX_SEGMENTS = 255;
+
+// Page header_type flags
+const PAGE_CONTINUED = 0x01;
+
+// Vorbis header packet types
+const PACKET_IDENTIFICATION = 1;
+const PACKET_COMMENT = 3;
+
+// Ogg page checksum: CRC-32 with polynomial 0x04C11DB7, unreflected, no final xor
+const CRC_TABLE = new Uint32Array(256).map((value, index) => {
+    let crc = index << 24;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+    return crc >>> 0;
+});
+
+class VorbisComments {
+    /**
+     * Read the vendor string and comments of an Ogg Vorbis file
+     * @param {Buffer} buffer - Ogg Vorbis file
+     * @returns {{vendor: string, comments: Object<string, string>}} Comments by upper-case field name
+     */
+    static read(buffer) {
+        const { commentPacket } = VorbisComments.findHeaders(VorbisComments.parsePages(buffer));
+        const { vendor, comments } = VorbisComments.parseCommentPacket(commentPacket);
+
+        const fields = {};
+        comments.forEach(comment => {
+            const separator = comment.indexOf('=');
+            fields[comment.slice(0, separator).toUpperCase()] = comment.slice(separator + 1);
+        });
+
+        return { vendor, comments: fields };
+    }
+
+    /**
+     * Set comments in an Ogg Vorbis file
+     *
+     * Fields already in the file with the same name (case-insensitive) are replaced.
+     * The comment and setup headers are repaginated, and later pages of the stream are
+     * renumbered with fresh checksums; their audio data stays as it was.
+     * @param {Buffer} buffer - Ogg Vorbis file
+     * @param {Object<string, string|number>} fields - Comments to set, by field name
+     * @returns {Buffer} Rewritten file
+     */
+    static write(buffer, fields) {
+        const pages = VorbisComments.parsePages(buffer);
+        const headers = VorbisComments.findHeaders(pages);
+        const { vendor, comments } = VorbisComments.parseCommentPacket(headers.commentPacket);
+
+        const names = Object.keys(fields).map(name => name.toUpperCase());
+        const kept = comments.filter(comment => !names.includes(comment.slice(0, comment.indexOf('=')).toUpperCase()));
+        const added = Object.entries(fields).map(([name, value]) => `${name.toUpperCase()}=${value}`);
+        const commentPacket = VorbisComments.buildCommentPacket(vendor, kept.concat(added));
+
+        const first = pages[headers.pageIndexes[0]];
+        const headerPages = VorbisComments.paginate(
+            [commentPacket, headers.setupPacket], first.serial, first.sequence
+        );
+        const shift = headerPages.length - headers.pageIndexes.length;
+
+        const output = [];
+        pages.forEach((page, index) => {
+            if (index === headers.pageIndexes[0]) {
+                output.push(...headerPages.map(VorbisComments.serializePage));
+            } else if (headers.pageIndexes.includes(index)) {
+                return;
+            } else if (index > headers.pageIndexes[0] && page.serial === first.serial && shift !== 0) {
+                output.push(VorbisComments.serializePage({ ...page, sequence: page.sequence + shift }));
+            } else {
+                output.push(page.raw);
+            }
+        });
+
+        return Buffer.concat(output);
+    }
+
+    /**
+     * Split an Ogg file into pages
+     * @param {Buffer} buffer - Ogg file
+     * @returns {Array<Object>} Pages ({headerType, granule, serial, sequence, lacing, data, raw})
+     */
+    static parsePages(buffer) {
+        const pages = [];
+        let offset = 0;
+
+        while (offset < buffer.length) {
+            if (buffer.toString('latin1', offset, offset + 4) !== CAPTURE_PATTERN) {
+                throw new Error(`Invalid Ogg page at byte ${offset}`);
+            }
+
+            const segmentCount = buffer[offset + 26];
+            const lacing = Array.from(buffer.subarray(offset + PAGE_HEADER_SIZE, offset + PAGE_HEADER_SIZE + segmentCount));
+            const dataStart = offset + PAGE_HEADER_SIZE + segmentCount;
+            const dataEnd = dataStart + lacing.reduce((sum, size) => sum + size, 0);
+
+            pages.push({
+                headerType: buffer[offset + 5],
+                granule: buffer.subarray(offset + 6, offset + 14),
+                serial: buffer.readUInt32LE(offset + 14),
+                sequence: buffer.readUInt32LE(offset + 18),
+                lacing,
+                data: buffer.subarray(dataStart, dataEnd),
+                raw: buffer.subarray(offset, dataEnd)
+            });
+            offset = dataEnd;
+        }
+
+        return pages;
+    }
+
+    /**
+     * Find the Vorbis header packets of the first logical stream
+     *
+     * The identification header fills the first page; the comment and setup headers
+     * follow on pages of their own, the setup header ending the last of them.
+     * @returns {{commentPacket: Buffer, setupPacket: Buffer, pageIndexes: Array<number>}}
+     *   Header packets and the indexes of the pages that carry them
+     */
+    static findHeaders(pages) {
+        const serial = pages.length > 0 ? pages[0].serial : null;
+        if (serial === null || pages[0].data[0] !== PACKET_IDENTIFICATION || pages[0].data.toString('latin1', 1, 7) !== 'vorbis') {
+            throw new Error('Not an Ogg Vorbis file');
+        }
+
+        const packets = [];
+        const pageIndexes = [];
+        let current = [];
+        for (let index = 1; index < pages.length && packets.length < 2; index++) {
+            const page = pages[index];
+            if (page.serial !== serial) continue;
+
+            pageIndexes.push(index);
+            let offset = 0;
+            page.lacing.forEach(size => {
+                current.push(page.data.subarray(offset, offset + size));
+                offset += size;
+                if (size < MAX_SEGMENTS) {
+                    packets.push(Buffer.concat(current));
+                    current = [];
+                }
+            });
+        }
+
+        if (packets.length < 2 || packets[0][0] !== PACKET_COMMENT) {
+            throw new Error('Ogg Vorbis comment header not found');
+        }
+        if (packets.length > 2) {
+            throw new Error('The Ogg Vorbis setup header must end its page');
+        }
+
+        return { commentPacket: packets[0], setupPacket: packets[1], pageIndexes };
+    }
+
+    /**
+     * Read the vendor string and raw "NAME=value" comments of a comment header packet
+     */
+    static parseCommentPacket(packet) {
+        let offset = 7;
+        const readString = () => {
+            const length = packet.readUInt32LE(offset);
+            const text = packet.toString('utf8', offset + 4, offset + 4 + length);
+            offset += 4 + length;
+            return text;
+        };
+
+        const vendor = readString();
+        const count = packet.readUInt32LE(offset);
+        offset += 4;
+        const comments = [];
+        for (let i = 0; i < count; i++) {
+            comments.push(readString());
+        }
+
+        return { vendor, comments };
+    }
+
+    /**
+     * Build a comment header packet, ending in the framing bit
+     */
+    static buildCommentPacket(vendor, comments) {
+        const string = text => {
+            const bytes = Buffer.from(text, 'utf8');
+            const length = Buffer.alloc(4);
+            length.writeUInt32LE(bytes.length, 0);
+            return [length, bytes];
+        };
+        const count = Buffer.alloc(4);
+        count.writeUInt32LE(comments.length, 0);
+
+        return Buffer.concat([
+            Buffer.from([PACKET_COMMENT]),
+            Buffer.from('vorbis', 'latin1'),
+            ...string(vendor),
+            count,
+            ...comments.flatMap(string),
+            Buffer.from([1])
+        ]);
+    }
+
+    /**
+     * Lay packets out on pages, at most 255 segments each; every packet after the first
+     * continues the page of the one before, and the last packet ends its page
+     * @param {Array<Buffer>} packets - Packets
+     * @param {number} serial - Stream serial number
+     * @param {number} sequence - Sequence number of the first page
+     * @param {Object} [options] - Page options
+     * @param {number} [options.headerType=0] - Flags of the first page (e.g. 0x02 to begin a stream)
+     * @returns {Array<Object>} Pages, with a zero granule position
+     */
+    static paginate(packets, serial, sequence, options = {}) {
+        const pages = [];
+        let page = { headerType: options.headerType || 0, lacing: [], chunks: [] };
+
+        packets.forEach(packet => {
+            const segments = [];
+            for (let offset = 0; offset + MAX_SEGMENTS <= packet.length; offset += MAX_SEGMENTS) {
+                segments.push(packet.subarray(offset, offset + MAX_SEGMENTS));
+            }
+            segments.push(packet.subarray(packet.length - packet.length % MAX_SEGMENTS));
+
+            segments.forEach((segment, index) => {
+                if (page.lacing.length === MAX_SEGMENTS) {
+                    pages.push(page);
+                    page = { headerType: index > 0 ? PAGE_CONTINUED : 0, lacing: [], chunks: [] };
+                }
+                page.lacing.push(segment.length);
+                page.chunks.push(segment);
+            });
+        });
+        pages.push(page);
+
+        return pages.map((entry, index) => ({
+            headerType: entry.headerType,
+            granule: Buffer.alloc(8),
+            serial,
+            sequence: sequence + index,
+            lacing: entry.lacing,
+            data: Buffer.concat(entry.chunks)
+        }));
+    }
+
+    /**
+     * Write a page with its checksum
+     */
+    static serializePage(page) {
+        const header = Buffer.alloc(PAGE_HEADER_SIZE);
+        header.write(CAPTURE_PATTERN, 0, 'latin1');
+        header[4] = 0;
+        header[5] = page.headerType;
+        page.granule.copy(header, 6);
+        header.writeUInt32LE(page.serial, 14);
+        header.writeUInt32LE(page.sequence, 18);
+        header[26] = page.lacing.length;
+
+        const bytes = Buffer.concat([header, Buffer.from(page.lacing), page.data]);
+        bytes.writeUInt32LE(VorbisComments.checksum(bytes), 22);
+        return bytes;
+    }
+
+    /**
+     * Ogg checksum of a page whose checksum field is zero
+     */
+    static checksum(bytes) {
+        let crc = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+        }
+        return crc;
+    }
+}
+
+module.exports = VorbisComments;
@@ -0,0 +1,121 @@
+/**
+ * TPT Asset Editor Desktop - XML Utilities
+ * Escaping for the hand-built XML exporters and a small parser for reading it back
+ */
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': "'"
+};
+
+class XMLUtils {
+    /**
+     * Escape a value for use in an attribute or text node
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    static escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Decode entity and character references
+     * @param {string} text - Escaped text
+     * @returns {string} Plain text
+     */
+    static unescape(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, ref) => {
+            if (ref[0] !== '#') return ENTITIES[match];
+            const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return String.fromCodePoint(code);
+        });
+    }
+
+    /**
+     * Parse an XML document into an element tree
+     *
+     * Handles elements, attributes, text, CDATA, comments and processing instructions,
+     * which covers the files the exporters write (TMX, TSX). DTDs and namespaces are not
+     * interpreted.
+     * @param {string} xml - XML document
+     * @returns {{name: string, attributes: Object, children: Array, text: string}} Root element
+     */
+    static parse(xml) {
+        const root = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [root];
+        const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tagPattern.exec(xml)) !== null) {
+            const current = stack[stack.length - 1];
+            current.text += XMLUtils.unescape(xml.slice(lastIndex, match.index));
+            lastIndex = tagPattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                current.text += match[1];
+            } else if (match[2]) {
+                if (current.name !== match[2]) {
+                    throw new Error(`Malformed XML: </${match[2]}> closes <${current.name}>`);
+                }
+                stack.pop();
+            } else if (match[3]) {
+                const element = {
+                    name: match[3],
+                    attributes: XMLUtils.parseAttributes(match[4]),
+                    children: [],
+                    text: ''
+                };
+                current.children.push(element);
+                if (!match[5]) {
+                    stack.push(element);
+                }
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is never closed`);
+        }
+        if (root.children.length !== 1) {
+            throw new Error('Malformed XML: expected a single root element');
+        }
+
+        return root.children[0];
+    }
+
+    static parseAttributes(source) {
+        const attributes = {};
+        const pattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+
+        while ((match = pattern.exec(source || '')) !== null) {
+            attributes[match[1]] = XMLUtils.unescape(match[2] !== undefined ? match[2] : match[3]);
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Direct children of an element with the given tag name
+     */
+    static children(element, name) {
+        return element.children.filter(child => child.name === name);
+    }
+
+    /**
+     * First direct child of an element with the given tag name
+     */
+    static child(element, name) {
+        return element.children.find(child => child.name === name) || null;
+    }
+}
+
+module.exports = XMLUtils;
@@ -0,0 +1,182 @@
+/**
+ * TPT Asset Editor Desktop - ZIP Archive
+ * Writes and reads flat ZIP archives of in-memory files, deflated with zlib
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER_SIGNATURE = 0x04034B50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014B50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054B50;
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+
+// Compression methods
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// Version 2.0: deflate; flag bit 11: names are UTF-8
+const VERSION = 20;
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by ZIP entries
+ */
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+class ZipArchive {
+    /**
+     * Write files into a ZIP archive
+     *
+     * Each file is deflated unless that would make it larger (already compressed audio,
+     * for instance), in which case it is stored.
+     * @param {Array<{name: string, data: Buffer|string}>} files - Files, with '/'-separated paths
+     * @param {Object} [options] - Archive options
+     * @param {number} [options.compressionLevel=9] - zlib compression level
+     * @param {Date} [options.date] - Modification time of every entry (default: now)
+     * @returns {Buffer} Archive contents
+     */
+    static create(files, options = {}) {
+        const level = options.compressionLevel !== undefined ? options.compressionLevel : 9;
+        const { time, date } = ZipArchive.toDosTime(options.date || new Date());
+
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = Buffer.from(file.name, 'utf8');
+            const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+            const deflated = zlib.deflateRawSync(data, { level });
+            const method = deflated.length < data.length ? METHOD_DEFLATE : METHOD_STORE;
+            const content = method === METHOD_DEFLATE ? deflated : data;
+            const crc = crc32(data);
+
+            const local = Buffer.alloc(LOCAL_HEADER_SIZE);
+            local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+            local.writeUInt16LE(VERSION, 4);
+            local.writeUInt16LE(FLAG_UTF8, 6);
+            local.writeUInt16LE(method, 8);
+            local.writeUInt16LE(time, 10);
+            local.writeUInt16LE(date, 12);
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(content.length, 18);
+            local.writeUInt32LE(data.length, 22);
+            local.writeUInt16LE(name.length, 26);
+
+            const central = Buffer.alloc(CENTRAL_HEADER_SIZE);
+            central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+            central.writeUInt16LE(VERSION, 4);
+            central.writeUInt16LE(VERSION, 6);
+            central.writeUInt16LE(FLAG_UTF8, 8);
+            central.writeUInt16LE(method, 10);
+            central.writeUInt16LE(time, 12);
+            central.writeUInt16LE(date, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(content.length, 20);
+            central.writeUInt32LE(data.length, 24);
+            central.writeUInt16LE(name.length, 28);
+            central.writeUInt32LE(offset, 42);
+
+            locals.push(local, name, content);
+            centrals.push(central, name);
+            offset += LOCAL_HEADER_SIZE + name.length + content.length;
+        });
+
+        const directory = Buffer.concat(centrals);
+        const end = Buffer.alloc(END_OF_CENTRAL_DIRECTORY_SIZE);
+        end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+        end.writeUInt16LE(files.length, 8);
+        end.writeUInt16LE(files.length, 10);
+        end.writeUInt32LE(directory.length, 12);
+        end.writeUInt32LE(offset, 16);
+
+        return Buffer.concat([...locals, directory, end]);
+    }
+
+    /**
+     * Read the files of a ZIP archive written without encryption or ZIP64 extensions
+     * @param {Buffer} buffer - Archive contents
+     * @returns {Array<{name: string, data: Buffer}>} Files in directory order
+     */
+    static read(buffer) {
+        let end = buffer.length - END_OF_CENTRAL_DIRECTORY_SIZE;
+        while (end >= 0 && buffer.readUInt32LE(end) !== END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            end--;
+        }
+        if (end < 0) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        const count = buffer.readUInt16LE(end + 10);
+        let offset = buffer.readUInt32LE(end + 16);
+        const files = [];
+
+        for (let i = 0; i < count; i++) {
+            if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+                throw new Error(`Invalid ZIP directory entry at byte ${offset}`);
+            }
+
+            const method = buffer.readUInt16LE(offset + 10);
+            const crc = buffer.readUInt32LE(offset + 16);
+            const size = buffer.readUInt32LE(offset + 20);
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+            const localOffset = buffer.readUInt32LE(offset + 42);
+            const name = buffer.toString('utf8', offset + CENTRAL_HEADER_SIZE, offset + CENTRAL_HEADER_SIZE + nameLength);
+
+            const dataStart = localOffset + LOCAL_HEADER_SIZE + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const content = buffer.subarray(dataStart, dataStart + size);
+            let data;
+            if (method === METHOD_STORE) {
+                data = Buffer.from(content);
+            } else if (method === METHOD_DEFLATE) {
+                data = zlib.inflateRawSync(content);
+            } else {
+                throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+            }
+            if (crc32(data) !== crc) {
+                throw new Error(`ZIP checksum mismatch for ${name}`);
+            }
+
+            files.push({ name, data });
+            offset += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+        }
+
+        return files;
+    }
+
+    /**
+     * MS-DOS time and date fields (two-second resolution, from 1980)
+     */
+    static toDosTime(value) {
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+            date: (Math.max(0, value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+}
+
+module.exports = ZipArchive;